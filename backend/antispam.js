@@ -0,0 +1,86 @@
+// backend/antispam.js
+// Lightweight anti-spam checks for public forms.
+//
+// 1. Honeypot: a hidden field real visitors never fill in; bots usually do.
+// 2. Form-fill token: the backend hands out a signed, timestamped token when the form
+//    loads. Submissions must return it, and must arrive no sooner than FORM_MIN_FILL_MS
+//    after it was issued (bots submit instantly).
+// 3. Duplicate detection lives with the data (see stores/leads.js findRecentDuplicate).
+
+const crypto = require('crypto');
+
+// A random per-process secret works for a single instance; set FORM_TOKEN_SECRET so
+// tokens stay valid across restarts or multiple instances.
+const secret = process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+const MIN_FILL_MS = Number(process.env.FORM_MIN_FILL_MS) || 3000;
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Name of the hidden honeypot input the frontend renders.
+const HONEYPOT_FIELD = 'website';
+
+/**
+ * Signs a payload with HMAC-SHA256.
+ * @param {string} payload - Data to sign.
+ * @returns {string} Base64url signature.
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * issueFormToken: Creates a token recording when the form was served.
+ * @returns {string} Token in the form "<issuedAt>.<nonce>.<signature>".
+ */
+function issueFormToken() {
+    const payload = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * verifyFormToken: Checks a token's signature and age.
+ * @param {string} token - Token sent back by the client.
+ * @returns {{ ok: boolean, reason?: string }} Whether the token is acceptable, and why not.
+ */
+function verifyFormToken(token) {
+    if (typeof token !== 'string') {
+        return { ok: false, reason: 'missing' };
+    }
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    const [issuedAt, nonce, signature] = parts;
+    const expected = Buffer.from(sign(`${issuedAt}.${nonce}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { ok: false, reason: 'invalid' };
+    }
+
+    const age = Date.now() - Number(issuedAt);
+    if (age < MIN_FILL_MS) {
+        return { ok: false, reason: 'too_fast' };
+    }
+    if (age > MAX_TOKEN_AGE_MS) {
+        return { ok: false, reason: 'expired' };
+    }
+    return { ok: true };
+}
+
+/**
+ * isHoneypotFilled: True when the hidden honeypot field has a value.
+ * @param {object} body - The parsed request body.
+ * @returns {boolean}
+ */
+function isHoneypotFilled(body) {
+    const value = body && body[HONEYPOT_FIELD];
+    return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    issueFormToken,
+    verifyFormToken,
+    isHoneypotFilled,
+};
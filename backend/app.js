@@ -0,0 +1,159 @@
+// backend/app.js
+// Builds the Express app: middleware, routes and error handling. It doesn't listen on a port
+// or start the background workers; server.js does that, and the tests (test/) drive the app
+// in-process.
+
+const express = require('express');
+const cors = require('cors'); // Required for cross-origin requests from frontend
+const createContactRouter = require('./routes/contact'); // Public contact form API
+const createLeadsRouter = require('./routes/leads'); // Authenticated lead inbox API
+const createWaitlistRouter = require('./routes/waitlist'); // AI SmartBill waitlist signups
+const createDemoRouter = require('./routes/demo'); // Demo scheduling and bookings
+const createAuthRouter = require('./routes/auth'); // Admin dashboard sign-in
+const plansRouter = require('./routes/plans'); // Pricing plans
+const contentRouter = require('./routes/content'); // Landing-page content (headless CMS)
+const createEventsRouter = require('./routes/events'); // First-party analytics
+const createHealthRouter = require('./routes/health'); // Health checks and Prometheus metrics
+const createWebhooksRouter = require('./routes/webhooks'); // Outbound webhooks (admin)
+const createPrivacyRouter = require('./routes/privacy'); // Data export/erasure requests and audit log
+const { createNotifier } = require('./notifier'); // Email notifications via a persistent outbox
+const { createWebhookDispatcher } = require('./webhooks'); // Lead events for CRMs and other tools
+const { createAttachmentStorage } = require('./attachments'); // Files sent with the contact form
+const { createPrivacyService } = require('./privacy'); // Self-service export/erasure and data retention
+const { localize } = require('./middleware/locale'); // Picks the response language per request
+const { serveFrontend } = require('./frontend'); // Optional: serve the built site from this process
+const { logger: defaultLogger } = require('./logger'); // JSON logs on stdout
+const { createMetrics } = require('./metrics');
+const { requestContext } = require('./middleware/requestContext'); // Request ids, access log, metrics
+const { notFound, errorHandler } = require('./middleware/errors'); // JSON errors for everything
+const { createGracefulShutdown } = require('./shutdown'); // Drains requests on SIGTERM
+
+/**
+ * createApp: Builds the app and the services its routes use. Settings come from environment
+ * variables, read when this is called; any service can be passed in instead.
+ * @param {object} [deps] - Collaborators; each defaults to the real one.
+ * @param {object} [deps.logger] - Logger (see logger.js).
+ * @param {object} [deps.notifier] - Email notifier (see notifier/).
+ * @param {object} [deps.webhooks] - Webhook dispatcher (see webhooks/).
+ * @param {object} [deps.attachments] - Contact form attachment storage (see attachments/).
+ * @param {object} [deps.privacy] - Privacy requests and retention (see privacy/).
+ * @param {object} [deps.metrics] - Request metrics (see metrics.js).
+ * @param {object} [deps.shutdown] - Graceful shutdown (see shutdown.js).
+ * @returns {{ app: express.Application, notifier: object, webhooks: object, attachments: object,
+ *   privacy: object, metrics: object, shutdown: object }} The app, and the services to start
+ *   and stop around it.
+ */
+function createApp({
+    logger = defaultLogger,
+    // Email notifier: transport and addresses come from MAIL_* / SMTP_* / TEAM_EMAIL env variables.
+    notifier = createNotifier(),
+    // Webhooks: lead events POSTed to the URLs admins registered, retried like emails (WEBHOOK_* env variables).
+    webhooks = createWebhookDispatcher(),
+    // Contact form attachments: files on disk (ATTACHMENTS_DIR), size limits from ATTACHMENT_* env variables.
+    attachments = createAttachmentStorage(),
+    // Privacy: emailed export/erasure links (PRIVACY_* env variables) and the retention purge (RETENTION_*).
+    privacy = createPrivacyService({ notifier, attachments }),
+    // Request counts and latencies for GET /metrics
+    metrics = createMetrics(),
+    // SIGTERM handling: stops new requests and waits for running ones (SHUTDOWN_TIMEOUT_MS)
+    shutdown = createGracefulShutdown({ logger, metrics }),
+} = {}) {
+    const app = express();
+
+    // Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the real client IP,
+    // which the rate limiter relies on.
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+    }
+
+    // Every request gets an id (X-Request-Id) and req.log, and ends with an access log line.
+    app.use(requestContext({ logger, metrics }));
+    app.use(shutdown.middleware);
+
+    // Health routes: GET /healthz (liveness), GET /readyz (storage + mail), GET /metrics (Prometheus)
+    app.use(createHealthRouter({ transport: notifier.transport, metrics, isShuttingDown: shutdown.isShuttingDown }));
+
+    // Middleware to enable CORS for cross-origin requests from the frontend.
+    // Only origins listed in ALLOWED_ORIGINS (comma-separated) may call the API from a browser;
+    // by default that's the Vite dev server (e.g., port 5173) talking to this backend (on port 3001).
+    const allowedOrigins = (process.env.ALLOWED_ORIGINS || 'http://localhost:5173')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean);
+    app.use(cors({
+        origin: (origin, callback) => {
+            // Requests without an Origin header (curl, server-to-server) aren't subject to CORS.
+            callback(null, !origin || allowedOrigins.includes(origin));
+        },
+        // Let the frontend read rate-limit details from 429 responses, and the admin
+        // dashboard read the file name of CSV exports.
+        // The request id helps when reporting a problem.
+        exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'Content-Disposition', 'X-Request-Id'],
+    }));
+    // Middleware to parse JSON request bodies sent from the frontend.
+    // Bodies larger than BODY_SIZE_LIMIT are rejected with 413 before reaching any route.
+    app.use(express.json({ limit: process.env.BODY_SIZE_LIMIT || '16kb' }));
+    // Resolve the visitor's language (?locale= or Accept-Language) into req.locale / req.t,
+    // used by the contact form messages, pricing plans and landing-page content.
+    app.use(localize);
+
+    // Contact form routes: GET /contact/token, POST /contact/attachments (file uploads) and
+    // POST /contact (validation + anti-spam + privacy consent, see routes/contact.js)
+    app.use('/contact', createContactRouter({ notifier, webhooks, attachments }));
+
+    // Admin sign-in routes: POST /auth/login, POST /auth/logout, GET /auth/me
+    app.use('/auth', createAuthRouter());
+
+    // Lead inbox routes: GET /leads (+ /export), GET/PATCH /leads/:id, POST /leads/:id/notes,
+    // GET /leads/:id/attachments/:attachmentId (require a dashboard session or ADMIN_API_TOKEN)
+    app.use('/leads', createLeadsRouter({ webhooks, attachments }));
+
+    // Waitlist routes: POST /waitlist, GET /waitlist/confirm, GET /waitlist + /waitlist/stats (admin)
+    app.use('/waitlist', createWaitlistRouter({ notifier }));
+
+    // Demo routes: GET /demo/slots, POST /demo/bookings (+ /cancel, /reschedule), GET /demo/bookings (admin)
+    app.use('/demo', createDemoRouter({ notifier }));
+
+    // Pricing route: GET /plans (from config/plans.json)
+    app.use('/plans', plansRouter);
+
+    // Content routes: GET /content (published), plus versions/drafts/publish per section (admin)
+    app.use('/content', contentRouter);
+
+    // Analytics routes: POST /events (batched page events, counted per day), GET /events/funnel (admin)
+    app.use('/events', createEventsRouter());
+
+    // Webhook routes (admin): CRUD on /webhooks, /:id/rotate-secret, /:id/ping, and the delivery
+    // log at /webhooks/deliveries (+ /:deliveryId, /:deliveryId/retry)
+    app.use('/webhooks', createWebhooksRouter({ webhooks }));
+
+    // Privacy routes: POST /privacy/requests (emails a one-time link), POST /privacy/link,
+    // /privacy/export and /privacy/erase (use it), GET /privacy/audit (admin)
+    app.use('/privacy', createPrivacyRouter({ privacy }));
+
+    // Single-process mode: with SERVE_FRONTEND=true this server also serves the built frontend
+    // (frontend/dist) with an index.html fallback for client-side paths such as /admin.
+    // The frontend then calls the API on its own origin, so no CORS setup is needed.
+    if (process.env.SERVE_FRONTEND === 'true') {
+        serveFrontend(app);
+    }
+
+    /**
+     * GET / (Root endpoint)
+     * A welcome message for the backend. You can visit http://localhost:3001 in your browser
+     * to see this; monitoring should use GET /healthz and GET /readyz instead.
+     */
+    app.get('/', (req, res) => {
+        res.send('JR Tech Solutions Backend is running. Ready to receive POST requests at /contact.');
+    });
+
+    // Unknown routes and errors (oversized or malformed bodies, bugs) are answered with JSON in
+    // the same { success, message } shape as the routes; see middleware/errors.js.
+    app.use(notFound);
+    app.use(errorHandler);
+
+    return { app, notifier, webhooks, attachments, privacy, metrics, shutdown };
+}
+
+module.exports = { createApp };
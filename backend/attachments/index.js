@@ -0,0 +1,171 @@
+// backend/attachments/index.js
+// Files visitors attach to the contact form (requirement PDFs, screenshots...).
+//
+// Flow: the form uploads each file on its own as soon as it is picked (POST
+// /contact/attachments), so the visitor sees progress and type/size errors per file. The file
+// is written to the attachments folder under a random name, its real type is checked from its
+// content (see sniff.js), and the visitor gets back an id. The form then sends those ids with
+// the message (POST /contact), which links the files to the new lead. Uploads that never get
+// sent with a form are deleted by a background sweep.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { logger: defaultLogger } = require('../logger');
+const { ACCEPTED_TYPES, SNIFF_BYTES, sniffType } = require('./sniff');
+const { createAttachment, deleteUnclaimedAttachments } = require('../stores/attachments');
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Makes a visitor's file name safe to store and show: no folders, control characters or
+ * characters that would break a Content-Disposition header.
+ * @param {string} name - The name sent by the browser.
+ * @returns {string}
+ */
+function cleanFileName(name) {
+    const base = String(name || '').split(/[/\\]/).pop();
+    const cleaned = base.replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, MAX_NAME_LENGTH);
+    return cleaned || 'attachment';
+}
+
+/**
+ * Reads the first bytes of a file, for sniffType().
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * createAttachmentStorage: Builds the attachment storage.
+ * @param {object} [options] - Settings; defaults come from environment variables.
+ * @param {string} [options.dir] - Folder for the files (ATTACHMENTS_DIR).
+ * @param {number} [options.maxFileBytes] - Largest accepted file (ATTACHMENT_MAX_FILE_BYTES).
+ * @param {number} [options.maxFiles] - Files per submission (ATTACHMENT_MAX_FILES).
+ * @param {number} [options.maxTotalBytes] - Combined size of a submission's files (ATTACHMENT_MAX_TOTAL_BYTES).
+ * @param {number} [options.unclaimedTtlMs] - How long an upload may wait for its form (ATTACHMENT_UNCLAIMED_TTL_MS).
+ * @param {number} [options.sweepIntervalMs] - How often unclaimed uploads are deleted.
+ * @param {object} [options.logger] - Logger (see logger.js).
+ */
+function createAttachmentStorage({
+    dir = process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'data', 'attachments'),
+    maxFileBytes = Number(process.env.ATTACHMENT_MAX_FILE_BYTES) || 10 * 1024 * 1024,
+    maxFiles = Number(process.env.ATTACHMENT_MAX_FILES) || 5,
+    maxTotalBytes = Number(process.env.ATTACHMENT_MAX_TOTAL_BYTES) || 25 * 1024 * 1024,
+    unclaimedTtlMs = Number(process.env.ATTACHMENT_UNCLAIMED_TTL_MS) || 24 * 60 * 60 * 1000,
+    sweepIntervalMs = 60 * 60 * 1000,
+    logger = defaultLogger,
+} = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    let timer = null;
+
+    /**
+     * upload: Middleware that streams the multipart field "file" to disk under a random name
+     * (req.file), with the other form fields in req.body. Files over maxFileBytes are cut off
+     * and fail with a MulterError (code LIMIT_FILE_SIZE).
+     */
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: dir,
+            filename: (req, file, callback) => callback(null, crypto.randomBytes(16).toString('hex')),
+        }),
+        limits: { fileSize: maxFileBytes, files: 1, fields: 5, fieldSize: 4096 },
+        // Browsers send file names as raw UTF-8
+        defParamCharset: 'utf8',
+    }).single('file');
+
+    /**
+     * filePath: Where an attachment's file is on disk.
+     * @param {string} storageName - From the attachment record.
+     * @returns {string}
+     */
+    function filePath(storageName) {
+        return path.resolve(dir, storageName);
+    }
+
+    /**
+     * discard: Deletes an uploaded file that won't be kept. Never throws.
+     * @param {string} storageName
+     */
+    async function discard(storageName) {
+        await fs.promises.rm(filePath(storageName), { force: true }).catch((error) => {
+            logger.warn('Could not delete attachment file', { storageName, err: error });
+        });
+    }
+
+    /**
+     * save: Checks an upload written by `upload` and records it, or deletes it when its content
+     * isn't one of the accepted types.
+     * @param {object} file - req.file from multer.
+     * @returns {Promise<object|null>} The attachment (see stores/attachments.js), or null when rejected.
+     */
+    async function save(file) {
+        const mimeType = sniffType(await readHead(file.path), file.originalname);
+        if (!mimeType || file.size === 0) {
+            await discard(file.filename);
+            return null;
+        }
+        return createAttachment({
+            id: crypto.randomUUID(),
+            name: cleanFileName(file.originalname),
+            mimeType,
+            size: file.size,
+            storageName: file.filename,
+        });
+    }
+
+    /**
+     * sweep: Deletes uploads older than unclaimedTtlMs that were never sent with a form.
+     * @returns {Promise<number>} How many were deleted.
+     */
+    async function sweep() {
+        const names = deleteUnclaimedAttachments(new Date(Date.now() - unclaimedTtlMs).toISOString());
+        await Promise.all(names.map(discard));
+        if (names.length) {
+            logger.info('Deleted unclaimed attachments', { count: names.length });
+        }
+        return names.length;
+    }
+
+    /**
+     * start: Begins sweeping unclaimed uploads in the background.
+     */
+    function start() {
+        if (timer) return;
+        const run = () => sweep().catch((error) => logger.error('Attachment sweep failed', { err: error }));
+        timer = setInterval(run, sweepIntervalMs);
+        timer.unref(); // Don't keep the process alive just for the sweeper
+        run();
+    }
+
+    /**
+     * stop: Stops the sweeper.
+     */
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        limits: { maxFileBytes, maxFiles, maxTotalBytes, acceptedTypes: ACCEPTED_TYPES },
+        upload,
+        save,
+        discard,
+        filePath,
+        sweep,
+        start,
+        stop,
+    };
+}
+
+module.exports = { createAttachmentStorage };
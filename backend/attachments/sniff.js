@@ -0,0 +1,74 @@
+// backend/attachments/sniff.js
+// Works out what an uploaded file really is from its first bytes ("magic numbers"), since the
+// type and extension a browser reports are chosen by whoever sends the request.
+
+// How many bytes of a file sniffType() needs
+const SNIFF_BYTES = 512;
+
+// Office documents are ZIP archives; the extension tells them apart
+const OFFICE_TYPES = {
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+// Plain text has no signature: accepted with these extensions if it contains no binary bytes
+const TEXT_TYPES = {
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.md': 'text/markdown',
+};
+
+// Accepted types, for error messages and the form's file picker
+const ACCEPTED_TYPES = [
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    ...Object.values(OFFICE_TYPES),
+    ...Object.values(TEXT_TYPES),
+];
+
+/**
+ * Whether the buffer starts with the given bytes at an offset.
+ * @param {Buffer} buffer - The file's first bytes.
+ * @param {number[]|string} signature - Bytes, or an ASCII string.
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+function startsWith(buffer, signature, offset = 0) {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : Buffer.from(signature);
+    return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * Whether the buffer looks like text: no NUL bytes or control characters other than tab,
+ * newlines and form feed.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function looksLikeText(buffer) {
+    return buffer.every((byte) => byte >= 0x20 || [0x09, 0x0a, 0x0c, 0x0d].includes(byte));
+}
+
+/**
+ * sniffType: The MIME type of an upload, judged by its content.
+ * @param {Buffer} head - The first SNIFF_BYTES bytes of the file (or all of it, if shorter).
+ * @param {string} fileName - Name given by the visitor; only used to tell ZIP-based Office
+ *   formats and text formats apart, never on its own.
+ * @returns {string|null} One of ACCEPTED_TYPES, or null when the file isn't an accepted type.
+ */
+function sniffType(head, fileName) {
+    const extension = (/\.[a-z0-9]+$/i.exec(fileName || '') || [''])[0].toLowerCase();
+
+    if (startsWith(head, '%PDF-')) return 'application/pdf';
+    if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (startsWith(head, 'GIF87a') || startsWith(head, 'GIF89a')) return 'image/gif';
+    if (startsWith(head, 'RIFF') && startsWith(head, 'WEBP', 8)) return 'image/webp';
+    if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return OFFICE_TYPES[extension] || null;
+    if (head.length > 0 && Object.hasOwn(TEXT_TYPES, extension) && looksLikeText(head)) return TEXT_TYPES[extension];
+    return null;
+}
+
+module.exports = { ACCEPTED_TYPES, SNIFF_BYTES, sniffType };
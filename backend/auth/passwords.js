@@ -0,0 +1,47 @@
+// backend/auth/passwords.js
+// Password hashing for admin accounts, using Node's built-in scrypt (no native dependencies).
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters. Stored with each hash so they can be raised later
+// without invalidating existing passwords.
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+
+/**
+ * hashPassword: Hashes a password with a random salt.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} "scrypt$N$r$p$<salt>$<hash>" (salt and hash base64url-encoded).
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+    return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * verifyPassword: Checks a password against a stored hash in constant time.
+ * @param {string} password - The plain-text password to check.
+ * @param {string} stored - A hash produced by hashPassword.
+ * @returns {Promise<boolean>} True when the password matches.
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { hashPassword, verifyPassword };
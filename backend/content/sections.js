@@ -0,0 +1,114 @@
+// backend/content/sections.js
+// The landing-page content sections and the shape each content document must have.
+//
+// Shapes are small descriptors: 'text' is a required, non-empty string (max 1000 characters);
+// an array holding one shape is a non-empty list of items of that shape; an object maps
+// field names to shapes. Documents with missing, extra or mistyped fields are rejected, so
+// a draft can never publish something the frontend can't render.
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_ITEMS = 12;
+
+const SECTION_SHAPES = {
+    banner: {
+        eyebrow: 'text',
+        title: 'text',
+        text: 'text',
+        ctaLabel: 'text',
+        linkLabel: 'text',
+    },
+    hero: {
+        title: 'text',
+        highlight: 'text',
+        subtitle: 'text',
+        primaryCtaLabel: 'text',
+        secondaryCtaLabel: 'text',
+    },
+    stats: {
+        items: [{ label: 'text', value: 'text' }],
+        highlight: { label: 'text', value: 'text' },
+    },
+    product: {
+        title: 'text',
+        text: 'text',
+        bullets: ['text'],
+        primaryCtaLabel: 'text',
+        secondaryCtaLabel: 'text',
+    },
+    features: {
+        items: [{ icon: 'text', title: 'text', desc: 'text' }],
+    },
+    steps: {
+        title: 'text',
+        subtitle: 'text',
+        items: [{ title: 'text', desc: 'text' }],
+    },
+    footer: {
+        heading: 'text',
+        text: 'text',
+        copyright: 'text',
+    },
+};
+
+const CONTENT_SECTIONS = Object.keys(SECTION_SHAPES);
+
+/**
+ * Recursively checks `value` against `shape`, collecting "path: problem" messages.
+ * @param {*} shape - Shape descriptor.
+ * @param {*} value - Value to check.
+ * @param {string} path - Location of `value` in the document, e.g. "items[2].title".
+ * @param {object} errors - Collected errors, keyed by path.
+ */
+function checkShape(shape, value, path, errors) {
+    if (shape === 'text') {
+        if (typeof value !== 'string' || !value.trim()) {
+            errors[path] = 'Must be non-empty text.';
+        } else if (value.length > MAX_TEXT_LENGTH) {
+            errors[path] = `Must be at most ${MAX_TEXT_LENGTH} characters.`;
+        }
+        return;
+    }
+
+    if (Array.isArray(shape)) {
+        if (!Array.isArray(value) || value.length === 0) {
+            errors[path] = 'Must be a non-empty list.';
+        } else if (value.length > MAX_ITEMS) {
+            errors[path] = `Must have at most ${MAX_ITEMS} items.`;
+        } else {
+            value.forEach((item, index) => checkShape(shape[0], item, `${path}[${index}]`, errors));
+        }
+        return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors[path || '(document)'] = 'Must be an object.';
+        return;
+    }
+    const prefix = path ? `${path}.` : '';
+    for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(shape, key)) {
+            errors[`${prefix}${key}`] = 'Unknown field.';
+        }
+    }
+    for (const [key, fieldShape] of Object.entries(shape)) {
+        if (value[key] === undefined) {
+            errors[`${prefix}${key}`] = 'Is required.';
+        } else {
+            checkShape(fieldShape, value[key], `${prefix}${key}`, errors);
+        }
+    }
+}
+
+/**
+ * validateContent: Checks a content document against its section's shape.
+ * @param {string} section - One of CONTENT_SECTIONS.
+ * @param {*} body - The document.
+ * @returns {object|null} Errors keyed by field path, or null when the document is valid.
+ */
+function validateContent(section, body) {
+    const errors = {};
+    checkShape(SECTION_SHAPES[section], body, '', errors);
+    return Object.keys(errors).length ? errors : null;
+}
+
+module.exports = { CONTENT_SECTIONS, validateContent };
@@ -0,0 +1,35 @@
+// backend/csv.js
+// Minimal CSV writer for admin exports.
+
+/**
+ * Escapes one CSV cell. Values that spreadsheet apps would run as formulas
+ * (starting with =, +, -, @) are prefixed with a quote so exported leads can't inject formulas.
+ * @param {*} value - Cell value.
+ * @returns {string}
+ */
+function escapeCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * toCsv: Serializes rows to CSV with a header line.
+ * @param {object[]} rows - Objects to export.
+ * @param {{ key: string, header: string }[]} columns - Which properties to include, in order.
+ * @returns {string} CSV text (CRLF line endings, as most spreadsheet apps expect).
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeCell(row[column.key])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,263 @@
+// backend/db.js
+// Opens the embedded SQLite database used to persist everything the backend receives.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// The database file lives in backend/data by default. Set DB_PATH to move it,
+// or to ':memory:' for a throwaway database (useful when experimenting).
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'data', 'jrtech.db');
+
+if (dbPath !== ':memory:') {
+    // Make sure the folder exists before SQLite tries to create the file inside it.
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+}
+
+const db = new Database(dbPath);
+
+// WAL mode lets the admin routes read while a new submission is being written.
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+/**
+ * Schema
+ * Each statement is idempotent, so it is safe to run on every start-up.
+ * New tables for later features are appended here.
+ */
+db.exec(`
+    CREATE TABLE IF NOT EXISTS leads (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        email       TEXT NOT NULL,
+        message     TEXT NOT NULL,
+        ip          TEXT,
+        user_agent  TEXT,
+        status      TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'contacted', 'closed')),
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_leads_status ON leads (status);
+    CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads (created_at);
+
+    -- Outgoing emails waiting to be delivered (see stores/outbox.js and notifier/).
+    CREATE TABLE IF NOT EXISTS outbox (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind            TEXT NOT NULL,
+        recipient       TEXT NOT NULL,
+        subject         TEXT NOT NULL,
+        body            TEXT NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        last_error      TEXT,
+        next_attempt_at TEXT NOT NULL,
+        created_at      TEXT NOT NULL,
+        sent_at         TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox (status, next_attempt_at);
+
+    -- AI SmartBill waitlist / beta signups (see stores/waitlist.js).
+    CREATE TABLE IF NOT EXISTS waitlist (
+        id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+        email               TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        shop_name           TEXT NOT NULL,
+        city                TEXT NOT NULL,
+        source              TEXT NOT NULL CHECK (source IN ('banner', 'spotlight', 'beta')),
+        confirm_token_hash  TEXT,
+        confirmed_at        TEXT,
+        ip                  TEXT,
+        created_at          TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_waitlist_confirm_token ON waitlist (confirm_token_hash);
+
+    -- Product demo bookings (see stores/demoBookings.js). The partial unique index makes
+    -- double-booking a slot impossible even if two requests race each other.
+    CREATE TABLE IF NOT EXISTS demo_bookings (
+        id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+        name                    TEXT NOT NULL,
+        email                   TEXT NOT NULL,
+        company                 TEXT,
+        notes                   TEXT,
+        start_at                TEXT NOT NULL,
+        end_at                  TEXT NOT NULL,
+        time_zone               TEXT NOT NULL,
+        status                  TEXT NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled')),
+        cancel_token_hash       TEXT NOT NULL,
+        reschedule_token_hash   TEXT NOT NULL,
+        created_at              TEXT NOT NULL,
+        updated_at              TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_demo_bookings_active_slot ON demo_bookings (start_at) WHERE status = 'confirmed';
+
+    -- Team members who can sign in to the admin dashboard (see stores/adminUsers.js).
+    CREATE TABLE IF NOT EXISTS admin_users (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        email           TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name            TEXT NOT NULL,
+        password_hash   TEXT NOT NULL,
+        created_at      TEXT NOT NULL,
+        last_login_at   TEXT
+    );
+
+    -- Admin sign-in sessions. Only a hash of each session token is stored.
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id     INTEGER NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+        token_hash  TEXT NOT NULL UNIQUE,
+        created_at  TEXT NOT NULL,
+        expires_at  TEXT NOT NULL
+    );
+
+    -- Internal notes the team adds to leads.
+    CREATE TABLE IF NOT EXISTS lead_notes (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id     INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+        author_id   INTEGER REFERENCES admin_users (id) ON DELETE SET NULL,
+        body        TEXT NOT NULL,
+        created_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_lead_notes_lead ON lead_notes (lead_id);
+
+    -- Versioned landing-page content (see stores/content.js). Each section has numbered
+    -- versions in one or more locales; at most one per section and locale is published
+    -- (enforced by idx_content_published_locale below).
+    CREATE TABLE IF NOT EXISTS content_documents (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        section         TEXT NOT NULL,
+        locale          TEXT NOT NULL DEFAULT 'en',
+        version         INTEGER NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+        body            TEXT NOT NULL,
+        author_id       INTEGER REFERENCES admin_users (id) ON DELETE SET NULL,
+        created_at      TEXT NOT NULL,
+        updated_at      TEXT NOT NULL,
+        published_at    TEXT,
+        UNIQUE (section, version)
+    );
+
+    -- First-party analytics (see stores/analytics.js). Only daily counts per event and
+    -- target are kept: no IP addresses, user agents or visitor identifiers.
+    CREATE TABLE IF NOT EXISTS analytics_daily (
+        day     TEXT NOT NULL,
+        type    TEXT NOT NULL,
+        target  TEXT NOT NULL,
+        count   INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (day, type, target)
+    );
+
+    -- Outbound webhooks registered by admins (see stores/webhooks.js and webhooks/). events is
+    -- a JSON array of event types; secret signs every delivery (HMAC-SHA256), so it is kept
+    -- in plain text, like ADMIN_API_TOKEN.
+    CREATE TABLE IF NOT EXISTS webhooks (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        url         TEXT NOT NULL,
+        events      TEXT NOT NULL,
+        format      TEXT NOT NULL DEFAULT 'standard' CHECK (format IN ('standard', 'crm')),
+        description TEXT,
+        secret      TEXT NOT NULL,
+        active      INTEGER NOT NULL DEFAULT 1,
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+    );
+
+    -- One row per event sent to a webhook: the payload, and the outcome of the latest attempt.
+    -- Retried with backoff like the email outbox, and kept as the delivery log.
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id      INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event_id        TEXT NOT NULL,
+        event           TEXT NOT NULL,
+        payload         TEXT NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error      TEXT,
+        next_attempt_at TEXT NOT NULL,
+        created_at      TEXT NOT NULL,
+        delivered_at    TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+
+    -- Files attached to contact form submissions (see stores/attachments.js and attachments/).
+    -- The file itself is on disk under storage_name, a random name unrelated to the upload's
+    -- file name. lead_id stays NULL until the form is submitted; unclaimed uploads are swept.
+    CREATE TABLE IF NOT EXISTS lead_attachments (
+        id              TEXT PRIMARY KEY,
+        lead_id         INTEGER REFERENCES leads (id) ON DELETE CASCADE,
+        original_name   TEXT NOT NULL,
+        mime_type       TEXT NOT NULL,
+        size            INTEGER NOT NULL,
+        storage_name    TEXT NOT NULL UNIQUE,
+        created_at      TEXT NOT NULL,
+        linked_at       TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_lead_attachments_lead ON lead_attachments (lead_id);
+
+    -- Self-service privacy requests (see privacy/ and stores/privacy.js): one row per emailed
+    -- export or erasure link, so each link works once. The link itself is signed and carries the
+    -- email address; only a hash of the address is kept here.
+    CREATE TABLE IF NOT EXISTS privacy_requests (
+        id          TEXT PRIMARY KEY,
+        type        TEXT NOT NULL CHECK (type IN ('export', 'erasure')),
+        email_hash  TEXT NOT NULL,
+        created_at  TEXT NOT NULL,
+        expires_at  TEXT NOT NULL,
+        used_at     TEXT
+    );
+
+    -- Audit log of exports, erasures and retention purges. Outlives the data it describes, so
+    -- people are identified by the hash of their email address and the details are counts only.
+    CREATE TABLE IF NOT EXISTS privacy_audit_log (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        action      TEXT NOT NULL CHECK (action IN ('export', 'erasure', 'retention_purge')),
+        email_hash  TEXT,
+        request_id  TEXT,
+        ip          TEXT,
+        details     TEXT NOT NULL,
+        created_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_privacy_audit_log_created_at ON privacy_audit_log (created_at);
+`);
+
+/**
+ * Adds a column to an existing table if it isn't there yet. CREATE TABLE IF NOT EXISTS
+ * won't touch tables created by an older version, so new columns are added here.
+ * @param {string} table - Table name.
+ * @param {string} column - Column name.
+ * @param {string} definition - Column type and constraints, e.g. "TEXT".
+ */
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some((c) => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Email attachments (JSON array of { filename, content, contentType }), e.g. demo .ics invites.
+addColumnIfMissing('outbox', 'attachments', 'TEXT');
+// Pricing plan a lead asked about via a "Choose" button (plan id from config/plans.json).
+addColumnIfMissing('leads', 'plan', 'TEXT');
+addColumnIfMissing('leads', 'billing_period', 'TEXT');
+// Content documents per language (en, hi, te). Older databases only had English content.
+addColumnIfMissing('content_documents', 'locale', "TEXT NOT NULL DEFAULT 'en'");
+db.exec(`
+    DROP INDEX IF EXISTS idx_content_published;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_content_published_locale
+        ON content_documents (section, locale) WHERE status = 'published';
+`);
+// Client-generated key sent with contact form submissions (Idempotency-Key header), so a
+// message resent from the browser's offline outbox is stored only once.
+addColumnIfMissing('leads', 'idempotency_key', 'TEXT');
+db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_idempotency_key
+        ON leads (idempotency_key) WHERE idempotency_key IS NOT NULL;
+`);
+// Consent given on the contact form: when, and which version of the privacy policy was shown.
+addColumnIfMissing('leads', 'consent_at', 'TEXT');
+addColumnIfMissing('leads', 'privacy_policy_version', 'TEXT');
+// The lead or demo booking a team alert is about. Alerts go to TEAM_EMAIL but copy the
+// person's details, so privacy exports and erasure find them through these.
+addColumnIfMissing('outbox', 'lead_id', 'INTEGER');
+addColumnIfMissing('outbox', 'booking_id', 'INTEGER');
+
+module.exports = db;
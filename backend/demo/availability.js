@@ -0,0 +1,138 @@
+// backend/demo/availability.js
+// Turns the demo availability config (weekly hours, blackout dates, slot length) into
+// concrete bookable time slots.
+//
+// Business hours are written in the team's own time zone (config.timeZone); slots are
+// returned as UTC ISO timestamps so the frontend can show them in the visitor's zone.
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * loadAvailabilityConfig: Reads the availability config file.
+ * The path can be changed with DEMO_AVAILABILITY_PATH.
+ * @returns {object} The parsed config.
+ */
+function loadAvailabilityConfig() {
+    const configPath = process.env.DEMO_AVAILABILITY_PATH || path.join(__dirname, '..', 'config', 'demo-availability.json');
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Splits an instant into its calendar parts as seen in a time zone.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Kolkata".
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(new Date(timestamp));
+    const values = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+    return { year: values.year, month: values.month, day: values.day, hour: values.hour, minute: values.minute, second: values.second };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {number} Offset (positive east of UTC).
+ */
+function timeZoneOffset(timestamp, timeZone) {
+    const p = zonedParts(timestamp, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * zonedTimeToUtc: Converts a wall-clock date and time in a time zone to a UTC Date.
+ * @param {string} date - "YYYY-MM-DD".
+ * @param {string} time - "HH:MM".
+ * @param {string} timeZone - IANA time zone.
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // Guess with the offset at the wall-clock instant, then correct once in case a DST change lies in between.
+    let utc = wallClock - timeZoneOffset(wallClock, timeZone);
+    utc = wallClock - timeZoneOffset(utc, timeZone);
+    return new Date(utc);
+}
+
+/**
+ * Formats a UTC calendar day as "YYYY-MM-DD".
+ * @param {number} timestamp - Any instant within that UTC day.
+ * @returns {string}
+ */
+function formatDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * generateSlots: Lists every slot allowed by the config between now + minimum notice and the horizon.
+ * Booked slots are not removed here; see routes/demo.js.
+ * @param {object} config - Availability config (see config/demo-availability.json).
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{ start: string, end: string }[]} Slots as UTC ISO timestamps, in chronological order.
+ */
+function generateSlots(config, now = new Date()) {
+    const { timeZone, slotMinutes, minNoticeHours = 0, horizonDays = 30, weekly = {}, blackoutDates = [] } = config;
+    const slotMs = slotMinutes * 60 * 1000;
+    const earliest = now.getTime() + minNoticeHours * 60 * 60 * 1000;
+    const blackout = new Set(blackoutDates);
+
+    // Walk calendar days as seen in the team's time zone, starting with "today" there.
+    const today = zonedParts(now.getTime(), timeZone);
+    const firstDay = Date.UTC(today.year, today.month - 1, today.day);
+
+    const slots = [];
+    for (let i = 0; i <= horizonDays; i += 1) {
+        const dayTimestamp = firstDay + i * 24 * 60 * 60 * 1000;
+        const date = formatDay(dayTimestamp);
+        if (blackout.has(date)) continue;
+
+        const ranges = weekly[DAY_KEYS[new Date(dayTimestamp).getUTCDay()]] || [];
+        for (const [from, to] of ranges) {
+            const rangeEnd = zonedTimeToUtc(date, to, timeZone).getTime();
+            for (let start = zonedTimeToUtc(date, from, timeZone).getTime(); start + slotMs <= rangeEnd; start += slotMs) {
+                if (start >= earliest) {
+                    slots.push({ start: new Date(start).toISOString(), end: new Date(start + slotMs).toISOString() });
+                }
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * findSlot: Returns the configured slot starting at `start`, if it is currently offered.
+ * @param {object} config - Availability config.
+ * @param {string} start - Requested slot start (any ISO format).
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{ start: string, end: string }|null}
+ */
+function findSlot(config, start, now = new Date()) {
+    const requested = new Date(start);
+    if (Number.isNaN(requested.getTime())) {
+        return null;
+    }
+    const iso = requested.toISOString();
+    return generateSlots(config, now).find((slot) => slot.start === iso) || null;
+}
+
+module.exports = {
+    findSlot,
+    generateSlots,
+    loadAvailabilityConfig,
+    zonedTimeToUtc,
+};
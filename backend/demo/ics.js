@@ -0,0 +1,79 @@
+// backend/demo/ics.js
+// Builds iCalendar (.ics) invites for demo bookings, so prospects can add the demo to
+// Google Calendar, Outlook or Apple Calendar with one click.
+
+/**
+ * Formats a date as an iCalendar UTC timestamp, e.g. 20261020T043000Z.
+ * @param {string|Date} date - The instant.
+ * @returns {string}
+ */
+function toIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes text for use in an iCalendar property value.
+ * @param {string} text - Raw text.
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets as required by RFC 5545 (continuation lines start with a space).
+ * @param {string} line - One property line.
+ * @returns {string}
+ */
+function foldLine(line) {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+        chunks.push(rest.slice(0, cut));
+        rest = ` ${rest.slice(cut)}`;
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n');
+}
+
+/**
+ * buildDemoInvite: Creates the .ics file content for a booking.
+ * @param {object} booking - The booking (see stores/demoBookings.js).
+ * @param {object} [options] - Extra details.
+ * @param {string} [options.organizerEmail] - Address shown as the organizer.
+ * @param {string} [options.method='REQUEST'] - 'REQUEST' for new/rescheduled invites, 'CANCEL' for cancellations.
+ * @returns {string} The iCalendar document.
+ */
+function buildDemoInvite(booking, { organizerEmail = 'no-reply@jrtech.local', method = 'REQUEST' } = {}) {
+    const cancelled = method === 'CANCEL';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//JR Tech Solutions//Demo Booking//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:demo-${booking.id}@jrtech.local`,
+        // SEQUENCE lets calendar apps replace the earlier version after a reschedule/cancel
+        `SEQUENCE:${Math.floor(new Date(booking.updatedAt).getTime() / 1000)}`,
+        `DTSTAMP:${toIcsDate(new Date())}`,
+        `DTSTART:${toIcsDate(booking.start)}`,
+        `DTEND:${toIcsDate(booking.end)}`,
+        `SUMMARY:${escapeText('JR Tech Solutions — product demo')}`,
+        `DESCRIPTION:${escapeText(`Demo of JR Tech Solutions products for ${booking.name}${booking.company ? ` (${booking.company})` : ''}.`)}`,
+        `ORGANIZER;CN=JR Tech Solutions:mailto:${organizerEmail}`,
+        `ATTENDEE;CN=${escapeText(booking.name)};RSVP=FALSE:mailto:${booking.email}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildDemoInvite };
@@ -0,0 +1,63 @@
+// backend/frontend.js
+// Optional single-process mode: this Express app also serves the built landing page and
+// admin dashboard (frontend/dist), so the whole site runs on one port and one origin.
+//
+// Enable it with SERVE_FRONTEND=true after running `npm run build` in frontend/.
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_DIST_PATH = path.join(__dirname, '..', 'frontend', 'dist');
+
+/**
+ * Cache headers per file: Vite gives everything in assets/ a content hash in its name, so
+ * those files never change and can be cached for a year. Other files (index.html, favicon)
+ * keep their names between builds and must be revalidated so visitors get new releases.
+ * @param {object} res - Express response.
+ * @param {string} filePath - Absolute path of the file being sent.
+ */
+function setCacheHeaders(res, filePath) {
+    if (filePath.includes(`${path.sep}assets${path.sep}`)) {
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    } else {
+        res.set('Cache-Control', 'no-cache');
+    }
+}
+
+/**
+ * serveFrontend: Mounts the static files and the page fallback on the app.
+ * Must be called after the API routes, so they take precedence over the fallback.
+ *
+ * Any other GET that asks for HTML (a browser navigating to /admin, a page refresh...) gets
+ * the page pre-rendered for that path (e.g. dist/index.html for /), or else the empty
+ * app.html shell and the client-side code takes over. Requests that don't prefer HTML,
+ * like fetch() calls or a missing script, still get a 404.
+ * @param {object} app - The Express app.
+ * @param {object} [options]
+ * @param {string} [options.distPath] - Build output folder (default FRONTEND_DIST_PATH or frontend/dist).
+ */
+function serveFrontend(app, { distPath = process.env.FRONTEND_DIST_PATH || DEFAULT_DIST_PATH } = {}) {
+    const root = path.resolve(distPath);
+    const shellPath = path.join(root, 'app.html');
+    if (!fs.existsSync(shellPath)) {
+        throw new Error(`SERVE_FRONTEND is enabled but ${shellPath} doesn't exist. Run \`npm run build\` in frontend/ first.`);
+    }
+
+    // No directory redirects: /docs/billing is answered by the fallback below with its page,
+    // rather than redirected to /docs/billing/
+    app.use(express.static(root, { index: false, redirect: false, setHeaders: setCacheHeaders }));
+
+    app.get('/{*path}', (req, res, next) => {
+        if (req.accepts(['json', 'html']) !== 'html') {
+            return next();
+        }
+        // Pre-rendered page for this path, if any (never outside the build folder)
+        const pagePath = path.join(root, req.path, 'index.html');
+        const prerendered = pagePath.startsWith(root + path.sep) && fs.existsSync(pagePath);
+        res.set('Cache-Control', 'no-cache');
+        res.sendFile(prerendered ? pagePath : shellPath);
+    });
+}
+
+module.exports = { serveFrontend };
@@ -0,0 +1,53 @@
+// backend/i18n/index.js
+// Message catalogs for API responses in English, Hindi and Telugu.
+//
+// Catalogs are flat JSON files in locales/ mapping message keys to text with {placeholders}.
+// A key missing from a catalog falls back to English, so a half-translated catalog still works.
+
+const SUPPORTED_LOCALES = ['en', 'hi', 'te'];
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {
+    en: require('./locales/en.json'),
+    hi: require('./locales/hi.json'),
+    te: require('./locales/te.json'),
+};
+
+/**
+ * negotiateLocale: Picks the best supported locale from an Accept-Language header,
+ * honouring q-values ("te-IN,te;q=0.9,en;q=0.8" -> "te").
+ * @param {string} [header] - The Accept-Language header.
+ * @returns {string} One of SUPPORTED_LOCALES.
+ */
+function negotiateLocale(header) {
+    if (!header) {
+        return DEFAULT_LOCALE;
+    }
+    const ranked = header
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+            return { language: tag.toLowerCase().split('-')[0], quality: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter((entry) => entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    const match = ranked.find((entry) => SUPPORTED_LOCALES.includes(entry.language));
+    return match ? match.language : DEFAULT_LOCALE;
+}
+
+/**
+ * createTranslator: Returns t(key, params, fallback) for a locale.
+ * t('validation.required', { label: 'Email' }) -> "Email is required."
+ * @param {string} locale - One of SUPPORTED_LOCALES.
+ * @returns {function} The translate function.
+ */
+function createTranslator(locale) {
+    const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+    return function t(key, params = {}, fallback = key) {
+        const template = catalog[key] ?? catalogs[DEFAULT_LOCALE][key] ?? fallback;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    };
+}
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, createTranslator, negotiateLocale };
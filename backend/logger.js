@@ -0,0 +1,108 @@
+// backend/logger.js
+// Structured logging: one JSON object per line on stdout, ready for a log collector.
+//
+// Every line has `time`, `level` and `msg`, plus any fields passed along, e.g.
+//   {"time":"2026-01-15T10:30:00.000Z","level":"info","msg":"Lead stored","requestId":"...","leadId":12}
+// Requests get a child logger with their request id (req.log, see middleware/requestContext.js).
+//
+// What people type into the site doesn't belong in logs: fields holding email addresses,
+// message bodies, notes or credentials are replaced by "[redacted]", and email addresses
+// inside log messages and errors are masked.
+
+// Minimum level per LOG_LEVEL value; "silent" turns logging off (e.g. in tests)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Field names (any depth, case-insensitive) whose values are never written
+const REDACTED_FIELDS = new Set([
+    'email', 'to', 'recipient', 'message', 'body', 'text', 'notes',
+    'password', 'token', 'authorization', 'cookie',
+]);
+
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[^\s@<>"'(),;:]+/g;
+
+/**
+ * maskEmails: Replaces email addresses in free text, e.g. an SMTP error naming the recipient.
+ * @param {string} text - Text to clean.
+ * @returns {string}
+ */
+function maskEmails(text) {
+    return text.replace(EMAIL_PATTERN, '[email]');
+}
+
+/**
+ * redact: Copies log fields with personal data removed (see REDACTED_FIELDS). Errors become
+ * { name, message, code, stack }.
+ * @param {*} value - Field value.
+ * @param {number} [depth=0] - Nesting level, to stop at deeply nested or circular objects.
+ * @returns {*} A JSON-safe copy.
+ */
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: maskEmails(value.message),
+            ...(value.code && { code: value.code }),
+            ...(value.stack && { stack: maskEmails(value.stack) }),
+        };
+    }
+    if (typeof value === 'string') {
+        return maskEmails(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 5) {
+        return '[object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field === undefined) continue;
+        copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) ? '[redacted]' : redact(field, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * createLogger: Builds a logger writing JSON lines.
+ * @param {object} [options] - Settings.
+ * @param {string} [options.level] - Minimum level written: debug, info, warn, error or silent
+ *   (LOG_LEVEL, default info).
+ * @param {object} [options.stream] - Where lines go (default process.stdout).
+ * @param {object} [options.fields] - Fields added to every line.
+ * @returns {{ debug: function, info: function, warn: function, error: function, child: function }}
+ *   Each level method takes (msg, fields); child(fields) returns a logger adding those fields.
+ */
+function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    stream = process.stdout,
+    fields = {},
+} = {}) {
+    const minimum = LEVELS[level] ?? LEVELS.info;
+
+    const write = (lineLevel) => (msg, extra = {}) => {
+        if (LEVELS[lineLevel] < minimum) return;
+        const line = {
+            time: new Date().toISOString(),
+            level: lineLevel,
+            msg: maskEmails(String(msg)),
+            ...redact({ ...fields, ...extra }),
+        };
+        stream.write(`${JSON.stringify(line)}\n`);
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+        child: (extra) => createLogger({ level, stream, fields: { ...fields, ...extra } }),
+    };
+}
+
+// Shared logger for code outside a request (start-up, the email worker, shutdown)
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact, maskEmails };
@@ -0,0 +1,118 @@
+// backend/metrics.js
+// Request metrics in the Prometheus text format, served at GET /metrics (see routes/health.js).
+//
+// Kept in process memory and reset on restart, which Prometheus handles for counters.
+// Routes are labelled by their pattern ("/leads/:id"), never the actual path, so the number
+// of series stays small.
+
+// Histogram buckets for request latency, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the exposition format.
+ * @param {string} value - Label value.
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set, e.g. {method="GET",route="/plans"}.
+ * @param {object} labels - Label names and values.
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * createMetrics: Builds a metrics registry for the HTTP server.
+ * @param {object} [options] - Settings.
+ * @param {number[]} [options.buckets] - Latency histogram bucket bounds in seconds.
+ * @returns {object} { requestStarted, requestFinished, inFlight, render }
+ */
+function createMetrics({ buckets = DEFAULT_BUCKETS } = {}) {
+    const requests = new Map(); // "method route status" -> { labels, count }
+    const durations = new Map(); // "method route" -> { labels, bucketCounts, sum, count }
+    let inFlight = 0;
+
+    /**
+     * requestStarted: Counts a request as in flight.
+     */
+    function requestStarted() {
+        inFlight += 1;
+    }
+
+    /**
+     * requestFinished: Records a finished (or aborted) request.
+     * @param {object} request - What happened.
+     * @param {string} request.method - HTTP method.
+     * @param {string} request.route - Route pattern, e.g. "/leads/:id".
+     * @param {number} request.status - Response status code.
+     * @param {number} request.durationSeconds - Time from arrival to the end of the response.
+     */
+    function requestFinished({ method, route, status, durationSeconds }) {
+        inFlight = Math.max(inFlight - 1, 0);
+
+        const requestKey = `${method} ${route} ${status}`;
+        const counter = requests.get(requestKey) || { labels: { method, route, status }, count: 0 };
+        counter.count += 1;
+        requests.set(requestKey, counter);
+
+        const durationKey = `${method} ${route}`;
+        const histogram = durations.get(durationKey)
+            || { labels: { method, route }, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, i) => {
+            if (durationSeconds <= bound) histogram.bucketCounts[i] += 1;
+        });
+        histogram.sum += durationSeconds;
+        histogram.count += 1;
+        durations.set(durationKey, histogram);
+    }
+
+    /**
+     * render: All metrics in the Prometheus text exposition format (version 0.0.4).
+     * @returns {string}
+     */
+    function render() {
+        const lines = [
+            '# HELP http_requests_total HTTP requests handled, by method, route and status code.',
+            '# TYPE http_requests_total counter',
+        ];
+        for (const { labels, count } of requests.values()) {
+            lines.push(`http_requests_total${formatLabels(labels)} ${count}`);
+        }
+
+        lines.push(
+            '# HELP http_request_duration_seconds Time to answer HTTP requests, by method and route.',
+            '# TYPE http_request_duration_seconds histogram',
+        );
+        for (const { labels, bucketCounts, sum, count } of durations.values()) {
+            buckets.forEach((bound, i) => {
+                lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${bucketCounts[i]}`);
+            });
+            lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`http_request_duration_seconds_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`http_request_duration_seconds_count${formatLabels(labels)} ${count}`);
+        }
+
+        lines.push(
+            '# HELP http_requests_in_flight HTTP requests currently being handled.',
+            '# TYPE http_requests_in_flight gauge',
+            `http_requests_in_flight ${inFlight}`,
+            '# HELP process_uptime_seconds Time since the backend process started.',
+            '# TYPE process_uptime_seconds gauge',
+            `process_uptime_seconds ${process.uptime()}`,
+            '# HELP process_resident_memory_bytes Resident memory of the backend process.',
+            '# TYPE process_resident_memory_bytes gauge',
+            `process_resident_memory_bytes ${process.memoryUsage.rss()}`,
+        );
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { requestStarted, requestFinished, inFlight: () => inFlight, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
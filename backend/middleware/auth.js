@@ -0,0 +1,56 @@
+// backend/middleware/auth.js
+// Protects internal routes (lead inbox, admin dashboard APIs).
+//
+// Two kinds of credentials are accepted in the "Authorization: Bearer <token>" header:
+// - a session token from POST /auth/login (team members using the admin dashboard), or
+// - the shared ADMIN_API_TOKEN (scripts and integrations).
+
+const crypto = require('crypto');
+const { findUserBySessionToken } = require('../stores/adminUsers');
+
+/**
+ * Compares two strings in constant time so the token can't be guessed byte by byte.
+ * @param {string} a - First value.
+ * @param {string} b - Second value.
+ * @returns {boolean} True when both strings are identical.
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * getBearerToken: Extracts the token from an "Authorization: Bearer <token>" header.
+ * @param {express.Request} req - The request.
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * requireAuth middleware
+ * Lets the request through with a valid session token (req.user is set to the signed-in
+ * team member) or the ADMIN_API_TOKEN (req.user is null). Otherwise responds 401.
+ * If ADMIN_API_TOKEN is not configured, only session tokens work.
+ */
+function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+    const apiToken = process.env.ADMIN_API_TOKEN;
+
+    if (token && apiToken && safeEqual(token, apiToken)) {
+        req.user = null;
+        return next();
+    }
+
+    const user = token && findUserBySessionToken(token);
+    if (!user) {
+        return res.status(401).json({ success: false, message: "Authentication required." });
+    }
+    req.user = user;
+    next();
+}
+
+module.exports = { requireAuth, getBearerToken, safeEqual };
@@ -0,0 +1,50 @@
+// backend/middleware/errors.js
+// Last handlers in the chain: every error and unknown route ends up as JSON in the same
+// { success, message } shape the routes use.
+
+const { logger } = require('../logger');
+
+/**
+ * notFound: Answers requests no route handled.
+ */
+function notFound(req, res) {
+    res.status(404).json({ success: false, message: "Not found." });
+}
+
+/**
+ * errorHandler: Turns anything passed to next(err) or thrown by a route (Express 5 also
+ * catches rejected promises) into a JSON error.
+ *
+ * Body parser errors and other client errors keep their status and message; anything else is
+ * logged with its stack and answered with a generic 500, so internals never reach the client.
+ * The response includes the request id, to find the matching log lines.
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        // Too late to send an error response: let Express close the connection
+        return next(err);
+    }
+
+    let status = Number(err.status || err.statusCode) || 500;
+    let message;
+    if (err.type === 'entity.too.large') {
+        message = "Request is too large.";
+    } else if (err.type === 'entity.parse.failed') {
+        message = "Request body must be valid JSON.";
+    } else if (status >= 400 && status < 500 && err.expose) {
+        message = err.message;
+    } else {
+        status = status >= 400 && status < 600 ? status : 500;
+        message = status === 500 ? "Something went wrong on our side. Please try again later." : "Request failed.";
+    }
+
+    const log = req.log || logger;
+    if (status >= 500) {
+        log.error('Request failed', { err, method: req.method, path: req.originalUrl.split('?')[0] });
+    } else {
+        log.warn('Request rejected', { status, reason: err.type || err.message, path: req.originalUrl.split('?')[0] });
+    }
+    res.status(status).json({ success: false, message, requestId: req.id });
+}
+
+module.exports = { notFound, errorHandler };
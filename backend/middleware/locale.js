@@ -0,0 +1,20 @@
+// backend/middleware/locale.js
+// Works out which language to answer in and attaches a translator to the request.
+
+const { SUPPORTED_LOCALES, createTranslator, negotiateLocale } = require('../i18n');
+
+/**
+ * localize: Sets req.locale and req.t (see i18n/index.js).
+ * An explicit ?locale=hi query parameter wins (used for cacheable GETs such as /content);
+ * otherwise the Accept-Language header decides. Unknown values fall back to English.
+ */
+function localize(req, res, next) {
+    const requested = typeof req.query.locale === 'string' ? req.query.locale : null;
+    req.locale = SUPPORTED_LOCALES.includes(requested) ? requested : negotiateLocale(req.get('accept-language'));
+    req.t = createTranslator(req.locale);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+}
+
+module.exports = { localize };
@@ -0,0 +1,99 @@
+// backend/middleware/rateLimit.js
+// Sliding-window rate limiting for Express routes.
+//
+// Each limiter counts requests per key (client IP, submitted email, ...) over the last
+// `windowMs` milliseconds. Over the limit, it answers 429 with a Retry-After header.
+//
+// Counts live in a store. Any object with this shape can be plugged in (e.g. a Redis-backed
+// store when running several instances):
+//   hit(key, windowMs, max) -> Promise<{ allowed: boolean, count: number, retryAfterMs: number }>
+//     Records a request for `key` if it is still under `max` within the window and reports
+//     whether it was allowed and, if not, how long until a slot frees up.
+//   reset(key) -> Promise<void>
+//     Forgets everything recorded for `key`.
+
+/**
+ * createMemoryStore: In-process store keeping a timestamp log per key.
+ * Fine for a single server; counts reset when the process restarts.
+ * @param {object} [options] - Settings.
+ * @param {number} [options.cleanupIntervalMs=60000] - How often to drop keys with no recent hits.
+ */
+function createMemoryStore({ cleanupIntervalMs = 60000 } = {}) {
+    const hits = new Map(); // key -> { windowMs, timestamps: number[] } (oldest first)
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (!entry.timestamps.length || entry.timestamps[entry.timestamps.length - 1] <= now - entry.windowMs) {
+                hits.delete(key);
+            }
+        }
+    }, cleanupIntervalMs);
+    cleanup.unref(); // Don't keep the process alive just for cleanup
+
+    return {
+        async hit(key, windowMs, max) {
+            const now = Date.now();
+            const entry = hits.get(key) || { windowMs, timestamps: [] };
+            entry.windowMs = windowMs;
+            // Slide the window: forget requests older than windowMs
+            while (entry.timestamps.length && entry.timestamps[0] <= now - windowMs) {
+                entry.timestamps.shift();
+            }
+            hits.set(key, entry);
+
+            if (entry.timestamps.length >= max) {
+                const retryAfterMs = entry.timestamps[0] + windowMs - now;
+                return { allowed: false, count: entry.timestamps.length, retryAfterMs };
+            }
+            entry.timestamps.push(now);
+            return { allowed: true, count: entry.timestamps.length, retryAfterMs: 0 };
+        },
+        async reset(key) {
+            hits.delete(key);
+        },
+    };
+}
+
+/**
+ * createRateLimiter: Builds a rate-limiting middleware.
+ * @param {object} options - Settings.
+ * @param {string} options.name - Short name used to namespace keys in the store (e.g. "contact-ip").
+ * @param {number} options.windowMs - Length of the sliding window.
+ * @param {number} options.max - Requests allowed per key within the window.
+ * @param {function} [options.keyGenerator] - (req) => key; return null/undefined to skip limiting.
+ *   Defaults to the client IP.
+ * @param {object} [options.store] - Store implementation; defaults to a new memory store.
+ * @param {string|function} [options.message] - Message sent in the 429 response body, or
+ *   (req) => message (e.g. to translate it).
+ * @returns {function} Express middleware.
+ */
+function createRateLimiter({
+    name,
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    store = createMemoryStore(),
+    message = "Too many requests. Please try again later.",
+}) {
+    return async function rateLimit(req, res, next) {
+        const key = keyGenerator(req);
+        if (key === null || key === undefined || key === '') {
+            return next();
+        }
+
+        const result = await store.hit(`${name}:${key}`, windowMs, max);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - result.count, 0)));
+
+        if (!result.allowed) {
+            const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+            res.set('Retry-After', String(retryAfter));
+            const text = typeof message === 'function' ? message(req) : message;
+            return res.status(429).json({ success: false, message: text, retryAfter });
+        }
+        next();
+    };
+}
+
+module.exports = { createMemoryStore, createRateLimiter };
@@ -0,0 +1,69 @@
+// backend/middleware/requestContext.js
+// Gives every request an id and a logger, and writes the access log and request metrics.
+
+const crypto = require('crypto');
+
+// Incoming X-Request-Id values we reuse (e.g. set by a proxy); anything else gets a new id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * routeLabel: The route pattern that answered a request, e.g. "/leads/:id", for logs and
+ * metrics. A request answered by a router's middleware (e.g. a 401 from requireAuth) is
+ * labelled with the router's mount path ("/leads/*"); anything else no route handled (static
+ * files, 404s) is grouped as "unmatched".
+ * @param {express.Request} req - The finished request.
+ * @returns {string}
+ */
+function routeLabel(req) {
+    if (!req.route) {
+        return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+    }
+    const pattern = `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+    return pattern || '/';
+}
+
+/**
+ * requestContext: Builds the middleware, mounted before all routes.
+ * Sets req.id (also sent back as the X-Request-Id header, and included in error responses)
+ * and req.log, a child logger that tags every line with the request id. When the response
+ * ends it logs one access line (method, path without the query string, route, status,
+ * duration) and records the request in the metrics. Bodies are never logged.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.logger - Logger from logger.js.
+ * @param {object} deps.metrics - Registry from metrics.js.
+ * @returns {function} Express middleware.
+ */
+function requestContext({ logger, metrics }) {
+    return function attachRequestContext(req, res, next) {
+        const started = process.hrtime.bigint();
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        metrics.requestStarted();
+
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            const durationSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = routeLabel(req);
+            // Status 499 (as in nginx): the client went away before the response was sent
+            const status = res.writableFinished ? res.statusCode : 499;
+            metrics.requestFinished({ method: req.method, route, status, durationSeconds });
+            const level = status >= 500 ? 'error' : 'info';
+            req.log[level]('Request finished', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route,
+                status,
+                durationMs: Math.round(durationSeconds * 1e4) / 10,
+            });
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    };
+}
+
+module.exports = { requestContext, routeLabel };
@@ -0,0 +1,212 @@
+// backend/notifier/index.js
+// Email notification pipeline for new leads, waitlist signups, demo bookings and privacy requests.
+//
+// Flow: route handlers call the notify*() functions, which only write emails to the
+// SQLite outbox (fast, never touches the network). A background worker then delivers
+// due messages through the configured transport and retries failures with exponential
+// backoff, so a temporarily unreachable mail server neither blocks the HTTP response
+// nor loses a notification.
+
+const { enqueueMessage, listDueMessages, markSent, markAttemptFailed } = require('../stores/outbox');
+const { createTransportFromEnv } = require('./transports');
+const { logger: defaultLogger } = require('../logger');
+const templates = require('./templates');
+
+/**
+ * Delay before retry number `attempt` (1-based): baseDelayMs, 2x, 4x, ... capped at maxDelayMs.
+ * @param {number} attempt - How many attempts have failed so far.
+ * @param {number} baseDelayMs - Delay after the first failure.
+ * @param {number} maxDelayMs - Upper bound for the delay.
+ * @returns {number} Delay in milliseconds.
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+/**
+ * createNotifier: Builds a notifier bound to a transport.
+ * @param {object} [options] - Settings; defaults come from environment variables.
+ * @param {object} [options.transport] - Transport with a `send` method (see transports.js).
+ * @param {string} [options.from] - Sender address (MAIL_FROM).
+ * @param {string} [options.teamEmail] - Team inbox that receives lead alerts (TEAM_EMAIL).
+ * @param {number} [options.pollIntervalMs] - How often the worker checks the outbox (MAIL_POLL_INTERVAL_MS).
+ * @param {number} [options.maxAttempts] - Attempts before a message is marked failed (MAIL_MAX_ATTEMPTS).
+ * @param {number} [options.baseDelayMs] - First retry delay (MAIL_RETRY_BASE_MS).
+ * @param {number} [options.maxDelayMs] - Longest retry delay (MAIL_RETRY_MAX_MS).
+ * @param {object} [options.logger] - Logger for delivery failures (see logger.js).
+ */
+function createNotifier({
+    transport = createTransportFromEnv(),
+    from = process.env.MAIL_FROM || 'JR Tech Solutions <no-reply@jrtech.local>',
+    teamEmail = process.env.TEAM_EMAIL,
+    pollIntervalMs = Number(process.env.MAIL_POLL_INTERVAL_MS) || 5000,
+    maxAttempts = Number(process.env.MAIL_MAX_ATTEMPTS) || 8,
+    baseDelayMs = Number(process.env.MAIL_RETRY_BASE_MS) || 30000,
+    maxDelayMs = Number(process.env.MAIL_RETRY_MAX_MS) || 60 * 60 * 1000,
+    logger = defaultLogger,
+} = {}) {
+    let timer = null;
+    let running = null; // Promise of the outbox pass in progress, so passes never overlap
+
+    /**
+     * Delivers every due message once. Failures are rescheduled, never thrown.
+     * @returns {Promise<{ sent: number, failed: number }>} What happened in this pass.
+     */
+    async function deliverDue() {
+        let sent = 0;
+        let failed = 0;
+        for (const message of listDueMessages()) {
+            try {
+                await transport.send({
+                    from,
+                    to: message.to,
+                    subject: message.subject,
+                    text: message.text,
+                    attachments: message.attachments,
+                });
+                markSent(message.id);
+                sent += 1;
+            } catch (error) {
+                const attempt = message.attempts + 1;
+                const nextAttemptAt = attempt < maxAttempts
+                    ? new Date(Date.now() + backoffDelay(attempt, baseDelayMs, maxDelayMs))
+                    : null;
+                markAttemptFailed(message.id, error.message, nextAttemptAt);
+                failed += 1;
+                logger.error('Email delivery failed', {
+                    emailId: message.id,
+                    kind: message.kind,
+                    attempt,
+                    maxAttempts,
+                    err: error,
+                    willRetry: Boolean(nextAttemptAt),
+                });
+            }
+        }
+        return { sent, failed };
+    }
+
+    /**
+     * processOutbox: Runs one delivery pass, or joins the pass already in progress.
+     * @returns {Promise<{ sent: number, failed: number }>}
+     */
+    function processOutbox() {
+        if (!running) {
+            running = deliverDue().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    /**
+     * Writes messages to the outbox, then nudges the worker so they go out right away
+     * when the mail server is up.
+     * @param {...object} messages - Messages accepted by enqueueMessage.
+     */
+    function queue(...messages) {
+        messages.forEach(enqueueMessage);
+        if (timer) {
+            setImmediate(processOutbox);
+        }
+    }
+
+    /**
+     * notifyNewLead: Queues the sender confirmation and the team alert for a lead.
+     * @param {object} lead - The stored lead.
+     * @param {object[]} [attachments] - Files sent with the form, listed in the team alert.
+     */
+    function notifyNewLead(lead, attachments = []) {
+        queue(
+            { kind: 'contact.confirmation', to: lead.email, ...templates.contactConfirmation(lead) },
+            ...(teamEmail
+                ? [{ kind: 'contact.team_alert', to: teamEmail, ...templates.teamLeadAlert(lead, attachments), leadId: lead.id }]
+                : []),
+        );
+    }
+
+    /**
+     * notifyWaitlistSignup: Queues the double opt-in email for a waitlist signup.
+     * @param {object} signup - The stored signup.
+     * @param {string} confirmUrl - Link that confirms the signup.
+     */
+    function notifyWaitlistSignup(signup, confirmUrl) {
+        queue({ kind: 'waitlist.confirmation', to: signup.email, ...templates.waitlistConfirmation(signup, confirmUrl) });
+    }
+
+    /**
+     * notifyDemoBooking: Queues the prospect's email (with the .ics invite) and the team alert
+     * for a booked, rescheduled or cancelled demo.
+     * @param {'booked'|'rescheduled'|'cancelled'} event - What happened.
+     * @param {object} booking - The booking.
+     * @param {object} details - Extra content.
+     * @param {string} details.ics - Calendar invite to attach.
+     * @param {string} [details.rescheduleUrl] - Self-service reschedule link.
+     * @param {string} [details.cancelUrl] - Self-service cancel link.
+     */
+    function notifyDemoBooking(event, booking, { ics, rescheduleUrl, cancelUrl }) {
+        const invite = { filename: 'demo.ics', content: ics, contentType: 'text/calendar; charset=utf-8' };
+        queue(
+            {
+                kind: `demo.${event}`,
+                to: booking.email,
+                ...templates.demoBookingEmail(event, booking, { rescheduleUrl, cancelUrl }),
+                attachments: [invite],
+            },
+            ...(teamEmail
+                ? [{
+                    kind: 'demo.team_alert',
+                    to: teamEmail,
+                    ...templates.teamDemoAlert(event, booking),
+                    attachments: [invite],
+                    bookingId: booking.id,
+                }]
+                : []),
+        );
+    }
+
+    /**
+     * notifyPrivacyRequest: Queues the email with a data export or erasure link.
+     * @param {string} email - The person's address.
+     * @param {object} request - The request.
+     * @param {'export'|'erasure'} request.type - What the link does.
+     * @param {string} request.url - The one-time link.
+     * @param {string} request.expiresAt - When the link expires.
+     */
+    function notifyPrivacyRequest(email, { type, url, expiresAt }) {
+        queue({ kind: `privacy.${type}`, to: email, ...templates.privacyRequestEmail(type, { url, expiresAt }) });
+    }
+
+    /**
+     * start: Begins polling the outbox in the background.
+     */
+    function start() {
+        if (timer) return;
+        timer = setInterval(processOutbox, pollIntervalMs);
+        timer.unref(); // Don't keep the process alive just for the poller
+        processOutbox(); // Pick up anything left over from a previous run
+    }
+
+    /**
+     * stop: Stops polling and waits for the current pass (if any) to finish.
+     * @returns {Promise<void>}
+     */
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await running;
+    }
+
+    return {
+        transport,
+        notifyNewLead,
+        notifyWaitlistSignup,
+        notifyDemoBooking,
+        notifyPrivacyRequest,
+        processOutbox,
+        start,
+        stop,
+    };
+}
+
+module.exports = { createNotifier, backoffDelay };
@@ -0,0 +1,194 @@
+// backend/notifier/templates.js
+// Plain-text email templates for contact form notifications.
+
+/**
+ * Confirmation sent to the person who filled in the contact form.
+ * @param {object} lead - The stored lead.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function contactConfirmation(lead) {
+    return {
+        subject: "We've received your message — JR Tech Solutions",
+        text: [
+            'Hi,',
+            '',
+            "Thanks for reaching out to JR Tech Solutions. We've received your message and",
+            'someone from our team will get back to you shortly.',
+            '',
+            'Your message:',
+            lead.message,
+            '',
+            '— JR Tech Solutions',
+        ].join('\n'),
+    };
+}
+
+/**
+ * Alert sent to the team inbox for every new lead.
+ * @param {object} lead - The stored lead.
+ * @param {object[]} [attachments] - Files sent with the form (see stores/attachments.js). Only
+ *   listed: they are downloaded from the dashboard, never emailed.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function teamLeadAlert(lead, attachments = []) {
+    return {
+        subject: `New lead #${lead.id} from ${lead.email}`,
+        text: [
+            `Lead #${lead.id} was submitted at ${lead.createdAt}.`,
+            '',
+            `Email: ${lead.email}`,
+            ...(lead.plan ? [`Plan: ${lead.plan}${lead.billingPeriod ? ` (${lead.billingPeriod})` : ''}`] : []),
+            `IP: ${lead.ip || 'unknown'}`,
+            `User agent: ${lead.userAgent || 'unknown'}`,
+            '',
+            'Message:',
+            lead.message,
+            ...(attachments.length
+                ? [
+                    '',
+                    'Attachments (download them from the lead in the dashboard):',
+                    ...attachments.map((file) => `- ${file.name} (${Math.ceil(file.size / 1024)} KB)`),
+                ]
+                : []),
+        ].join('\n'),
+    };
+}
+
+/**
+ * Double opt-in email for AI SmartBill waitlist signups.
+ * @param {object} signup - The stored signup.
+ * @param {string} confirmUrl - Link that confirms the signup.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function waitlistConfirmation(signup, confirmUrl) {
+    return {
+        subject: 'Confirm your spot on the AI SmartBill waitlist',
+        text: [
+            'Hi,',
+            '',
+            `Thanks for signing up ${signup.shopName} for AI SmartBill early access.`,
+            'Please confirm your email address to keep your place in line:',
+            '',
+            confirmUrl,
+            '',
+            "If you didn't sign up, you can ignore this email.",
+            '',
+            '— JR Tech Solutions',
+        ].join('\n'),
+    };
+}
+
+/**
+ * Formats a slot start for emails, in the prospect's own time zone.
+ * @param {object} booking - The booking.
+ * @returns {string} E.g. "Tuesday, 20 October 2026 at 10:30 am (Asia/Kolkata)".
+ */
+function formatBookingTime(booking) {
+    const formatted = new Intl.DateTimeFormat('en-GB', {
+        timeZone: booking.timeZone,
+        dateStyle: 'full',
+        timeStyle: 'short',
+    }).format(new Date(booking.start));
+    return `${formatted} (${booking.timeZone})`;
+}
+
+/**
+ * Email to the prospect when a demo is booked, rescheduled or cancelled.
+ * @param {'booked'|'rescheduled'|'cancelled'} event - What happened.
+ * @param {object} booking - The booking.
+ * @param {object} [links] - Self-service links (omitted for cancellations).
+ * @param {string} [links.rescheduleUrl] - Link to pick another time.
+ * @param {string} [links.cancelUrl] - Link to cancel.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function demoBookingEmail(event, booking, { rescheduleUrl, cancelUrl } = {}) {
+    const when = formatBookingTime(booking);
+    const subjects = {
+        booked: 'Your JR Tech Solutions demo is booked',
+        rescheduled: 'Your JR Tech Solutions demo has been rescheduled',
+        cancelled: 'Your JR Tech Solutions demo has been cancelled',
+    };
+    const intro = {
+        booked: `Thanks for booking a demo, ${booking.name}! We'll meet on:`,
+        rescheduled: `Hi ${booking.name}, your demo has been moved to:`,
+        cancelled: `Hi ${booking.name}, your demo on the following date has been cancelled:`,
+    };
+
+    const lines = ['Hi,', '', intro[event], when, ''];
+    if (event !== 'cancelled') {
+        lines.push(
+            'The attached calendar invite (.ics) adds the demo to your calendar.',
+            '',
+            `Need another time? ${rescheduleUrl}`,
+            `Can't make it? ${cancelUrl}`,
+            '',
+        );
+    } else {
+        lines.push('You can book a new time on our website whenever it suits you.', '');
+    }
+    lines.push('— JR Tech Solutions');
+
+    return { subject: subjects[event], text: lines.join('\n') };
+}
+
+/**
+ * Alert sent to the team inbox when a demo is booked, rescheduled or cancelled.
+ * @param {'booked'|'rescheduled'|'cancelled'} event - What happened.
+ * @param {object} booking - The booking.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function teamDemoAlert(event, booking) {
+    return {
+        subject: `Demo ${event}: ${booking.name} on ${booking.start}`,
+        text: [
+            `Demo booking #${booking.id} was ${event}.`,
+            '',
+            `When: ${formatBookingTime(booking)}`,
+            `Name: ${booking.name}`,
+            `Email: ${booking.email}`,
+            `Company: ${booking.company || '-'}`,
+            '',
+            'Notes:',
+            booking.notes || '-',
+        ].join('\n'),
+    };
+}
+
+/**
+ * Email with the one-time link for a data export or erasure request (see privacy/).
+ * @param {'export'|'erasure'} type - What the person asked for.
+ * @param {object} link - The link.
+ * @param {string} link.url - Link to the privacy page.
+ * @param {string} link.expiresAt - ISO date/time after which the link no longer works.
+ * @returns {{ subject: string, text: string }} The email content.
+ */
+function privacyRequestEmail(type, { url, expiresAt }) {
+    const action = type === 'export' ? 'download a copy of' : 'delete';
+    return {
+        subject: type === 'export'
+            ? 'Your data export link — JR Tech Solutions'
+            : 'Confirm deleting your data — JR Tech Solutions',
+        text: [
+            'Hi,',
+            '',
+            `We received a request to ${action} the personal data JR Tech Solutions holds about`,
+            'this email address. Use this link to continue:',
+            '',
+            url,
+            '',
+            `The link works once and expires at ${expiresAt} (UTC).`,
+            "If you didn't ask for this, you can ignore this email; nothing changes.",
+            '',
+            '— JR Tech Solutions',
+        ].join('\n'),
+    };
+}
+
+module.exports = {
+    contactConfirmation,
+    teamLeadAlert,
+    waitlistConfirmation,
+    demoBookingEmail,
+    teamDemoAlert,
+    privacyRequestEmail,
+};
@@ -0,0 +1,122 @@
+// backend/notifier/transports.js
+// Mail transports. Each transport exposes `send({ from, to, subject, text, attachments })` returning a Promise.
+// `attachments` is an optional array of { filename, content, contentType } with text content.
+// `check()` resolves if the transport can deliver right now and rejects otherwise (used by GET /readyz).
+// Pick one with MAIL_TRANSPORT: "console" (default), "file" or "smtp".
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger: defaultLogger } = require('../logger');
+
+/**
+ * Console transport: logs that an email would have been sent, without delivering it. The log
+ * line goes through the JSON logger, so the recipient and body are redacted and addresses in
+ * the subject masked; use the file transport to read the emails themselves.
+ * @param {object} [options]
+ * @param {object} [options.logger] - Logger (see logger.js).
+ */
+function createConsoleTransport({ logger = defaultLogger } = {}) {
+    return {
+        name: 'console',
+        async send({ from, to, subject, text, attachments = [] }) {
+            logger.info('Email (console transport)', {
+                from,
+                to,
+                subject,
+                text,
+                attachments: attachments.length,
+            });
+        },
+        async check() {},
+    };
+}
+
+/**
+ * File transport: writes each email as a .eml-style text file so it can be inspected later.
+ * @param {string} dir - Folder to write the files into (created if missing).
+ */
+function createFileTransport(dir) {
+    return {
+        name: 'file',
+        async send({ from, to, subject, text, attachments = [] }) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const baseName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const contents = `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+            await fs.promises.writeFile(path.join(dir, `${baseName}.eml`), contents);
+            // Attachments are written next to the message, prefixed with the same name
+            for (const attachment of attachments) {
+                await fs.promises.writeFile(path.join(dir, `${baseName}-${path.basename(attachment.filename)}`), attachment.content);
+            }
+        },
+        async check() {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.access(dir, fs.constants.W_OK);
+        },
+    };
+}
+
+/**
+ * SMTP transport: delivers through any SMTP server via Nodemailer.
+ * Works with a local fake SMTP server too (see scripts/fake-smtp.js).
+ * @param {object} options - Connection settings.
+ * @param {string} options.host - SMTP host.
+ * @param {number} options.port - SMTP port.
+ * @param {boolean} options.secure - True for implicit TLS (usually port 465).
+ * @param {string} [options.user] - Username, if the server requires authentication.
+ * @param {string} [options.pass] - Password, if the server requires authentication.
+ */
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        // Fail fast so an unreachable server just schedules a retry instead of hanging the worker.
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000,
+    });
+
+    return {
+        name: 'smtp',
+        async send({ from, to, subject, text, attachments = [] }) {
+            await transporter.sendMail({ from, to, subject, text, attachments });
+        },
+        // Connects and authenticates without sending anything
+        async check() {
+            await transporter.verify();
+        },
+    };
+}
+
+/**
+ * createTransportFromEnv: Builds the transport selected by the MAIL_TRANSPORT env variable.
+ * @param {object} [env=process.env] - Environment variables to read.
+ * @returns {object} A transport with a `send` method.
+ */
+function createTransportFromEnv(env = process.env) {
+    switch (env.MAIL_TRANSPORT || 'console') {
+        case 'smtp':
+            return createSmtpTransport({
+                host: env.SMTP_HOST || 'localhost',
+                port: Number(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+            });
+        case 'file':
+            return createFileTransport(env.MAIL_FILE_DIR || path.join(__dirname, '..', 'data', 'mail'));
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}". Use console, file or smtp.`);
+    }
+}
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    createSmtpTransport,
+    createTransportFromEnv,
+};
@@ -0,0 +1,140 @@
+// backend/plans.js
+// Pricing plans shown on the landing page, loaded from config/plans.json.
+//
+// The config only stores list prices per billing period; the yearly discount and the
+// per-month equivalent are computed here so they can never drift from the prices.
+// Plan names and benefits can be translated per locale under `translations`; prices can't.
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./i18n');
+
+const BILLING_PERIODS = ['monthly', 'yearly'];
+
+/**
+ * Checks one plan from the config and throws a descriptive error if it's malformed,
+ * so a typo in plans.json fails loudly instead of showing a broken pricing table.
+ * @param {object} plan - Plan as written in the config.
+ * @param {number} index - Position in the config, for the error message.
+ */
+function assertValidPlan(plan, index) {
+    const where = `plans[${index}]${plan && plan.id ? ` ("${plan.id}")` : ''}`;
+    const fail = (problem) => {
+        throw new Error(`Invalid pricing config: ${where} ${problem}`);
+    };
+
+    if (!plan || typeof plan !== 'object') {
+        fail('must be an object.');
+    }
+    if (typeof plan.id !== 'string' || !/^[a-z0-9-]+$/.test(plan.id)) {
+        fail('needs an id of lowercase letters, digits and dashes.');
+    }
+    if (typeof plan.name !== 'string' || !plan.name) {
+        fail('needs a name.');
+    }
+    if (typeof plan.currency !== 'string' || !/^[A-Z]{3}$/.test(plan.currency)) {
+        fail('needs a 3-letter ISO currency code.');
+    }
+    if (!Array.isArray(plan.benefits) || plan.benefits.some((b) => typeof b !== 'string')) {
+        fail('needs a list of benefits.');
+    }
+    if (plan.prices !== null) {
+        // null means "custom pricing" (contact us)
+        if (!plan.prices || typeof plan.prices !== 'object') {
+            fail('needs prices (or null for custom pricing).');
+        }
+        for (const period of BILLING_PERIODS) {
+            const amount = plan.prices[period];
+            if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+                fail(`needs a non-negative ${period} price.`);
+            }
+        }
+    }
+    if (plan.translations !== undefined) {
+        if (!plan.translations || typeof plan.translations !== 'object') {
+            fail('has translations that are not an object.');
+        }
+        for (const [locale, translation] of Object.entries(plan.translations)) {
+            if (!SUPPORTED_LOCALES.includes(locale) || locale === DEFAULT_LOCALE) {
+                fail(`has translations for an unsupported locale "${locale}".`);
+            }
+            if (!translation || typeof translation.name !== 'string' || !translation.name) {
+                fail(`needs a name in its "${locale}" translation.`);
+            }
+            // Benefits are optional per translation; when present they must match the English list one to one
+            if (translation.benefits !== undefined
+                && (!Array.isArray(translation.benefits) || translation.benefits.length !== plan.benefits.length
+                    || translation.benefits.some((b) => typeof b !== 'string'))) {
+                fail(`needs the same number of benefits in its "${locale}" translation.`);
+            }
+        }
+    }
+}
+
+/**
+ * Builds the API shape of a plan, adding the computed yearly figures.
+ * @param {object} plan - Validated plan from the config.
+ * @param {string} locale - Locale for the name and benefits; untranslated text stays English.
+ * @returns {object}
+ */
+function toPublicPlan(plan, locale) {
+    const translation = (plan.translations && plan.translations[locale]) || {};
+    let periods = null;
+    if (plan.prices) {
+        const { monthly, yearly } = plan.prices;
+        const fullYear = monthly * 12;
+        periods = {
+            monthly: { amount: monthly },
+            yearly: {
+                amount: yearly,
+                monthlyEquivalent: Math.round((yearly / 12) * 100) / 100,
+                // Percent saved compared with paying monthly for twelve months
+                discountPercent: fullYear > 0 ? Math.max(0, Math.round(((fullYear - yearly) / fullYear) * 100)) : 0,
+            },
+        };
+    }
+    return {
+        id: plan.id,
+        name: translation.name || plan.name,
+        currency: plan.currency,
+        featured: Boolean(plan.featured),
+        customPricing: periods === null,
+        periods,
+        benefits: translation.benefits || plan.benefits,
+    };
+}
+
+/**
+ * loadPlans: Reads and validates the pricing config. Read on every call so price
+ * changes go live without a restart. The path can be changed with PLANS_PATH.
+ * @param {string} [locale] - Locale for plan names and benefits (default English).
+ * @returns {object[]} Plans in display order.
+ */
+function loadPlans(locale = DEFAULT_LOCALE) {
+    const configPath = process.env.PLANS_PATH || path.join(__dirname, 'config', 'plans.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!config || !Array.isArray(config.plans)) {
+        throw new Error('Invalid pricing config: expected a "plans" array.');
+    }
+
+    const seen = new Set();
+    config.plans.forEach((plan, index) => {
+        assertValidPlan(plan, index);
+        if (seen.has(plan.id)) {
+            throw new Error(`Invalid pricing config: duplicate plan id "${plan.id}".`);
+        }
+        seen.add(plan.id);
+    });
+    return config.plans.map((plan) => toPublicPlan(plan, locale));
+}
+
+/**
+ * findPlan: Looks up a plan by id.
+ * @param {string} id - Plan id, e.g. "pro".
+ * @returns {object|null}
+ */
+function findPlan(id) {
+    return loadPlans().find((plan) => plan.id === id) || null;
+}
+
+module.exports = { BILLING_PERIODS, findPlan, loadPlans };
@@ -0,0 +1,230 @@
+// backend/privacy/index.js
+// Privacy requests and data retention for the personal data the site collects (contact form
+// leads and their attachments, waitlist signups, demo bookings, and the emails and webhook
+// deliveries about them).
+//
+// Self-service flow: a person enters their email address on the privacy page and picks
+// "export" or "erase" (POST /privacy/requests). If anything is stored about that address, it
+// gets an email with a signed link (see links.js) to the frontend's privacy page, which checks
+// the link (POST /privacy/link) and, when the person confirms, downloads the data
+// as JSON (POST /privacy/export) or deletes it (POST /privacy/erase). Each link works once and
+// expires after PRIVACY_LINK_TTL_MS. Nothing reveals whether an address is known.
+//
+// Retention: a background job deletes records older than the RETENTION_* periods.
+// Every export, erasure and purge is written to the audit log (stores/privacy.js).
+
+const { logger: defaultLogger } = require('../logger');
+const { signLinkToken, verifyLinkToken } = require('./links');
+const {
+    claimPrivacyRequest,
+    createPrivacyRequest,
+    deletePersonalData,
+    findPersonalData,
+    getPrivacyRequest,
+    hasPersonalData,
+    hashEmail,
+    purgeExpiredData,
+    recordAuditEvent,
+} = require('../stores/privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expired request links are kept this long (for the audit trail), then deleted.
+const REQUEST_RETENTION_DAYS = 30;
+
+/**
+ * Reads a retention period in days from an environment variable. 0 means "keep forever".
+ * @param {string} name - Variable name.
+ * @param {number} fallback - Days when the variable isn't set.
+ * @returns {number|null} Days, or null to keep forever.
+ */
+function retentionDays(name, fallback) {
+    const value = process.env[name];
+    const days = value === undefined || value === '' ? fallback : Number(value);
+    return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+/**
+ * The date `days` ago, as the cutoff for a retention period.
+ * @param {number|null} days - Retention period.
+ * @returns {string|null} ISO date/time, or null when the period is "forever".
+ */
+function cutoff(days) {
+    return days ? new Date(Date.now() - days * DAY_MS).toISOString() : null;
+}
+
+/**
+ * createPrivacyService: Builds the privacy request handling and the retention job.
+ * @param {object} deps - Collaborators and settings; defaults come from environment variables.
+ * @param {object} deps.notifier - Sends the request emails (see notifier/).
+ * @param {object} deps.attachments - Deletes attachment files of erased leads (see attachments/).
+ * @param {object} [deps.retention] - Days to keep each kind of record, null for forever:
+ *   { leads, demoBookings, emails, webhookDeliveries } (RETENTION_* variables).
+ * @param {number} [deps.linkTtlMs] - How long request links work (PRIVACY_LINK_TTL_MS).
+ * @param {number} [deps.purgeIntervalMs] - How often the retention job runs (PRIVACY_PURGE_INTERVAL_MS).
+ * @param {string} [deps.frontendUrl] - Site the links open (FRONTEND_URL).
+ * @param {object} [deps.logger] - Logger (see logger.js).
+ */
+function createPrivacyService({
+    notifier,
+    attachments,
+    retention = {
+        leads: retentionDays('RETENTION_LEAD_DAYS', 730),
+        demoBookings: retentionDays('RETENTION_DEMO_BOOKING_DAYS', 365),
+        emails: retentionDays('RETENTION_EMAIL_DAYS', 90),
+        webhookDeliveries: retentionDays('RETENTION_WEBHOOK_DELIVERY_DAYS', 90),
+    },
+    linkTtlMs = Number(process.env.PRIVACY_LINK_TTL_MS) || DAY_MS,
+    purgeIntervalMs = Number(process.env.PRIVACY_PURGE_INTERVAL_MS) || DAY_MS,
+    frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173',
+    logger = defaultLogger,
+}) {
+    let timer = null;
+
+    /**
+     * requestLink: Emails a one-time export or erasure link, if anything is stored about the address.
+     * @param {object} request - The request.
+     * @param {string} request.email - Whose data.
+     * @param {'export'|'erasure'} request.type - What the link does.
+     * @returns {boolean} Whether a link was sent (never tell the requester).
+     */
+    function requestLink({ email, type }) {
+        if (!hasPersonalData(email)) {
+            return false;
+        }
+        const request = createPrivacyRequest({ type, email, expiresAt: new Date(Date.now() + linkTtlMs).toISOString() });
+        const token = signLinkToken({ ...request, email });
+        const url = `${frontendUrl.replace(/\/$/, '')}/privacy?token=${encodeURIComponent(token)}`;
+        notifier.notifyPrivacyRequest(email, { type, url, expiresAt: request.expiresAt });
+        return true;
+    }
+
+    /**
+     * checkLink: Whether a link from a request email can still be used.
+     * @param {*} token - Token from the link.
+     * @returns {{ ok: boolean, request?: object, email?: string, reason?: 'invalid' | 'expired' | 'used' }}
+     *   `request` is { id, type, expiresAt }.
+     */
+    function checkLink(token) {
+        const verified = verifyLinkToken(token);
+        if (!verified.ok) {
+            return verified;
+        }
+        const { id, type, email } = verified.request;
+        const request = getPrivacyRequest(id);
+        if (!request || request.type !== type) {
+            return { ok: false, reason: 'invalid' };
+        }
+        if (request.usedAt) {
+            return { ok: false, reason: 'used' };
+        }
+        return { ok: true, request: { id, type, expiresAt: request.expiresAt }, email };
+    }
+
+    /**
+     * Checks a link for `type` and uses it up.
+     * @param {*} token - Token from the link.
+     * @param {'export'|'erasure'} type - What the caller is about to do.
+     * @returns {{ ok: boolean, request?: object, email?: string, reason?: string }}
+     */
+    function claimLink(token, type) {
+        const link = checkLink(token);
+        if (!link.ok) {
+            return link;
+        }
+        if (link.request.type !== type) {
+            return { ok: false, reason: 'invalid' };
+        }
+        return claimPrivacyRequest(link.request.id) ? link : { ok: false, reason: 'used' };
+    }
+
+    /**
+     * exportData: Everything stored about the link's address, as one JSON document.
+     * @param {*} token - Token from an export link.
+     * @param {object} context - { ip } of the requester, for the audit log.
+     * @returns {{ ok: boolean, data?: object, reason?: string }}
+     */
+    function exportData(token, { ip }) {
+        const link = claimLink(token, 'export');
+        if (!link.ok) {
+            return link;
+        }
+        const data = findPersonalData(link.email);
+        recordAuditEvent({
+            action: 'export',
+            emailHash: hashEmail(link.email),
+            requestId: link.request.id,
+            ip,
+            details: Object.fromEntries(Object.entries(data).map(([kind, records]) => [kind, records.length])),
+        });
+        logger.info('Personal data exported', { privacyRequestId: link.request.id });
+        return { ok: true, data: { email: link.email, exportedAt: new Date().toISOString(), ...data } };
+    }
+
+    /**
+     * eraseData: Deletes everything stored about the link's address, attachment files included.
+     * @param {*} token - Token from an erasure link.
+     * @param {object} context - { ip } of the requester, for the audit log.
+     * @returns {Promise<{ ok: boolean, counts?: object, reason?: string }>}
+     */
+    async function eraseData(token, { ip }) {
+        const link = claimLink(token, 'erasure');
+        if (!link.ok) {
+            return link;
+        }
+        const { counts, storageNames } = deletePersonalData(link.email);
+        await Promise.all(storageNames.map(attachments.discard));
+        recordAuditEvent({
+            action: 'erasure',
+            emailHash: hashEmail(link.email),
+            requestId: link.request.id,
+            ip,
+            details: counts,
+        });
+        logger.info('Personal data erased', { privacyRequestId: link.request.id, ...counts });
+        return { ok: true, counts };
+    }
+
+    /**
+     * purge: Deletes records older than their retention period, and logs what was deleted.
+     * @returns {Promise<object>} Deleted records per kind.
+     */
+    async function purge() {
+        const { counts, storageNames } = purgeExpiredData({
+            leads: cutoff(retention.leads),
+            demoBookings: cutoff(retention.demoBookings),
+            emails: cutoff(retention.emails),
+            webhookDeliveries: cutoff(retention.webhookDeliveries),
+            privacyRequests: cutoff(REQUEST_RETENTION_DAYS),
+        });
+        await Promise.all(storageNames.map(attachments.discard));
+        if (Object.values(counts).some((count) => count > 0)) {
+            recordAuditEvent({ action: 'retention_purge', details: { ...counts, retentionDays: retention } });
+            logger.info('Retention purge deleted old records', counts);
+        }
+        return counts;
+    }
+
+    /**
+     * start: Runs the retention job now and then every purgeIntervalMs.
+     */
+    function start() {
+        if (timer) return;
+        const run = () => purge().catch((error) => logger.error('Retention purge failed', { err: error }));
+        timer = setInterval(run, purgeIntervalMs);
+        timer.unref(); // Don't keep the process alive just for the purge job
+        run();
+    }
+
+    /**
+     * stop: Stops the retention job.
+     */
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { retention, requestLink, checkLink, exportData, eraseData, purge, start, stop };
+}
+
+module.exports = { createPrivacyService };
@@ -0,0 +1,65 @@
+// backend/privacy/links.js
+// Signed tokens for the links in privacy request emails.
+//
+// A token carries the request id, its type, the email address and the expiry time, signed with
+// HMAC-SHA256: "<base64url JSON payload>.<base64url signature>". The address never has to be
+// stored in plain text next to the request, and a token can't be altered to read or erase
+// someone else's data. Each request works once (see claimPrivacyRequest in stores/privacy.js).
+
+const crypto = require('crypto');
+
+// A random per-process secret works for a single instance, but links sent before a restart
+// stop working; set PRIVACY_LINK_SECRET to keep them valid.
+const secret = process.env.PRIVACY_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signs a payload with HMAC-SHA256.
+ * @param {string} payload - Data to sign.
+ * @returns {string} Base64url signature.
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * signLinkToken: Creates the token for a request's email link.
+ * @param {object} request - The request (see stores/privacy.js) and its address.
+ * @param {string} request.id - Request id.
+ * @param {'export'|'erasure'} request.type - What the link does.
+ * @param {string} request.email - Whose data it is.
+ * @param {string} request.expiresAt - ISO date/time after which the link no longer works.
+ * @returns {string}
+ */
+function signLinkToken({ id, type, email, expiresAt }) {
+    const payload = Buffer.from(JSON.stringify({ id, type, email, expiresAt })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * verifyLinkToken: Checks a token's signature and expiry.
+ * @param {*} token - Token from the link.
+ * @returns {{ ok: boolean, request?: { id: string, type: string, email: string, expiresAt: string },
+ *   reason?: 'invalid' | 'expired' }}
+ */
+function verifyLinkToken(token) {
+    if (typeof token !== 'string' || token.length > 2048) {
+        return { ok: false, reason: 'invalid' };
+    }
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length) {
+        return { ok: false, reason: 'invalid' };
+    }
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { ok: false, reason: 'invalid' };
+    }
+
+    const request = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!(Date.parse(request.expiresAt) > Date.now())) {
+        return { ok: false, reason: 'expired' };
+    }
+    return { ok: true, request };
+}
+
+module.exports = { signLinkToken, verifyLinkToken };
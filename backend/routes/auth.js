@@ -0,0 +1,93 @@
+// backend/routes/auth.js
+// Sign-in for the admin dashboard: email + password exchanged for a session token.
+
+const express = require('express');
+const { validate } = require('../validation');
+const { verifyPassword } = require('../auth/passwords');
+const { requireAuth, getBearerToken } = require('../middleware/auth');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const {
+    createSession,
+    deleteExpiredSessions,
+    deleteSession,
+    findUserWithHashByEmail,
+} = require('../stores/adminUsers');
+
+const loginSchema = {
+    email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+    password: { label: 'Password', required: true, maxLength: 200 },
+};
+
+// How long a dashboard session lasts (SESSION_TTL_HOURS, default 12 hours).
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+/**
+ * createAuthRouter: Builds the /auth routes.
+ * @param {object} [deps] - Collaborators.
+ * @param {object} [deps.rateLimitStore] - Store for sign-in rate limits (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createAuthRouter({ rateLimitStore = createMemoryStore() } = {}) {
+    const router = express.Router();
+
+    // Slow down password guessing, per IP and per account.
+    const limitByIp = createRateLimiter({
+        name: 'login-ip',
+        windowMs: 15 * 60 * 1000,
+        max: 20,
+        store: rateLimitStore,
+        message: "Too many sign-in attempts. Please try again later.",
+    });
+    const limitByEmail = createRateLimiter({
+        name: 'login-email',
+        windowMs: 15 * 60 * 1000,
+        max: 5,
+        keyGenerator: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+        store: rateLimitStore,
+        message: "Too many sign-in attempts for this account. Please try again later.",
+    });
+
+    /**
+     * POST /auth/login
+     * Body: { email, password }. Responds with { token, expiresAt, user }.
+     */
+    router.post('/login', limitByIp, limitByEmail, async (req, res) => {
+        const { value, errors } = validate(loginSchema, req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+
+        const account = findUserWithHashByEmail(value.email);
+        // Same message whether the email or the password is wrong, so accounts can't be enumerated.
+        if (!account || !(await verifyPassword(value.password, account.passwordHash))) {
+            return res.status(401).json({ success: false, message: "Incorrect email or password." });
+        }
+
+        deleteExpiredSessions();
+        const { token, expiresAt } = createSession(account.user.id, SESSION_TTL_MS);
+        res.json({ success: true, token, expiresAt, user: account.user });
+    });
+
+    /**
+     * POST /auth/logout
+     * Ends the current session.
+     */
+    router.post('/logout', requireAuth, (req, res) => {
+        if (req.user) {
+            deleteSession(getBearerToken(req));
+        }
+        res.json({ success: true });
+    });
+
+    /**
+     * GET /auth/me
+     * Returns the signed-in user (null when using the shared API token).
+     */
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({ success: true, user: req.user });
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,300 @@
+// backend/routes/contact.js
+// Public contact form API: hands out anti-spam form tokens, receives file attachments and
+// accepts submissions.
+
+const express = require('express');
+const multer = require('multer');
+const { validate } = require('../validation');
+const { HONEYPOT_FIELD, issueFormToken, verifyFormToken, isHoneypotFilled } = require('../antispam');
+const { createLead, findLeadByIdempotencyKey, findRecentDuplicate } = require('../stores/leads');
+const { BILLING_PERIODS, loadPlans } = require('../plans');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const { findUnclaimedAttachments, linkAttachments } = require('../stores/attachments');
+
+// How far back an identical email + message counts as a duplicate.
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Idempotency-Key header values: random ids generated by the browser (e.g. UUIDs).
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Attachment ids handed out by POST /contact/attachments (UUIDs).
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Accepted fields for POST /contact. Anything else in the body is rejected.
+const contactSchema = {
+    email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+    message: { label: 'Message', required: true, sanitize: true, minLength: 10, maxLength: 5000 },
+    billingPeriod: { label: 'Billing period', oneOf: BILLING_PERIODS },
+    // The sender's agreement to the privacy policy (checkbox), and the version they were shown.
+    consent: { label: 'Consent', required: true, oneOf: ['true'] },
+    privacyPolicyVersion: { label: 'Privacy policy version', required: true, maxLength: 32 },
+    formToken: { optional: true },
+    [HONEYPOT_FIELD]: { optional: true },
+};
+
+/**
+ * The contact schema plus the optional `plan` field, sent when the inquiry was started from a
+ * pricing card's "Choose" button. Built per request because the plans config can change at runtime.
+ * @returns {object}
+ */
+function buildContactSchema() {
+    return { ...contactSchema, plan: { label: 'Plan', oneOf: loadPlans().map((plan) => plan.id) } };
+}
+
+/**
+ * Route guard for POST /contact: reads the optional Idempotency-Key header into
+ * req.idempotencyKey, and answers a repeated request (the browser's offline outbox resending a
+ * message whose first response it never saw) with the original success response instead of
+ * storing it again. Runs before the rate limiters so resends don't use up the visitor's quota.
+ */
+function checkIdempotencyKey(req, res, next) {
+    const key = req.get('idempotency-key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ success: false, message: req.t('contact.invalidIdempotencyKey') });
+    }
+    if (findLeadByIdempotencyKey(key)) {
+        return replayed(req, res);
+    }
+    req.idempotencyKey = key;
+    next();
+}
+
+/**
+ * Sends the success response for a submission that was already stored.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+function replayed(req, res) {
+    res.set('Idempotent-Replayed', 'true');
+    res.status(200).json({ success: true, message: req.t('contact.sent') });
+}
+
+/**
+ * Formats a size limit for messages, e.g. 10485760 -> "10 MB", 512000 -> "500 KB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+        : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Checks the `attachments` field of a submission: ids from POST /contact/attachments that
+ * haven't been sent with another message, within the per-submission limits.
+ * @param {*} ids - Raw value from the body (undefined when there are no attachments).
+ * @param {object} limits - { maxFiles, maxTotalBytes } from the attachment storage.
+ * @param {function} t - Translator (req.t).
+ * @returns {{ files: object[], error?: string }} The attachments, or a message for the field.
+ */
+function checkAttachments(ids, { maxFiles, maxTotalBytes }, t) {
+    if (ids === undefined || ids === null) {
+        return { files: [] };
+    }
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string' || !ATTACHMENT_ID_PATTERN.test(id))) {
+        return { files: [], error: t('contact.attachmentsInvalid') };
+    }
+    const unique = [...new Set(ids)];
+    if (unique.length > maxFiles) {
+        return { files: [], error: t('contact.attachmentsTooMany', { max: maxFiles }) };
+    }
+    const files = findUnclaimedAttachments(unique);
+    if (files.length !== unique.length) {
+        return { files: [], error: t('contact.attachmentsExpired') };
+    }
+    if (files.reduce((total, file) => total + file.size, 0) > maxTotalBytes) {
+        return { files: [], error: t('contact.attachmentsTooLarge', { max: formatSize(maxTotalBytes) }) };
+    }
+    return { files };
+}
+
+/**
+ * createContactRouter: Builds the /contact routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.notifier - Notifier used to queue emails for new leads (see notifier/).
+ * @param {object} deps.webhooks - Webhook dispatcher that sends lead.created events (see webhooks/).
+ * @param {object} deps.attachments - Storage for uploaded files (see attachments/).
+ * @param {object} [deps.rateLimitStore] - Store for submission rate limits (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createContactRouter({ notifier, webhooks, attachments, rateLimitStore = createMemoryStore() }) {
+    const router = express.Router();
+
+    // Throttle submissions per client IP and per submitted email address.
+    // Limits are configurable via CONTACT_RATE_LIMIT_* env variables.
+    const limitByIp = createRateLimiter({
+        name: 'contact-ip',
+        windowMs: Number(process.env.CONTACT_RATE_LIMIT_IP_WINDOW_MS) || 10 * 60 * 1000,
+        max: Number(process.env.CONTACT_RATE_LIMIT_IP_MAX) || 5,
+        store: rateLimitStore,
+        message: (req) => req.t('contact.rateLimitIp'),
+    });
+    const limitByEmail = createRateLimiter({
+        name: 'contact-email',
+        windowMs: Number(process.env.CONTACT_RATE_LIMIT_EMAIL_WINDOW_MS) || 60 * 60 * 1000,
+        max: Number(process.env.CONTACT_RATE_LIMIT_EMAIL_MAX) || 3,
+        keyGenerator: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+        store: rateLimitStore,
+        message: (req) => req.t('contact.rateLimitEmail'),
+    });
+    const limitUploadsByIp = createRateLimiter({
+        name: 'contact-upload',
+        windowMs: Number(process.env.CONTACT_RATE_LIMIT_UPLOAD_WINDOW_MS) || 10 * 60 * 1000,
+        max: Number(process.env.CONTACT_RATE_LIMIT_UPLOAD_MAX) || 20,
+        store: rateLimitStore,
+        message: (req) => req.t('contact.rateLimitUpload'),
+    });
+
+    /**
+     * Route guard for POST /contact/attachments: receives the multipart upload (see
+     * attachments/) and answers multipart problems, such as a file over the size limit, in
+     * the visitor's language.
+     */
+    function receiveUpload(req, res, next) {
+        attachments.upload(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                const max = formatSize(attachments.limits.maxFileBytes);
+                return res.status(413).json({ success: false, message: req.t('contact.attachmentTooLarge', { max }) });
+            }
+            if (error instanceof multer.MulterError) {
+                return res.status(400).json({ success: false, message: req.t('contact.attachmentInvalid') });
+            }
+            next(error);
+        });
+    }
+
+    /**
+     * GET /contact/token
+     * Issues a signed form token. The frontend requests one when the form is shown
+     * and sends it back with the submission.
+     */
+    router.get('/token', (req, res) => {
+        res.json({ success: true, token: issueFormToken() });
+    });
+
+    /**
+     * POST /contact/attachments
+     * Uploads one file for the contact form, as multipart/form-data with the 'formToken' from
+     * GET /contact/token and the file in 'file'. The file's type is checked from its content
+     * (PDF, images, Office documents, plain text) and it must be at most
+     * ATTACHMENT_MAX_FILE_BYTES. Answers 201 with { attachment: { id, name, size, mimeType } };
+     * send the id in the submission's 'attachments' list. Unsent uploads are deleted after a day.
+     */
+    router.post('/attachments', limitUploadsByIp, receiveUpload, async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: req.t('contact.attachmentInvalid') });
+        }
+
+        // Same token as the form. Uploads start as soon as a file is picked, so the minimum
+        // fill time doesn't apply; it is checked when the form is submitted.
+        const token = verifyFormToken(req.body.formToken);
+        if (!token.ok && token.reason !== 'too_fast') {
+            await attachments.discard(req.file.filename);
+            return res.status(400).json({ success: false, message: req.t('contact.expired'), reason: token.reason });
+        }
+
+        const attachment = await attachments.save(req.file);
+        if (!attachment) {
+            return res.status(415).json({ success: false, message: req.t('contact.attachmentType') });
+        }
+        req.log.info('Contact attachment uploaded', { attachmentId: attachment.id, mimeType: attachment.mimeType, size: attachment.size });
+        const { id, name, size, mimeType } = attachment;
+        res.status(201).json({ success: true, attachment: { id, name, size, mimeType } });
+    });
+
+    /**
+     * POST /contact
+     * Handles contact form submissions from the frontend.
+     * Expects JSON with 'email', 'message', 'consent' ("true", the privacy policy checkbox) with
+     * the 'privacyPolicyVersion' shown, the 'formToken' from GET /contact/token and the (empty)
+     * honeypot field. Plan inquiries also send 'plan' and 'billingPeriod', and
+     * 'attachments' lists the ids of files uploaded with POST /contact/attachments.
+     * Messages are answered in the language of the Accept-Language header (en, hi, te).
+     * An optional Idempotency-Key header makes retries safe: a key that was already used gets
+     * the original success response and no new lead.
+     */
+    router.post('/', checkIdempotencyKey, limitByIp, limitByEmail, (req, res) => {
+        // Bots that fill the hidden honeypot get a normal-looking success response,
+        // but nothing is stored or emailed.
+        if (isHoneypotFilled(req.body)) {
+            req.log.warn('Dropped contact submission: honeypot field was filled', { ip: req.ip });
+            return res.status(200).json({ success: true, message: req.t('contact.sent') });
+        }
+
+        // Schema validation: returns cleaned values (trimmed, markup stripped) and per-field errors.
+        // Attachments are a list rather than text, so they are checked separately below.
+        const { attachments: attachmentIds, ...fields } = req.body && typeof req.body === 'object' ? req.body : {};
+        const { value, errors } = validate(buildContactSchema(), fields, { t: req.t });
+        if (errors?.consent) {
+            errors.consent = req.t('contact.consentRequired');
+        }
+        if (errors) {
+            return res.status(400).json({ success: false, message: req.t('contact.invalid'), errors });
+        }
+
+        // The form token proves the form was loaded from us and not submitted instantly.
+        const token = verifyFormToken(value.formToken);
+        if (!token.ok) {
+            const message = req.t(token.reason === 'too_fast' ? 'contact.tooFast' : 'contact.expired');
+            return res.status(400).json({ success: false, message, reason: token.reason });
+        }
+
+        const { email, message, plan, billingPeriod, privacyPolicyVersion } = value;
+
+        // Ignore accidental double submissions and copy-paste spam.
+        const since = new Date(Date.now() - DUPLICATE_WINDOW_MS).toISOString();
+        if (findRecentDuplicate(email, message, since)) {
+            return res.status(409).json({ success: false, message: req.t('contact.duplicate') });
+        }
+
+        const { files, error: attachmentsError } = checkAttachments(attachmentIds, attachments.limits, req.t);
+        if (attachmentsError) {
+            return res.status(400).json({ success: false, message: req.t('contact.invalid'), errors: { attachments: attachmentsError } });
+        }
+
+        // Persist the submission so it survives restarts and shows up in the lead inbox.
+        let lead;
+        try {
+            lead = createLead({
+                email,
+                message,
+                plan,
+                billingPeriod,
+                idempotencyKey: req.idempotencyKey,
+                privacyPolicyVersion,
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+            });
+        } catch (error) {
+            // Two requests with the same key arrived at once and the other one stored the lead.
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && req.idempotencyKey) {
+                return replayed(req, res);
+            }
+            throw error;
+        }
+        // Nothing is awaited between checking the uploads and here, so they are still unclaimed.
+        linkAttachments(lead.id, files.map((file) => file.id));
+        req.log.info('Contact form submission stored', { leadId: lead.id, attachments: files.length });
+
+        // Queue the confirmation and team alert emails. This only writes to the outbox;
+        // delivery (and retrying) happens in the background so the response isn't delayed.
+        notifier.notifyNewLead(lead, files);
+        // Hand the lead to the team's CRM and other tools registered as webhooks (also queued).
+        webhooks.emit('lead.created', lead);
+
+        // Send a success response back to the frontend.
+        // The frontend will use this 'success: true' and 'message' to update its UI.
+        res.status(200).json({ success: true, message: req.t('contact.sent') });
+    });
+
+    return router;
+}
+
+module.exports = createContactRouter;
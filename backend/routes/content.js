@@ -0,0 +1,157 @@
+// backend/routes/content.js
+// Headless content API: versioned JSON documents for the landing-page sections
+// (banner, hero, stats, product, features, steps, footer).
+//
+// The public routes only ever return published versions. Drafts are created, edited and
+// published by the team through the admin routes (dashboard session or admin token).
+// Every section can have a version per locale (en, hi, te); see stores/content.js.
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { CONTENT_SECTIONS, validateContent } = require('../content/sections');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../i18n');
+const {
+    createDraft,
+    getPublishedContent,
+    getVersion,
+    listVersions,
+    publishVersion,
+    updateDraft,
+} = require('../stores/content');
+
+const router = express.Router();
+
+/**
+ * Route guard: 404 for unknown section names, so typos don't create stray sections.
+ */
+function requireKnownSection(req, res, next) {
+    if (!CONTENT_SECTIONS.includes(req.params.section)) {
+        return res.status(404).json({
+            success: false,
+            message: `Unknown content section. Sections: ${CONTENT_SECTIONS.join(', ')}.`,
+        });
+    }
+    next();
+}
+
+/**
+ * Route guard for the editing routes: resolves ?locale= (default English) into req.editLocale.
+ * Unlike the public route, an unsupported locale is an error rather than a silent fallback.
+ */
+function requireEditLocale(req, res, next) {
+    const { locale = DEFAULT_LOCALE } = req.query;
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+        return res.status(400).json({ success: false, message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}.` });
+    }
+    req.editLocale = locale;
+    next();
+}
+
+/**
+ * Parses the :version path parameter.
+ * @param {string} value - Raw value.
+ * @returns {number|null}
+ */
+function parseVersion(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Validates req.body.body against the section's shape and sends a 400 if it doesn't fit.
+ * @returns {boolean} True when the document is valid.
+ */
+function checkDocument(req, res) {
+    const errors = validateContent(req.params.section, req.body?.body);
+    if (errors) {
+        res.status(400).json({ success: false, message: "The content doesn't match this section's format.", errors });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * GET /content?locale=hi
+ * The published document of every section: { locale, content: { banner: {...}, ... }, versions: { banner: 3, ... } }.
+ * The locale comes from ?locale= or Accept-Language (see middleware/locale.js); sections not yet
+ * translated are returned in English. The frontend renders the landing page from this (falling
+ * back to its bundled snapshot).
+ */
+router.get('/', (req, res) => {
+    const published = getPublishedContent(req.locale);
+    const content = {};
+    const versions = {};
+    for (const [section, document] of Object.entries(published)) {
+        content[section] = document.body;
+        versions[section] = document.version;
+    }
+    // Short cache so edits go live within a minute; Express adds an ETag for revalidation.
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ success: true, locale: req.locale, content, versions });
+});
+
+/**
+ * GET /content/:section/versions?locale=hi
+ * Every version of a section in a locale (default en), newest first, including drafts. Admin only.
+ */
+router.get('/:section/versions', requireAuth, requireKnownSection, requireEditLocale, (req, res) => {
+    res.json({ success: true, versions: listVersions(req.params.section, req.editLocale) });
+});
+
+/**
+ * GET /content/:section/versions/:version
+ * One version of a section (e.g. to preview a draft). Admin only.
+ */
+router.get('/:section/versions/:version', requireAuth, requireKnownSection, (req, res) => {
+    const version = parseVersion(req.params.version);
+    const document = version && getVersion(req.params.section, version);
+    if (!document) {
+        return res.status(404).json({ success: false, message: "Content version not found." });
+    }
+    res.json({ success: true, document });
+});
+
+/**
+ * POST /content/:section/versions?locale=hi
+ * Creates the next version as a draft in a locale (default en).
+ * Body: { "body": { ...section document } }. Admin only.
+ */
+router.post('/:section/versions', requireAuth, requireKnownSection, requireEditLocale, (req, res) => {
+    if (!checkDocument(req, res)) {
+        return;
+    }
+    const document = createDraft(req.params.section, req.editLocale, req.body.body, req.user ? req.user.id : null);
+    res.status(201).json({ success: true, document });
+});
+
+/**
+ * PUT /content/:section/versions/:version
+ * Replaces a draft's document. Published and archived versions can't be edited. Admin only.
+ */
+router.put('/:section/versions/:version', requireAuth, requireKnownSection, (req, res) => {
+    const version = parseVersion(req.params.version);
+    if (!checkDocument(req, res)) {
+        return;
+    }
+    const document = version && updateDraft(req.params.section, version, req.body.body, req.user ? req.user.id : null);
+    if (!document) {
+        return res.status(404).json({ success: false, message: "Draft not found. Only drafts can be edited." });
+    }
+    res.json({ success: true, document });
+});
+
+/**
+ * POST /content/:section/versions/:version/publish
+ * Publishes a draft, or an archived version to roll back. Admin only.
+ */
+router.post('/:section/versions/:version/publish', requireAuth, requireKnownSection, (req, res) => {
+    const version = parseVersion(req.params.version);
+    const document = version && publishVersion(req.params.section, version);
+    if (!document) {
+        return res.status(404).json({ success: false, message: "Content version not found." });
+    }
+    req.log.info('Content published', { section: document.section, version: document.version, locale: document.locale });
+    res.json({ success: true, document });
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+// backend/routes/demo.js
+// Product demo scheduling API: open slots, bookings, and self-service cancel/reschedule.
+
+const express = require('express');
+const { validate } = require('../validation');
+const { requireAuth } = require('../middleware/auth');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const { findSlot, generateSlots, loadAvailabilityConfig } = require('../demo/availability');
+const { buildDemoInvite } = require('../demo/ics');
+const {
+    SlotTakenError,
+    cancelBooking,
+    createBooking,
+    findBookingByToken,
+    listBookedStarts,
+    listBookings,
+    rescheduleBooking,
+} = require('../stores/demoBookings');
+
+// Accepted fields for POST /demo/bookings.
+const bookingSchema = {
+    name: { label: 'Name', required: true, sanitize: true, maxLength: 120 },
+    email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+    company: { label: 'Company', sanitize: true, maxLength: 120, optional: true },
+    notes: { label: 'Notes', sanitize: true, maxLength: 2000, optional: true },
+    start: { label: 'Time slot', required: true, maxLength: 40 },
+    timeZone: { label: 'Time zone', required: true, maxLength: 64 },
+};
+
+const cancelSchema = {
+    token: { label: 'Token', required: true, maxLength: 100 },
+};
+
+const rescheduleSchema = {
+    token: { label: 'Token', required: true, maxLength: 100 },
+    start: { label: 'Time slot', required: true, maxLength: 40 },
+};
+
+/**
+ * True when `timeZone` is an IANA zone the runtime knows about.
+ * @param {string} timeZone - E.g. "Asia/Kolkata".
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Builds the self-service links included in booking emails. They open the frontend,
+ * which reads the token from the query string (FRONTEND_URL, default the Vite dev server).
+ * @param {string} cancelToken - Raw cancel token.
+ * @param {string} rescheduleToken - Raw reschedule token.
+ * @returns {{ cancelUrl: string, rescheduleUrl: string }}
+ */
+function buildManageUrls(cancelToken, rescheduleToken) {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return {
+        cancelUrl: `${base}/?demo_cancel=${encodeURIComponent(cancelToken)}`,
+        rescheduleUrl: `${base}/?demo_reschedule=${encodeURIComponent(rescheduleToken)}`,
+    };
+}
+
+/**
+ * Finds an open slot for `start`: it must be offered by the availability config and not booked
+ * (a booking being rescheduled may keep its own slot).
+ * @param {string} start - Requested slot start.
+ * @param {object} [ownBooking] - Booking being rescheduled.
+ * @returns {{ start: string, end: string }|null}
+ */
+function findOpenSlot(start, ownBooking) {
+    const slot = findSlot(loadAvailabilityConfig(), start);
+    if (!slot) return null;
+    const taken = listBookedStarts().has(slot.start) && (!ownBooking || ownBooking.start !== slot.start);
+    return taken ? null : slot;
+}
+
+/**
+ * createDemoRouter: Builds the /demo routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.notifier - Notifier used to send confirmations and invites (see notifier/).
+ * @param {object} [deps.rateLimitStore] - Store for booking rate limits (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createDemoRouter({ notifier, rateLimitStore = createMemoryStore() }) {
+    const router = express.Router();
+    const organizerEmail = process.env.TEAM_EMAIL || undefined;
+
+    const limitByIp = createRateLimiter({
+        name: 'demo-ip',
+        windowMs: 60 * 60 * 1000,
+        max: 10,
+        store: rateLimitStore,
+        message: "Too many booking requests from your network. Please try again later.",
+    });
+
+    /**
+     * GET /demo/slots
+     * Open slots within the booking horizon, as UTC ISO timestamps.
+     * Optional query: from, to (ISO date/time) to narrow the range.
+     */
+    router.get('/slots', (req, res) => {
+        const config = loadAvailabilityConfig();
+        const booked = listBookedStarts();
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+            return res.status(400).json({ success: false, message: "'from' and 'to' must be valid dates." });
+        }
+
+        const slots = generateSlots(config).filter((slot) => {
+            const start = new Date(slot.start);
+            return !booked.has(slot.start) && (!from || start >= from) && (!to || start <= to);
+        });
+        res.json({ success: true, timeZone: config.timeZone, slotMinutes: config.slotMinutes, slots });
+    });
+
+    /**
+     * POST /demo/bookings
+     * Body: { name, email, company?, notes?, start, timeZone }.
+     * Responds with the booking, its cancel/reschedule tokens and the .ics invite.
+     */
+    router.post('/bookings', limitByIp, (req, res) => {
+        const { value, errors } = validate(bookingSchema, req.body);
+        if (!errors && !isValidTimeZone(value.timeZone)) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors: { timeZone: 'Unknown time zone.' } });
+        }
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+
+        const slot = findOpenSlot(value.start);
+        if (!slot) {
+            return res.status(409).json({ success: false, message: "That time is no longer available. Please pick another slot." });
+        }
+
+        let created;
+        try {
+            created = createBooking({ ...value, start: slot.start, end: slot.end });
+        } catch (error) {
+            if (error instanceof SlotTakenError) {
+                return res.status(409).json({ success: false, message: "That time is no longer available. Please pick another slot." });
+            }
+            throw error;
+        }
+
+        const { booking, cancelToken, rescheduleToken } = created;
+        const ics = buildDemoInvite(booking, { organizerEmail });
+        notifier.notifyDemoBooking('booked', booking, { ics, ...buildManageUrls(cancelToken, rescheduleToken) });
+        req.log.info('Demo booked', { bookingId: booking.id, start: booking.start });
+
+        res.status(201).json({
+            success: true,
+            message: "Your demo is booked! We've emailed you a confirmation and calendar invite.",
+            booking,
+            cancelToken,
+            rescheduleToken,
+            ics,
+        });
+    });
+
+    /**
+     * POST /demo/bookings/cancel
+     * Body: { token } — the cancel token from the booking confirmation.
+     */
+    router.post('/bookings/cancel', (req, res) => {
+        const { value, errors } = validate(cancelSchema, req.body);
+        const booking = !errors && findBookingByToken('cancel', value.token);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: "This booking link is invalid or the demo was already cancelled." });
+        }
+
+        const cancelled = cancelBooking(booking.id);
+        notifier.notifyDemoBooking('cancelled', cancelled, { ics: buildDemoInvite(cancelled, { organizerEmail, method: 'CANCEL' }) });
+        res.json({ success: true, message: "Your demo has been cancelled.", booking: cancelled });
+    });
+
+    /**
+     * POST /demo/bookings/reschedule
+     * Body: { token, start } — the reschedule token and the new slot start.
+     */
+    router.post('/bookings/reschedule', (req, res) => {
+        const { value, errors } = validate(rescheduleSchema, req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+        const booking = findBookingByToken('reschedule', value.token);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: "This booking link is invalid or the demo was cancelled." });
+        }
+
+        const slot = findOpenSlot(value.start, booking);
+        let rescheduled = null;
+        try {
+            rescheduled = slot && rescheduleBooking(booking.id, slot.start, slot.end);
+        } catch (error) {
+            if (!(error instanceof SlotTakenError)) throw error;
+        }
+        if (!rescheduled) {
+            return res.status(409).json({ success: false, message: "That time is no longer available. Please pick another slot." });
+        }
+
+        const { booking: updated, cancelToken } = rescheduled;
+        const ics = buildDemoInvite(updated, { organizerEmail });
+        notifier.notifyDemoBooking('rescheduled', updated, { ics, ...buildManageUrls(cancelToken, value.token) });
+        res.json({
+            success: true,
+            message: "Your demo has been rescheduled. We've emailed you an updated invite.",
+            booking: updated,
+            cancelToken,
+            rescheduleToken: value.token,
+            ics,
+        });
+    });
+
+    /**
+     * GET /demo/bookings
+     * All bookings for the team. Optional query: status. Requires a dashboard session or the admin token.
+     */
+    router.get('/bookings', requireAuth, (req, res) => {
+        const { status } = req.query;
+        if (status !== undefined && !['confirmed', 'cancelled'].includes(status)) {
+            return res.status(400).json({ success: false, message: "Status must be one of: confirmed, cancelled." });
+        }
+        res.json({ success: true, bookings: listBookings({ status }) });
+    });
+
+    return router;
+}
+
+module.exports = createDemoRouter;
@@ -0,0 +1,100 @@
+// backend/routes/events.js
+// First-party analytics API: the landing page reports section views, CTA clicks and contact
+// form progress in batches, and the admin dashboard reads the funnel.
+//
+// Only daily counts per event are stored (see stores/analytics.js). Requests from browsers
+// that send Do Not Track or Global Privacy Control are accepted but not recorded.
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const { EVENT_TYPES, getFunnel, recordEvents } = require('../stores/analytics');
+
+// Largest batch accepted by POST /events (the frontend sends at most this many at once)
+const MAX_BATCH_SIZE = 50;
+// Section, CTA and form names: short lowercase identifiers such as "pricing" or "plan-pro"
+const TARGET_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/;
+// Longest period GET /events/funnel reports on, in days
+const MAX_FUNNEL_DAYS = 365;
+
+/**
+ * Whether the browser asked not to be tracked (DNT: 1 or Sec-GPC: 1).
+ * @param {express.Request} req - The current request.
+ * @returns {boolean}
+ */
+function optedOut(req) {
+    return req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+}
+
+/**
+ * Checks a POST /events body.
+ * @param {object} body - The parsed request body: { events: [{ type, target }] }.
+ * @returns {{ events?: object[], error?: string }} The events, or a message describing the problem.
+ */
+function parseEvents(body) {
+    const events = body && body.events;
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH_SIZE) {
+        return { error: `'events' must be a list of 1 to ${MAX_BATCH_SIZE} events.` };
+    }
+    for (const event of events) {
+        if (!event || !EVENT_TYPES.includes(event.type)) {
+            return { error: `Event type must be one of: ${EVENT_TYPES.join(', ')}.` };
+        }
+        if (typeof event.target !== 'string' || !TARGET_PATTERN.test(event.target)) {
+            return { error: "Event target must be a short lowercase name (letters, digits, '-', '_' or '.')." };
+        }
+    }
+    return { events: events.map(({ type, target }) => ({ type, target })) };
+}
+
+/**
+ * createEventsRouter: Builds the /events routes.
+ * @param {object} [deps] - Collaborators.
+ * @param {object} [deps.rateLimitStore] - Store for the per-IP limit (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createEventsRouter({ rateLimitStore = createMemoryStore() } = {}) {
+    const router = express.Router();
+
+    // A visitor sends a batch every few seconds at most; this only stops floods
+    const limitByIp = createRateLimiter({
+        name: 'events-ip',
+        windowMs: 60 * 1000,
+        max: 60,
+        store: rateLimitStore,
+    });
+
+    /**
+     * POST /events
+     * Body: { events: [{ type, target }] }, e.g. { type: "cta_click", target: "hero-demo" }.
+     * Answers 202 with the number of events counted (0 when the browser opted out).
+     */
+    router.post('/', limitByIp, (req, res) => {
+        const { events, error } = parseEvents(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (optedOut(req)) {
+            return res.status(202).json({ success: true, accepted: 0 });
+        }
+        recordEvents(events);
+        res.status(202).json({ success: true, accepted: events.length });
+    });
+
+    /**
+     * GET /events/funnel?days=30
+     * Daily page views → CTA clicks → form starts → submissions, with totals per CTA and
+     * per section. Requires a dashboard session or the admin token.
+     */
+    router.get('/funnel', requireAuth, (req, res) => {
+        const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+        if (!Number.isInteger(days) || days < 1 || days > MAX_FUNNEL_DAYS) {
+            return res.status(400).json({ success: false, message: `'days' must be an integer from 1 to ${MAX_FUNNEL_DAYS}.` });
+        }
+        res.json({ success: true, funnel: getFunnel(days) });
+    });
+
+    return router;
+}
+
+module.exports = createEventsRouter;
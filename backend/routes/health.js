@@ -0,0 +1,120 @@
+// backend/routes/health.js
+// Operational endpoints for load balancers, orchestrators and monitoring:
+// GET /healthz (liveness), GET /readyz (readiness) and GET /metrics (Prometheus).
+
+const express = require('express');
+const db = require('../db');
+const { getBearerToken, safeEqual } = require('../middleware/auth');
+
+// A readiness probe shouldn't hang on a slow dependency
+const CHECK_TIMEOUT_MS = 3000;
+// Probes run every few seconds; don't open an SMTP connection for each of them
+const MAIL_CHECK_CACHE_MS = 30 * 1000;
+
+/**
+ * Rejects if `promise` doesn't settle within `ms`.
+ * @param {Promise} promise - The check.
+ * @param {number} ms - Time limit.
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * createHealthRouter: Builds the health and metrics routes (mounted at the root).
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.transport - Mail transport with a `check` method (see notifier/transports.js).
+ * @param {object} deps.metrics - Registry from metrics.js.
+ * @param {function} deps.isShuttingDown - () => true once the server is draining (see shutdown.js).
+ * @returns {express.Router}
+ */
+function createHealthRouter({ transport, metrics, isShuttingDown }) {
+    const router = express.Router();
+    let mailCheck = null; // { checkedAt, promise } of the last mail check
+
+    /**
+     * Storage: the database answers a query.
+     * @returns {Promise<void>}
+     */
+    async function checkStorage() {
+        db.prepare('SELECT 1').get();
+    }
+
+    /**
+     * Mail: the transport can deliver (SMTP: the server accepts a connection and our login).
+     * The result is reused for MAIL_CHECK_CACHE_MS.
+     * @returns {Promise<void>}
+     */
+    function checkMail() {
+        if (!mailCheck || Date.now() - mailCheck.checkedAt > MAIL_CHECK_CACHE_MS) {
+            mailCheck = { checkedAt: Date.now(), promise: withTimeout(transport.check(), CHECK_TIMEOUT_MS) };
+            // A failed check is retried on the next probe rather than cached
+            mailCheck.promise.catch(() => {
+                mailCheck = null;
+            });
+        }
+        return mailCheck.promise;
+    }
+
+    /**
+     * GET /healthz
+     * Liveness: the process is up and serving requests. Doesn't look at dependencies, so a
+     * database or mail outage doesn't get the process restarted.
+     */
+    router.get('/healthz', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    /**
+     * GET /readyz
+     * Readiness: whether this instance should get traffic. Checks storage (SQLite) and mail
+     * (the configured transport) and answers 503 if either fails, or while shutting down.
+     * Response: { success, status: 'ready' | 'not_ready' | 'shutting_down', checks: { storage, mail } }
+     * where each check is { ok, error? }.
+     */
+    router.get('/readyz', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        if (isShuttingDown()) {
+            return res.status(503).json({ success: false, status: 'shutting_down', checks: {} });
+        }
+
+        const names = ['storage', 'mail'];
+        const results = await Promise.allSettled([withTimeout(checkStorage(), CHECK_TIMEOUT_MS), checkMail()]);
+        const checks = {};
+        results.forEach((result, i) => {
+            checks[names[i]] = result.status === 'fulfilled' ? { ok: true } : { ok: false, error: result.reason.message };
+        });
+        const ready = results.every((result) => result.status === 'fulfilled');
+        if (!ready) {
+            req.log.warn('Readiness check failed', { checks });
+        }
+        res.status(ready ? 200 : 503).json({ success: ready, status: ready ? 'ready' : 'not_ready', checks });
+    });
+
+    /**
+     * GET /metrics
+     * Request counts, latency histograms and process stats in the Prometheus text format.
+     * With METRICS_TOKEN set, scrapers must send it as "Authorization: Bearer <token>".
+     */
+    router.get('/metrics', (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token) {
+            const sent = getBearerToken(req);
+            if (!sent || !safeEqual(sent, token)) {
+                return res.status(401).json({ success: false, message: "Authentication required." });
+            }
+        }
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    return router;
+}
+
+module.exports = createHealthRouter;
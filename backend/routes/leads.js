@@ -0,0 +1,251 @@
+// backend/routes/leads.js
+// Lead inbox API: lets the sales team list, inspect and update contact form submissions.
+// Every route here requires a dashboard session or the admin token (see middleware/auth.js).
+// Status changes are sent to webhooks subscribed to lead.updated (see webhooks/).
+// Files attached to the contact form are downloaded through here too (see attachments/).
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../validation');
+const { toCsv } = require('../csv');
+const {
+    LEAD_SORT_COLUMNS,
+    LEAD_STATUSES,
+    addNote,
+    exportLeads,
+    getLead,
+    listLeads,
+    listNotes,
+    updateLead,
+} = require('../stores/leads');
+const { getLeadAttachment, listAttachments } = require('../stores/attachments');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const noteSchema = {
+    body: { label: 'Note', required: true, sanitize: true, maxLength: 5000 },
+};
+
+// Columns included in the CSV export, in order.
+const CSV_COLUMNS = [
+    { key: 'id', header: 'ID' },
+    { key: 'createdAt', header: 'Created at' },
+    { key: 'status', header: 'Status' },
+    { key: 'email', header: 'Email' },
+    { key: 'message', header: 'Message' },
+    { key: 'plan', header: 'Plan' },
+    { key: 'billingPeriod', header: 'Billing period' },
+    { key: 'ip', header: 'IP' },
+    { key: 'userAgent', header: 'User agent' },
+    { key: 'consentAt', header: 'Consent given at' },
+    { key: 'privacyPolicyVersion', header: 'Privacy policy version' },
+    { key: 'updatedAt', header: 'Updated at' },
+];
+
+/**
+ * Parses a positive integer query/path parameter.
+ * @param {string} value - Raw value from the request.
+ * @returns {number|null} The integer, or null if it isn't a positive integer.
+ */
+function parsePositiveInt(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Normalizes a date filter to an ISO timestamp comparable with created_at.
+ * A bare "YYYY-MM-DD" used as the upper bound covers that whole day.
+ * @param {string} value - Raw value from the query string.
+ * @param {boolean} endOfDay - True for the "to" bound.
+ * @returns {string|null} ISO timestamp, or null if the value isn't a valid date.
+ */
+function parseDateFilter(value, endOfDay) {
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parses the filter and sort query parameters shared by GET /leads and GET /leads/export.
+ * @param {object} query - req.query.
+ * @returns {{ filters?: object, error?: string }} The filters, or a message describing the bad parameter.
+ */
+function parseLeadQuery(query) {
+    const { status, from, to, q, sort, order, ids } = query;
+
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+        return { error: `Status must be one of: ${LEAD_STATUSES.join(', ')}.` };
+    }
+
+    const fromIso = from !== undefined ? parseDateFilter(from, false) : undefined;
+    const toIso = to !== undefined ? parseDateFilter(to, true) : undefined;
+    if (fromIso === null || toIso === null) {
+        return { error: "'from' and 'to' must be valid dates." };
+    }
+
+    if (sort !== undefined && !Object.hasOwn(LEAD_SORT_COLUMNS, sort)) {
+        return { error: `Sort must be one of: ${Object.keys(LEAD_SORT_COLUMNS).join(', ')}.` };
+    }
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+        return { error: "Order must be 'asc' or 'desc'." };
+    }
+
+    // ids=1,2,3 narrows the result to selected leads (used for bulk export)
+    const idList = ids !== undefined ? String(ids).split(',').map(parsePositiveInt) : undefined;
+    if (idList && idList.some((id) => id === null)) {
+        return { error: "'ids' must be a comma-separated list of lead ids." };
+    }
+
+    return {
+        filters: {
+            status,
+            from: fromIso,
+            to: toIso,
+            q: typeof q === 'string' && q.trim() ? q.trim() : undefined,
+            ids: idList,
+            sort,
+            order,
+        },
+    };
+}
+
+/**
+ * createLeadsRouter: Builds the /leads routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.webhooks - Webhook dispatcher that sends lead.updated events (see webhooks/).
+ * @param {object} deps.attachments - Storage holding the files attached to leads (see attachments/).
+ * @returns {express.Router}
+ */
+function createLeadsRouter({ webhooks, attachments }) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    /**
+     * GET /leads
+     * Query parameters: status, from, to (ISO dates), q (search text), sort (createdAt, updatedAt,
+     * email, status), order (asc, desc), page (default 1), limit (default 20, max 100).
+     */
+    router.get('/', (req, res) => {
+        const { filters, error } = parseLeadQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const page = req.query.page !== undefined ? parsePositiveInt(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? parsePositiveInt(req.query.limit) : DEFAULT_LIMIT;
+        if (!page || !limit) {
+            return res.status(400).json({ success: false, message: "'page' and 'limit' must be positive integers." });
+        }
+        const pageSize = Math.min(limit, MAX_LIMIT);
+
+        const { leads, total } = listLeads({ ...filters, page, limit: pageSize });
+        res.json({
+            success: true,
+            leads,
+            pagination: { page, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) },
+        });
+    });
+
+    /**
+     * GET /leads/export
+     * Downloads every lead matching the same filters as GET /leads (or only ?ids=...) as CSV.
+     */
+    router.get('/export', (req, res) => {
+        const { filters, error } = parseLeadQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const fileName = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(toCsv(exportLeads(filters), CSV_COLUMNS));
+    });
+
+    /**
+     * GET /leads/:id
+     * Returns a single lead with its internal notes and attachments.
+     */
+    router.get('/:id', (req, res) => {
+        const id = parsePositiveInt(req.params.id);
+        const lead = id && getLead(id);
+        if (!lead) {
+            return res.status(404).json({ success: false, message: "Lead not found." });
+        }
+        res.json({ success: true, lead, notes: listNotes(id), attachments: listAttachments(id) });
+    });
+
+    /**
+     * GET /leads/:id/attachments/:attachmentId
+     * Downloads a file the visitor attached to the lead, under the name they gave it. Files are
+     * always sent as downloads and never rendered by the browser on our origin.
+     */
+    router.get('/:id/attachments/:attachmentId', (req, res, next) => {
+        const id = parsePositiveInt(req.params.id);
+        const attachment = id && getLeadAttachment(id, req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: "Attachment not found." });
+        }
+
+        res.attachment(attachment.name);
+        res.type(attachment.mimeType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(attachments.filePath(attachment.storageName), { cacheControl: false }, (error) => {
+            if (!error) return;
+            if (error.code === 'ENOENT' && !res.headersSent) {
+                req.log.error('Attachment file missing', { leadId: id, attachmentId: attachment.id });
+                return res.status(404).json({ success: false, message: "Attachment file is missing." });
+            }
+            next(error);
+        });
+    });
+
+    /**
+     * PATCH /leads/:id
+     * Updates a lead's pipeline status. Body: { "status": "new" | "contacted" | "closed" }.
+     */
+    router.patch('/:id', (req, res) => {
+        const id = parsePositiveInt(req.params.id);
+        const { status } = req.body || {};
+
+        if (!LEAD_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${LEAD_STATUSES.join(', ')}.` });
+        }
+
+        const previous = id && getLead(id);
+        if (!previous) {
+            return res.status(404).json({ success: false, message: "Lead not found." });
+        }
+        const lead = updateLead(id, { status });
+        if (lead.status !== previous.status) {
+            webhooks.emit('lead.updated', lead, { status: { from: previous.status, to: lead.status } });
+        }
+        res.json({ success: true, lead });
+    });
+
+    /**
+     * POST /leads/:id/notes
+     * Adds an internal note. Body: { "body": "Called, wants a quote for 3 shops" }.
+     */
+    router.post('/:id/notes', (req, res) => {
+        const id = parsePositiveInt(req.params.id);
+        if (!id || !getLead(id)) {
+            return res.status(404).json({ success: false, message: "Lead not found." });
+        }
+
+        const { value, errors } = validate(noteSchema, req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+
+        const note = addNote(id, { body: value.body, authorId: req.user ? req.user.id : null });
+        res.status(201).json({ success: true, note });
+    });
+
+    return router;
+}
+
+module.exports = createLeadsRouter;
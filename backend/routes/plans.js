@@ -0,0 +1,22 @@
+// backend/routes/plans.js
+// Public pricing API: the plans shown in the landing page's pricing section.
+
+const express = require('express');
+const { loadPlans } = require('../plans');
+
+const router = express.Router();
+
+/**
+ * GET /plans?locale=hi
+ * Plans in display order, each with currency, featured flag, benefits and prices per billing
+ * period (the yearly period includes the computed discount). `periods` is null for plans with
+ * custom pricing. Names and benefits are in the request's locale (see middleware/locale.js).
+ * Edit config/plans.json (or the file in PLANS_PATH) to change them.
+ */
+router.get('/', (req, res) => {
+    // Prices change rarely; let browsers reuse the response for a few minutes.
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ success: true, plans: loadPlans(req.locale) });
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// backend/routes/privacy.js
+// Privacy API: self-service data export and erasure through emailed one-time links, and the
+// audit log for admins. The flow and the retention job are described in privacy/.
+
+const express = require('express');
+const { validate } = require('../validation');
+const { requireAuth } = require('../middleware/auth');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const { AUDIT_ACTIONS, REQUEST_TYPES, hashEmail, listAuditLog } = require('../stores/privacy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Accepted fields for POST /privacy/requests.
+const requestSchema = {
+    email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+    type: { label: 'Request', required: true, oneOf: REQUEST_TYPES },
+};
+
+// Accepted fields for POST /privacy/link, /privacy/export and /privacy/erase.
+const tokenSchema = {
+    token: { label: 'Token', required: true, maxLength: 2048 },
+};
+
+// Status and message for each reason a link can't be used.
+const LINK_ERRORS = {
+    invalid: { status: 400, key: 'privacy.linkInvalid' },
+    expired: { status: 410, key: 'privacy.linkExpired' },
+    used: { status: 410, key: 'privacy.linkUsed' },
+};
+
+/**
+ * Parses a positive integer query parameter.
+ * @param {string} value - Raw value from the request.
+ * @returns {number|null} The integer, or null if it isn't a positive integer.
+ */
+function parsePositiveInt(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Answers a request whose link can't be used.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {string} reason - From the privacy service: 'invalid', 'expired' or 'used'.
+ */
+function rejectLink(req, res, reason) {
+    const { status, key } = LINK_ERRORS[reason] || LINK_ERRORS.invalid;
+    res.status(status).json({ success: false, message: req.t(key), reason });
+}
+
+/**
+ * createPrivacyRouter: Builds the /privacy routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.privacy - Privacy service (see privacy/).
+ * @param {object} [deps.rateLimitStore] - Store for request rate limits (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createPrivacyRouter({ privacy, rateLimitStore = createMemoryStore() }) {
+    const router = express.Router();
+
+    // Each request sends an email, so keep them rare per IP and per address
+    // (PRIVACY_RATE_LIMIT_* env variables).
+    const limitByIp = createRateLimiter({
+        name: 'privacy-ip',
+        windowMs: Number(process.env.PRIVACY_RATE_LIMIT_IP_WINDOW_MS) || 60 * 60 * 1000,
+        max: Number(process.env.PRIVACY_RATE_LIMIT_IP_MAX) || 5,
+        store: rateLimitStore,
+        message: (req) => req.t('privacy.rateLimit'),
+    });
+    const limitByEmail = createRateLimiter({
+        name: 'privacy-email',
+        windowMs: Number(process.env.PRIVACY_RATE_LIMIT_EMAIL_WINDOW_MS) || 60 * 60 * 1000,
+        max: Number(process.env.PRIVACY_RATE_LIMIT_EMAIL_MAX) || 3,
+        keyGenerator: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+        store: rateLimitStore,
+        message: (req) => req.t('privacy.rateLimit'),
+    });
+
+    /**
+     * POST /privacy/requests
+     * Body: { email, type: "export" | "erasure" }. Emails a one-time link to the address when
+     * anything is stored about it. The answer is the same either way, so nobody can find out
+     * whether an address is known.
+     */
+    router.post('/requests', limitByIp, limitByEmail, (req, res) => {
+        const { value, errors } = validate(requestSchema, req.body, { t: req.t });
+        if (errors) {
+            return res.status(400).json({ success: false, message: req.t('privacy.invalid'), errors });
+        }
+        const sent = privacy.requestLink(value);
+        req.log.info('Privacy request received', { type: value.type, linkSent: sent });
+        res.status(202).json({ success: true, message: req.t('privacy.requestSent') });
+    });
+
+    /**
+     * POST /privacy/link
+     * Body: { token } from an emailed link. Tells the privacy page what the link is for
+     * ({ request: { type, expiresAt } }) without using it up.
+     */
+    router.post('/link', (req, res) => {
+        const { value, errors } = validate(tokenSchema, req.body, { t: req.t });
+        if (errors) {
+            return rejectLink(req, res, 'invalid');
+        }
+        const link = privacy.checkLink(value.token);
+        if (!link.ok) {
+            return rejectLink(req, res, link.reason);
+        }
+        const { type, expiresAt } = link.request;
+        res.json({ success: true, request: { type, expiresAt } });
+    });
+
+    /**
+     * POST /privacy/export
+     * Body: { token } from an export link. Answers with everything stored about the address
+     * ({ data }), and uses up the link.
+     */
+    router.post('/export', (req, res) => {
+        const { value, errors } = validate(tokenSchema, req.body, { t: req.t });
+        if (errors) {
+            return rejectLink(req, res, 'invalid');
+        }
+        const result = privacy.exportData(value.token, { ip: req.ip });
+        if (!result.ok) {
+            return rejectLink(req, res, result.reason);
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, data: result.data });
+    });
+
+    /**
+     * POST /privacy/erase
+     * Body: { token } from an erasure link. Deletes everything stored about the address, and
+     * uses up the link.
+     */
+    router.post('/erase', async (req, res) => {
+        const { value, errors } = validate(tokenSchema, req.body, { t: req.t });
+        if (errors) {
+            return rejectLink(req, res, 'invalid');
+        }
+        const result = await privacy.eraseData(value.token, { ip: req.ip });
+        if (!result.ok) {
+            return rejectLink(req, res, result.reason);
+        }
+        res.json({ success: true, message: req.t('privacy.erased') });
+    });
+
+    /**
+     * GET /privacy/audit
+     * One page of the privacy audit log, newest first. Requires a dashboard session or the admin token.
+     * Query: action (export, erasure, retention_purge), email (entries about this address),
+     * page, limit. Also returns the retention periods in effect (days, null = forever).
+     */
+    router.get('/audit', requireAuth, (req, res) => {
+        const { action, email } = req.query;
+        if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ success: false, message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}.` });
+        }
+        if (email !== undefined && typeof email !== 'string') {
+            return res.status(400).json({ success: false, message: "'email' must be an email address." });
+        }
+        const page = req.query.page !== undefined ? parsePositiveInt(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? parsePositiveInt(req.query.limit) : DEFAULT_LIMIT;
+        if (!page || !limit) {
+            return res.status(400).json({ success: false, message: "'page' and 'limit' must be positive integers." });
+        }
+        const pageSize = Math.min(limit, MAX_LIMIT);
+
+        const { entries, total } = listAuditLog({
+            action,
+            emailHash: email ? hashEmail(email) : undefined,
+            page,
+            limit: pageSize,
+        });
+        res.json({
+            success: true,
+            entries,
+            retentionDays: privacy.retention,
+            pagination: { page, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) },
+        });
+    });
+
+    return router;
+}
+
+module.exports = createPrivacyRouter;
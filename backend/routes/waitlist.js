@@ -0,0 +1,129 @@
+// backend/routes/waitlist.js
+// AI SmartBill waitlist API: signups with double opt-in and queue positions.
+
+const express = require('express');
+const { validate } = require('../validation');
+const { requireAuth } = require('../middleware/auth');
+const { createMemoryStore, createRateLimiter } = require('../middleware/rateLimit');
+const {
+    WAITLIST_SOURCES,
+    confirmSignup,
+    createSignup,
+    findSignupByEmail,
+    getQueuePosition,
+    getWaitlistStats,
+    listSignups,
+    renewConfirmToken,
+} = require('../stores/waitlist');
+
+// Accepted fields for POST /waitlist. Anything else in the body is rejected.
+const signupSchema = {
+    email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+    shopName: { label: 'Shop name', required: true, sanitize: true, maxLength: 120 },
+    city: { label: 'City', required: true, sanitize: true, maxLength: 80 },
+    source: { label: 'Source', required: true, oneOf: WAITLIST_SOURCES },
+};
+
+/**
+ * Builds the link that confirms a signup. Uses PUBLIC_API_URL when the backend sits
+ * behind a proxy or a different public host name.
+ * @param {express.Request} req - The current request.
+ * @param {string} token - The raw confirmation token.
+ * @returns {string} Absolute URL.
+ */
+function buildConfirmUrl(req, token) {
+    const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/waitlist/confirm?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * createWaitlistRouter: Builds the /waitlist routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.notifier - Notifier used to queue confirmation emails (see notifier/).
+ * @param {object} [deps.rateLimitStore] - Store for signup rate limits (see middleware/rateLimit.js).
+ * @returns {express.Router}
+ */
+function createWaitlistRouter({ notifier, rateLimitStore = createMemoryStore() }) {
+    const router = express.Router();
+
+    const limitByIp = createRateLimiter({
+        name: 'waitlist-ip',
+        windowMs: 60 * 60 * 1000,
+        max: 10,
+        store: rateLimitStore,
+        message: "Too many signups from your network. Please try again later.",
+    });
+
+    /**
+     * POST /waitlist
+     * Body: { email, shopName, city, source: "banner" | "spotlight" | "beta" }.
+     * Signing up twice with the same email doesn't create a second entry; it reports the
+     * existing place in line (and re-sends the confirmation email if still unconfirmed).
+     */
+    router.post('/', limitByIp, (req, res) => {
+        const { value, errors } = validate(signupSchema, req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+
+        const existing = findSignupByEmail(value.email);
+        if (existing) {
+            if (!existing.confirmed) {
+                notifier.notifyWaitlistSignup(existing, buildConfirmUrl(req, renewConfirmToken(existing.id)));
+            }
+            return res.status(200).json({
+                success: true,
+                alreadyJoined: true,
+                confirmed: existing.confirmed,
+                position: getQueuePosition(existing.id),
+                message: existing.confirmed
+                    ? "You're already on the waitlist."
+                    : "You're already on the waitlist. We've re-sent the confirmation email.",
+            });
+        }
+
+        const { signup, confirmToken } = createSignup({ ...value, ip: req.ip });
+        notifier.notifyWaitlistSignup(signup, buildConfirmUrl(req, confirmToken));
+        req.log.info('Waitlist signup stored', { signupId: signup.id, source: signup.source });
+
+        res.status(201).json({
+            success: true,
+            alreadyJoined: false,
+            confirmed: false,
+            position: getQueuePosition(signup.id),
+            message: "You're on the list! Please check your inbox to confirm your email.",
+        });
+    });
+
+    /**
+     * GET /waitlist/confirm?token=...
+     * Target of the link in the confirmation email.
+     */
+    router.get('/confirm', (req, res) => {
+        const signup = typeof req.query.token === 'string' ? confirmSignup(req.query.token) : null;
+        if (!signup) {
+            return res.status(400).send('This confirmation link is invalid or has already been used.');
+        }
+        res.send(`Thanks! ${signup.email} is confirmed. You're #${getQueuePosition(signup.id)} on the AI SmartBill waitlist.`);
+    });
+
+    /**
+     * GET /waitlist
+     * Every signup in queue order. Requires a dashboard session or the admin token.
+     */
+    router.get('/', requireAuth, (req, res) => {
+        res.json({ success: true, signups: listSignups() });
+    });
+
+    /**
+     * GET /waitlist/stats
+     * Totals by source and city for launch planning. Requires a dashboard session or the admin token.
+     */
+    router.get('/stats', requireAuth, (req, res) => {
+        res.json({ success: true, stats: getWaitlistStats() });
+    });
+
+    return router;
+}
+
+module.exports = createWaitlistRouter;
@@ -0,0 +1,277 @@
+// backend/routes/webhooks.js
+// Webhook admin API: register URLs that receive lead events, and inspect the delivery log.
+// Every route requires a dashboard session or the admin token (see middleware/auth.js).
+// Payloads, signatures and retries are described in webhooks/.
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+    DELIVERY_STATUSES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    createWebhook,
+    deleteWebhook,
+    getDelivery,
+    getWebhook,
+    listDeliveries,
+    listWebhooks,
+    retryDelivery,
+    rotateSecret,
+    updateWebhook,
+} = require('../stores/webhooks');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Parses a positive integer query/path parameter.
+ * @param {string} value - Raw value from the request.
+ * @returns {number|null} The integer, or null if it isn't a positive integer.
+ */
+function parsePositiveInt(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Checks a webhook URL: absolute http(s), without credentials (put secrets in the signature,
+ * not the URL, which shows up in the dashboard).
+ * @param {*} value - Raw value.
+ * @returns {string|null} An error message, or null when valid.
+ */
+function checkUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+        return `URL must be text of at most ${MAX_URL_LENGTH} characters.`;
+    }
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return "URL must be an absolute http:// or https:// address.";
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return "URL must be an absolute http:// or https:// address.";
+    }
+    if (url.username || url.password) {
+        return "URL must not contain a username or password.";
+    }
+    return null;
+}
+
+/**
+ * Checks a POST /webhooks or PATCH /webhooks/:id body.
+ * @param {object} body - The parsed request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - PATCH: every field is optional.
+ * @returns {{ value: object, errors: object|null }} Cleaned values and per-field errors, like validate().
+ */
+function parseWebhookBody(body, { partial = false } = {}) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = {};
+    const fields = ['url', 'events', 'format', 'description', 'active'];
+
+    for (const field of Object.keys(input)) {
+        if (!fields.includes(field)) {
+            errors[field] = "Unknown field.";
+        }
+    }
+
+    if (input.url !== undefined || !partial) {
+        const error = input.url === undefined ? "URL is required." : checkUrl(input.url);
+        if (error) errors.url = error;
+        else value.url = input.url;
+    }
+    if (input.events !== undefined || !partial) {
+        const events = input.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+            errors.events = `Events must be a list of one or more of: ${WEBHOOK_EVENTS.join(', ')}.`;
+        } else {
+            value.events = [...new Set(events)];
+        }
+    }
+    if (input.format !== undefined) {
+        if (!WEBHOOK_FORMATS.includes(input.format)) errors.format = `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}.`;
+        else value.format = input.format;
+    }
+    if (input.description !== undefined) {
+        if (input.description !== null && (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH)) {
+            errors.description = `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+        } else {
+            value.description = input.description ? input.description.trim() : null;
+        }
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') errors.active = "Active must be true or false.";
+        else value.active = input.active;
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * createWebhooksRouter: Builds the /webhooks routes.
+ * @param {object} deps - Collaborators.
+ * @param {object} deps.webhooks - Dispatcher from webhooks/index.js (for test pings).
+ * @returns {express.Router}
+ */
+function createWebhooksRouter({ webhooks }) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    /**
+     * Route guard: loads the webhook named by :id into req.webhook, or answers 404.
+     */
+    function loadWebhook(req, res, next) {
+        const id = parsePositiveInt(req.params.id);
+        req.webhook = id && getWebhook(id);
+        if (!req.webhook) {
+            return res.status(404).json({ success: false, message: "Webhook not found." });
+        }
+        next();
+    }
+
+    /**
+     * GET /webhooks
+     * Every registered webhook (without secrets), plus the event types and formats available.
+     */
+    router.get('/', (req, res) => {
+        res.json({ success: true, webhooks: listWebhooks(), events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+    });
+
+    /**
+     * POST /webhooks
+     * Registers a webhook. Body: { url, events: ["lead.created", ...], format?: "standard" | "crm",
+     * description?, active? }. The response includes the signing secret; it isn't shown again
+     * (rotate it to get a new one).
+     */
+    router.post('/', (req, res) => {
+        const { value, errors } = parseWebhookBody(req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+        const webhook = createWebhook(value);
+        req.log.info('Webhook registered', { webhookId: webhook.id, events: webhook.events, format: webhook.format });
+        res.status(201).json({ success: true, webhook });
+    });
+
+    /**
+     * GET /webhooks/deliveries
+     * The delivery log, newest first. Query parameters: webhookId, status (pending, succeeded,
+     * failed), event, page (default 1), limit (default 20, max 100).
+     */
+    router.get('/deliveries', (req, res) => {
+        const { webhookId, status, event } = req.query;
+        const webhookIdNumber = webhookId !== undefined ? parsePositiveInt(webhookId) : undefined;
+        if (webhookIdNumber === null) {
+            return res.status(400).json({ success: false, message: "'webhookId' must be a webhook id." });
+        }
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+        }
+        const page = req.query.page !== undefined ? parsePositiveInt(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? parsePositiveInt(req.query.limit) : DEFAULT_LIMIT;
+        if (!page || !limit) {
+            return res.status(400).json({ success: false, message: "'page' and 'limit' must be positive integers." });
+        }
+        const pageSize = Math.min(limit, MAX_LIMIT);
+
+        const { deliveries, total } = listDeliveries({
+            webhookId: webhookIdNumber,
+            status,
+            event: typeof event === 'string' ? event : undefined,
+            page,
+            limit: pageSize,
+        });
+        res.json({
+            success: true,
+            deliveries,
+            pagination: { page, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) },
+        });
+    });
+
+    /**
+     * GET /webhooks/deliveries/:deliveryId
+     * One delivery with its payload and latest outcome.
+     */
+    router.get('/deliveries/:deliveryId', (req, res) => {
+        const id = parsePositiveInt(req.params.deliveryId);
+        const delivery = id && getDelivery(id);
+        if (!delivery) {
+            return res.status(404).json({ success: false, message: "Delivery not found." });
+        }
+        res.json({ success: true, delivery });
+    });
+
+    /**
+     * POST /webhooks/deliveries/:deliveryId/retry
+     * Sends a delivery again right away, with a fresh set of attempts (e.g. after fixing the receiver).
+     */
+    router.post('/deliveries/:deliveryId/retry', (req, res) => {
+        const id = parsePositiveInt(req.params.deliveryId);
+        const delivery = id && retryDelivery(id);
+        if (!delivery) {
+            return res.status(404).json({ success: false, message: "Delivery not found." });
+        }
+        webhooks.processDeliveries();
+        res.json({ success: true, delivery });
+    });
+
+    /**
+     * GET /webhooks/:id
+     * One webhook (without its secret).
+     */
+    router.get('/:id', loadWebhook, (req, res) => {
+        res.json({ success: true, webhook: req.webhook });
+    });
+
+    /**
+     * PATCH /webhooks/:id
+     * Changes any of url, events, format, description, active. Disabling a webhook pauses its
+     * pending deliveries until it is enabled again.
+     */
+    router.patch('/:id', loadWebhook, (req, res) => {
+        const { value, errors } = parseWebhookBody(req.body, { partial: true });
+        if (errors) {
+            return res.status(400).json({ success: false, message: "Please correct the highlighted fields.", errors });
+        }
+        res.json({ success: true, webhook: updateWebhook(req.webhook.id, value) });
+    });
+
+    /**
+     * DELETE /webhooks/:id
+     * Removes a webhook and its delivery log.
+     */
+    router.delete('/:id', loadWebhook, (req, res) => {
+        deleteWebhook(req.webhook.id);
+        req.log.info('Webhook deleted', { webhookId: req.webhook.id });
+        res.json({ success: true });
+    });
+
+    /**
+     * POST /webhooks/:id/rotate-secret
+     * Replaces the signing secret; the response holds the new one. Deliveries sent from now on
+     * (including retries) are signed with it.
+     */
+    router.post('/:id/rotate-secret', loadWebhook, (req, res) => {
+        res.json({ success: true, webhook: rotateSecret(req.webhook.id) });
+    });
+
+    /**
+     * POST /webhooks/:id/ping
+     * Queues a "ping" event to the webhook, to check the receiver. The outcome shows up in the
+     * delivery log like any other delivery.
+     */
+    router.post('/:id/ping', loadWebhook, (req, res) => {
+        if (!req.webhook.active) {
+            return res.status(409).json({ success: false, message: "Enable the webhook before sending a test event." });
+        }
+        res.status(202).json({ success: true, delivery: webhooks.ping(req.webhook) });
+    });
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;
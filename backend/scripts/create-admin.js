@@ -0,0 +1,56 @@
+// backend/scripts/create-admin.js
+// Creates an admin dashboard account, or resets the password of an existing one.
+//
+// Usage:
+//   npm run create-admin -- sales@jrtech.in "Sales Team"
+// The password is read from the ADMIN_PASSWORD env variable, or asked for interactively.
+
+require('dotenv').config();
+const readline = require('readline');
+const { hashPassword } = require('../auth/passwords');
+const { createUser, findUserWithHashByEmail, updatePassword } = require('../stores/adminUsers');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Asks for the password on the terminal without echoing it.
+ * @returns {Promise<string>}
+ */
+function promptPassword() {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl._writeToOutput = () => {}; // Hide typed characters
+        process.stdout.write('Password: ');
+        rl.question('', (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [email, name = email] = process.argv.slice(2);
+    if (!email) {
+        console.error('Usage: npm run create-admin -- <email> [name]');
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        process.exit(1);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const existing = findUserWithHashByEmail(email);
+    if (existing) {
+        updatePassword(existing.user.id, passwordHash);
+        console.log(`Password updated for ${existing.user.email}.`);
+    } else {
+        const user = createUser({ email, name, passwordHash });
+        console.log(`Admin account created for ${user.email}.`);
+    }
+}
+
+main();
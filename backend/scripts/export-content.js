@@ -0,0 +1,28 @@
+// backend/scripts/export-content.js
+// Writes the currently published content to the frontend's bundled fallback snapshot
+// (frontend/src/content/fallback.json), which the landing page shows when the content
+// API can't be reached. Run it before a frontend release so the fallback isn't stale.
+//
+// Usage:
+//   npm run export-content [-- <output path>]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { CONTENT_SECTIONS } = require('../content/sections');
+const { SUPPORTED_LOCALES } = require('../i18n');
+const { ensureDefaultContent, getPublishedContent } = require('../stores/content');
+
+const outputPath = path.resolve(process.argv[2] || path.join(__dirname, '..', '..', 'frontend', 'src', 'content', 'fallback.json'));
+
+ensureDefaultContent();
+// { en: { banner: {...}, ... }, hi: {...}, te: {...} }
+const snapshot = {};
+for (const locale of SUPPORTED_LOCALES) {
+    const published = getPublishedContent(locale);
+    snapshot[locale] = Object.fromEntries(
+        CONTENT_SECTIONS.filter((section) => published[section]).map((section) => [section, published[section].body]),
+    );
+}
+fs.writeFileSync(outputPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+console.log(`Wrote content for ${SUPPORTED_LOCALES.join(', ')} to ${outputPath}.`);
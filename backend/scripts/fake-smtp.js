@@ -0,0 +1,32 @@
+// backend/scripts/fake-smtp.js
+// A local fake SMTP server for trying out the notifier without a real mail provider.
+// It accepts every message and prints it to the console.
+//
+// Usage:
+//   npm run fake-smtp
+//   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=2525 npm start
+
+const { SMTPServer } = require('smtp-server');
+
+const port = Number(process.env.FAKE_SMTP_PORT) || 2525;
+
+const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'], // Plain connection, no certificates needed locally
+    onData(stream, session, callback) {
+        let raw = '';
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+            raw += chunk;
+        });
+        stream.on('end', () => {
+            console.log(`\n--- Message for ${session.envelope.rcptTo.map((r) => r.address).join(', ')} ---`);
+            console.log(raw);
+            callback();
+        });
+    },
+});
+
+server.listen(port, () => {
+    console.log(`Fake SMTP server listening on localhost:${port}`);
+});
@@ -0,0 +1,63 @@
+// backend/scripts/webhook-receiver.js
+// A local HTTP receiver for trying out webhooks without a real CRM.
+// It checks each delivery's signature and timestamp the way an integration should (see
+// webhooks/signature.js) and prints the event.
+//
+// Usage:
+//   npm run webhook-receiver
+//   Register http://localhost:4000/ as a webhook (POST /webhooks), then run it again with the
+//   secret from the response:
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// Set WEBHOOK_RECEIVER_FAIL=true to answer 500, to watch the backend retry.
+
+const http = require('http');
+const { verifySignature } = require('../webhooks/signature');
+
+const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const fail = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const event = req.headers['x-webhook-event'];
+        console.log(`\n--- ${event} (delivery ${req.headers['x-webhook-delivery']}, webhook ${req.headers['x-webhook-id']}) ---`);
+
+        if (secret) {
+            const check = verifySignature({
+                secret,
+                signature: req.headers['x-webhook-signature'],
+                timestamp: req.headers['x-webhook-timestamp'],
+                body,
+            });
+            if (!check.ok) {
+                console.log(`Rejected: signature check failed (${check.reason}).`);
+                res.writeHead(401, { 'Content-Type': 'text/plain' }).end(`Invalid signature (${check.reason})`);
+                return;
+            }
+            console.log('Signature OK.');
+        } else {
+            console.log('Signature not checked (WEBHOOK_SECRET is not set).');
+        }
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+
+        if (fail) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Failing on purpose (WEBHOOK_RECEIVER_FAIL=true)');
+            return;
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
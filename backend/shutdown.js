@@ -0,0 +1,80 @@
+// backend/shutdown.js
+// Graceful shutdown: on SIGTERM (sent by Docker, Kubernetes, systemd... before stopping the
+// process) or SIGINT (Ctrl+C), stop taking new connections, let in-flight requests finish,
+// then stop the email worker and close the database.
+
+/**
+ * createGracefulShutdown: Builds the shutdown controller.
+ * @param {object} deps - Collaborators and settings.
+ * @param {object} deps.logger - Logger from logger.js.
+ * @param {object} deps.metrics - Registry from metrics.js, for the number of requests in flight.
+ * @param {number} [deps.timeoutMs] - How long to wait for in-flight requests before closing
+ *   their connections anyway (SHUTDOWN_TIMEOUT_MS, default 10 s).
+ * @returns {object} { middleware, isShuttingDown, attach }
+ */
+function createGracefulShutdown({
+    logger,
+    metrics,
+    timeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+}) {
+    let shuttingDown = false;
+
+    /**
+     * middleware: While draining, tells keep-alive clients to close their connection after
+     * the current response, so they reconnect to another instance.
+     */
+    function middleware(req, res, next) {
+        if (shuttingDown) {
+            res.set('Connection', 'close');
+        }
+        next();
+    }
+
+    /**
+     * attach: Handles SIGTERM and SIGINT for a listening server.
+     * @param {http.Server} server - From app.listen().
+     * @param {function} cleanup - Async work once no requests are left (stop workers, close the database).
+     */
+    function attach(server, cleanup) {
+        const shutdown = async (signal) => {
+            if (shuttingDown) return;
+            shuttingDown = true; // GET /readyz now answers 503
+            logger.info('Shutting down', { signal, inFlight: metrics.inFlight() });
+
+            // Connections still open after the timeout are cut, so the process always exits
+            const forceClose = setTimeout(() => {
+                logger.warn('Requests still running after the shutdown timeout; closing their connections', {
+                    timeoutMs,
+                    inFlight: metrics.inFlight(),
+                });
+                server.closeAllConnections();
+            }, timeoutMs);
+            forceClose.unref();
+
+            // Stop accepting connections and wait until the open ones are finished
+            await new Promise((resolve) => {
+                server.close(resolve);
+                server.closeIdleConnections();
+            });
+            clearTimeout(forceClose);
+
+            let exitCode = 0;
+            try {
+                await cleanup();
+                logger.info('Shutdown complete');
+            } catch (error) {
+                logger.error('Shutdown cleanup failed', { err: error });
+                exitCode = 1;
+            }
+            // Don't wait for anything else still holding the event loop (e.g. SMTP sockets)
+            process.exit(exitCode);
+        };
+
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
+        process.once('SIGINT', () => shutdown('SIGINT'));
+    }
+
+    return { middleware, isShuttingDown: () => shuttingDown, attach };
+}
+
+module.exports = { createGracefulShutdown };
@@ -0,0 +1,117 @@
+// backend/stores/adminUsers.js
+// Data access helpers for admin dashboard accounts and their sign-in sessions.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+/**
+ * Hashes a session token. Only hashes are stored, so a leaked database can't be used to sign in.
+ * @param {string} token - The raw session token.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Maps a database row to the public user shape (never includes the password hash).
+ * @param {object} row - A row from the admin_users table.
+ * @returns {object} The user.
+ */
+function toUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at,
+    };
+}
+
+/**
+ * createUser: Adds an admin account.
+ * @param {object} data - The account.
+ * @param {string} data.email - Sign-in email (unique).
+ * @param {string} data.name - Display name.
+ * @param {string} data.passwordHash - Output of auth/passwords.js hashPassword.
+ * @returns {object} The user.
+ */
+function createUser({ email, name, passwordHash }) {
+    const result = db
+        .prepare('INSERT INTO admin_users (email, name, password_hash, created_at) VALUES (?, ?, ?, ?)')
+        .run(email, name, passwordHash, new Date().toISOString());
+    return toUser(db.prepare('SELECT * FROM admin_users WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * updatePassword: Replaces an account's password hash.
+ * @param {number} id - The user id.
+ * @param {string} passwordHash - Output of auth/passwords.js hashPassword.
+ */
+function updatePassword(id, passwordHash) {
+    db.prepare('UPDATE admin_users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+}
+
+/**
+ * findUserWithHashByEmail: Looks up an account for sign-in, including its password hash.
+ * @param {string} email - Sign-in email (case-insensitive).
+ * @returns {{ user: object, passwordHash: string }|null}
+ */
+function findUserWithHashByEmail(email) {
+    const row = db.prepare('SELECT * FROM admin_users WHERE email = ?').get(email);
+    return row ? { user: toUser(row), passwordHash: row.password_hash } : null;
+}
+
+/**
+ * createSession: Starts a session for a user and records the sign-in time.
+ * @param {number} userId - The user id.
+ * @param {number} ttlMs - How long the session stays valid.
+ * @returns {{ token: string, expiresAt: string }} The raw token to hand to the client.
+ */
+function createSession(userId, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+    db.prepare('INSERT INTO admin_sessions (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(userId, hashToken(token), now.toISOString(), expiresAt);
+    db.prepare('UPDATE admin_users SET last_login_at = ? WHERE id = ?').run(now.toISOString(), userId);
+    return { token, expiresAt };
+}
+
+/**
+ * findUserBySessionToken: Resolves a session token to its user, if the session hasn't expired.
+ * @param {string} token - The raw session token.
+ * @returns {object|null} The user.
+ */
+function findUserBySessionToken(token) {
+    const row = db
+        .prepare(`SELECT u.* FROM admin_sessions s JOIN admin_users u ON u.id = s.user_id
+                  WHERE s.token_hash = ? AND s.expires_at > ?`)
+        .get(hashToken(token), new Date().toISOString());
+    return row ? toUser(row) : null;
+}
+
+/**
+ * deleteSession: Signs a session out.
+ * @param {string} token - The raw session token.
+ */
+function deleteSession(token) {
+    db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * deleteExpiredSessions: Housekeeping for sessions past their expiry.
+ */
+function deleteExpiredSessions() {
+    db.prepare('DELETE FROM admin_sessions WHERE expires_at <= ?').run(new Date().toISOString());
+}
+
+module.exports = {
+    createSession,
+    createUser,
+    deleteExpiredSessions,
+    deleteSession,
+    findUserBySessionToken,
+    findUserWithHashByEmail,
+    updatePassword,
+};
@@ -0,0 +1,96 @@
+// backend/stores/analytics.js
+// Data access helpers for first-party analytics: daily event counts and funnel reports.
+
+const db = require('../db');
+
+// Event types the landing page sends (see frontend/src/analytics/tracker.js).
+const EVENT_TYPES = ['page_view', 'section_view', 'cta_click', 'form_start', 'form_abandon', 'form_submit'];
+
+// Funnel columns, in order, and the event type each one counts.
+const FUNNEL_STEPS = {
+    pageViews: 'page_view',
+    ctaClicks: 'cta_click',
+    formStarts: 'form_start',
+    formAbandons: 'form_abandon',
+    formSubmits: 'form_submit',
+};
+
+/**
+ * Formats a date as a UTC calendar day, e.g. "2026-10-19".
+ * @param {Date} date - The date.
+ * @returns {string}
+ */
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * recordEvents: Adds a batch of events to today's counts, in one transaction.
+ * @param {{ type: string, target: string }[]} events - Validated events.
+ * @param {Date} [now] - When they were received.
+ */
+const recordEvents = db.transaction((events, now = new Date()) => {
+    const upsert = db.prepare(`INSERT INTO analytics_daily (day, type, target, count) VALUES (?, ?, ?, ?)
+                               ON CONFLICT (day, type, target) DO UPDATE SET count = count + excluded.count`);
+    const counts = new Map();
+    for (const { type, target } of events) {
+        const key = `${type}\u0000${target}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const day = toDay(now);
+    for (const [key, count] of counts) {
+        const [type, target] = key.split('\u0000');
+        upsert.run(day, type, target, count);
+    }
+});
+
+/**
+ * getFunnel: Daily funnel (page views → CTA clicks → form starts → submissions) over the
+ * last `days` days including today, plus the totals per CTA and per section.
+ * Days without events are included with zero counts, so charts have no gaps.
+ * @param {number} days - Length of the period (1-365).
+ * @param {Date} [now] - End of the period.
+ * @returns {object} { from, to, days: [{ day, pageViews, ... }], totals, ctas, sections }.
+ */
+function getFunnel(days, now = new Date()) {
+    const to = toDay(now);
+    const from = toDay(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    const byDay = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        const day = toDay(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+        byDay.set(day, { day, ...Object.fromEntries(Object.keys(FUNNEL_STEPS).map((step) => [step, 0])) });
+    }
+    const rows = db
+        .prepare(`SELECT day, type, SUM(count) AS count FROM analytics_daily
+                  WHERE day BETWEEN ? AND ? GROUP BY day, type`)
+        .all(from, to);
+    for (const row of rows) {
+        const step = Object.keys(FUNNEL_STEPS).find((name) => FUNNEL_STEPS[name] === row.type);
+        if (step && byDay.has(row.day)) {
+            byDay.get(row.day)[step] = row.count;
+        }
+    }
+
+    const dayRows = [...byDay.values()];
+    const totals = Object.fromEntries(Object.keys(FUNNEL_STEPS)
+        .map((step) => [step, dayRows.reduce((sum, row) => sum + row[step], 0)]));
+    const totalsByTarget = db.prepare(`SELECT target, SUM(count) AS count FROM analytics_daily
+                                       WHERE type = ? AND day BETWEEN ? AND ?
+                                       GROUP BY target ORDER BY count DESC`);
+
+    return {
+        from,
+        to,
+        days: dayRows,
+        totals,
+        ctas: totalsByTarget.all('cta_click', from, to),
+        sections: totalsByTarget.all('section_view', from, to),
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    getFunnel,
+    recordEvents,
+};
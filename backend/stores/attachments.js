@@ -0,0 +1,116 @@
+// backend/stores/attachments.js
+// Data access helpers for files attached to contact form submissions. The files themselves
+// are on disk (see attachments/); this table maps each one to its lead.
+
+const db = require('../db');
+
+/**
+ * Maps a database row to the JSON shape returned by the API. The name of the file on disk is
+ * left out unless asked for, since clients never need it.
+ * @param {object} row - A row from the lead_attachments table.
+ * @param {boolean} [withStorageName=false] - Include storageName.
+ * @returns {object}
+ */
+function toAttachment(row, withStorageName = false) {
+    return {
+        id: row.id,
+        leadId: row.lead_id,
+        name: row.original_name,
+        mimeType: row.mime_type,
+        size: row.size,
+        ...(withStorageName && { storageName: row.storage_name }),
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * createAttachment: Records an uploaded file, not yet linked to a lead.
+ * @param {object} data - The upload.
+ * @param {string} data.id - Random public id (the visitor sends it back with the form).
+ * @param {string} data.name - File name given by the visitor (display only).
+ * @param {string} data.mimeType - Type detected from the file's content.
+ * @param {number} data.size - Size in bytes.
+ * @param {string} data.storageName - Name of the file in the attachments folder.
+ * @returns {object} The attachment.
+ */
+function createAttachment({ id, name, mimeType, size, storageName }) {
+    db.prepare(`INSERT INTO lead_attachments (id, original_name, mime_type, size, storage_name, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(id, name, mimeType, size, storageName, new Date().toISOString());
+    return toAttachment(db.prepare('SELECT * FROM lead_attachments WHERE id = ?').get(id));
+}
+
+/**
+ * findUnclaimedAttachments: The uploads among `ids` that aren't linked to a lead yet.
+ * @param {string[]} ids - Attachment ids.
+ * @returns {object[]}
+ */
+function findUnclaimedAttachments(ids) {
+    if (ids.length === 0) {
+        return [];
+    }
+    return db
+        .prepare(`SELECT * FROM lead_attachments WHERE lead_id IS NULL AND id IN (${ids.map(() => '?').join(', ')})`)
+        .all(...ids)
+        .map((row) => toAttachment(row));
+}
+
+/**
+ * linkAttachments: Attaches unclaimed uploads to a lead.
+ * @param {number} leadId - The lead id.
+ * @param {string[]} ids - Attachment ids.
+ * @returns {number} How many were linked (uploads already linked elsewhere are skipped).
+ */
+function linkAttachments(leadId, ids) {
+    const link = db.prepare('UPDATE lead_attachments SET lead_id = ?, linked_at = ? WHERE id = ? AND lead_id IS NULL');
+    const now = new Date().toISOString();
+    return db.transaction(() => ids.reduce((count, id) => count + link.run(leadId, now, id).changes, 0))();
+}
+
+/**
+ * listAttachments: The files attached to a lead, in upload order.
+ * @param {number} leadId - The lead id.
+ * @returns {object[]}
+ */
+function listAttachments(leadId) {
+    return db
+        .prepare('SELECT * FROM lead_attachments WHERE lead_id = ? ORDER BY created_at, rowid')
+        .all(leadId)
+        .map((row) => toAttachment(row));
+}
+
+/**
+ * getLeadAttachment: One of a lead's attachments, with the name of its file on disk.
+ * @param {number} leadId - The lead id.
+ * @param {string} id - The attachment id.
+ * @returns {object|null} The attachment, or null when the lead has no such attachment.
+ */
+function getLeadAttachment(leadId, id) {
+    const row = db.prepare('SELECT * FROM lead_attachments WHERE id = ? AND lead_id = ?').get(id, leadId);
+    return row ? toAttachment(row, true) : null;
+}
+
+/**
+ * deleteUnclaimedAttachments: Forgets uploads that were never sent with a form.
+ * @param {string} before - ISO timestamp; only uploads older than this are removed.
+ * @returns {string[]} Storage names of the removed uploads, whose files should be deleted.
+ */
+function deleteUnclaimedAttachments(before) {
+    return db.transaction(() => {
+        const names = db
+            .prepare('SELECT storage_name FROM lead_attachments WHERE lead_id IS NULL AND created_at < ?')
+            .pluck()
+            .all(before);
+        db.prepare('DELETE FROM lead_attachments WHERE lead_id IS NULL AND created_at < ?').run(before);
+        return names;
+    })();
+}
+
+module.exports = {
+    createAttachment,
+    deleteUnclaimedAttachments,
+    findUnclaimedAttachments,
+    getLeadAttachment,
+    linkAttachments,
+    listAttachments,
+};
@@ -0,0 +1,166 @@
+// backend/stores/content.js
+// Data access helpers for versioned landing-page content documents.
+//
+// Lifecycle: a new version starts as a draft and can be edited until it is published.
+// Publishing archives the previously published version of that section in the same
+// locale. Archived versions can be published again to roll back.
+//
+// Version numbers count up per section across all locales, so "banner v7" always names
+// exactly one document whichever language it is in.
+
+const db = require('../db');
+const { CONTENT_SECTIONS } = require('../content/sections');
+const { DEFAULT_LOCALE } = require('../i18n');
+const defaults = require('../content/defaults.json');
+
+/**
+ * Maps a database row to the JSON shape returned by the API (camelCase keys).
+ * @param {object} row - A row from the content_documents table.
+ * @returns {object} The content document.
+ */
+function toDocument(row) {
+    return {
+        section: row.section,
+        locale: row.locale,
+        version: row.version,
+        status: row.status,
+        body: JSON.parse(row.body),
+        author: row.author_name || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        publishedAt: row.published_at,
+    };
+}
+
+const SELECT_WITH_AUTHOR = `
+    SELECT content_documents.*, admin_users.name AS author_name
+    FROM content_documents
+    LEFT JOIN admin_users ON admin_users.id = content_documents.author_id`;
+
+/**
+ * getPublishedContent: The published document of every section in a locale. Sections
+ * that haven't been published in that locale fall back to the English version.
+ * @param {string} [locale] - Locale code, e.g. "hi".
+ * @returns {object} Documents keyed by section name.
+ */
+function getPublishedContent(locale = DEFAULT_LOCALE) {
+    const rows = db
+        .prepare(`${SELECT_WITH_AUTHOR} WHERE status = 'published' AND locale IN (?, ?)`)
+        .all(locale, DEFAULT_LOCALE);
+    const content = {};
+    for (const row of rows) {
+        if (!content[row.section] || row.locale === locale) {
+            content[row.section] = toDocument(row);
+        }
+    }
+    return content;
+}
+
+/**
+ * listVersions: Every version of a section in a locale, newest first.
+ * @param {string} section - Section name.
+ * @param {string} locale - Locale code.
+ * @returns {object[]}
+ */
+function listVersions(section, locale) {
+    return db
+        .prepare(`${SELECT_WITH_AUTHOR} WHERE section = ? AND locale = ? ORDER BY version DESC`)
+        .all(section, locale)
+        .map(toDocument);
+}
+
+/**
+ * getVersion: One version of a section.
+ * @param {string} section - Section name.
+ * @param {number} version - Version number.
+ * @returns {object|null}
+ */
+function getVersion(section, version) {
+    const row = db.prepare(`${SELECT_WITH_AUTHOR} WHERE section = ? AND version = ?`).get(section, version);
+    return row ? toDocument(row) : null;
+}
+
+/**
+ * createDraft: Adds the next version of a section as a draft.
+ * @param {string} section - Section name.
+ * @param {string} locale - Locale code the document is written in.
+ * @param {object} body - Validated document (see content/sections.js).
+ * @param {number|null} authorId - Admin user creating it (null for the admin token).
+ * @returns {object} The new draft.
+ */
+function createDraft(section, locale, body, authorId) {
+    const now = new Date().toISOString();
+    const { next } = db
+        .prepare('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM content_documents WHERE section = ?')
+        .get(section);
+    db.prepare(`INSERT INTO content_documents (section, locale, version, status, body, author_id, created_at, updated_at)
+                VALUES (?, ?, ?, 'draft', ?, ?, ?, ?)`)
+        .run(section, locale, next, JSON.stringify(body), authorId, now, now);
+    return getVersion(section, next);
+}
+
+/**
+ * updateDraft: Replaces the body of a draft. Published and archived versions are immutable.
+ * @param {string} section - Section name.
+ * @param {number} version - Version number.
+ * @param {object} body - Validated document.
+ * @param {number|null} authorId - Admin user editing it.
+ * @returns {object|null} The updated draft, or null if no draft with that version exists.
+ */
+function updateDraft(section, version, body, authorId) {
+    const result = db
+        .prepare(`UPDATE content_documents SET body = ?, author_id = ?, updated_at = ?
+                  WHERE section = ? AND version = ? AND status = 'draft'`)
+        .run(JSON.stringify(body), authorId, new Date().toISOString(), section, version);
+    return result.changes ? getVersion(section, version) : null;
+}
+
+/**
+ * publishVersion: Makes a version the live one for its locale, archiving whatever was
+ * published there before.
+ * @param {string} section - Section name.
+ * @param {number} version - Version number (draft or archived).
+ * @returns {object|null} The published document, or null if the version doesn't exist.
+ */
+const publishVersion = db.transaction((section, version) => {
+    const existing = getVersion(section, version);
+    if (!existing || existing.status === 'published') {
+        return existing;
+    }
+    const now = new Date().toISOString();
+    db.prepare(`UPDATE content_documents SET status = 'archived', updated_at = ?
+                WHERE section = ? AND locale = ? AND status = 'published'`)
+        .run(now, section, existing.locale);
+    db.prepare(`UPDATE content_documents SET status = 'published', published_at = ?, updated_at = ?
+                WHERE section = ? AND version = ?`)
+        .run(now, now, section, version);
+    return getVersion(section, version);
+});
+
+/**
+ * ensureDefaultContent: Publishes content/defaults.json for every section and locale
+ * that has no versions yet, so a fresh database serves the original landing-page copy.
+ */
+function ensureDefaultContent() {
+    for (const [locale, sections] of Object.entries(defaults)) {
+        for (const section of CONTENT_SECTIONS) {
+            const { count } = db
+                .prepare('SELECT COUNT(*) AS count FROM content_documents WHERE section = ? AND locale = ?')
+                .get(section, locale);
+            if (count === 0 && sections[section]) {
+                const draft = createDraft(section, locale, sections[section], null);
+                publishVersion(section, draft.version);
+            }
+        }
+    }
+}
+
+module.exports = {
+    createDraft,
+    ensureDefaultContent,
+    getPublishedContent,
+    getVersion,
+    listVersions,
+    publishVersion,
+    updateDraft,
+};
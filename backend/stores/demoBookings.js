@@ -0,0 +1,172 @@
+// backend/stores/demoBookings.js
+// Data access helpers for product demo bookings.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+/**
+ * Error thrown when a slot already has a confirmed booking.
+ */
+class SlotTakenError extends Error {
+    constructor() {
+        super('This time slot has just been booked by someone else.');
+        this.name = 'SlotTakenError';
+    }
+}
+
+/**
+ * Hashes a cancel/reschedule token. Only hashes are stored.
+ * @param {string} token - The raw token.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Maps a database row to the JSON shape returned by the API (camelCase keys).
+ * @param {object} row - A row from the demo_bookings table.
+ * @returns {object} The booking.
+ */
+function toBooking(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        company: row.company,
+        notes: row.notes,
+        start: row.start_at,
+        end: row.end_at,
+        timeZone: row.time_zone,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Runs a write and turns a unique-index violation on the active slot into SlotTakenError.
+ * @param {function} write - Function performing the write.
+ * @returns {*} Whatever `write` returns.
+ */
+function guardSlot(write) {
+    try {
+        return write();
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            throw new SlotTakenError();
+        }
+        throw error;
+    }
+}
+
+/**
+ * getBooking: Looks up a booking by id.
+ * @param {number} id - The booking id.
+ * @returns {object|null}
+ */
+function getBooking(id) {
+    const row = db.prepare('SELECT * FROM demo_bookings WHERE id = ?').get(id);
+    return row ? toBooking(row) : null;
+}
+
+/**
+ * listBookedStarts: Start times of confirmed bookings, for hiding taken slots.
+ * @returns {Set<string>} UTC ISO timestamps.
+ */
+function listBookedStarts() {
+    const rows = db.prepare(`SELECT start_at FROM demo_bookings WHERE status = 'confirmed'`).all();
+    return new Set(rows.map((row) => row.start_at));
+}
+
+/**
+ * listBookings: Confirmed and cancelled bookings, soonest first.
+ * @param {object} [options] - Filters.
+ * @param {string} [options.status] - Only bookings with this status.
+ * @returns {object[]}
+ */
+function listBookings({ status } = {}) {
+    const rows = status
+        ? db.prepare('SELECT * FROM demo_bookings WHERE status = ? ORDER BY start_at').all(status)
+        : db.prepare('SELECT * FROM demo_bookings ORDER BY start_at').all();
+    return rows.map(toBooking);
+}
+
+/**
+ * createBooking: Books a slot. Throws SlotTakenError if it is already taken.
+ * @param {object} data - The booking.
+ * @param {string} data.name - Prospect's name.
+ * @param {string} data.email - Prospect's email.
+ * @param {string} [data.company] - Company or shop name.
+ * @param {string} [data.notes] - What they'd like to see.
+ * @param {string} data.start - Slot start (UTC ISO).
+ * @param {string} data.end - Slot end (UTC ISO).
+ * @param {string} data.timeZone - Prospect's time zone, used when showing times in emails.
+ * @returns {{ booking: object, cancelToken: string, rescheduleToken: string }}
+ */
+function createBooking({ name, email, company = null, notes = null, start, end, timeZone }) {
+    const cancelToken = crypto.randomBytes(24).toString('hex');
+    const rescheduleToken = crypto.randomBytes(24).toString('hex');
+    const now = new Date().toISOString();
+
+    const result = guardSlot(() => db
+        .prepare(`INSERT INTO demo_bookings
+                  (name, email, company, notes, start_at, end_at, time_zone, cancel_token_hash, reschedule_token_hash, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(name, email, company, notes, start, end, timeZone, hashToken(cancelToken), hashToken(rescheduleToken), now, now));
+
+    return { booking: getBooking(result.lastInsertRowid), cancelToken, rescheduleToken };
+}
+
+/**
+ * findBookingByToken: Finds a confirmed booking by its cancel or reschedule token.
+ * @param {'cancel'|'reschedule'} kind - Which token this is.
+ * @param {string} token - The raw token.
+ * @returns {object|null}
+ */
+function findBookingByToken(kind, token) {
+    const column = kind === 'cancel' ? 'cancel_token_hash' : 'reschedule_token_hash';
+    const row = db
+        .prepare(`SELECT * FROM demo_bookings WHERE ${column} = ? AND status = 'confirmed'`)
+        .get(hashToken(token));
+    return row ? toBooking(row) : null;
+}
+
+/**
+ * cancelBooking: Cancels a booking, freeing its slot.
+ * @param {number} id - The booking id.
+ * @returns {object} The updated booking.
+ */
+function cancelBooking(id) {
+    db.prepare(`UPDATE demo_bookings SET status = 'cancelled', updated_at = ? WHERE id = ?`)
+        .run(new Date().toISOString(), id);
+    return getBooking(id);
+}
+
+/**
+ * rescheduleBooking: Moves a booking to another slot. Throws SlotTakenError if it is taken.
+ * The reschedule token keeps working; a new cancel token is issued because only its hash
+ * is stored and the updated emails need a fresh cancel link.
+ * @param {number} id - The booking id.
+ * @param {string} start - New slot start (UTC ISO).
+ * @param {string} end - New slot end (UTC ISO).
+ * @returns {{ booking: object, cancelToken: string }} The updated booking and its new cancel token.
+ */
+function rescheduleBooking(id, start, end) {
+    const cancelToken = crypto.randomBytes(24).toString('hex');
+    guardSlot(() => db
+        .prepare('UPDATE demo_bookings SET start_at = ?, end_at = ?, cancel_token_hash = ?, updated_at = ? WHERE id = ?')
+        .run(start, end, hashToken(cancelToken), new Date().toISOString(), id));
+    return { booking: getBooking(id), cancelToken };
+}
+
+module.exports = {
+    SlotTakenError,
+    cancelBooking,
+    createBooking,
+    findBookingByToken,
+    getBooking,
+    listBookedStarts,
+    listBookings,
+    rescheduleBooking,
+};
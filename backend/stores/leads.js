@@ -0,0 +1,250 @@
+// backend/stores/leads.js
+// Data access helpers for contact form submissions ("leads").
+
+const db = require('../db');
+
+// The pipeline stages a lead can be in. Kept in sync with the CHECK constraint in db.js.
+const LEAD_STATUSES = ['new', 'contacted', 'closed'];
+
+// Columns the lead list can be sorted by (API name -> SQL column).
+const LEAD_SORT_COLUMNS = {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    email: 'email',
+    status: 'status',
+};
+
+/**
+ * Maps a database row to the JSON shape returned by the API (camelCase keys).
+ * @param {object} row - A row from the leads table.
+ * @returns {object} The lead as sent to clients.
+ */
+function toLead(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        message: row.message,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        plan: row.plan,
+        billingPeriod: row.billing_period,
+        idempotencyKey: row.idempotency_key,
+        consentAt: row.consent_at,
+        privacyPolicyVersion: row.privacy_policy_version,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * createLead: Stores a new contact form submission.
+ * @param {object} data - The submission.
+ * @param {string} data.email - Sender's email address.
+ * @param {string} data.message - Sender's message.
+ * @param {string} [data.ip] - Client IP address.
+ * @param {string} [data.userAgent] - Client User-Agent header.
+ * @param {string} [data.plan] - Id of the pricing plan the inquiry is about.
+ * @param {string} [data.billingPeriod] - 'monthly' or 'yearly', for plan inquiries.
+ * @param {string} [data.idempotencyKey] - Client-generated key; unique across leads.
+ * @param {string} [data.privacyPolicyVersion] - Version of the privacy policy the sender agreed
+ *   to; the time of consent is the submission time.
+ * @returns {object} The stored lead.
+ * @throws {Error} SQLITE_CONSTRAINT_UNIQUE when a lead with the same idempotency key exists.
+ */
+function createLead({
+    email,
+    message,
+    ip = null,
+    userAgent = null,
+    plan = null,
+    billingPeriod = null,
+    idempotencyKey = null,
+    privacyPolicyVersion = null,
+}) {
+    const now = new Date().toISOString();
+    const result = db
+        .prepare(`INSERT INTO leads (email, message, ip, user_agent, plan, billing_period, idempotency_key,
+                                     consent_at, privacy_policy_version, status, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'new', ?, ?)`)
+        .run(email, message, ip, userAgent, plan, billingPeriod, idempotencyKey,
+            privacyPolicyVersion ? now : null, privacyPolicyVersion, now, now);
+    return getLead(result.lastInsertRowid);
+}
+
+/**
+ * getLead: Looks up a single lead.
+ * @param {number} id - The lead id.
+ * @returns {object|null} The lead, or null when it does not exist.
+ */
+function getLead(id) {
+    const row = db.prepare('SELECT * FROM leads WHERE id = ?').get(id);
+    return row ? toLead(row) : null;
+}
+
+/**
+ * Builds the WHERE clause shared by listLeads and exportLeads.
+ * @param {object} filters - See listLeads.
+ * @returns {{ whereSql: string, params: any[] }}
+ */
+function buildLeadFilter({ status, from, to, q, ids }) {
+    const where = [];
+    const params = [];
+
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+    if (from) {
+        where.push('created_at >= ?');
+        params.push(from);
+    }
+    if (to) {
+        where.push('created_at <= ?');
+        params.push(to);
+    }
+    if (q) {
+        // Case-insensitive substring search over the email and message
+        where.push(`(email LIKE ? ESCAPE '\\' OR message LIKE ? ESCAPE '\\')`);
+        const pattern = `%${q.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+        params.push(pattern, pattern);
+    }
+    if (ids && ids.length) {
+        where.push(`id IN (${ids.map(() => '?').join(', ')})`);
+        params.push(...ids);
+    }
+
+    return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+/**
+ * Builds the ORDER BY clause for a sort field and direction (unknown values fall back to newest first).
+ * @param {string} [sort='createdAt'] - One of the LEAD_SORT_COLUMNS keys.
+ * @param {string} [order='desc'] - 'asc' or 'desc'.
+ * @returns {string}
+ */
+function buildLeadOrder(sort = 'createdAt', order = 'desc') {
+    const column = LEAD_SORT_COLUMNS[sort] || 'created_at';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    return `ORDER BY ${column} ${direction}, id ${direction}`;
+}
+
+/**
+ * listLeads: Returns one page of leads, newest first by default.
+ * @param {object} [options] - Filters, sorting and pagination.
+ * @param {string} [options.status] - Only leads with this status.
+ * @param {string} [options.from] - Only leads created at or after this ISO date/time.
+ * @param {string} [options.to] - Only leads created at or before this ISO date/time.
+ * @param {string} [options.q] - Only leads whose email or message contains this text.
+ * @param {number[]} [options.ids] - Only these leads.
+ * @param {string} [options.sort='createdAt'] - Sort field (see LEAD_SORT_COLUMNS).
+ * @param {string} [options.order='desc'] - Sort direction.
+ * @param {number} [options.page=1] - 1-based page number.
+ * @param {number} [options.limit=20] - Page size.
+ * @returns {{ leads: object[], total: number }} The page and the total number of matches.
+ */
+function listLeads({ page = 1, limit = 20, sort, order, ...filters } = {}) {
+    const { whereSql, params } = buildLeadFilter(filters);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM leads ${whereSql}`).get(...params);
+    const rows = db
+        .prepare(`SELECT * FROM leads ${whereSql} ${buildLeadOrder(sort, order)} LIMIT ? OFFSET ?`)
+        .all(...params, limit, (page - 1) * limit);
+
+    return { leads: rows.map(toLead), total };
+}
+
+/**
+ * exportLeads: Every lead matching the filters (no pagination), for CSV export.
+ * @param {object} [options] - Same filters and sorting as listLeads.
+ * @returns {object[]}
+ */
+function exportLeads({ sort, order, ...filters } = {}) {
+    const { whereSql, params } = buildLeadFilter(filters);
+    return db.prepare(`SELECT * FROM leads ${whereSql} ${buildLeadOrder(sort, order)}`).all(...params).map(toLead);
+}
+
+/**
+ * listNotes: Internal notes on a lead, oldest first.
+ * @param {number} leadId - The lead id.
+ * @returns {object[]}
+ */
+function listNotes(leadId) {
+    return db
+        .prepare(`SELECT n.*, u.name AS author_name FROM lead_notes n
+                  LEFT JOIN admin_users u ON u.id = n.author_id
+                  WHERE n.lead_id = ? ORDER BY n.created_at, n.id`)
+        .all(leadId)
+        .map((row) => ({ id: row.id, body: row.body, author: row.author_name || null, createdAt: row.created_at }));
+}
+
+/**
+ * addNote: Adds an internal note to a lead.
+ * @param {number} leadId - The lead id.
+ * @param {object} note - The note.
+ * @param {string} note.body - Note text.
+ * @param {number|null} note.authorId - Admin user who wrote it (null for API token access).
+ * @returns {object} The note.
+ */
+function addNote(leadId, { body, authorId }) {
+    const result = db
+        .prepare('INSERT INTO lead_notes (lead_id, author_id, body, created_at) VALUES (?, ?, ?, ?)')
+        .run(leadId, authorId, body, new Date().toISOString());
+    return listNotes(leadId).find((note) => note.id === Number(result.lastInsertRowid));
+}
+
+/**
+ * findRecentDuplicate: Looks for an identical submission (same email and message) made recently.
+ * @param {string} email - Sender's email address (compared case-insensitively).
+ * @param {string} message - Sender's message.
+ * @param {string} since - ISO date/time; only leads created after it are considered.
+ * @returns {object|null} The earlier lead, or null when there is none.
+ */
+function findRecentDuplicate(email, message, since) {
+    const row = db
+        .prepare(`SELECT * FROM leads WHERE email = ? COLLATE NOCASE AND message = ? AND created_at >= ?
+                  ORDER BY created_at DESC LIMIT 1`)
+        .get(email, message, since);
+    return row ? toLead(row) : null;
+}
+
+/**
+ * findLeadByIdempotencyKey: Looks up the lead created by an earlier request with the same key.
+ * @param {string} key - The Idempotency-Key sent by the client.
+ * @returns {object|null} The lead, or null when the key hasn't been used.
+ */
+function findLeadByIdempotencyKey(key) {
+    const row = db.prepare('SELECT * FROM leads WHERE idempotency_key = ?').get(key);
+    return row ? toLead(row) : null;
+}
+
+/**
+ * updateLead: Applies a partial update to a lead.
+ * @param {number} id - The lead id.
+ * @param {object} changes - Fields to change.
+ * @param {string} [changes.status] - New pipeline status.
+ * @returns {object|null} The updated lead, or null when it does not exist.
+ */
+function updateLead(id, { status }) {
+    if (!getLead(id)) {
+        return null;
+    }
+    if (status !== undefined) {
+        db.prepare('UPDATE leads SET status = ?, updated_at = ? WHERE id = ?')
+            .run(status, new Date().toISOString(), id);
+    }
+    return getLead(id);
+}
+
+module.exports = {
+    LEAD_SORT_COLUMNS,
+    LEAD_STATUSES,
+    addNote,
+    createLead,
+    exportLeads,
+    findLeadByIdempotencyKey,
+    findRecentDuplicate,
+    getLead,
+    listLeads,
+    listNotes,
+    updateLead,
+};
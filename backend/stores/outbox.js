@@ -0,0 +1,96 @@
+// backend/stores/outbox.js
+// Persistent queue of outgoing emails. Messages are written here first and delivered
+// later by the notifier worker, so a mail server outage never loses a notification.
+
+const db = require('../db');
+
+/**
+ * Maps a database row to a plain outbox message object (camelCase keys).
+ * @param {object} row - A row from the outbox table.
+ * @returns {object} The message.
+ */
+function toMessage(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        to: row.recipient,
+        subject: row.subject,
+        text: row.body,
+        attachments: row.attachments ? JSON.parse(row.attachments) : [],
+        leadId: row.lead_id,
+        bookingId: row.booking_id,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        sentAt: row.sent_at,
+    };
+}
+
+/**
+ * enqueueMessage: Adds an email to the outbox, due immediately.
+ * @param {object} message - The email.
+ * @param {string} message.kind - What the email is for (e.g. "contact.confirmation").
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain-text body.
+ * @param {object[]} [message.attachments] - Files to attach: { filename, content, contentType }.
+ * @param {number} [message.leadId] - Lead a team alert is about.
+ * @param {number} [message.bookingId] - Demo booking a team alert is about.
+ * @returns {object} The queued message.
+ */
+function enqueueMessage({ kind, to, subject, text, attachments = [], leadId = null, bookingId = null }) {
+    const now = new Date().toISOString();
+    const result = db
+        .prepare(`INSERT INTO outbox (kind, recipient, subject, body, attachments, lead_id, booking_id, next_attempt_at, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(kind, to, subject, text, attachments.length ? JSON.stringify(attachments) : null, leadId, bookingId, now, now);
+    return toMessage(db.prepare('SELECT * FROM outbox WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * listDueMessages: Returns pending messages whose next attempt time has passed, oldest first.
+ * @param {number} [limit=10] - Maximum number of messages to return.
+ * @returns {object[]} The due messages.
+ */
+function listDueMessages(limit = 10) {
+    return db
+        .prepare(`SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ?
+                  ORDER BY next_attempt_at, id LIMIT ?`)
+        .all(new Date().toISOString(), limit)
+        .map(toMessage);
+}
+
+/**
+ * markSent: Records a successful delivery.
+ * @param {number} id - The message id.
+ */
+function markSent(id) {
+    const now = new Date().toISOString();
+    db.prepare(`UPDATE outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = ?
+                WHERE id = ?`).run(now, id);
+}
+
+/**
+ * markAttemptFailed: Records a failed delivery attempt.
+ * @param {number} id - The message id.
+ * @param {string} error - Why the attempt failed.
+ * @param {Date|null} nextAttemptAt - When to try again, or null to give up (status becomes 'failed').
+ */
+function markAttemptFailed(id, error, nextAttemptAt) {
+    if (nextAttemptAt) {
+        db.prepare(`UPDATE outbox SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?
+                    WHERE id = ?`).run(error, nextAttemptAt.toISOString(), id);
+    } else {
+        db.prepare(`UPDATE outbox SET status = 'failed', attempts = attempts + 1, last_error = ?
+                    WHERE id = ?`).run(error, id);
+    }
+}
+
+module.exports = {
+    enqueueMessage,
+    listDueMessages,
+    markSent,
+    markAttemptFailed,
+};
@@ -0,0 +1,355 @@
+// backend/stores/privacy.js
+// Data access helpers for privacy requests: everything stored about one email address across
+// the tables (for exports and erasure), retention purges, the one-time request links and the
+// audit log. The flow around them lives in privacy/.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+// What the audit log records. Kept in sync with the CHECK constraint in db.js.
+const AUDIT_ACTIONS = ['export', 'erasure', 'retention_purge'];
+
+// Kinds of self-service requests. Kept in sync with the CHECK constraint in db.js.
+const REQUEST_TYPES = ['export', 'erasure'];
+
+// Leads sent by an email address (emails are compared case-insensitively everywhere below).
+const LEADS_BY_EMAIL = 'SELECT id FROM leads WHERE email = ? COLLATE NOCASE';
+
+// Emails about the address: those sent to it, and the team alerts about its leads and demo
+// bookings (they copy the person's details). Recipients are matched exactly: a search of the
+// text would also catch look-alike addresses (xa@b.com for a@b.com) and other people's
+// messages that mention it. Takes the address three times.
+const EMAILS_ABOUT = `recipient = ? COLLATE NOCASE
+                      OR lead_id IN (${LEADS_BY_EMAIL})
+                      OR booking_id IN (SELECT id FROM demo_bookings WHERE email = ? COLLATE NOCASE)`;
+
+// Webhook deliveries about a lead from the address: the lead (standard format) or contact
+// (CRM format, see webhooks/crm.js) in the payload has that email.
+const DELIVERIES_ABOUT = `COALESCE(json_extract(payload, '$.data.lead.email'),
+                                   json_extract(payload, '$.data.contact.email')) = ? COLLATE NOCASE`;
+
+/**
+ * hashEmail: Identifies an email address without storing it (privacy requests, audit log).
+ * @param {string} email - Email address.
+ * @returns {string} Hex SHA-256 digest of the trimmed, lower-cased address.
+ */
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Maps a privacy_requests row to a plain object (camelCase keys).
+ * @param {object} row - A row from the privacy_requests table.
+ * @returns {object}
+ */
+function toRequest(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        usedAt: row.used_at,
+    };
+}
+
+/**
+ * Maps a privacy_audit_log row to the JSON shape returned by the API.
+ * @param {object} row - A row from the privacy_audit_log table.
+ * @returns {object}
+ */
+function toAuditEntry(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        emailHash: row.email_hash,
+        requestId: row.request_id,
+        ip: row.ip,
+        details: JSON.parse(row.details),
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * createPrivacyRequest: Records an emailed export or erasure link.
+ * @param {object} data - The request.
+ * @param {'export'|'erasure'} data.type - What the link does.
+ * @param {string} data.email - Address the link is sent to (only its hash is stored).
+ * @param {string} data.expiresAt - ISO date/time after which the link no longer works.
+ * @returns {object} The request.
+ */
+function createPrivacyRequest({ type, email, expiresAt }) {
+    const id = crypto.randomUUID();
+    db.prepare('INSERT INTO privacy_requests (id, type, email_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+        .run(id, type, hashEmail(email), new Date().toISOString(), expiresAt);
+    return getPrivacyRequest(id);
+}
+
+/**
+ * getPrivacyRequest: Looks up a request.
+ * @param {string} id - The request id.
+ * @returns {object|null}
+ */
+function getPrivacyRequest(id) {
+    const row = db.prepare('SELECT * FROM privacy_requests WHERE id = ?').get(id);
+    return row ? toRequest(row) : null;
+}
+
+/**
+ * claimPrivacyRequest: Marks a request's link as used. Atomic, so a link clicked twice at the
+ * same time still works only once.
+ * @param {string} id - The request id.
+ * @returns {boolean} False when the link was already used or has expired.
+ */
+function claimPrivacyRequest(id) {
+    const now = new Date().toISOString();
+    return db
+        .prepare('UPDATE privacy_requests SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ?')
+        .run(now, id, now).changes === 1;
+}
+
+/**
+ * hasPersonalData: Whether anything is stored about an email address.
+ * @param {string} email - Email address.
+ * @returns {boolean}
+ */
+function hasPersonalData(email) {
+    return Boolean(db
+        .prepare(`SELECT 1 FROM leads WHERE email = ? COLLATE NOCASE
+                  UNION ALL SELECT 1 FROM waitlist WHERE email = ?
+                  UNION ALL SELECT 1 FROM demo_bookings WHERE email = ? COLLATE NOCASE
+                  LIMIT 1`)
+        .get(email, email, email));
+}
+
+/**
+ * findPersonalData: Everything stored about an email address, for a data export: the same
+ * records deletePersonalData() erases. Leads come with the team's notes and the list of
+ * attached files (not the files themselves).
+ * @param {string} email - Email address.
+ * @returns {{ leads: object[], waitlist: object[], demoBookings: object[], emails: object[],
+ *   webhookDeliveries: object[] }}
+ */
+function findPersonalData(email) {
+    const notes = db.prepare('SELECT body, created_at FROM lead_notes WHERE lead_id = ? ORDER BY created_at, id');
+    const files = db.prepare(`SELECT original_name, mime_type, size, created_at FROM lead_attachments
+                              WHERE lead_id = ? ORDER BY created_at, rowid`);
+
+    const leads = db
+        .prepare('SELECT * FROM leads WHERE email = ? COLLATE NOCASE ORDER BY created_at, id')
+        .all(email)
+        .map((row) => ({
+            id: row.id,
+            email: row.email,
+            message: row.message,
+            plan: row.plan,
+            billingPeriod: row.billing_period,
+            status: row.status,
+            ip: row.ip,
+            userAgent: row.user_agent,
+            consentAt: row.consent_at,
+            privacyPolicyVersion: row.privacy_policy_version,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            notes: notes.all(row.id).map((note) => ({ body: note.body, createdAt: note.created_at })),
+            attachments: files.all(row.id).map((file) => ({
+                name: file.original_name,
+                mimeType: file.mime_type,
+                size: file.size,
+                createdAt: file.created_at,
+            })),
+        }));
+
+    const waitlist = db
+        .prepare('SELECT * FROM waitlist WHERE email = ?')
+        .all(email)
+        .map((row) => ({
+            email: row.email,
+            shopName: row.shop_name,
+            city: row.city,
+            source: row.source,
+            ip: row.ip,
+            confirmedAt: row.confirmed_at,
+            createdAt: row.created_at,
+        }));
+
+    const demoBookings = db
+        .prepare('SELECT * FROM demo_bookings WHERE email = ? COLLATE NOCASE ORDER BY start_at')
+        .all(email)
+        .map((row) => ({
+            name: row.name,
+            email: row.email,
+            company: row.company,
+            notes: row.notes,
+            start: row.start_at,
+            end: row.end_at,
+            timeZone: row.time_zone,
+            status: row.status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        }));
+
+    const emails = db
+        .prepare(`SELECT * FROM outbox WHERE ${EMAILS_ABOUT} ORDER BY created_at, id`)
+        .all(email, email, email)
+        .map((row) => ({
+            subject: row.subject,
+            text: row.body,
+            status: row.status,
+            createdAt: row.created_at,
+            sentAt: row.sent_at,
+        }));
+
+    const webhookDeliveries = db
+        .prepare(`SELECT * FROM webhook_deliveries WHERE ${DELIVERIES_ABOUT} ORDER BY created_at, id`)
+        .all(email)
+        .map((row) => ({
+            event: row.event,
+            payload: JSON.parse(row.payload),
+            status: row.status,
+            createdAt: row.created_at,
+            deliveredAt: row.delivered_at,
+        }));
+
+    return { leads, waitlist, demoBookings, emails, webhookDeliveries };
+}
+
+/**
+ * Storage names of the files attached to the leads a query selects, read before the leads are
+ * deleted (their attachment rows go with them).
+ * @param {string} leadsSql - SELECT returning lead ids.
+ * @param {any[]} params - Parameters for leadsSql.
+ * @returns {string[]}
+ */
+function attachmentFilesOf(leadsSql, params) {
+    return db
+        .prepare(`SELECT storage_name FROM lead_attachments WHERE lead_id IN (${leadsSql})`)
+        .pluck()
+        .all(...params);
+}
+
+/**
+ * deletePersonalData: Erases everything stored about an email address: leads (with their notes
+ * and attachments), waitlist signups, demo bookings, emails sent to the address or to the team
+ * about its leads and bookings, and webhook deliveries of its leads. Only exact (case-insensitive) matches of the address are deleted.
+ * @param {string} email - Email address.
+ * @returns {{ counts: object, storageNames: string[] }} How many records of each kind were
+ *   deleted, and the attachment files to delete from disk.
+ */
+function deletePersonalData(email) {
+    return db.transaction(() => {
+        const storageNames = attachmentFilesOf(LEADS_BY_EMAIL, [email]);
+        const notes = db.prepare(`SELECT COUNT(*) FROM lead_notes WHERE lead_id IN (${LEADS_BY_EMAIL})`).pluck().get(email);
+        // Before the leads and bookings, which find the team alerts about them
+        const emails = db.prepare(`DELETE FROM outbox WHERE ${EMAILS_ABOUT}`).run(email, email, email).changes;
+        const counts = {
+            leads: db.prepare('DELETE FROM leads WHERE email = ? COLLATE NOCASE').run(email).changes,
+            notes,
+            attachments: storageNames.length,
+            waitlist: db.prepare('DELETE FROM waitlist WHERE email = ?').run(email).changes,
+            demoBookings: db.prepare('DELETE FROM demo_bookings WHERE email = ? COLLATE NOCASE').run(email).changes,
+            emails,
+            webhookDeliveries: db.prepare(`DELETE FROM webhook_deliveries WHERE ${DELIVERIES_ABOUT}`).run(email).changes,
+        };
+        return { counts, storageNames };
+    })();
+}
+
+/**
+ * purgeExpiredData: Deletes records older than their retention period. A cutoff left out (or
+ * null) keeps that kind of record forever.
+ * @param {object} cutoffs - ISO date/times; records last touched before them are deleted.
+ * @param {string} [cutoffs.leads] - Leads by last update (with their notes and attachments).
+ * @param {string} [cutoffs.demoBookings] - Demo bookings by the end of the demo.
+ * @param {string} [cutoffs.emails] - Delivered or failed emails by creation (pending ones are kept).
+ * @param {string} [cutoffs.webhookDeliveries] - Finished webhook deliveries by creation.
+ * @param {string} [cutoffs.privacyRequests] - Expired request links.
+ * @returns {{ counts: object, storageNames: string[] }} Deleted records per kind (only kinds
+ *   with a cutoff), and the attachment files to delete from disk.
+ */
+function purgeExpiredData({ leads, demoBookings, emails, webhookDeliveries, privacyRequests }) {
+    return db.transaction(() => {
+        const counts = {};
+        let storageNames = [];
+        if (leads) {
+            storageNames = attachmentFilesOf('SELECT id FROM leads WHERE updated_at < ?', [leads]);
+            counts.leads = db.prepare('DELETE FROM leads WHERE updated_at < ?').run(leads).changes;
+            counts.attachments = storageNames.length;
+        }
+        if (demoBookings) {
+            counts.demoBookings = db.prepare('DELETE FROM demo_bookings WHERE end_at < ?').run(demoBookings).changes;
+        }
+        if (emails) {
+            counts.emails = db.prepare("DELETE FROM outbox WHERE status != 'pending' AND created_at < ?").run(emails).changes;
+        }
+        if (webhookDeliveries) {
+            counts.webhookDeliveries = db
+                .prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?")
+                .run(webhookDeliveries).changes;
+        }
+        if (privacyRequests) {
+            counts.privacyRequests = db.prepare('DELETE FROM privacy_requests WHERE expires_at < ?').run(privacyRequests).changes;
+        }
+        return { counts, storageNames };
+    })();
+}
+
+/**
+ * recordAuditEvent: Adds an entry to the privacy audit log.
+ * @param {object} event - The entry.
+ * @param {string} event.action - One of AUDIT_ACTIONS.
+ * @param {string} [event.emailHash] - Whose data it was (see hashEmail).
+ * @param {string} [event.requestId] - The privacy request that was carried out.
+ * @param {string} [event.ip] - Client IP address.
+ * @param {object} event.details - Counts of the records exported or deleted.
+ * @returns {object} The entry.
+ */
+function recordAuditEvent({ action, emailHash = null, requestId = null, ip = null, details }) {
+    const result = db
+        .prepare(`INSERT INTO privacy_audit_log (action, email_hash, request_id, ip, details, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(action, emailHash, requestId, ip, JSON.stringify(details), new Date().toISOString());
+    return toAuditEntry(db.prepare('SELECT * FROM privacy_audit_log WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * listAuditLog: One page of the audit log, newest first.
+ * @param {object} [options] - Filters and pagination.
+ * @param {string} [options.action] - Only entries with this action (see AUDIT_ACTIONS).
+ * @param {string} [options.emailHash] - Only entries about this person (see hashEmail).
+ * @param {number} [options.page=1] - 1-based page number.
+ * @param {number} [options.limit=20] - Page size.
+ * @returns {{ entries: object[], total: number }}
+ */
+function listAuditLog({ action, emailHash, page = 1, limit = 20 } = {}) {
+    const where = [];
+    const params = [];
+    if (action) {
+        where.push('action = ?');
+        params.push(action);
+    }
+    if (emailHash) {
+        where.push('email_hash = ?');
+        params.push(emailHash);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM privacy_audit_log ${whereSql}`).get(...params);
+    const rows = db
+        .prepare(`SELECT * FROM privacy_audit_log ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, (page - 1) * limit);
+    return { entries: rows.map(toAuditEntry), total };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    REQUEST_TYPES,
+    claimPrivacyRequest,
+    createPrivacyRequest,
+    deletePersonalData,
+    findPersonalData,
+    getPrivacyRequest,
+    hasPersonalData,
+    hashEmail,
+    listAuditLog,
+    purgeExpiredData,
+    recordAuditEvent,
+};
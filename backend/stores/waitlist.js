@@ -0,0 +1,144 @@
+// backend/stores/waitlist.js
+// Data access helpers for AI SmartBill waitlist and beta signups.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+// Where a signup came from on the landing page. Kept in sync with the CHECK constraint in db.js.
+const WAITLIST_SOURCES = ['banner', 'spotlight', 'beta'];
+
+/**
+ * Hashes a confirmation token. Only the hash is stored, so a leaked database
+ * can't be used to confirm signups.
+ * @param {string} token - The raw token sent by email.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Maps a database row to the JSON shape returned by the API (camelCase keys).
+ * @param {object} row - A row from the waitlist table.
+ * @returns {object} The signup.
+ */
+function toSignup(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        shopName: row.shop_name,
+        city: row.city,
+        source: row.source,
+        confirmed: Boolean(row.confirmed_at),
+        confirmedAt: row.confirmed_at,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * getQueuePosition: A signup's 1-based place in line (earlier signups come first).
+ * @param {number} id - The signup id.
+ * @returns {number} The position.
+ */
+function getQueuePosition(id) {
+    return db.prepare('SELECT COUNT(*) AS position FROM waitlist WHERE id <= ?').get(id).position;
+}
+
+/**
+ * findSignupByEmail: Looks up a signup by email address (case-insensitive).
+ * @param {string} email - Email address.
+ * @returns {object|null} The signup, or null when there is none.
+ */
+function findSignupByEmail(email) {
+    const row = db.prepare('SELECT * FROM waitlist WHERE email = ?').get(email);
+    return row ? toSignup(row) : null;
+}
+
+/**
+ * createSignup: Adds someone to the waitlist with a fresh confirmation token.
+ * @param {object} data - The signup.
+ * @param {string} data.email - Email address (unique).
+ * @param {string} data.shopName - Name of the shop.
+ * @param {string} data.city - City the shop is in.
+ * @param {string} data.source - One of WAITLIST_SOURCES.
+ * @param {string} [data.ip] - Client IP address.
+ * @returns {{ signup: object, confirmToken: string }} The stored signup and the raw token to email.
+ */
+function createSignup({ email, shopName, city, source, ip = null }) {
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const result = db
+        .prepare(`INSERT INTO waitlist (email, shop_name, city, source, confirm_token_hash, ip, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(email, shopName, city, source, hashToken(confirmToken), ip, new Date().toISOString());
+    const row = db.prepare('SELECT * FROM waitlist WHERE id = ?').get(result.lastInsertRowid);
+    return { signup: toSignup(row), confirmToken };
+}
+
+/**
+ * renewConfirmToken: Issues a new confirmation token for an unconfirmed signup
+ * (e.g. when someone signs up again because they lost the first email).
+ * @param {number} id - The signup id.
+ * @returns {string} The new raw token.
+ */
+function renewConfirmToken(id) {
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    db.prepare('UPDATE waitlist SET confirm_token_hash = ? WHERE id = ? AND confirmed_at IS NULL')
+        .run(hashToken(confirmToken), id);
+    return confirmToken;
+}
+
+/**
+ * confirmSignup: Marks the signup owning `token` as confirmed. Tokens are single-use.
+ * @param {string} token - The raw token from the confirmation link.
+ * @returns {object|null} The confirmed signup, or null if the token is unknown or already used.
+ */
+function confirmSignup(token) {
+    const row = db.prepare('SELECT * FROM waitlist WHERE confirm_token_hash = ?').get(hashToken(token));
+    if (!row) {
+        return null;
+    }
+    db.prepare('UPDATE waitlist SET confirmed_at = ?, confirm_token_hash = NULL WHERE id = ?')
+        .run(new Date().toISOString(), row.id);
+    return toSignup(db.prepare('SELECT * FROM waitlist WHERE id = ?').get(row.id));
+}
+
+/**
+ * listSignups: Every signup in queue order, with its position.
+ * @returns {object[]}
+ */
+function listSignups() {
+    return db
+        .prepare('SELECT * FROM waitlist ORDER BY id')
+        .all()
+        .map((row, index) => ({ ...toSignup(row), position: index + 1 }));
+}
+
+/**
+ * getWaitlistStats: Summary numbers for launch planning.
+ * @returns {object} Totals overall, by source and by city.
+ */
+function getWaitlistStats() {
+    const totals = db
+        .prepare('SELECT COUNT(*) AS total, COUNT(confirmed_at) AS confirmed FROM waitlist')
+        .get();
+    const bySource = db
+        .prepare(`SELECT source, COUNT(*) AS total, COUNT(confirmed_at) AS confirmed
+                  FROM waitlist GROUP BY source ORDER BY total DESC`)
+        .all();
+    const byCity = db
+        .prepare(`SELECT city, COUNT(*) AS total, COUNT(confirmed_at) AS confirmed
+                  FROM waitlist GROUP BY city COLLATE NOCASE ORDER BY total DESC LIMIT 20`)
+        .all();
+    return { ...totals, bySource, byCity };
+}
+
+module.exports = {
+    WAITLIST_SOURCES,
+    confirmSignup,
+    createSignup,
+    findSignupByEmail,
+    getQueuePosition,
+    getWaitlistStats,
+    listSignups,
+    renewConfirmToken,
+};
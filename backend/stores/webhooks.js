@@ -0,0 +1,296 @@
+// backend/stores/webhooks.js
+// Data access helpers for outbound webhooks and their delivery log (see webhooks/).
+
+const crypto = require('crypto');
+const db = require('../db');
+
+// Events a webhook can subscribe to. "ping" is only sent on request (POST /webhooks/:id/ping).
+const WEBHOOK_EVENTS = ['lead.created', 'lead.updated'];
+// Payload shapes: the lead as the API returns it, or a generic CRM contact (see webhooks/crm.js)
+const WEBHOOK_FORMATS = ['standard', 'crm'];
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Maps a database row to the JSON shape returned by the API. The signing secret is left out
+ * unless asked for; the API shows it once, when the webhook is created or its secret rotated.
+ * @param {object} row - A row from the webhooks table.
+ * @param {boolean} [withSecret=false] - Include the secret.
+ * @returns {object}
+ */
+function toWebhook(row, withSecret = false) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        format: row.format,
+        description: row.description,
+        active: row.active === 1,
+        ...(withSecret && { secret: row.secret }),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Maps a delivery row to its API shape.
+ * @param {object} row - A row from the webhook_deliveries table.
+ * @returns {object}
+ */
+function toDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        event: row.event,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at,
+    };
+}
+
+/**
+ * generateSecret: A new random signing secret.
+ * @returns {string} E.g. "whsec_3f9a...".
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * createWebhook: Registers a webhook with a new signing secret.
+ * @param {object} data - The webhook.
+ * @param {string} data.url - Where deliveries are POSTed.
+ * @param {string[]} data.events - Subscribed events (see WEBHOOK_EVENTS).
+ * @param {string} [data.format='standard'] - Payload shape (see WEBHOOK_FORMATS).
+ * @param {string} [data.description] - Note for the team, e.g. "HubSpot via Zapier".
+ * @param {boolean} [data.active=true] - Whether events are sent.
+ * @returns {object} The webhook, including its secret.
+ */
+function createWebhook({ url, events, format = 'standard', description = null, active = true }) {
+    const now = new Date().toISOString();
+    const result = db
+        .prepare(`INSERT INTO webhooks (url, events, format, description, secret, active, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(url, JSON.stringify(events), format, description, generateSecret(), active ? 1 : 0, now, now);
+    return getWebhook(result.lastInsertRowid, { withSecret: true });
+}
+
+/**
+ * getWebhook: Looks up a webhook.
+ * @param {number} id - The webhook id.
+ * @param {object} [options]
+ * @param {boolean} [options.withSecret=false] - Include the signing secret.
+ * @returns {object|null}
+ */
+function getWebhook(id, { withSecret = false } = {}) {
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    return row ? toWebhook(row, withSecret) : null;
+}
+
+/**
+ * listWebhooks: Every webhook, oldest first, without secrets.
+ * @returns {object[]}
+ */
+function listWebhooks() {
+    return db.prepare('SELECT * FROM webhooks ORDER BY id').all().map((row) => toWebhook(row));
+}
+
+/**
+ * listSubscribedWebhooks: Active webhooks subscribed to an event, with their secrets.
+ * @param {string} event - Event type, e.g. "lead.created".
+ * @returns {object[]}
+ */
+function listSubscribedWebhooks(event) {
+    return db
+        .prepare(`SELECT * FROM webhooks WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)
+                  ORDER BY id`)
+        .all(event)
+        .map((row) => toWebhook(row, true));
+}
+
+/**
+ * updateWebhook: Applies a partial update.
+ * @param {number} id - The webhook id.
+ * @param {object} changes - Any of url, events, format, description, active.
+ * @returns {object|null} The updated webhook, or null when it does not exist.
+ */
+function updateWebhook(id, changes) {
+    const current = getWebhook(id);
+    if (!current) {
+        return null;
+    }
+    const next = { ...current, ...changes };
+    db.prepare(`UPDATE webhooks SET url = ?, events = ?, format = ?, description = ?, active = ?, updated_at = ?
+                WHERE id = ?`)
+        .run(next.url, JSON.stringify(next.events), next.format, next.description, next.active ? 1 : 0, new Date().toISOString(), id);
+    return getWebhook(id);
+}
+
+/**
+ * rotateSecret: Replaces a webhook's signing secret. Deliveries still waiting for a retry
+ * are signed with the new one.
+ * @param {number} id - The webhook id.
+ * @returns {object|null} The webhook with its new secret, or null when it does not exist.
+ */
+function rotateSecret(id) {
+    const result = db.prepare('UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?')
+        .run(generateSecret(), new Date().toISOString(), id);
+    return result.changes ? getWebhook(id, { withSecret: true }) : null;
+}
+
+/**
+ * deleteWebhook: Removes a webhook and its delivery log.
+ * @param {number} id - The webhook id.
+ * @returns {boolean} False when it did not exist.
+ */
+function deleteWebhook(id) {
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * enqueueDelivery: Adds a delivery, due immediately.
+ * @param {object} delivery - The delivery.
+ * @param {number} delivery.webhookId - Target webhook.
+ * @param {string} delivery.eventId - Id of the event; the same for every webhook and retry, so
+ *   receivers can ignore duplicates.
+ * @param {string} delivery.event - Event type.
+ * @param {object} delivery.payload - JSON body to send.
+ * @returns {object} The queued delivery.
+ */
+function enqueueDelivery({ webhookId, eventId, event, payload }) {
+    const now = new Date().toISOString();
+    const result = db
+        .prepare(`INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, next_attempt_at, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(webhookId, eventId, event, JSON.stringify(payload), now, now);
+    return getDelivery(result.lastInsertRowid);
+}
+
+/**
+ * getDelivery: Looks up a delivery.
+ * @param {number} id - The delivery id.
+ * @returns {object|null}
+ */
+function getDelivery(id) {
+    const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? toDelivery(row) : null;
+}
+
+/**
+ * listDueDeliveries: Pending deliveries whose next attempt time has passed, oldest first,
+ * each with its webhook's url and secret. Deliveries to disabled webhooks wait until the
+ * webhook is enabled again.
+ * @param {number} [limit=10] - Maximum number to return.
+ * @returns {{ delivery: object, webhook: object }[]}
+ */
+function listDueDeliveries(limit = 10) {
+    return db
+        .prepare(`SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+                  AND webhook_id IN (SELECT id FROM webhooks WHERE active = 1)
+                  ORDER BY next_attempt_at, id LIMIT ?`)
+        .all(new Date().toISOString(), limit)
+        .map((row) => ({ delivery: toDelivery(row), webhook: getWebhook(row.webhook_id, { withSecret: true }) }));
+}
+
+/**
+ * listDeliveries: One page of the delivery log, newest first.
+ * @param {object} [options] - Filters and pagination.
+ * @param {number} [options.webhookId] - Only deliveries to this webhook.
+ * @param {string} [options.status] - Only deliveries with this status (see DELIVERY_STATUSES).
+ * @param {string} [options.event] - Only deliveries of this event type.
+ * @param {number} [options.page=1] - 1-based page number.
+ * @param {number} [options.limit=20] - Page size.
+ * @returns {{ deliveries: object[], total: number }}
+ */
+function listDeliveries({ webhookId, status, event, page = 1, limit = 20 } = {}) {
+    const where = [];
+    const params = [];
+    if (webhookId) {
+        where.push('webhook_id = ?');
+        params.push(webhookId);
+    }
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+    if (event) {
+        where.push('event = ?');
+        params.push(event);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${whereSql}`).get(...params);
+    const rows = db
+        .prepare(`SELECT * FROM webhook_deliveries ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, (page - 1) * limit);
+    return { deliveries: rows.map(toDelivery), total };
+}
+
+/**
+ * markDeliverySucceeded: Records a successful delivery attempt.
+ * @param {number} id - The delivery id.
+ * @param {number} responseStatus - HTTP status the receiver answered with.
+ */
+function markDeliverySucceeded(id, responseStatus) {
+    db.prepare(`UPDATE webhook_deliveries SET status = 'succeeded', attempts = attempts + 1, response_status = ?,
+                last_error = NULL, delivered_at = ? WHERE id = ?`)
+        .run(responseStatus, new Date().toISOString(), id);
+}
+
+/**
+ * markDeliveryFailed: Records a failed delivery attempt.
+ * @param {number} id - The delivery id.
+ * @param {object} outcome - What happened.
+ * @param {string} outcome.error - Why the attempt failed.
+ * @param {number|null} outcome.responseStatus - HTTP status, or null when no response came.
+ * @param {Date|null} outcome.nextAttemptAt - When to try again, or null to give up (status becomes 'failed').
+ */
+function markDeliveryFailed(id, { error, responseStatus, nextAttemptAt }) {
+    if (nextAttemptAt) {
+        db.prepare(`UPDATE webhook_deliveries SET attempts = attempts + 1, response_status = ?, last_error = ?,
+                    next_attempt_at = ? WHERE id = ?`)
+            .run(responseStatus, error, nextAttemptAt.toISOString(), id);
+    } else {
+        db.prepare(`UPDATE webhook_deliveries SET status = 'failed', attempts = attempts + 1, response_status = ?,
+                    last_error = ? WHERE id = ?`)
+            .run(responseStatus, error, id);
+    }
+}
+
+/**
+ * retryDelivery: Queues a delivery again (e.g. a failed one, after the receiver was fixed).
+ * Attempts start over.
+ * @param {number} id - The delivery id.
+ * @returns {object|null} The delivery, or null when it does not exist.
+ */
+function retryDelivery(id) {
+    const result = db
+        .prepare(`UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+                  WHERE id = ?`)
+        .run(new Date().toISOString(), id);
+    return result.changes ? getDelivery(id) : null;
+}
+
+module.exports = {
+    DELIVERY_STATUSES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    createWebhook,
+    deleteWebhook,
+    enqueueDelivery,
+    getDelivery,
+    getWebhook,
+    listDeliveries,
+    listDueDeliveries,
+    listSubscribedWebhooks,
+    listWebhooks,
+    markDeliveryFailed,
+    markDeliverySucceeded,
+    retryDelivery,
+    rotateSecret,
+    updateWebhook,
+};
@@ -0,0 +1,165 @@
+// backend/test/contact.test.js
+// POST /contact through the whole app: stored leads and queued emails, validation and
+// anti-spam failures, rate limits, and localized messages.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, fillContactForm } = require('./harness');
+const db = require('../db');
+const en = require('../i18n/locales/en.json');
+const hi = require('../i18n/locales/hi.json');
+
+const ADMIN = { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` };
+
+/**
+ * Leads stored for an email address, from the admin API.
+ * @param {object} api - From startApp().
+ * @param {string} email
+ * @returns {Promise<object[]>}
+ */
+async function leadsFor(api, email) {
+    const { body } = await api.request(`/leads?q=${encodeURIComponent(email)}`, { headers: ADMIN });
+    return body.leads.filter((lead) => lead.email === email);
+}
+
+describe('POST /contact', () => {
+    let api;
+    // A new app per test, so every test starts with empty rate limits
+    beforeEach(async () => {
+        api = await startApp();
+    });
+    afterEach(() => api.close());
+
+    describe('success', () => {
+        it('stores the lead with the consent given and queues the confirmation email', async () => {
+            const submission = await fillContactForm(api);
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, { success: true, message: en['contact.sent'] });
+            assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+            const [lead] = await leadsFor(api, submission.email);
+            assert.equal(lead.message, submission.message);
+            assert.equal(lead.status, 'new');
+            assert.equal(lead.privacyPolicyVersion, '2026-10-19');
+            assert.ok(lead.consentAt);
+
+            const emails = db.prepare('SELECT kind FROM outbox WHERE recipient = ?').all(submission.email);
+            assert.deepEqual(emails, [{ kind: 'contact.confirmation' }]);
+        });
+
+        it('answers in the language of the Accept-Language header', async () => {
+            const submission = await fillContactForm(api);
+            const response = await api.request('/contact', {
+                method: 'POST',
+                headers: { 'Accept-Language': 'hi-IN,hi;q=0.9,en;q=0.8' },
+                body: submission,
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.message, hi['contact.sent']);
+        });
+
+        it('stores a retried submission with the same Idempotency-Key only once', async () => {
+            const submission = await fillContactForm(api);
+            const headers = { 'Idempotency-Key': 'retry-test-0123456789abcdef' };
+            const first = await api.request('/contact', { method: 'POST', headers, body: submission });
+            const retry = await api.request('/contact', { method: 'POST', headers, body: submission });
+
+            assert.equal(first.status, 200);
+            assert.equal(retry.status, 200);
+            assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+            assert.equal((await leadsFor(api, submission.email)).length, 1);
+        });
+
+        it('pretends to accept submissions with the honeypot filled, but stores nothing', async () => {
+            const submission = await fillContactForm(api, { website: 'https://spam.example' });
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.success, true);
+            assert.deepEqual(await leadsFor(api, submission.email), []);
+        });
+    });
+
+    describe('validation failures', () => {
+        it('rejects an empty submission with an error per required field', async () => {
+            const response = await api.request('/contact', { method: 'POST', body: {} });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.success, false);
+            assert.equal(response.body.message, en['contact.invalid']);
+            assert.equal(response.body.errors.email, 'Email is required.');
+            assert.equal(response.body.errors.message, 'Message is required.');
+            assert.equal(response.body.errors.consent, en['contact.consentRequired']);
+            assert.ok(response.body.errors.privacyPolicyVersion);
+        });
+
+        it('rejects an invalid email address and a too short message', async () => {
+            const submission = await fillContactForm(api, { email: 'not-an-email', message: 'Hi' });
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.errors.email, 'Email must be a valid email address.');
+            assert.ok(response.body.errors.message);
+        });
+
+        it('requires the privacy policy to be agreed to', async () => {
+            const submission = await fillContactForm(api, { consent: '' });
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(Object.keys(response.body.errors), ['consent']);
+            assert.deepEqual(await leadsFor(api, submission.email), []);
+        });
+
+        it('rejects fields the form doesn\'t have', async () => {
+            const submission = await fillContactForm(api, { phone: '+91 98765 43210' });
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.errors.phone, en['validation.unknown']);
+        });
+
+        it('rejects a forged form token', async () => {
+            const submission = await fillContactForm(api, { formToken: '1700000000000.abcdef.forged' });
+            const response = await api.request('/contact', { method: 'POST', body: submission });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.reason, 'invalid');
+            assert.equal(response.body.message, en['contact.expired']);
+        });
+
+        it('rejects the same message sent twice', async () => {
+            const submission = await fillContactForm(api);
+            await api.request('/contact', { method: 'POST', body: submission });
+            const again = await api.request('/contact', { method: 'POST', body: { ...submission } });
+
+            assert.equal(again.status, 409);
+            assert.equal(again.body.message, en['contact.duplicate']);
+        });
+
+        it('answers a malformed body with a JSON error', async () => {
+            const response = await api.request('/contact', { method: 'POST', body: '{"email": ' });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.success, false);
+            assert.equal(response.body.message, 'Request body must be valid JSON.');
+            assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+        });
+
+        it('rate limits a client sending too many messages', async () => {
+            for (let i = 0; i < 5; i += 1) {
+                const response = await api.request('/contact', { method: 'POST', body: {} });
+                assert.equal(response.status, 400);
+            }
+            const limited = await api.request('/contact', { method: 'POST', body: {} });
+
+            assert.equal(limited.status, 429);
+            assert.equal(limited.body.message, en['contact.rateLimitIp']);
+            assert.equal(limited.headers.get('ratelimit-limit'), '5');
+            assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        });
+    });
+});
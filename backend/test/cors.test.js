@@ -0,0 +1,58 @@
+// backend/test/cors.test.js
+// CORS: only the origins in ALLOWED_ORIGINS (http://localhost:5173 in the harness) may call
+// the API from a browser, and they can read the headers the frontend relies on.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./harness');
+
+const FRONTEND = 'http://localhost:5173';
+
+describe('CORS', () => {
+    let api;
+    before(async () => {
+        api = await startApp();
+    });
+    after(() => api.close());
+
+    it('allows the frontend origin and exposes the rate-limit and request id headers', async () => {
+        const response = await api.request('/contact/token', { headers: { Origin: FRONTEND } });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('access-control-allow-origin'), FRONTEND);
+        const exposed = response.headers.get('access-control-expose-headers').split(',');
+        for (const header of ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'X-Request-Id']) {
+            assert.ok(exposed.includes(header), `${header} is exposed`);
+        }
+    });
+
+    it('answers the preflight for a JSON POST /contact', async () => {
+        const response = await api.request('/contact', {
+            method: 'OPTIONS',
+            headers: {
+                Origin: FRONTEND,
+                'Access-Control-Request-Method': 'POST',
+                'Access-Control-Request-Headers': 'content-type,idempotency-key',
+            },
+        });
+
+        assert.equal(response.status, 204);
+        assert.equal(response.headers.get('access-control-allow-origin'), FRONTEND);
+        assert.match(response.headers.get('access-control-allow-methods'), /POST/);
+        assert.equal(response.headers.get('access-control-allow-headers'), 'content-type,idempotency-key');
+    });
+
+    it('gives other origins no CORS headers, so browsers block the response', async () => {
+        const response = await api.request('/contact/token', { headers: { Origin: 'https://evil.example' } });
+
+        assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+
+    it('leaves requests without an Origin (curl, servers) alone', async () => {
+        const response = await api.request('/contact/token');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+});
@@ -0,0 +1,115 @@
+// backend/test/harness.js
+// In-process API harness for the integration tests: runs the app from app.js on a random
+// local port and talks to it over real HTTP, so requests go through every middleware
+// (request ids, CORS, body parsing, locale, rate limits) exactly as in production.
+//
+// node --test runs each test file in its own process, so each file gets a fresh in-memory
+// database. Nothing here needs the network or a mail server.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+
+// Settings for the whole test process; set before app.js (and db.js) are loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jrtech-test-'));
+Object.assign(process.env, {
+    DB_PATH: ':memory:',
+    ATTACHMENTS_DIR: path.join(tmpDir, 'attachments'),
+    MAIL_TRANSPORT: 'console',
+    LOG_LEVEL: 'silent',
+    // Form tokens can be used almost right away (see antispam.js)
+    FORM_MIN_FILL_MS: '1',
+    ALLOWED_ORIGINS: 'http://localhost:5173',
+    ADMIN_API_TOKEN: 'test-admin-token',
+});
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const { createApp } = require('../app');
+
+/**
+ * @typedef {object} TestResponse
+ * @property {number} status
+ * @property {Headers} headers
+ * @property {object|null} body - Parsed JSON, or null when the response isn't JSON.
+ * @property {string} text - Raw response body.
+ */
+
+/**
+ * startApp: Builds the app and starts it on a free port. The background workers (email,
+ * webhooks, retention) aren't started, so queued emails and deliveries stay in the database
+ * where tests can look at them.
+ * @param {object} [deps] - Services to use instead of the real ones (see createApp).
+ * @returns {Promise<object>} The services from createApp, plus `baseUrl`,
+ *   `request(path, options)` and `close()`.
+ */
+async function startApp(deps) {
+    const { app, ...services } = createApp(deps);
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * request: Sends a request to the app.
+     * @param {string} urlPath - E.g. '/contact'.
+     * @param {object} [options]
+     * @param {string} [options.method] - HTTP method (default GET).
+     * @param {object} [options.headers] - Request headers.
+     * @param {object|string} [options.body] - Objects are sent as JSON, strings as they are.
+     * @returns {Promise<TestResponse>}
+     */
+    async function request(urlPath, { method = 'GET', headers = {}, body } = {}) {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not JSON (e.g. an empty preflight response)
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    }
+
+    /**
+     * close: Stops the server, dropping idle keep-alive connections.
+     */
+    async function close() {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    return { ...services, baseUrl, request, close };
+}
+
+// Each submission gets its own address unless one is given, so duplicate detection and the
+// per-email rate limit don't carry over between tests
+let submissions = 0;
+
+/**
+ * fillContactForm: A valid POST /contact body, as the frontend sends it, with a fresh form token.
+ * @param {object} api - From startApp().
+ * @param {object} [fields] - Fields to change or add.
+ * @returns {Promise<object>} The request body.
+ */
+async function fillContactForm(api, fields = {}) {
+    const { body } = await api.request('/contact/token');
+    // Past FORM_MIN_FILL_MS (set to 1 ms above)
+    await delay(5);
+    submissions += 1;
+    return {
+        email: `customer${submissions}@example.com`,
+        message: 'We need billing software for our three counters.',
+        consent: 'true',
+        privacyPolicyVersion: '2026-10-19',
+        formToken: body.token,
+        website: '',
+        ...fields,
+    };
+}
+
+module.exports = { startApp, fillContactForm };
@@ -0,0 +1,119 @@
+// backend/test/privacy.test.js
+// Self-service export and erasure: a link only reaches the records of its exact address, and
+// an export holds exactly what an erasure would delete, team alerts about the person included.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, fillContactForm } = require('./harness');
+const db = require('../db');
+const { createWebhook } = require('../stores/webhooks');
+
+// Team alerts about leads and demo bookings go here; read by createNotifier() in startApp()
+process.env.TEAM_EMAIL = 'team@jrtech.local';
+
+const PERSON = 'a@b.com';
+// Addresses containing PERSON's; their records must never be exported or erased with it
+const LOOK_ALIKES = ['xa@b.com', 'aa@b.com.au'];
+
+/**
+ * Emails to an address or to the team about its leads, and webhook deliveries about its leads
+ * (standard and CRM formats).
+ * @param {string} email
+ * @returns {{ emails: number, deliveries: number }}
+ */
+function recordsOf(email) {
+    return {
+        emails: db
+            .prepare('SELECT COUNT(*) FROM outbox WHERE recipient = ? OR lead_id IN (SELECT id FROM leads WHERE email = ?)')
+            .pluck()
+            .get(email, email),
+        deliveries: db
+            .prepare(`SELECT COUNT(*) FROM webhook_deliveries
+                      WHERE COALESCE(json_extract(payload, '$.data.lead.email'), json_extract(payload, '$.data.contact.email')) = ?`)
+            .pluck()
+            .get(email),
+    };
+}
+
+describe('privacy requests', () => {
+    let api;
+    // The other person's submission, whose message mentions PERSON
+    let mention;
+
+    /**
+     * Requests a link for PERSON and takes the token from the email it was sent in.
+     * @param {'export'|'erasure'} type
+     * @returns {Promise<string>}
+     */
+    async function requestToken(type) {
+        const response = await api.request('/privacy/requests', { method: 'POST', body: { email: PERSON, type } });
+        assert.equal(response.status, 202);
+        const body = db
+            .prepare('SELECT body FROM outbox WHERE kind = ? AND recipient = ? ORDER BY id DESC')
+            .pluck()
+            .get(`privacy.${type}`, PERSON);
+        return decodeURIComponent(body.match(/[?&]token=([^\s&]+)/)[1]);
+    }
+
+    before(async () => {
+        api = await startApp();
+        createWebhook({ url: 'http://127.0.0.1:9/standard', events: ['lead.created'] });
+        createWebhook({ url: 'http://127.0.0.1:9/crm', events: ['lead.created'], format: 'crm' });
+        for (const email of [PERSON, ...LOOK_ALIKES]) {
+            const submission = await fillContactForm(api, { email });
+            assert.equal((await api.request('/contact', { method: 'POST', body: submission })).status, 200);
+        }
+        mention = await fillContactForm(api, { message: `My colleague ${PERSON} asked me to get in touch.` });
+        assert.equal((await api.request('/contact', { method: 'POST', body: mention })).status, 200);
+
+        const { body: { slots } } = await api.request('/demo/slots');
+        const booked = await api.request('/demo/bookings', {
+            method: 'POST',
+            body: { name: 'Asha Rao', email: PERSON, start: slots[0].start, timeZone: 'Asia/Kolkata' },
+        });
+        assert.equal(booked.status, 201);
+    });
+    after(() => api.close());
+
+    it('exports exactly the records erasure deletes, and leaves look-alike addresses alone', async () => {
+        const others = LOOK_ALIKES.map(recordsOf);
+        const otherLeads = db.prepare('SELECT COUNT(*) FROM leads WHERE email != ?').pluck().get(PERSON);
+
+        const exported = await api.request('/privacy/export', { method: 'POST', body: { token: await requestToken('export') } });
+        assert.equal(exported.status, 200);
+        const { data } = exported.body;
+        assert.deepEqual(data.leads.map((lead) => lead.email), [PERSON]);
+        assert.equal(data.demoBookings.length, 1);
+        assert.equal(data.webhookDeliveries.length, 2);
+        // The lead and demo team alerts come with the person's own emails
+        assert.equal(data.emails.filter((email) => email.text.includes(`Email: ${PERSON}\n`)).length, 2);
+
+        const erased = await api.request('/privacy/erase', { method: 'POST', body: { token: await requestToken('erasure') } });
+        assert.equal(erased.status, 200);
+        const details = JSON.parse(db.prepare("SELECT details FROM privacy_audit_log WHERE action = 'erasure'").pluck().get());
+        assert.equal(details.leads, data.leads.length);
+        assert.equal(details.demoBookings, data.demoBookings.length);
+        assert.equal(details.webhookDeliveries, data.webhookDeliveries.length);
+        // The emails exported, plus the erasure link email sent after the export
+        assert.equal(details.emails, data.emails.length + 1);
+
+        assert.deepEqual(recordsOf(PERSON), { emails: 0, deliveries: 0 });
+        assert.deepEqual(LOOK_ALIKES.map(recordsOf), others);
+        assert.ok(others.every(({ emails, deliveries }) => emails === 2 && deliveries === 2));
+        assert.equal(db.prepare('SELECT COUNT(*) FROM leads WHERE email != ?').pluck().get(PERSON), otherLeads);
+    });
+
+    it('leaves no email that mentions the erased address, other than about someone else\'s message', () => {
+        const mentionLead = db.prepare('SELECT id FROM leads WHERE email = ?').pluck().get(mention.email);
+        // PERSON as a whole address, not as part of xa@b.com or aa@b.com.au
+        const address = new RegExp(`(^|[^\\w.+-])${PERSON.replace(/\./g, '\\.')}(?![\\w.-])`);
+        const left = db
+            .prepare('SELECT kind, subject, body, attachments FROM outbox WHERE recipient != ? AND lead_id IS NOT ?')
+            .all(mention.email, mentionLead)
+            .filter((row) => address.test(`${row.subject}\n${row.body}\n${row.attachments || ''}`));
+
+        assert.deepEqual(left, []);
+        // The other person's message is theirs: the alert about it stays
+        assert.equal(db.prepare('SELECT COUNT(*) FROM outbox WHERE lead_id = ?').pluck().get(mentionLead), 1);
+    });
+});
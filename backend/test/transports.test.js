@@ -0,0 +1,32 @@
+// backend/test/transports.test.js
+// The console mail transport (the default) must not write the contents of emails to the logs.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../logger');
+const { createConsoleTransport } = require('../notifier/transports');
+
+describe('console transport', () => {
+    it('logs one JSON line with the recipient and body redacted', async () => {
+        const lines = [];
+        const logger = createLogger({ level: 'info', stream: { write: (line) => lines.push(line) } });
+
+        await createConsoleTransport({ logger }).send({
+            from: 'JR Tech Solutions <no-reply@jrtech.local>',
+            to: 'asha@example.com',
+            subject: 'New lead from asha@example.com',
+            text: 'Asha wrote: call me on +91 98765 43210',
+            attachments: [{ filename: 'brief.pdf', content: '...' }],
+        });
+
+        assert.equal(lines.length, 1);
+        const entry = JSON.parse(lines[0]);
+        assert.equal(entry.msg, 'Email (console transport)');
+        assert.equal(entry.to, '[redacted]');
+        assert.equal(entry.text, '[redacted]');
+        assert.equal(entry.subject, 'New lead from [email]');
+        assert.equal(entry.attachments, 1);
+        assert.ok(!lines[0].includes('asha@example.com'));
+        assert.ok(!lines[0].includes('98765'));
+    });
+});
@@ -0,0 +1,243 @@
+// backend/test/webhooks.test.js
+// Outbound webhooks against a local HTTP receiver: signed deliveries, retries with backoff and
+// the delivery log, and the CRM contact payload. The worker isn't running; each test sends the
+// due deliveries itself with processDeliveries().
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const { startApp, fillContactForm } = require('./harness');
+const { createWebhookDispatcher } = require('../webhooks');
+const { verifySignature, DEFAULT_TOLERANCE_SECONDS } = require('../webhooks/signature');
+
+const ADMIN = { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` };
+// Short, so a retry becomes due within the test
+const RETRY_BASE_MS = 500;
+
+describe('webhooks', () => {
+    let api;
+    let receiver;
+    let receiverUrl;
+    // Requests the receiver got: { path, headers, body (raw) }
+    const received = [];
+    // Statuses the receiver answers with, one per request; 204 when empty
+    const answers = [];
+
+    /**
+     * Registers a webhook pointing at the receiver.
+     * @param {object} fields - POST /webhooks body fields besides the URL.
+     * @returns {Promise<object>} The webhook, with its secret.
+     */
+    async function registerWebhook(fields) {
+        const response = await api.request('/webhooks', {
+            method: 'POST',
+            headers: ADMIN,
+            body: { url: `${receiverUrl}/${fields.format || 'standard'}`, ...fields },
+        });
+        assert.equal(response.status, 201);
+        return response.body.webhook;
+    }
+
+    /**
+     * Sends a contact form message, which emits lead.created.
+     * @returns {Promise<object>} The submission.
+     */
+    async function submitLead() {
+        const submission = await fillContactForm(api);
+        assert.equal((await api.request('/contact', { method: 'POST', body: submission })).status, 200);
+        return submission;
+    }
+
+    /**
+     * The delivery log of one webhook, newest first.
+     * @param {number} webhookId
+     * @returns {Promise<object[]>}
+     */
+    async function deliveriesOf(webhookId) {
+        const response = await api.request(`/webhooks/deliveries?webhookId=${webhookId}`, { headers: ADMIN });
+        assert.equal(response.status, 200);
+        return response.body.deliveries;
+    }
+
+    /**
+     * Runs a delivery pass in which the one due delivery fails.
+     * @param {number} webhookId - The webhook it goes to.
+     * @returns {Promise<{ start: number, end: number, delivery: object }>} When the pass ran,
+     *   and the delivery afterwards.
+     */
+    async function failOnce(webhookId) {
+        const start = Date.now();
+        assert.deepEqual(await api.webhooks.processDeliveries(), { succeeded: 0, failed: 1 });
+        const end = Date.now();
+        const [delivery] = await deliveriesOf(webhookId);
+        return { start, end, delivery };
+    }
+
+    /**
+     * Checks that a failed delivery was rescheduled `delayMs` after its attempt.
+     * @param {{ start: number, end: number, delivery: object }} pass - From failOnce().
+     * @param {number} delayMs
+     */
+    function assertRetriedAfter({ start, end, delivery }, delayMs) {
+        const next = Date.parse(delivery.nextAttemptAt);
+        assert.ok(next >= start + delayMs && next <= end + delayMs, `next attempt at ${delivery.nextAttemptAt}`);
+    }
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                const status = answers.shift() || 204;
+                res.writeHead(status, { 'Content-Type': 'text/plain' }).end(status === 204 ? undefined : 'Receiver down');
+            });
+        });
+        receiver.listen(0, '127.0.0.1');
+        await once(receiver, 'listening');
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+        api = await startApp({ webhooks: createWebhookDispatcher({ baseDelayMs: RETRY_BASE_MS, maxAttempts: 3 }) });
+    });
+    after(async () => {
+        await api.close();
+        receiver.closeAllConnections();
+        await new Promise((resolve) => receiver.close(resolve));
+    });
+    // Every test registers its own webhooks; remove them so later leads don't go to them
+    afterEach(async () => {
+        const { body } = await api.request('/webhooks', { headers: ADMIN });
+        for (const webhook of body.webhooks) {
+            await api.request(`/webhooks/${webhook.id}`, { method: 'DELETE', headers: ADMIN });
+        }
+        received.length = 0;
+        answers.length = 0;
+    });
+
+    it('signs each delivery so the receiver can verify it, and rejects replays and tampering', async () => {
+        const webhook = await registerWebhook({ events: ['lead.created'] });
+        const submission = await submitLead();
+
+        assert.deepEqual(await api.webhooks.processDeliveries(), { succeeded: 1, failed: 0 });
+        assert.equal(received.length, 1);
+        const [{ headers, body }] = received;
+        assert.equal(headers['x-webhook-event'], 'lead.created');
+        assert.equal(headers['x-webhook-id'], String(webhook.id));
+        assert.equal(JSON.parse(body).data.lead.email, submission.email);
+
+        const delivery = {
+            secret: webhook.secret,
+            signature: headers['x-webhook-signature'],
+            timestamp: headers['x-webhook-timestamp'],
+            body,
+        };
+        assert.deepEqual(verifySignature(delivery), { ok: true });
+        // The same request captured and sent again after the tolerance window
+        const later = Number(delivery.timestamp) * 1000 + (DEFAULT_TOLERANCE_SECONDS + 1) * 1000;
+        assert.deepEqual(verifySignature({ ...delivery, now: later }), { ok: false, reason: 'expired' });
+        assert.deepEqual(verifySignature({ ...delivery, body: body.replace(submission.email, 'attacker@example.com') }), {
+            ok: false,
+            reason: 'mismatch',
+        });
+        assert.deepEqual(verifySignature({ ...delivery, secret: 'whsec_wrong' }), { ok: false, reason: 'mismatch' });
+    });
+
+    it('retries a failed delivery with backoff and records each attempt in the delivery log', async () => {
+        const webhook = await registerWebhook({ events: ['lead.created'] });
+        await submitLead();
+        answers.push(500, 500);
+
+        // Attempt 1 fails: retried RETRY_BASE_MS later
+        assertRetriedAfter(await failOnce(webhook.id), RETRY_BASE_MS);
+        let [delivery] = await deliveriesOf(webhook.id);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.responseStatus, 500);
+        assert.equal(delivery.lastError, 'HTTP 500: Receiver down');
+
+        // Not due yet: nothing is sent
+        assert.deepEqual(await api.webhooks.processDeliveries(), { succeeded: 0, failed: 0 });
+        assert.equal(received.length, 1);
+
+        // Attempt 2 fails: the delay doubles
+        await delay(Date.parse(delivery.nextAttemptAt) - Date.now() + 10);
+        assertRetriedAfter(await failOnce(webhook.id), 2 * RETRY_BASE_MS);
+        [delivery] = await deliveriesOf(webhook.id);
+        assert.equal(delivery.attempts, 2);
+
+        // Attempt 3 succeeds
+        await delay(Date.parse(delivery.nextAttemptAt) - Date.now() + 10);
+        assert.deepEqual(await api.webhooks.processDeliveries(), { succeeded: 1, failed: 0 });
+        const deliveries = await deliveriesOf(webhook.id);
+        assert.equal(deliveries.length, 1);
+        assert.equal(deliveries[0].status, 'succeeded');
+        assert.equal(deliveries[0].attempts, 3);
+        assert.equal(deliveries[0].responseStatus, 204);
+        assert.equal(deliveries[0].lastError, null);
+        assert.equal(deliveries[0].nextAttemptAt, null);
+        assert.ok(deliveries[0].deliveredAt);
+
+        // Every attempt carried the same event id, so the receiver can drop duplicates
+        assert.equal(received.length, 3);
+        assert.equal(new Set(received.map(({ body }) => JSON.parse(body).id)).size, 1);
+        assert.ok(received.every(({ headers }) => headers['x-webhook-delivery'] === String(delivery.id)));
+    });
+
+    it('gives up after the last attempt and marks the delivery failed', async () => {
+        const webhook = await registerWebhook({ events: ['lead.created'] });
+        await submitLead();
+        answers.push(500, 500, 500);
+
+        for (let attempt = 1; attempt <= 3; attempt += 1) {
+            const [pending] = await deliveriesOf(webhook.id);
+            await delay(Math.max(Date.parse(pending.nextAttemptAt) - Date.now() + 10, 0));
+            assert.deepEqual(await api.webhooks.processDeliveries(), { succeeded: 0, failed: 1 });
+        }
+
+        const [delivery] = await deliveriesOf(webhook.id);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 3);
+        assert.equal(delivery.nextAttemptAt, null);
+        const failed = await api.request(`/webhooks/deliveries?webhookId=${webhook.id}&status=failed`, { headers: ADMIN });
+        assert.equal(failed.body.pagination.total, 1);
+    });
+
+    it('sends crm format webhooks a generic CRM contact for each lead event', async () => {
+        const webhook = await registerWebhook({ events: ['lead.created', 'lead.updated'], format: 'crm' });
+        const submission = await submitLead();
+        await api.webhooks.processDeliveries();
+
+        const created = JSON.parse(received[0].body);
+        assert.equal(received[0].path, '/crm');
+        assert.equal(created.event, 'lead.created');
+        const { contact } = created.data;
+        const leadId = contact.customFields.leadId;
+        assert.deepEqual(contact, {
+            externalId: `jrtech-lead-${leadId}`,
+            email: submission.email,
+            source: 'website_contact_form',
+            lifecycleStage: 'lead',
+            note: submission.message,
+            tags: ['website'],
+            customFields: { leadId, plan: null, billingPeriod: null, status: 'new' },
+            createdAt: contact.createdAt,
+            updatedAt: contact.updatedAt,
+        });
+        assert.equal(created.data.lead, undefined);
+
+        // Moving the lead along the pipeline updates the contact's lifecycle stage
+        const updated = await api.request(`/leads/${leadId}`, { method: 'PATCH', headers: ADMIN, body: { status: 'contacted' } });
+        assert.equal(updated.status, 200);
+        await api.webhooks.processDeliveries();
+        const { event, data } = JSON.parse(received[1].body);
+        assert.equal(event, 'lead.updated');
+        assert.equal(data.contact.lifecycleStage, 'contacted');
+        assert.deepEqual(data.changes, { status: { from: 'new', to: 'contacted' } });
+        assert.equal((await deliveriesOf(webhook.id)).length, 2);
+    });
+});
@@ -0,0 +1,91 @@
+// backend/validation.js
+// Small schema-driven validator for request bodies.
+//
+// A schema maps field names to rules, e.g.
+//   { email: { required: true, format: 'email', maxLength: 254 } }
+// validate() returns the cleaned values plus structured per-field errors, which the
+// frontend shows under the matching inputs.
+
+const { createTranslator } = require('./i18n');
+
+// Messages are English unless the caller passes a translator (see validate()).
+const englishMessage = createTranslator('en');
+
+// Pragmatic email check: one "@", no spaces or markup characters, and a dotted domain.
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]{2,}$/;
+
+/**
+ * Removes HTML tags and collapses the leftover angle brackets into harmless text.
+ * @param {string} value - Raw user input.
+ * @returns {string} The input with markup stripped.
+ */
+function stripMarkup(value) {
+    return value
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, '') // Drop script/style blocks entirely
+        .replace(/<\/?[a-z!][^>]*>/gi, '') // Drop remaining tags but keep their text
+        .replace(/[<>]/g, ''); // No stray angle brackets left to form new tags
+}
+
+/**
+ * validate: Checks a request body against a schema.
+ * Supported rules per field: required, format ('email'), minLength, maxLength, oneOf (allowed values),
+ * sanitize (boolean), optional (allowed but not required, e.g. anti-spam fields), label (used in messages).
+ * Fields not listed in the schema are reported as errors.
+ * Messages are English unless `options.t` is given (e.g. req.t from middleware/locale.js); field
+ * labels are then looked up as "fields.<name>", falling back to the schema's label.
+ * @param {object} schema - Field rules.
+ * @param {object} body - The parsed request body.
+ * @param {object} [options] - Settings.
+ * @param {function} [options.t] - Translator: (key, params, fallback) => text.
+ * @returns {{ value: object, errors: object|null }} Cleaned values and per-field errors (null when valid).
+ */
+function validate(schema, body, { t = englishMessage } = {}) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = {};
+
+    for (const field of Object.keys(input)) {
+        if (!Object.hasOwn(schema, field)) {
+            errors[field] = t('validation.unknown');
+        }
+    }
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const label = t(`fields.${field}`, {}, rules.label || field);
+        const raw = input[field];
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (rules.required) {
+                errors[field] = t('validation.required', { label });
+            }
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            errors[field] = t('validation.text', { label });
+            continue;
+        }
+
+        let cleaned = raw.trim();
+        if (rules.sanitize) {
+            cleaned = stripMarkup(cleaned).trim();
+        }
+
+        if (rules.required && !cleaned) {
+            errors[field] = t('validation.required', { label });
+        } else if (rules.maxLength && cleaned.length > rules.maxLength) {
+            errors[field] = t('validation.maxLength', { label, max: rules.maxLength });
+        } else if (rules.minLength && cleaned.length < rules.minLength) {
+            errors[field] = t('validation.minLength', { label, min: rules.minLength });
+        } else if (rules.format === 'email' && !EMAIL_PATTERN.test(cleaned)) {
+            errors[field] = t('validation.email', { label });
+        } else if (rules.oneOf && !rules.oneOf.includes(cleaned)) {
+            errors[field] = t('validation.oneOf', { label, options: rules.oneOf.join(', ') });
+        } else {
+            value[field] = cleaned;
+        }
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+module.exports = { validate, stripMarkup, EMAIL_PATTERN };
@@ -0,0 +1,50 @@
+// backend/webhooks/crm.js
+// Built-in CRM adapter: maps a lead to a generic "contact" record, the shape most CRMs (and
+// integration tools such as Zapier or Make) can import without custom code.
+// Used for webhooks registered with format "crm".
+
+// Our pipeline stages -> common CRM lifecycle stages
+const LIFECYCLE_STAGES = {
+    new: 'lead',
+    contacted: 'contacted',
+    closed: 'closed',
+};
+
+/**
+ * toCrmContact: The CRM contact for a lead.
+ * @param {object} lead - The lead (see stores/leads.js).
+ * @returns {object} {
+ *   externalId,        stable id to upsert on, e.g. "jrtech-lead-42"
+ *   email,
+ *   source,            always "website_contact_form"
+ *   lifecycleStage,    lead | contacted | closed
+ *   note,              the visitor's message
+ *   tags,              e.g. ["website", "plan:pro", "billing:yearly"]
+ *   customFields,      { leadId, plan, billingPeriod, status }
+ *   createdAt, updatedAt
+ * }
+ */
+function toCrmContact(lead) {
+    const tags = ['website'];
+    if (lead.plan) tags.push(`plan:${lead.plan}`);
+    if (lead.billingPeriod) tags.push(`billing:${lead.billingPeriod}`);
+
+    return {
+        externalId: `jrtech-lead-${lead.id}`,
+        email: lead.email,
+        source: 'website_contact_form',
+        lifecycleStage: LIFECYCLE_STAGES[lead.status] || 'lead',
+        note: lead.message,
+        tags,
+        customFields: {
+            leadId: lead.id,
+            plan: lead.plan,
+            billingPeriod: lead.billingPeriod,
+            status: lead.status,
+        },
+        createdAt: lead.createdAt,
+        updatedAt: lead.updatedAt,
+    };
+}
+
+module.exports = { toCrmContact };
@@ -0,0 +1,227 @@
+// backend/webhooks/index.js
+// Outbound webhooks: sends lead events to URLs registered by admins (CRMs, Zapier, Slack
+// bridges...), so new leads land in the team's tools automatically.
+//
+// Flow, like the email notifier: emit() only writes one delivery per subscribed webhook to
+// SQLite (fast, never touches the network). A background worker POSTs due deliveries, signed
+// with the webhook's secret (see signature.js), and retries failures with exponential backoff.
+// Every delivery stays in the log (GET /webhooks/deliveries) with its latest outcome.
+
+const crypto = require('crypto');
+const { backoffDelay } = require('../notifier');
+const { logger: defaultLogger } = require('../logger');
+const { signPayload } = require('./signature');
+const { toCrmContact } = require('./crm');
+const {
+    enqueueDelivery,
+    listDueDeliveries,
+    listSubscribedWebhooks,
+    markDeliveryFailed,
+    markDeliverySucceeded,
+} = require('../stores/webhooks');
+
+const USER_AGENT = 'JRTech-Webhooks/1.0';
+// How much of a failed response body is kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * The lead as sent to webhooks: what the team sees in the inbox, without the visitor's IP
+ * address, browser or idempotency key.
+ * @param {object} lead - The lead (see stores/leads.js).
+ * @returns {object}
+ */
+function publicLead({ id, email, message, plan, billingPeriod, status, createdAt, updatedAt }) {
+    return { id, email, message, plan, billingPeriod, status, createdAt, updatedAt };
+}
+
+/**
+ * buildPayload: The JSON body for one webhook.
+ * @param {object} webhook - The target webhook (its format decides the shape).
+ * @param {object} event - { id, type, createdAt, lead, changes }.
+ * @returns {object} { id, event, createdAt, data: { lead | contact, changes? } }
+ */
+function buildPayload(webhook, { id, type, createdAt, lead, changes }) {
+    const data = webhook.format === 'crm' ? { contact: toCrmContact(lead) } : { lead: publicLead(lead) };
+    return { id, event: type, createdAt, data: changes ? { ...data, changes } : data };
+}
+
+/**
+ * createWebhookDispatcher: Builds the webhook worker.
+ * @param {object} [options] - Settings; defaults come from environment variables.
+ * @param {function} [options.fetch] - fetch implementation (default: the global one).
+ * @param {number} [options.pollIntervalMs] - How often the worker checks for due deliveries (WEBHOOK_POLL_INTERVAL_MS).
+ * @param {number} [options.maxAttempts] - Attempts before a delivery is marked failed (WEBHOOK_MAX_ATTEMPTS).
+ * @param {number} [options.baseDelayMs] - First retry delay (WEBHOOK_RETRY_BASE_MS).
+ * @param {number} [options.maxDelayMs] - Longest retry delay (WEBHOOK_RETRY_MAX_MS).
+ * @param {number} [options.timeoutMs] - How long a receiver may take to answer (WEBHOOK_TIMEOUT_MS).
+ * @param {object} [options.logger] - Logger (see logger.js).
+ */
+function createWebhookDispatcher({
+    fetch: fetchImpl = globalThis.fetch,
+    pollIntervalMs = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    baseDelayMs = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+    maxDelayMs = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+    timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    logger = defaultLogger,
+} = {}) {
+    let timer = null;
+    let running = null; // Promise of the pass in progress, so passes never overlap
+
+    /**
+     * POSTs one delivery.
+     * @param {object} delivery - The delivery (see stores/webhooks.js).
+     * @param {object} webhook - Its webhook, with the secret.
+     * @returns {Promise<number>} The response status (2xx).
+     * @throws {Error} With `responseStatus` set when the receiver answered with another status.
+     */
+    async function post(delivery, webhook) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetchImpl(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-Webhook-Id': String(webhook.id),
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            // A redirect is treated as a failure: the registered URL should be the final one
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        const text = await response.text().catch(() => '');
+        if (response.status < 200 || response.status >= 300) {
+            const error = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`);
+            error.responseStatus = response.status;
+            throw error;
+        }
+        return response.status;
+    }
+
+    /**
+     * Sends every due delivery once. Failures are rescheduled, never thrown.
+     * @returns {Promise<{ succeeded: number, failed: number }>} What happened in this pass.
+     */
+    async function deliverDue() {
+        let succeeded = 0;
+        let failed = 0;
+        for (const { delivery, webhook } of listDueDeliveries()) {
+            try {
+                const status = await post(delivery, webhook);
+                markDeliverySucceeded(delivery.id, status);
+                succeeded += 1;
+            } catch (error) {
+                const attempt = delivery.attempts + 1;
+                const nextAttemptAt = attempt < maxAttempts
+                    ? new Date(Date.now() + backoffDelay(attempt, baseDelayMs, maxDelayMs))
+                    : null;
+                // fetch() reports network errors as "fetch failed" with the reason in `cause`
+                const message = error.name === 'TimeoutError'
+                    ? `No response within ${timeoutMs} ms`
+                    : [error.message, error.cause?.message].filter(Boolean).join(': ');
+                markDeliveryFailed(delivery.id, { error: message, responseStatus: error.responseStatus || null, nextAttemptAt });
+                failed += 1;
+                logger.warn('Webhook delivery failed', {
+                    deliveryId: delivery.id,
+                    webhookId: webhook.id,
+                    event: delivery.event,
+                    attempt,
+                    maxAttempts,
+                    error: message,
+                    willRetry: Boolean(nextAttemptAt),
+                });
+            }
+        }
+        return { succeeded, failed };
+    }
+
+    /**
+     * processDeliveries: Runs one delivery pass, or joins the pass already in progress.
+     * @returns {Promise<{ succeeded: number, failed: number }>}
+     */
+    function processDeliveries() {
+        if (!running) {
+            running = deliverDue().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    /**
+     * Lets the worker send new deliveries right away instead of on the next poll.
+     */
+    function nudge() {
+        if (timer) {
+            setImmediate(processDeliveries);
+        }
+    }
+
+    /**
+     * emit: Queues an event for every active webhook subscribed to it.
+     * @param {'lead.created'|'lead.updated'} type - Event type.
+     * @param {object} lead - The lead, as stored after the change.
+     * @param {object} [changes] - For lead.updated: what changed, e.g. { status: { from: 'new', to: 'contacted' } }.
+     * @returns {object[]} The queued deliveries.
+     */
+    function emit(type, lead, changes) {
+        const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), lead, changes };
+        const deliveries = listSubscribedWebhooks(type).map((webhook) => enqueueDelivery({
+            webhookId: webhook.id,
+            eventId: event.id,
+            event: type,
+            payload: buildPayload(webhook, event),
+        }));
+        if (deliveries.length) {
+            nudge();
+        }
+        return deliveries;
+    }
+
+    /**
+     * ping: Queues a test event for one webhook, whatever it is subscribed to, so an admin can
+     * check the receiver and its signature verification.
+     * @param {object} webhook - The webhook.
+     * @returns {object} The queued delivery.
+     */
+    function ping(webhook) {
+        const id = crypto.randomUUID();
+        const delivery = enqueueDelivery({
+            webhookId: webhook.id,
+            eventId: id,
+            event: 'ping',
+            payload: { id, event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } },
+        });
+        nudge();
+        return delivery;
+    }
+
+    /**
+     * start: Begins polling for due deliveries in the background.
+     */
+    function start() {
+        if (timer) return;
+        timer = setInterval(processDeliveries, pollIntervalMs);
+        timer.unref(); // Don't keep the process alive just for the poller
+        processDeliveries(); // Pick up anything left over from a previous run
+    }
+
+    /**
+     * stop: Stops polling and waits for the current pass (if any) to finish.
+     * @returns {Promise<void>}
+     */
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await running;
+    }
+
+    return { emit, ping, processDeliveries, start, stop };
+}
+
+module.exports = { createWebhookDispatcher, buildPayload };
@@ -0,0 +1,55 @@
+// backend/webhooks/signature.js
+// Signing scheme for webhook deliveries, and the check receivers should run.
+//
+// Every delivery carries two headers:
+//   X-Webhook-Timestamp: 1768473000                 (Unix time in seconds, when it was sent)
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+// Signing the timestamp together with the body means a captured request can't be replayed
+// later with a fresh timestamp; receivers reject timestamps older than a few minutes.
+
+const crypto = require('crypto');
+
+// How old a delivery may be before verifySignature rejects it
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * signPayload: Computes the signature header value for a delivery.
+ * @param {string} secret - The webhook's signing secret.
+ * @param {number} timestamp - Unix time in seconds, also sent as X-Webhook-Timestamp.
+ * @param {string} body - The exact JSON body being sent.
+ * @returns {string} "sha256=<hex>".
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * verifySignature: The receiver's side: checks that a delivery was signed with the secret
+ * and sent recently. Used by scripts/webhook-receiver.js; integrations in other languages
+ * implement the same steps.
+ * @param {object} request - The received delivery.
+ * @param {string} request.secret - The webhook's signing secret.
+ * @param {string} request.signature - X-Webhook-Signature header.
+ * @param {string} request.timestamp - X-Webhook-Timestamp header.
+ * @param {string} request.body - The raw request body (before JSON parsing).
+ * @param {number} [request.toleranceSeconds] - Maximum age (default 5 minutes).
+ * @param {number} [request.now] - Current time in ms (for tests).
+ * @returns {{ ok: boolean, reason?: 'missing' | 'expired' | 'mismatch' }}
+ */
+function verifySignature({ secret, signature, timestamp, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+    if (!signature || !timestamp || !/^\d+$/.test(timestamp)) {
+        return { ok: false, reason: 'missing' };
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return { ok: false, reason: 'expired' };
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { ok: false, reason: 'mismatch' };
+    }
+    return { ok: true };
+}
+
+module.exports = { signPayload, verifySignature, DEFAULT_TOLERANCE_SECONDS };
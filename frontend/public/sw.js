@@ -0,0 +1,111 @@
+// frontend/public/sw.js
+// Service worker: sends contact form messages that were queued while offline, through
+// Background Sync, so they go out when the connection returns even if the tab was closed.
+//
+// The page queues them in IndexedDB (see src/contact/outbox.js, which also resends while
+// the page is open). This file is served as-is, without the Vite build, so it repeats the
+// database names and the delivery rules from outbox.js: keep the two in sync.
+
+const DB_NAME = 'jrtech-contact';
+const STORE = 'outbox';
+const SYNC_TAG = 'contact-outbox';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+/**
+ * Runs one request against the outbox store (see src/lib/idb.js).
+ * @param {'readonly'|'readwrite'} mode - Transaction mode.
+ * @param {function} run - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<any>}
+ */
+function withStore(mode, run) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: 'id' });
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(STORE, mode);
+      const request = run(tx.objectStore(STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        db.close();
+        reject(tx.error);
+      };
+    };
+  });
+}
+
+/**
+ * Tries to deliver one queued submission (see deliver in outbox.js).
+ * @param {object} entry - The queued submission.
+ * @returns {Promise<{ outcome: 'sent'|'failed'|'retry', message?: string }>}
+ */
+async function deliver(entry) {
+  if (!entry.body.formToken) {
+    const response = await fetch(entry.tokenUrl);
+    const data = await response.json();
+    if (!response.ok || !data.token) {
+      return { outcome: 'retry' };
+    }
+    await withStore('readwrite', (store) => store.put({ ...entry, body: { ...entry.body, formToken: data.token } }));
+    return { outcome: 'retry' };
+  }
+
+  const response = await fetch(entry.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept-Language': entry.locale,
+      'Idempotency-Key': entry.id,
+    },
+    body: JSON.stringify(entry.body),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (response.ok || response.status === 409) {
+    await withStore('readwrite', (store) => store.delete(entry.id));
+    return { outcome: 'sent', message: data.message };
+  }
+  if (response.status === 429 || response.status >= 500 || data.reason === 'too_fast') {
+    return { outcome: 'retry' };
+  }
+  if (data.reason) {
+    await withStore('readwrite', (store) => store.put({ ...entry, body: { ...entry.body, formToken: null } }));
+    return { outcome: 'retry' };
+  }
+  await withStore('readwrite', (store) => store.delete(entry.id));
+  return { outcome: 'failed', message: data.message };
+}
+
+/**
+ * Sends every queued submission and tells open pages what happened. Rejects while
+ * anything is left, so the browser schedules another sync attempt later.
+ */
+async function flushOutbox() {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  let remaining = 0;
+
+  for (const entry of entries) {
+    const result = await deliver(entry).catch(() => ({ outcome: 'retry' }));
+    if (result.outcome === 'retry') {
+      remaining += 1;
+    } else {
+      pages.forEach((page) => page.postMessage({ type: 'contact-outbox', entry, result }));
+    }
+  }
+  if (remaining > 0) {
+    throw new Error(`${remaining} queued contact message(s) not sent yet.`);
+  }
+}
@@ -0,0 +1,94 @@
+// frontend/scripts/prerender.js
+// Build step (run by `npm run build` after the client and server bundles): renders each
+// page of the site (src/routes.js, and every doc) to static HTML with its SEO metadata, and
+// writes sitemap.xml and robots.txt. The client bundle then hydrates the markup (see src/main.jsx).
+//
+// Pricing comes straight from the backend's config (backend/plans.js) and the copy from the
+// bundled content snapshot (src/content/fallback.json), so no running backend is needed.
+// Set SITE_URL (in the environment or .env.production.local) to the public address of the site.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { loadEnv } from 'vite';
+import { buildHeadTags, buildStructuredData, escapeHtml, toInlineJson } from './seo.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(rootDir, 'dist');
+const serverDir = path.join(rootDir, 'dist-ssr');
+
+const env = loadEnv('production', rootDir, '');
+if (!env.SITE_URL) {
+  console.warn('SITE_URL is not set; canonical links and the sitemap will point to http://localhost:4173.');
+}
+const siteUrl = (env.SITE_URL || 'http://localhost:4173').replace(/\/$/, '');
+
+const { loadPlans } = createRequire(import.meta.url)('../../backend/plans.js');
+const {
+  render,
+  getPageMeta,
+  fallbackContent,
+  CONTACT_PHONE,
+  SITE_NAME,
+  PAGE_PATHS,
+  PRERENDER_LOCALE,
+} = await import(pathToFileURL(path.join(serverDir, 'entry-server.js')).href);
+
+const template = fs.readFileSync(path.join(distDir, 'index.html'), 'utf8');
+const plans = loadPlans(PRERENDER_LOCALE);
+const content = { ...fallbackContent.en, ...fallbackContent[PRERENDER_LOCALE] };
+const site = { name: SITE_NAME, url: siteUrl, phone: CONTACT_PHONE.href.replace('tel:', '') };
+const structuredData = buildStructuredData(site, content, plans);
+
+// Pages to pre-render, with their <title> and meta description
+const ROUTES = PAGE_PATHS.map((pagePath) => ({ path: pagePath, ...getPageMeta(pagePath) }));
+
+/**
+ * Replaces `search` in the page, failing the build if it isn't there (e.g. after an edit to
+ * index.html), rather than silently shipping a page without content.
+ * @param {string} html - The page so far.
+ * @param {string|RegExp} search - What to replace.
+ * @param {string} replacement - Replacement HTML.
+ * @returns {string}
+ */
+function replaceOnce(html, search, replacement) {
+  const found = search instanceof RegExp ? search.test(html) : html.includes(search);
+  if (!found) {
+    throw new Error(`prerender: ${search} not found in dist/index.html`);
+  }
+  return html.replace(search, () => replacement); // Function form: no $-patterns in the replacement
+}
+
+// Paths without a pre-rendered page (the admin dashboard, unknown addresses) get the untouched
+// template, so they don't flash the landing page before their own code loads (see public/_redirects).
+fs.writeFileSync(path.join(distDir, 'app.html'), template);
+
+for (const route of ROUTES) {
+  const page = { ...route, url: `${siteUrl}${route.path}` };
+  let html = replaceOnce(template, /<title>.*<\/title>/, `<title>${escapeHtml(page.title)}</title>`);
+  html = replaceOnce(html, '</head>', `  ${buildHeadTags(page, site, structuredData).join('\n        ')}\n      </head>`);
+  html = replaceOnce(html, '<div id="root"></div>', `<div id="root">${await render(route.path, { plans })}</div>
+    <script>window.__PRERENDER_DATA__ = ${toInlineJson({ plans })};</script>`);
+
+  const file = path.join(distDir, route.path, 'index.html');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+  console.log(`prerender: ${route.path} -> ${path.relative(rootDir, file)}`);
+}
+
+const today = new Date().toISOString().slice(0, 10);
+fs.writeFileSync(path.join(distDir, 'sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${ROUTES.map((route) => `  <url><loc>${escapeHtml(`${siteUrl}${route.path}`)}</loc><lastmod>${today}</lastmod></url>`).join('\n')}
+</urlset>
+`);
+fs.writeFileSync(path.join(distDir, 'robots.txt'), `User-agent: *
+Allow: /
+Disallow: /admin
+
+Sitemap: ${siteUrl}/sitemap.xml
+`);
+
+// The server bundle is only needed for this step
+fs.rmSync(serverDir, { recursive: true, force: true });
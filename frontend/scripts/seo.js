@@ -0,0 +1,108 @@
+// frontend/scripts/seo.js
+// Metadata added to pre-rendered pages (see prerender.js): title and description, canonical
+// link, Open Graph / Twitter card tags and JSON-LD structured data.
+
+/**
+ * Escapes text for use inside HTML attributes and elements.
+ * @param {string} value - Raw text.
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Serializes data for an inline <script>, so a "</script>" inside a string can't end it early.
+ * @param {object} data - JSON-compatible value.
+ * @returns {string}
+ */
+export function toInlineJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * JSON-LD for the company, AI SmartBill and its pricing plans (schema.org vocabulary).
+ * Plans with a custom price have no Offer, since there is no price to state.
+ * @param {object} site - { name, url, phone } (phone in international format, e.g. "+917036086849").
+ * @param {object} content - Landing-page copy (fallback.json shape, one locale).
+ * @param {object[]} plans - Pricing plans as returned by GET /plans.
+ * @returns {object[]}
+ */
+export function buildStructuredData(site, content, plans) {
+  const organization = {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    '@id': `${site.url}/#organization`,
+    name: site.name,
+    url: `${site.url}/`,
+    contactPoint: {
+      '@type': 'ContactPoint',
+      telephone: site.phone,
+      contactType: 'sales',
+      availableLanguage: ['English', 'Hindi', 'Telugu'],
+    },
+  };
+
+  const offers = plans
+    .filter((plan) => !plan.customPricing)
+    .map((plan) => ({
+      '@type': 'Offer',
+      name: plan.name,
+      price: plan.periods.monthly.amount,
+      priceCurrency: plan.currency,
+      description: plan.benefits.join(', '),
+      url: `${site.url}/#pricing`,
+      priceSpecification: [
+        { period: 'monthly', unitCode: 'MON' },
+        { period: 'yearly', unitCode: 'ANN' },
+      ].map(({ period, unitCode }) => ({
+        '@type': 'UnitPriceSpecification',
+        price: plan.periods[period].amount,
+        priceCurrency: plan.currency,
+        referenceQuantity: { '@type': 'QuantitativeValue', value: 1, unitCode },
+      })),
+    }));
+
+  const smartBill = {
+    '@context': 'https://schema.org',
+    '@type': 'SoftwareApplication',
+    name: 'AI SmartBill',
+    applicationCategory: 'BusinessApplication',
+    operatingSystem: 'Windows',
+    description: content.product.text,
+    featureList: content.product.bullets,
+    publisher: { '@id': `${site.url}/#organization` },
+    offers,
+  };
+
+  return [organization, smartBill];
+}
+
+/**
+ * The tags added to a page's <head>.
+ * @param {object} page - { title, description, url }.
+ * @param {object} site - { name }.
+ * @param {object[]} structuredData - JSON-LD documents (see buildStructuredData).
+ * @returns {string[]} One HTML tag per entry.
+ */
+export function buildHeadTags(page, site, structuredData) {
+  const meta = (attribute, key, value) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}" />`;
+  return [
+    meta('name', 'description', page.description),
+    `<link rel="canonical" href="${escapeHtml(page.url)}" />`,
+    meta('property', 'og:type', 'website'),
+    meta('property', 'og:site_name', site.name),
+    meta('property', 'og:title', page.title),
+    meta('property', 'og:description', page.description),
+    meta('property', 'og:url', page.url),
+    meta('property', 'og:locale', 'en_IN'),
+    meta('name', 'twitter:card', 'summary'),
+    meta('name', 'twitter:title', page.title),
+    meta('name', 'twitter:description', page.description),
+    ...structuredData.map((data) => `<script type="application/ld+json">${toInlineJson(data)}</script>`),
+  ];
+}
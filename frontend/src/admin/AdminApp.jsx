@@ -0,0 +1,126 @@
+// frontend/src/admin/AdminApp.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { adminRequest, clearSession, getSession } from "./api";
+import LoginForm from "./LoginForm";
+import LeadsTable from "./LeadsTable";
+import LeadDetail from "./LeadDetail";
+import WaitlistTable from "./WaitlistTable";
+import BookingsTable from "./BookingsTable";
+import ContentEditor from "./ContentEditor";
+import AnalyticsPanel from "./AnalyticsPanel";
+import WebhooksPanel from "./WebhooksPanel";
+import PrivacyPanel from "./PrivacyPanel";
+
+/**
+ * AdminApp Component: The internal dashboard served under /admin.
+ *
+ * Shows the login form until the team member signs in, then a tabbed view of
+ * contact leads, waitlist signups, demo bookings, the landing-page content
+ * editor, the conversion funnel, the webhooks that forward leads to other tools and the
+ * privacy audit log. Selecting a lead opens its detail panel for status changes and internal notes.
+ */
+
+// Dashboard tabs, in display order
+const TABS = [
+  { id: 'leads', label: 'Leads' },
+  { id: 'waitlist', label: 'Waitlist' },
+  { id: 'bookings', label: 'Demo bookings' },
+  { id: 'content', label: 'Page content' },
+  { id: 'analytics', label: 'Analytics' },
+  { id: 'webhooks', label: 'Webhooks' },
+  { id: 'privacy', label: 'Privacy' },
+];
+
+export default function AdminApp() {
+  // Signed-in session ({ token, expiresAt, user }) or null
+  const [session, setSession] = useState(getSession);
+  const [activeTab, setActiveTab] = useState('leads');
+  // Lead shown in the detail panel, and a counter that makes the table reload after edits
+  const [selectedLeadId, setSelectedLeadId] = useState(null);
+  const [leadsVersion, setLeadsVersion] = useState(0);
+
+  useEffect(() => {
+    document.title = 'JR Tech Admin';
+  }, []);
+
+  /**
+   * handleUnauthorized: Called by child views when the backend rejects the session
+   * (expired or revoked), which sends the user back to the login form.
+   */
+  const handleUnauthorized = useCallback(() => {
+    clearSession();
+    setSession(null);
+    setSelectedLeadId(null);
+  }, []);
+
+  /**
+   * handleLogout: Ends the session on the backend, then locally even if that request fails.
+   */
+  const handleLogout = async () => {
+    try {
+      await adminRequest('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    handleUnauthorized();
+  };
+
+  if (!session) {
+    return <LoginForm onLogin={setSession} />;
+  }
+
+  return (
+    <div className="admin-shell max-w-7xl mx-auto px-6 py-6">
+      <header className="flex items-center justify-between gap-4">
+        <div>
+          <div className="text-xl font-bold">JR Tech Admin</div>
+          <div className="text-xs text-slate-400">Signed in as {session.user.name} ({session.user.email})</div>
+        </div>
+        <button type="button" className="admin-button" onClick={handleLogout}>Sign out</button>
+      </header>
+
+      <nav className="admin-tabs mt-6" role="tablist">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            className={`admin-tab${activeTab === tab.id ? ' admin-tab-active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </nav>
+
+      <main className="mt-6">
+        {activeTab === 'leads' && (
+          <div className={selectedLeadId ? 'admin-split' : ''}>
+            <LeadsTable
+              version={leadsVersion}
+              selectedLeadId={selectedLeadId}
+              onSelect={setSelectedLeadId}
+              onUnauthorized={handleUnauthorized}
+            />
+            {selectedLeadId && (
+              <LeadDetail
+                key={selectedLeadId}
+                leadId={selectedLeadId}
+                onClose={() => setSelectedLeadId(null)}
+                onChanged={() => setLeadsVersion((v) => v + 1)}
+                onUnauthorized={handleUnauthorized}
+              />
+            )}
+          </div>
+        )}
+        {activeTab === 'waitlist' && <WaitlistTable onUnauthorized={handleUnauthorized} />}
+        {activeTab === 'bookings' && <BookingsTable onUnauthorized={handleUnauthorized} />}
+        {activeTab === 'content' && <ContentEditor onUnauthorized={handleUnauthorized} />}
+        {activeTab === 'analytics' && <AnalyticsPanel onUnauthorized={handleUnauthorized} />}
+        {activeTab === 'webhooks' && <WebhooksPanel onUnauthorized={handleUnauthorized} />}
+        {activeTab === 'privacy' && <PrivacyPanel onUnauthorized={handleUnauthorized} />}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+// frontend/src/admin/AnalyticsPanel.jsx
+import React, { useState, useEffect } from "react";
+import { adminRequest } from "./api";
+
+/**
+ * AnalyticsPanel Component: The landing-page conversion funnel from GET /events/funnel:
+ * page views → CTA clicks → contact form starts → submissions, per day, plus which CTAs
+ * were clicked and how far down the page visitors scrolled.
+ *
+ * Only visitors who accepted the consent banner (and don't send Do Not Track) are counted.
+ */
+
+// Reporting periods offered, in days
+const PERIODS = [7, 30, 90];
+
+// Funnel columns: key in the API response and column heading
+const STEPS = [
+  { key: 'pageViews', label: 'Page views' },
+  { key: 'ctaClicks', label: 'CTA clicks' },
+  { key: 'formStarts', label: 'Form starts' },
+  { key: 'formAbandons', label: 'Abandoned' },
+  { key: 'formSubmits', label: 'Submitted' },
+];
+
+/**
+ * Share of page views that ended in a contact form submission, e.g. "2.5%".
+ * @param {object} row - A funnel row with pageViews and formSubmits.
+ * @returns {string}
+ */
+function conversionRate(row) {
+  return row.pageViews ? `${((row.formSubmits / row.pageViews) * 100).toFixed(1)}%` : '–';
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function AnalyticsPanel({ onUnauthorized }) {
+  const [days, setDays] = useState(30);
+  const [funnel, setFunnel] = useState(null);
+  const [feedback, setFeedback] = useState('');
+
+  useEffect(() => {
+    let ignore = false;
+    adminRequest(`/events/funnel?days=${days}`)
+      .then((data) => {
+        if (!ignore) setFunnel(data.funnel);
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading analytics:', error);
+        setFeedback(error.status ? error.message : 'Could not load analytics. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [days, onUnauthorized]);
+
+  return (
+    <section className="admin-panel">
+      <div className="admin-toolbar">
+        <select className="admin-select" aria-label="Period" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {PERIODS.map((period) => <option key={period} value={period}>Last {period} days</option>)}
+        </select>
+      </div>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {funnel && (
+        <>
+          <div className="admin-funnel-totals mt-4">
+            {STEPS.map((step) => (
+              <div key={step.key} className="admin-funnel-total">
+                <div className="text-xs text-slate-400">{step.label}</div>
+                <div className="text-xl font-bold">{funnel.totals[step.key]}</div>
+              </div>
+            ))}
+            <div className="admin-funnel-total">
+              <div className="text-xs text-slate-400">Conversion</div>
+              <div className="text-xl font-bold">{conversionRate(funnel.totals)}</div>
+            </div>
+          </div>
+
+          <div className="admin-table-wrap mt-4">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Day (UTC)</th>
+                  {STEPS.map((step) => <th key={step.key}>{step.label}</th>)}
+                  <th>Conversion</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...funnel.days].reverse().map((row) => (
+                  <tr key={row.day}>
+                    <td>{row.day}</td>
+                    {STEPS.map((step) => <td key={step.key}>{row[step.key]}</td>)}
+                    <td>{conversionRate(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-split mt-4">
+            <TargetTable title="CTA" rows={funnel.ctas} empty="No CTA clicks in this period." />
+            <TargetTable title="Section" rows={funnel.sections} empty="No section views in this period." />
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+/**
+ * TargetTable Component: Event counts per CTA or section, most frequent first.
+ * @param {object} props - Component props.
+ * @param {string} props.title - First column heading.
+ * @param {{ target: string, count: number }[]} props.rows - Totals from the funnel report.
+ * @param {string} props.empty - Shown when there are no rows.
+ */
+function TargetTable({ title, rows, empty }) {
+  return (
+    <div className="admin-table-wrap">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>{title}</th>
+            <th>Count</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.target}>
+              <td>{row.target}</td>
+              <td>{row.count}</td>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan="2" className="text-center text-slate-400">{empty}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
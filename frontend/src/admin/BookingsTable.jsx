@@ -0,0 +1,85 @@
+// frontend/src/admin/BookingsTable.jsx
+import React, { useState, useEffect } from "react";
+import { adminRequest, formatDateTime } from "./api";
+
+/**
+ * BookingsTable Component: Demo bookings, soonest first, filterable by status.
+ * Times are shown in the viewer's time zone; the visitor's own zone is listed alongside.
+ */
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function BookingsTable({ onUnauthorized }) {
+  const [status, setStatus] = useState('confirmed');
+  const [bookings, setBookings] = useState(null);
+  const [feedback, setFeedback] = useState('');
+
+  useEffect(() => {
+    let ignore = false;
+    adminRequest(`/demo/bookings${status ? `?status=${status}` : ''}`)
+      .then((data) => {
+        if (!ignore) setBookings(data.bookings);
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading demo bookings:', error);
+        setFeedback(error.status ? error.message : 'Could not load bookings. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [status, onUnauthorized]);
+
+  return (
+    <section className="admin-panel">
+      <div className="admin-toolbar">
+        <select className="admin-select" aria-label="Filter by status" value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="confirmed">Confirmed</option>
+          <option value="cancelled">Cancelled</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {bookings && (
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Starts</th>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Company</th>
+                <th>Visitor time zone</th>
+                <th>Status</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bookings.map((booking) => (
+                <tr key={booking.id}>
+                  <td>{formatDateTime(booking.start)}</td>
+                  <td>{booking.name}</td>
+                  <td>{booking.email}</td>
+                  <td>{booking.company}</td>
+                  <td>{booking.timeZone}</td>
+                  <td>{booking.status}</td>
+                  <td className="admin-cell-truncate">{booking.notes}</td>
+                </tr>
+              ))}
+              {bookings.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-slate-400">No bookings.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,235 @@
+// frontend/src/admin/ContentEditor.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { adminRequest, formatDateTime } from "./api";
+import { LOCALES } from "../i18n/i18n";
+
+/**
+ * ContentEditor Component: Edits the landing-page copy served by the content API.
+ *
+ * Pick a section and a language, then a version. Each language has its own versions;
+ * sections without a published translation are shown in English on the page. Published and archived versions are read-only: start a
+ * new draft from them, edit the JSON, save, and publish when it's ready. Publishing an
+ * archived version rolls the section back to it. The backend checks every document against
+ * the section's format and reports problems per field.
+ */
+
+// Sections in page order, with the labels used in the picker
+const SECTIONS = [
+  { id: 'banner', label: 'Coming-soon banner' },
+  { id: 'hero', label: 'Hero' },
+  { id: 'stats', label: 'Stats' },
+  { id: 'product', label: 'AI SmartBill spotlight' },
+  { id: 'features', label: 'Features' },
+  { id: 'steps', label: 'How it works' },
+  { id: 'footer', label: 'Footer' },
+];
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function ContentEditor({ onUnauthorized }) {
+  const [section, setSection] = useState('banner');
+  const [locale, setLocale] = useState('en');
+  const [versions, setVersions] = useState([]);
+  // Version open in the editor and the JSON text being edited
+  const [selected, setSelected] = useState(null);
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null); // { ok: boolean, text: string }
+
+  /**
+   * Opens a version in the editor.
+   * @param {object} document - A content document from the API.
+   */
+  const openVersion = useCallback((document) => {
+    setSelected(document);
+    setText(JSON.stringify(document.body, null, 2));
+    setErrors({});
+  }, []);
+
+  /**
+   * Reloads the version list and opens `openNumber` (default: the newest version).
+   * @param {number} [openNumber] - Version to open after loading.
+   */
+  const loadVersions = useCallback(async (openNumber) => {
+    try {
+      const data = await adminRequest(`/content/${section}/versions?locale=${locale}`);
+      setVersions(data.versions);
+      const toOpen = data.versions.find((v) => v.version === openNumber) || data.versions[0];
+      if (toOpen) openVersion(toOpen);
+    } catch (error) {
+      if (error.status === 401) return onUnauthorized();
+      console.error('Error loading content versions:', error);
+      setFeedback({ ok: false, text: error.status ? error.message : 'Could not load content. Please ensure the backend server is running.' });
+    }
+  }, [section, locale, openVersion, onUnauthorized]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  /**
+   * Sends a change to the backend, then reloads the list and opens the affected version.
+   * @param {string} path - Path under /content/<section>.
+   * @param {string} method - HTTP method.
+   * @param {boolean} withBody - Whether to send the edited JSON.
+   * @param {function} successText - Builds the message shown when it worked, from the returned document.
+   */
+  const submit = async (path, method, withBody, successText) => {
+    setFeedback(null);
+    setErrors({});
+    let body;
+    if (withBody) {
+      try {
+        body = { body: JSON.parse(text) };
+      } catch {
+        setFeedback({ ok: false, text: "That isn't valid JSON. Check for missing quotes or commas." });
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const data = await adminRequest(`/content/${section}${path}?locale=${locale}`, { method, body });
+      setFeedback({ ok: true, text: successText(data.document) });
+      await loadVersions(data.document.version);
+    } catch (error) {
+      if (error.status === 401) return onUnauthorized();
+      console.error('Error saving content:', error);
+      setFeedback({ ok: false, text: error.status ? error.message : 'Network error. Please ensure the backend server is running.' });
+      setErrors(error.errors || {});
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isDraft = selected && selected.status === 'draft';
+  // Publishing uses the saved version, so unsaved edits must be saved first
+  const isDirty = selected && text !== JSON.stringify(selected.body, null, 2);
+
+  return (
+    <section className="admin-split">
+      <div className="admin-panel">
+        <label htmlFor="content-section" className="text-xs text-slate-400">Section</label>
+        <select
+          id="content-section"
+          className="admin-select mt-2 w-full"
+          value={section}
+          onChange={(e) => {
+            setSelected(null);
+            setFeedback(null);
+            setSection(e.target.value);
+          }}
+        >
+          {SECTIONS.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+
+        <label htmlFor="content-locale" className="text-xs text-slate-400 mt-4 block">Language</label>
+        <select
+          id="content-locale"
+          className="admin-select mt-2 w-full"
+          value={locale}
+          onChange={(e) => {
+            setSelected(null);
+            setFeedback(null);
+            setLocale(e.target.value);
+          }}
+        >
+          {LOCALES.map((l) => <option key={l.code} value={l.code}>{l.label}</option>)}
+        </select>
+
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Status</th>
+                <th>Updated</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map((v) => (
+                <tr
+                  key={v.version}
+                  className={selected && selected.version === v.version ? 'admin-row-selected' : ''}
+                  onClick={() => openVersion(v)}
+                >
+                  <td>v{v.version}</td>
+                  <td><span className={`admin-status admin-content-${v.status}`}>{v.status}</span></td>
+                  <td>{formatDateTime(v.updatedAt)}</td>
+                  <td>{v.author || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="admin-panel admin-detail">
+          <div className="text-lg font-semibold">
+            v{selected.version} · {selected.locale} · {selected.status}
+          </div>
+          <div className="text-xs text-slate-400 mt-1">
+            {isDraft ? 'Drafts can be edited and published.' : 'This version is read-only. Save your changes as a new draft.'}
+          </div>
+
+          <label htmlFor="content-json" className="text-xs text-slate-400 mt-4 block">Content (JSON)</label>
+          <textarea
+            id="content-json"
+            className="admin-json mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+            rows={18}
+            spellCheck={false}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+
+          {Object.keys(errors).length > 0 && (
+            <ul className="mt-2 text-xs text-red-400">
+              {Object.entries(errors).map(([path, message]) => <li key={path}>{path}: {message}</li>)}
+            </ul>
+          )}
+          {feedback && (
+            <div className={`mt-4 text-sm ${feedback.ok ? 'text-green-400' : 'text-red-400'}`} role="status">{feedback.text}</div>
+          )}
+
+          <div className="admin-toolbar mt-4">
+            {isDraft ? (
+              <button
+                type="button"
+                className="admin-button"
+                disabled={saving}
+                onClick={() => submit(`/versions/${selected.version}`, 'PUT', true, (d) => `Draft v${d.version} saved.`)}
+              >
+                Save draft
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="admin-button"
+                disabled={saving}
+                onClick={() => submit('/versions', 'POST', true, (d) => `Draft v${d.version} created.`)}
+              >
+                Save as new draft
+              </button>
+            )}
+            {selected.status !== 'published' && (
+              <button
+                type="button"
+                className="admin-button"
+                disabled={saving || isDirty}
+                title={isDirty ? 'Save your changes first' : undefined}
+                onClick={() => submit(`/versions/${selected.version}/publish`, 'POST', false, (d) => `v${d.version} is now live.`)}
+              >
+                {isDraft ? 'Publish' : 'Roll back to this version'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
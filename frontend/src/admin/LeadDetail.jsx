@@ -0,0 +1,205 @@
+// frontend/src/admin/LeadDetail.jsx
+import React, { useState, useEffect } from "react";
+import { adminDownload, adminRequest, formatDateTime } from "./api";
+
+/**
+ * LeadDetail Component: Side panel with one lead's full message, the files sent with it,
+ * its pipeline status and the team's internal notes (never shown to the customer).
+ */
+
+const STATUSES = ['new', 'contacted', 'closed'];
+
+/**
+ * @param {object} props - Component props.
+ * @param {number} props.leadId - The lead to show.
+ * @param {function} props.onClose - Closes the panel.
+ * @param {function} props.onChanged - Called after the lead's status changes so the table can refresh.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function LeadDetail({ leadId, onClose, onChanged, onUnauthorized }) {
+  const [lead, setLead] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [noteBody, setNoteBody] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [noteError, setNoteError] = useState('');
+  const [feedback, setFeedback] = useState('');
+
+  // Load the lead, its notes and attachments
+  useEffect(() => {
+    let ignore = false;
+    adminRequest(`/leads/${leadId}`)
+      .then((data) => {
+        if (ignore) return;
+        setLead(data.lead);
+        setNotes(data.notes);
+        setAttachments(data.attachments);
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading lead:', error);
+        setFeedback(error.status ? error.message : 'Could not load this lead. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [leadId, onUnauthorized]);
+
+  /**
+   * Shows a failed request's message, or signs out when the session expired.
+   * @param {Error} error - The error thrown by adminRequest.
+   * @param {string} action - What was being attempted, for the console.
+   */
+  const handleError = (error, action) => {
+    if (error.status === 401) return onUnauthorized();
+    console.error(`Error ${action}:`, error);
+    setFeedback(error.status ? error.message : 'Network error. Please ensure the backend server is running.');
+  };
+
+  /**
+   * handleStatusChange: Moves the lead to another pipeline stage.
+   * @param {string} status - New status.
+   */
+  const handleStatusChange = async (status) => {
+    setSaving(true);
+    setFeedback('');
+    try {
+      const data = await adminRequest(`/leads/${leadId}`, { method: 'PATCH', body: { status } });
+      setLead(data.lead);
+      onChanged();
+    } catch (error) {
+      handleError(error, 'updating lead status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * handleDownload: Saves one of the lead's attachments under the name the visitor gave it.
+   * @param {object} attachment - { id, name }.
+   */
+  const handleDownload = async (attachment) => {
+    setFeedback('');
+    try {
+      await adminDownload(`/leads/${leadId}/attachments/${attachment.id}`, attachment.name);
+    } catch (error) {
+      handleError(error, 'downloading attachment');
+    }
+  };
+
+  /**
+   * handleAddNote: Saves an internal note and appends it to the list.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setNoteError('');
+    setFeedback('');
+    try {
+      const data = await adminRequest(`/leads/${leadId}/notes`, { method: 'POST', body: { body: noteBody } });
+      setNotes((current) => [...current, data.note]);
+      setNoteBody('');
+    } catch (error) {
+      if (error.errors && error.errors.body) {
+        setNoteError(error.errors.body);
+      } else {
+        handleError(error, 'adding note');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <aside className="admin-panel admin-detail" aria-label="Lead details">
+      <div className="flex items-center justify-between gap-4">
+        <div className="text-lg font-semibold">Lead #{leadId}</div>
+        <button type="button" className="modal-close text-slate-400" aria-label="Close lead details" onClick={onClose}>✕</button>
+      </div>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {lead && (
+        <>
+          <dl className="admin-facts mt-4 text-sm">
+            <dt className="text-slate-400">Email</dt>
+            <dd><a className="underline" href={`mailto:${lead.email}`}>{lead.email}</a></dd>
+            {lead.plan && (
+              <>
+                <dt className="text-slate-400">Plan</dt>
+                <dd>{lead.plan}{lead.billingPeriod && ` (${lead.billingPeriod})`}</dd>
+              </>
+            )}
+            <dt className="text-slate-400">Received</dt>
+            <dd>{formatDateTime(lead.createdAt)}</dd>
+            <dt className="text-slate-400">Updated</dt>
+            <dd>{formatDateTime(lead.updatedAt)}</dd>
+            <dt className="text-slate-400">Consent</dt>
+            <dd>
+              {lead.consentAt
+                ? `Privacy policy ${lead.privacyPolicyVersion}, ${formatDateTime(lead.consentAt)}`
+                : 'Not recorded'}
+            </dd>
+          </dl>
+
+          <p className="admin-message mt-4 text-slate-200">{lead.message}</p>
+
+          {attachments.length > 0 && (
+            <>
+              <div className="text-sm font-semibold mt-6">Attachments</div>
+              <ul className="admin-attachments mt-2">
+                {attachments.map((attachment) => (
+                  <li key={attachment.id}>
+                    <button type="button" className="admin-sort underline text-sm" onClick={() => handleDownload(attachment)}>
+                      {attachment.name}
+                    </button>
+                    <span className="text-xs text-slate-400"> · {Math.ceil(attachment.size / 1024)} KB · {attachment.mimeType}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <label htmlFor="lead-status" className="text-xs text-slate-400 mt-4 block">Status</label>
+          <select
+            id="lead-status"
+            className="admin-select mt-2"
+            value={lead.status}
+            disabled={saving}
+            onChange={(e) => handleStatusChange(e.target.value)}
+          >
+            {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+
+          <div className="text-sm font-semibold mt-6">Internal notes</div>
+          <ul className="admin-notes mt-2">
+            {notes.map((note) => (
+              <li key={note.id} className="rounded-md p-3 bg-slate-900/30 border border-white/5">
+                <div className="text-xs text-slate-400">{note.author || 'API token'} · {formatDateTime(note.createdAt)}</div>
+                <div className="text-sm mt-1">{note.body}</div>
+              </li>
+            ))}
+            {notes.length === 0 && <li className="text-sm text-slate-400">No notes yet.</li>}
+          </ul>
+
+          <form className="mt-4" onSubmit={handleAddNote}>
+            <label htmlFor="lead-note" className="text-xs text-slate-400">Add a note</label>
+            <textarea
+              id="lead-note"
+              rows="3"
+              className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+              placeholder="Called back, wants a quote for 3 shops"
+              value={noteBody}
+              onChange={(e) => setNoteBody(e.target.value)}
+              required
+            />
+            {noteError && <span className="text-xs text-red-400 mt-1 block">{noteError}</span>}
+            <button type="submit" className="admin-button mt-2" disabled={saving || !noteBody.trim()}>Save note</button>
+          </form>
+        </>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,233 @@
+// frontend/src/admin/LeadsTable.jsx
+import React, { useState, useEffect } from "react";
+import { adminDownload, adminRequest, formatDateTime } from "./api";
+
+/**
+ * LeadsTable Component: Sortable, searchable, paginated list of contact form leads.
+ *
+ * Sorting, searching and paging happen on the backend (GET /leads), so the table
+ * stays fast as the inbox grows. Rows can be ticked for a bulk CSV export; with
+ * nothing ticked, the export contains every lead matching the current filters.
+ */
+
+// Table columns; for sortable ones `key` is also the backend `sort` parameter
+const COLUMNS = [
+  { key: 'createdAt', label: 'Received' },
+  { key: 'email', label: 'Email' },
+  { key: 'message', label: 'Message', sortable: false },
+  { key: 'status', label: 'Status' },
+  { key: 'updatedAt', label: 'Updated' },
+];
+
+const STATUSES = ['new', 'contacted', 'closed'];
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 300; // Wait for the user to stop typing before searching
+
+/**
+ * @param {object} props - Component props.
+ * @param {number} props.version - Bumped by the parent after a lead changes, to reload the page.
+ * @param {number|null} props.selectedLeadId - Lead open in the detail panel (highlighted).
+ * @param {function} props.onSelect - Called with a lead id when a row is clicked.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function LeadsTable({ version, selectedLeadId, onSelect, onUnauthorized }) {
+  // Query state sent to the backend
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState({ key: 'createdAt', order: 'desc' });
+  const [page, setPage] = useState(1);
+  // Loaded page of leads
+  const [leads, setLeads] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [feedback, setFeedback] = useState('');
+  // Ids ticked for bulk export (kept across pages)
+  const [checked, setChecked] = useState(() => new Set());
+
+  // Debounce the search box into `query`
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Load the current page whenever the query changes
+  useEffect(() => {
+    let ignore = false;
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE, sort: sort.key, order: sort.order });
+    if (query) params.set('q', query);
+    if (status) params.set('status', status);
+
+    setLoading(true);
+    adminRequest(`/leads?${params}`)
+      .then((data) => {
+        if (ignore) return;
+        setLeads(data.leads);
+        setPagination(data.pagination);
+        setFeedback('');
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading leads:', error);
+        setFeedback(error.status ? error.message : 'Could not load leads. Please ensure the backend server is running.');
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [query, status, sort, page, version, onUnauthorized]);
+
+  /**
+   * handleSort: Clicking the active column flips the order; another column sorts by it.
+   * @param {string} key - Column key.
+   */
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      order: current.key === key && current.order === 'desc' ? 'asc' : 'desc',
+    }));
+    setPage(1);
+  };
+
+  const toggleChecked = (id) => {
+    setChecked((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const allOnPageChecked = leads.length > 0 && leads.every((lead) => checked.has(lead.id));
+  const togglePage = () => {
+    setChecked((current) => {
+      const next = new Set(current);
+      leads.forEach((lead) => (allOnPageChecked ? next.delete(lead.id) : next.add(lead.id)));
+      return next;
+    });
+  };
+
+  /**
+   * handleExport: Downloads the ticked leads, or everything matching the filters, as CSV.
+   */
+  const handleExport = async () => {
+    const params = new URLSearchParams({ sort: sort.key, order: sort.order });
+    if (checked.size > 0) {
+      params.set('ids', [...checked].join(','));
+    } else {
+      if (query) params.set('q', query);
+      if (status) params.set('status', status);
+    }
+    try {
+      await adminDownload(`/leads/export?${params}`, 'leads.csv');
+    } catch (error) {
+      if (error.status === 401) return onUnauthorized();
+      console.error('Error exporting leads:', error);
+      setFeedback(error.status ? error.message : 'Export failed. Please ensure the backend server is running.');
+    }
+  };
+
+  return (
+    <section className="admin-panel">
+      <div className="admin-toolbar">
+        <input
+          type="search"
+          className="p-3 rounded-md bg-transparent border border-white/6 text-slate-100 flex-1"
+          placeholder="Search email or message"
+          aria-label="Search leads"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          className="admin-select"
+          aria-label="Filter by status"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button type="button" className="admin-button" onClick={handleExport}>
+          {checked.size > 0 ? `Export ${checked.size} selected` : 'Export CSV'}
+        </button>
+        {checked.size > 0 && (
+          <button type="button" className="admin-button" onClick={() => setChecked(new Set())}>Clear selection</button>
+        )}
+      </div>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      <div className="admin-table-wrap mt-4">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>
+                <input type="checkbox" aria-label="Select all leads on this page" checked={allOnPageChecked} onChange={togglePage} />
+              </th>
+              {COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  aria-sort={sort.key === column.key ? (sort.order === 'asc' ? 'ascending' : 'descending') : undefined}
+                >
+                  {column.sortable === false ? column.label : (
+                    <button type="button" className="admin-sort" onClick={() => handleSort(column.key)}>
+                      {column.label}
+                      {sort.key === column.key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                    </button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {leads.map((lead) => (
+              <tr
+                key={lead.id}
+                className={lead.id === selectedLeadId ? 'admin-row-selected' : ''}
+                onClick={() => onSelect(lead.id)}
+              >
+                <td onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select lead from ${lead.email}`}
+                    checked={checked.has(lead.id)}
+                    onChange={() => toggleChecked(lead.id)}
+                  />
+                </td>
+                <td>{formatDateTime(lead.createdAt)}</td>
+                <td>{lead.email}</td>
+                <td className="admin-cell-truncate">{lead.message}</td>
+                <td><span className={`admin-status admin-status-${lead.status}`}>{lead.status}</span></td>
+                <td>{formatDateTime(lead.updatedAt)}</td>
+              </tr>
+            ))}
+            {!loading && leads.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="text-center text-slate-400">No leads match.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="admin-toolbar mt-4">
+          <button type="button" className="admin-button" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span className="text-sm text-slate-400">
+            Page {pagination.page} of {pagination.totalPages} · {pagination.total} leads
+          </span>
+          <button type="button" className="admin-button" disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </section>
+  );
+}
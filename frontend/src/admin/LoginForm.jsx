@@ -0,0 +1,93 @@
+// frontend/src/admin/LoginForm.jsx
+import React, { useState } from "react";
+import { adminRequest, saveSession } from "./api";
+
+/**
+ * LoginForm Component: Email + password sign-in for the admin dashboard.
+ *
+ * Accounts are created on the server with `npm run create-admin` (see backend/scripts).
+ */
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onLogin - Called with the new session after a successful sign-in.
+ */
+export default function LoginForm({ onLogin }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState('');
+
+  /**
+   * handleSubmit: Exchanges the credentials for a session token.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrors({});
+    setFeedback('');
+
+    try {
+      const { token, expiresAt, user } = await adminRequest('/auth/login', {
+        method: 'POST',
+        body: { email, password },
+      });
+      const session = { token, expiresAt, user };
+      saveSession(session);
+      onLogin(session);
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setFeedback(error.status ? error.message : 'Network error. Please ensure the backend server is running.');
+      setErrors(error.errors || {});
+      setPassword('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="admin-login">
+      <form className="rounded-2xl p-6 border border-white/5 shadow-2xl bg-slate-800/40" onSubmit={handleSubmit}>
+        <div className="text-xl font-bold">JR Tech Admin</div>
+        <div className="text-sm text-slate-400 mt-1">Sign in to manage leads, waitlist and demos.</div>
+
+        <label htmlFor="admin-email" className="text-xs text-slate-400 mt-4 block">Email</label>
+        <input
+          id="admin-email"
+          type="email"
+          autoComplete="username"
+          className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          autoFocus
+        />
+        {errors.email && <span className="text-xs text-red-400 mt-1 block">{errors.email}</span>}
+
+        <label htmlFor="admin-password" className="text-xs text-slate-400 mt-4 block">Password</label>
+        <input
+          id="admin-password"
+          type="password"
+          autoComplete="current-password"
+          className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {errors.password && <span className="text-xs text-red-400 mt-1 block">{errors.password}</span>}
+
+        {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+        <button
+          type="submit"
+          className="mt-6 w-full py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+          disabled={loading}
+        >
+          {loading ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+// frontend/src/admin/PrivacyPanel.jsx
+import React, { useState, useEffect } from "react";
+import { adminRequest, formatDateTime } from "./api";
+
+/**
+ * PrivacyPanel Component: The privacy audit log (data exports and erasures people requested
+ * through the privacy page, and the retention purges), with the retention periods in effect.
+ *
+ * People are identified by a hash of their email address, since the log outlives their data;
+ * looking up an address shows the entries about it.
+ */
+
+// Readable names for the audit actions
+const ACTIONS = {
+  export: 'Data export',
+  erasure: 'Erasure',
+  retention_purge: 'Retention purge',
+};
+
+/**
+ * Summarizes an entry's counts, e.g. "2 leads, 1 attachments, 4 emails" (zeros left out).
+ * @param {object} details - Counts per kind of record.
+ * @returns {string}
+ */
+function describeCounts(details) {
+  const parts = Object.entries(details)
+    .filter(([, count]) => typeof count === 'number' && count > 0)
+    .map(([kind, count]) => `${count} ${kind}`);
+  return parts.join(', ') || 'nothing stored';
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function PrivacyPanel({ onUnauthorized }) {
+  const [action, setAction] = useState('');
+  // Address typed in the lookup field, and the one applied to the log
+  const [emailInput, setEmailInput] = useState('');
+  const [email, setEmail] = useState('');
+  const [page, setPage] = useState(1);
+  const [entries, setEntries] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [feedback, setFeedback] = useState('');
+
+  useEffect(() => {
+    let ignore = false;
+    const params = new URLSearchParams({ page });
+    if (action) params.set('action', action);
+    if (email) params.set('email', email);
+    adminRequest(`/privacy/audit?${params}`)
+      .then((data) => {
+        if (ignore) return;
+        setEntries(data.entries);
+        setRetentionDays(data.retentionDays);
+        setPagination(data.pagination);
+        setFeedback('');
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading privacy audit log:', error);
+        setFeedback(error.status ? error.message : 'Could not load the audit log. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [action, email, page, onUnauthorized]);
+
+  /**
+   * handleLookup: Shows only the entries about the address typed in (or all, when empty).
+   * @param {Event} e - The submit event from the lookup form.
+   */
+  const handleLookup = (e) => {
+    e.preventDefault();
+    setEmail(emailInput.trim());
+    setPage(1);
+  };
+
+  return (
+    <section className="admin-panel">
+      {retentionDays && (
+        <p className="text-sm text-slate-400">
+          Retention: leads {retentionDays.leads ?? '∞'} days after their last update, demo bookings{' '}
+          {retentionDays.demoBookings ?? '∞'} days after the demo, emails {retentionDays.emails ?? '∞'} days,
+          webhook deliveries {retentionDays.webhookDeliveries ?? '∞'} days.
+        </p>
+      )}
+
+      <form className="admin-toolbar mt-4" onSubmit={handleLookup}>
+        <input
+          type="search"
+          className="p-3 rounded-md bg-transparent border border-white/6 text-slate-100 flex-1"
+          placeholder="Email address"
+          aria-label="Entries about email address"
+          value={emailInput}
+          onChange={(e) => setEmailInput(e.target.value)}
+        />
+        <button type="submit" className="admin-button">Look up</button>
+        <select
+          className="admin-select"
+          aria-label="Filter by action"
+          value={action}
+          onChange={(e) => { setAction(e.target.value); setPage(1); }}
+        >
+          <option value="">All actions</option>
+          {Object.entries(ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </form>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {entries && (
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Action</th>
+                <th>Email hash</th>
+                <th>IP</th>
+                <th>Records</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td>{formatDateTime(entry.createdAt)}</td>
+                  <td>{ACTIONS[entry.action]}</td>
+                  <td className="admin-cell-truncate" title={entry.emailHash || undefined}>
+                    {entry.emailHash ? entry.emailHash.slice(0, 12) : '—'}
+                  </td>
+                  <td>{entry.ip || '—'}</td>
+                  <td>{describeCounts(entry.details)}</td>
+                </tr>
+              ))}
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="text-center text-slate-400">No entries.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="admin-toolbar mt-4">
+          <button type="button" className="admin-button" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span className="text-sm text-slate-400">
+            Page {pagination.page} of {pagination.totalPages} · {pagination.total} entries
+          </span>
+          <button type="button" className="admin-button" disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,86 @@
+// frontend/src/admin/WaitlistTable.jsx
+import React, { useState, useEffect } from "react";
+import { adminRequest, formatDateTime } from "./api";
+
+/**
+ * WaitlistTable Component: AI SmartBill waitlist signups in queue order, with
+ * confirmation state and the totals from GET /waitlist/stats.
+ */
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function WaitlistTable({ onUnauthorized }) {
+  const [signups, setSignups] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [feedback, setFeedback] = useState('');
+
+  useEffect(() => {
+    let ignore = false;
+    Promise.all([adminRequest('/waitlist'), adminRequest('/waitlist/stats')])
+      .then(([list, summary]) => {
+        if (ignore) return;
+        setSignups(list.signups);
+        setStats(summary.stats);
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading waitlist:', error);
+        setFeedback(error.status ? error.message : 'Could not load the waitlist. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [onUnauthorized]);
+
+  return (
+    <section className="admin-panel">
+      {feedback && <div className="text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {stats && (
+        <div className="text-sm text-slate-300">
+          {stats.total} signups · {stats.confirmed} confirmed
+          {stats.bySource.map((row) => ` · ${row.source}: ${row.total}`).join('')}
+        </div>
+      )}
+
+      {signups && (
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Email</th>
+                <th>Shop</th>
+                <th>City</th>
+                <th>Source</th>
+                <th>Confirmed</th>
+                <th>Joined</th>
+              </tr>
+            </thead>
+            <tbody>
+              {signups.map((signup) => (
+                <tr key={signup.id}>
+                  <td>{signup.position}</td>
+                  <td>{signup.email}</td>
+                  <td>{signup.shopName}</td>
+                  <td>{signup.city}</td>
+                  <td>{signup.source}</td>
+                  <td>{signup.confirmed ? 'Yes' : 'No'}</td>
+                  <td>{formatDateTime(signup.createdAt)}</td>
+                </tr>
+              ))}
+              {signups.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-slate-400">No signups yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
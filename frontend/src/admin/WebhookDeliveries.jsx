@@ -0,0 +1,163 @@
+// frontend/src/admin/WebhookDeliveries.jsx
+import React, { useState, useEffect } from "react";
+import { adminRequest, formatDateTime } from "./api";
+
+/**
+ * WebhookDeliveries Component: The webhook delivery log, newest first, filterable by webhook
+ * and status. A failed delivery can be sent again once the receiver is fixed.
+ */
+
+/**
+ * @param {object} props - Component props.
+ * @param {object[]} props.webhooks - Registered webhooks, for the filter and the URL column.
+ * @param {number} props.version - Changes whenever the log should be reloaded (e.g. after a test event).
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function WebhookDeliveries({ webhooks, version, onUnauthorized }) {
+  const [webhookId, setWebhookId] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [deliveries, setDeliveries] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [feedback, setFeedback] = useState('');
+  const [retrying, setRetrying] = useState(null);
+  // Bumped after a retry so the row shows its new outcome
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    let ignore = false;
+    const params = new URLSearchParams({ page });
+    if (webhookId) params.set('webhookId', webhookId);
+    if (status) params.set('status', status);
+    adminRequest(`/webhooks/deliveries?${params}`)
+      .then((data) => {
+        if (ignore) return;
+        setDeliveries(data.deliveries);
+        setPagination(data.pagination);
+      })
+      .catch((error) => {
+        if (ignore) return;
+        if (error.status === 401) return onUnauthorized();
+        console.error('Error loading webhook deliveries:', error);
+        setFeedback(error.status ? error.message : 'Could not load deliveries. Please ensure the backend server is running.');
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [webhookId, status, page, version, reload, onUnauthorized]);
+
+  /**
+   * handleRetry: Queues a delivery again, then refreshes the log.
+   * @param {object} delivery - The failed delivery.
+   */
+  const handleRetry = async (delivery) => {
+    setRetrying(delivery.id);
+    setFeedback('');
+    try {
+      await adminRequest(`/webhooks/deliveries/${delivery.id}/retry`, { method: 'POST' });
+      setReload((n) => n + 1);
+    } catch (error) {
+      if (error.status === 401) return onUnauthorized();
+      console.error('Error retrying webhook delivery:', error);
+      setFeedback(error.status ? error.message : 'Network error. Please ensure the backend server is running.');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const urlOf = (id) => webhooks.find((webhook) => webhook.id === id)?.url || `#${id}`;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-sm font-semibold">Delivery log</h2>
+      <div className="admin-toolbar mt-4">
+        <select
+          className="admin-select"
+          aria-label="Filter by webhook"
+          value={webhookId}
+          onChange={(e) => { setWebhookId(e.target.value); setPage(1); }}
+        >
+          <option value="">All webhooks</option>
+          {webhooks.map((webhook) => <option key={webhook.id} value={webhook.id}>{webhook.url}</option>)}
+        </select>
+        <select
+          className="admin-select"
+          aria-label="Filter by status"
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+        >
+          <option value="">All statuses</option>
+          <option value="pending">Pending</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      {feedback && <div className="mt-4 text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {deliveries && (
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Webhook</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Response</th>
+                <th>Last error</th>
+                <th><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => (
+                <tr key={delivery.id}>
+                  <td>{formatDateTime(delivery.createdAt)}</td>
+                  <td className="admin-cell-truncate">{urlOf(delivery.webhookId)}</td>
+                  <td>{delivery.event}</td>
+                  <td>
+                    <span className={`admin-status admin-delivery-${delivery.status}`}>{delivery.status}</span>
+                    {delivery.status === 'pending' && delivery.nextAttemptAt && delivery.attempts > 0 && (
+                      <span className="text-xs text-slate-400"> retry {formatDateTime(delivery.nextAttemptAt)}</span>
+                    )}
+                  </td>
+                  <td>{delivery.attempts}</td>
+                  <td>{delivery.responseStatus ?? ''}</td>
+                  <td className="admin-cell-truncate" title={delivery.lastError || undefined}>{delivery.lastError}</td>
+                  <td>
+                    {delivery.status === 'failed' && (
+                      <button
+                        type="button"
+                        className="admin-button"
+                        disabled={retrying === delivery.id}
+                        onClick={() => handleRetry(delivery)}
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {deliveries.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="text-center text-slate-400">No deliveries.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="admin-toolbar mt-4">
+          <button type="button" className="admin-button" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span className="text-sm text-slate-400">
+            Page {pagination.page} of {pagination.totalPages} · {pagination.total} deliveries
+          </span>
+          <button type="button" className="admin-button" disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+// frontend/src/admin/WebhooksPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { adminRequest, formatDateTime } from "./api";
+import WebhookDeliveries from "./WebhookDeliveries";
+
+/**
+ * WebhooksPanel Component: Registers the URLs that receive lead events (the team's CRM,
+ * Zapier...) and shows the delivery log.
+ *
+ * A webhook's signing secret is only returned when it is created or rotated, so it is shown
+ * once here, to copy into the receiving tool.
+ */
+
+// Payload formats (see backend/webhooks/): value and label
+const FORMATS = [
+  { value: 'standard', label: 'Standard (lead)' },
+  { value: 'crm', label: 'CRM contact' },
+];
+
+const EMPTY_FORM = { url: '', events: ['lead.created'], format: 'standard', description: '' };
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} props.onUnauthorized - Called when the session is no longer valid.
+ */
+export default function WebhooksPanel({ onUnauthorized }) {
+  const [webhooks, setWebhooks] = useState(null);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [feedback, setFeedback] = useState('');
+  // { webhookId, secret } right after creating a webhook or rotating its secret
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  // Makes the delivery log reload after a test event or retry
+  const [deliveriesVersion, setDeliveriesVersion] = useState(0);
+
+  /**
+   * Shows a failed request's message, or signs out when the session expired.
+   * @param {Error} error - The error thrown by adminRequest.
+   * @param {string} action - What was being attempted, for the console.
+   */
+  const handleError = useCallback((error, action) => {
+    if (error.status === 401) return onUnauthorized();
+    console.error(`Error ${action}:`, error);
+    setFeedback(error.status ? error.message : 'Network error. Please ensure the backend server is running.');
+  }, [onUnauthorized]);
+
+  const loadWebhooks = useCallback(() => {
+    adminRequest('/webhooks')
+      .then((data) => {
+        setWebhooks(data.webhooks);
+        setEventTypes(data.events);
+      })
+      .catch((error) => handleError(error, 'loading webhooks'));
+  }, [handleError]);
+
+  useEffect(loadWebhooks, [loadWebhooks]);
+
+  /**
+   * Runs a change to one webhook, then reloads the list.
+   * @param {Promise<object>} request - The pending adminRequest.
+   * @param {string} action - What is being done, for the console.
+   * @returns {Promise<object|null>} The response, or null when it failed.
+   */
+  const run = async (request, action) => {
+    setSaving(true);
+    setFeedback('');
+    try {
+      const data = await request;
+      loadWebhooks();
+      return data;
+    } catch (error) {
+      handleError(error, action);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * handleCreate: Registers the webhook from the form.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    const body = { ...form, description: form.description.trim() || null };
+    const data = await run(adminRequest('/webhooks', { method: 'POST', body }).catch((error) => {
+      if (error.errors) setErrors(error.errors);
+      throw error;
+    }), 'registering webhook');
+    if (data) {
+      setRevealedSecret({ webhookId: data.webhook.id, secret: data.webhook.secret });
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(event)
+        ? current.events.filter((e) => e !== event)
+        : [...current.events, event],
+    }));
+  };
+
+  const handleToggleActive = (webhook) => run(
+    adminRequest(`/webhooks/${webhook.id}`, { method: 'PATCH', body: { active: !webhook.active } }),
+    'updating webhook',
+  );
+
+  const handleRotate = async (webhook) => {
+    if (!window.confirm('Replace the signing secret? The receiver must be updated with the new one.')) return;
+    const data = await run(adminRequest(`/webhooks/${webhook.id}/rotate-secret`, { method: 'POST' }), 'rotating secret');
+    if (data) setRevealedSecret({ webhookId: webhook.id, secret: data.webhook.secret });
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook to ${webhook.url} and its delivery log?`)) return;
+    await run(adminRequest(`/webhooks/${webhook.id}`, { method: 'DELETE' }), 'deleting webhook');
+    setDeliveriesVersion((v) => v + 1);
+  };
+
+  const handlePing = async (webhook) => {
+    await run(adminRequest(`/webhooks/${webhook.id}/ping`, { method: 'POST' }), 'sending test event');
+    setDeliveriesVersion((v) => v + 1);
+  };
+
+  return (
+    <section className="admin-panel">
+      {feedback && <div className="text-sm text-red-400" role="alert">{feedback}</div>}
+
+      {revealedSecret && (
+        <div className="admin-secret mt-4 text-sm" role="status">
+          <div>
+            Signing secret for webhook #{revealedSecret.webhookId}. Copy it now: it won't be shown again.
+          </div>
+          <code className="admin-json">{revealedSecret.secret}</code>
+          <button type="button" className="admin-button" onClick={() => setRevealedSecret(null)}>Done</button>
+        </div>
+      )}
+
+      {webhooks && (
+        <div className="admin-table-wrap mt-4">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Format</th>
+                <th>Status</th>
+                <th>Created</th>
+                <th><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.map((webhook) => (
+                <tr key={webhook.id}>
+                  <td className="admin-cell-truncate" title={webhook.description || undefined}>{webhook.url}</td>
+                  <td>{webhook.events.join(', ')}</td>
+                  <td>{webhook.format}</td>
+                  <td>{webhook.active ? 'Active' : 'Paused'}</td>
+                  <td>{formatDateTime(webhook.createdAt)}</td>
+                  <td className="admin-actions">
+                    <button type="button" className="admin-button" disabled={saving || !webhook.active} onClick={() => handlePing(webhook)}>Test</button>
+                    <button type="button" className="admin-button" disabled={saving} onClick={() => handleToggleActive(webhook)}>
+                      {webhook.active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button type="button" className="admin-button" disabled={saving} onClick={() => handleRotate(webhook)}>Rotate secret</button>
+                    <button type="button" className="admin-button" disabled={saving} onClick={() => handleDelete(webhook)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+              {webhooks.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-slate-400">No webhooks yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <form className="admin-detail mt-4" onSubmit={handleCreate}>
+        <div className="text-sm font-semibold">Add a webhook</div>
+        <label htmlFor="webhook-url" className="text-xs text-slate-400 mt-4 block">Receiver URL</label>
+        <input
+          id="webhook-url"
+          type="url"
+          className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+          placeholder="https://hooks.example.com/jrtech"
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+          required
+        />
+        {errors.url && <span className="text-xs text-red-400 mt-1 block">{errors.url}</span>}
+
+        <fieldset className="mt-4">
+          <legend className="text-xs text-slate-400">Events</legend>
+          <div className="admin-toolbar mt-2">
+            {eventTypes.map((event) => (
+              <label key={event} className="text-sm">
+                <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} /> {event}
+              </label>
+            ))}
+          </div>
+          {errors.events && <span className="text-xs text-red-400 mt-1 block">{errors.events}</span>}
+        </fieldset>
+
+        <label htmlFor="webhook-format" className="text-xs text-slate-400 mt-4 block">Payload</label>
+        <select
+          id="webhook-format"
+          className="admin-select mt-2"
+          value={form.format}
+          onChange={(e) => setForm({ ...form, format: e.target.value })}
+        >
+          {FORMATS.map((format) => <option key={format.value} value={format.value}>{format.label}</option>)}
+        </select>
+
+        <label htmlFor="webhook-description" className="text-xs text-slate-400 mt-4 block">Description (optional)</label>
+        <input
+          id="webhook-description"
+          type="text"
+          className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+          placeholder="HubSpot via Zapier"
+          maxLength={200}
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+        />
+
+        <button type="submit" className="admin-button mt-4" disabled={saving || form.events.length === 0}>Add webhook</button>
+      </form>
+
+      <WebhookDeliveries webhooks={webhooks || []} version={deliveriesVersion} onUnauthorized={onUnauthorized} />
+    </section>
+  );
+}
@@ -0,0 +1,109 @@
+// frontend/src/admin/api.js
+// Admin dashboard calls on top of the shared API client (../api/client.js): attaches the
+// session token and signs out locally when the backend rejects it.
+
+import { ApiError, apiRequest, apiUrl } from "../api/client";
+
+// Where the session token is kept between page loads
+const SESSION_STORAGE_KEY = 'jrtech.admin.session';
+
+/**
+ * getSession: The stored session ({ token, expiresAt, user }), or null when signed out or expired.
+ * @returns {object|null}
+ */
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) {
+      return session;
+    }
+  } catch {
+    // Corrupt value: treat as signed out
+  }
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  return null;
+}
+
+/**
+ * saveSession / clearSession: Persist or forget the session returned by POST /auth/login.
+ * @param {object} session - { token, expiresAt, user }.
+ */
+export function saveSession(session) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Builds the request headers, adding the bearer token when signed in.
+ * @param {object} [extra] - Additional headers.
+ * @returns {object}
+ */
+function authHeaders(extra = {}) {
+  const session = getSession();
+  return session ? { ...extra, Authorization: `Bearer ${session.token}` } : extra;
+}
+
+/**
+ * Clears the stored session when the backend answered 401, so the dashboard falls back
+ * to the login screen, then rethrows.
+ * @param {Error} error - The error from the request.
+ */
+function rethrow(error) {
+  if (error.status === 401) {
+    clearSession();
+  }
+  throw error;
+}
+
+/**
+ * adminRequest: Calls a JSON endpoint of the backend with the session token.
+ * Failures reject with an ApiError: `status` is set when the backend answered, and
+ * `errors` holds per-field validation messages.
+ * @param {string} path - Path such as '/leads?page=2'.
+ * @param {object} [options] - { method, body }. `body` is sent as JSON.
+ * @returns {Promise<object>} The parsed JSON response.
+ */
+export function adminRequest(path, { method = 'GET', body } = {}) {
+  return apiRequest(path, { method, body, headers: authHeaders() }).catch(rethrow);
+}
+
+/**
+ * adminDownload: Fetches a file (e.g. the CSV export) with the session token and
+ * saves it through a temporary link, since a plain <a href> can't send the header.
+ * @param {string} path - Path such as '/leads/export?ids=1,2'.
+ * @param {string} fallbackName - File name used when the response doesn't name one.
+ */
+export async function adminDownload(path, fallbackName) {
+  const response = await fetch(apiUrl(path), { headers: authHeaders() });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    rethrow(new ApiError(data.message || `Request failed (${response.status}).`, {
+      status: response.status,
+      errors: data.errors || {},
+      data,
+    }));
+  }
+
+  // filename*=UTF-8''... carries names with non-Latin characters (e.g. uploaded attachments)
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = encoded ? decodeURIComponent(encoded[1]) : match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * formatDateTime: Formats an ISO timestamp for the dashboard tables, in the viewer's locale.
+ * @param {string} iso - ISO timestamp.
+ * @returns {string}
+ */
+export function formatDateTime(iso) {
+  return iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
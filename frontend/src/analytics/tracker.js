@@ -0,0 +1,95 @@
+// frontend/src/analytics/tracker.js
+// First-party event tracker for the landing page: section views, CTA clicks and contact form
+// progress, batched to the backend's POST /events, which keeps daily counts only.
+//
+// Nothing is recorded until the visitor accepts the consent banner, and never when the
+// browser sends Do Not Track or Global Privacy Control. Events carry no visitor identifier.
+
+import { sendEvents } from "../api/endpoints";
+
+// Where the visitor's answer to the consent banner is kept
+const CONSENT_STORAGE_KEY = 'jrtech.analytics.consent';
+// Events are sent together after this long, or sooner when the batch is full or the page is hidden
+const FLUSH_DELAY_MS = 5000;
+// Largest batch POST /events accepts
+const MAX_BATCH_SIZE = 50;
+
+let queue = [];
+let flushTimer = null;
+let listening = false;
+
+/**
+ * isDoNotTrack: Whether the browser asks sites not to track (DNT or Global Privacy Control).
+ * @returns {boolean}
+ */
+export function isDoNotTrack() {
+  return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * getConsent: The visitor's answer to the consent banner: 'granted', 'denied' or null (not asked yet).
+ * @returns {'granted'|'denied'|null}
+ */
+export function getConsent() {
+  try {
+    const value = localStorage.getItem(CONSENT_STORAGE_KEY);
+    return value === 'granted' || value === 'denied' ? value : null;
+  } catch {
+    return null; // Storage blocked: ask again, track nothing meanwhile
+  }
+}
+
+/**
+ * setConsent: Remembers the visitor's answer. Declining drops anything not sent yet.
+ * @param {'granted'|'denied'} value
+ */
+export function setConsent(value) {
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, value);
+  } catch {
+    // Storage blocked: the answer only lasts for this page view
+  }
+  if (value !== 'granted') {
+    queue = [];
+  }
+}
+
+/**
+ * Sends everything queued, in batches. Analytics is best effort: failures are dropped.
+ */
+export function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  while (queue.length) {
+    const batch = queue.splice(0, MAX_BATCH_SIZE);
+    sendEvents(batch, { keepalive: true }).catch((error) => console.warn('Analytics events not sent:', error.message));
+  }
+}
+
+/**
+ * Flushes when the page is hidden or closed, the last moment events can still be sent.
+ */
+function listenForPageHide() {
+  if (listening) return;
+  listening = true;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+}
+
+/**
+ * track: Records one event, if the visitor agreed to analytics.
+ * @param {'page_view'|'section_view'|'cta_click'|'form_start'|'form_abandon'|'form_submit'} type
+ * @param {string} target - Lowercase name of the page, section, button or form, e.g. "hero-demo".
+ */
+export function track(type, target) {
+  if (isDoNotTrack() || getConsent() !== 'granted') return;
+  listenForPageHide();
+  queue.push({ type, target });
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+}
@@ -0,0 +1,46 @@
+// frontend/src/analytics/useFormTracking.js
+import { useCallback, useEffect, useRef } from "react";
+import { flush, track } from "./tracker";
+
+/**
+ * useFormTracking: Funnel events for a form: form_start on the first edit, form_submit on
+ * success, and form_abandon when the page is left (or the router moves to a page without the
+ * form) with a started but unsent form.
+ * @param {string} form - Form name sent as the event target, e.g. "contact".
+ * @returns {{ started: function, submitted: function }} Call started() on every edit (only
+ *   the first counts) and submitted() after a successful submission.
+ */
+export default function useFormTracking(form) {
+  const inProgress = useRef(false);
+
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (!inProgress.current) return;
+      inProgress.current = false;
+      track('form_abandon', form);
+      flush();
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      // Route changes unmount the form without a pagehide; the page stays, so the tracker's
+      // queue goes out as usual
+      if (!inProgress.current) return;
+      inProgress.current = false;
+      track('form_abandon', form);
+    };
+  }, [form]);
+
+  const started = useCallback(() => {
+    if (inProgress.current) return;
+    inProgress.current = true;
+    track('form_start', form);
+  }, [form]);
+
+  const submitted = useCallback(() => {
+    inProgress.current = false;
+    track('form_submit', form);
+  }, [form]);
+
+  return { started, submitted };
+}
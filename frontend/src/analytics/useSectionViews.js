@@ -0,0 +1,27 @@
+// frontend/src/analytics/useSectionViews.js
+import { useEffect } from "react";
+import { track } from "./tracker";
+
+// Share of a section that must be on screen to count as seen
+const VISIBLE_THRESHOLD = 0.4;
+
+/**
+ * useSectionViews: Records a section_view the first time each element with a
+ * data-analytics-section attribute scrolls into view (once per visit to a page).
+ * Called by each page component, so it finds that page's sections once they have rendered.
+ */
+export default function useSectionViews() {
+  useEffect(() => {
+    if (typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) {
+          track('section_view', entry.target.dataset.analyticsSection);
+          observer.unobserve(entry.target);
+        }
+      }
+    }, { threshold: VISIBLE_THRESHOLD });
+    document.querySelectorAll('[data-analytics-section]').forEach((section) => observer.observe(section));
+    return () => observer.disconnect();
+  }, []);
+}
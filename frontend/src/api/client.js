@@ -0,0 +1,199 @@
+// frontend/src/api/client.js
+// Fetch wrapper shared by every call to the backend: base URL from the Vite env,
+// request timeouts, cancellation, and one error type for every kind of failure.
+
+/**
+ * Base URL of the backend API, without a trailing slash.
+ * Set VITE_API_BASE_URL (see .env.example) when the API lives on another origin. Without it,
+ * the dev server talks to the backend on port 3001 and production builds call their own
+ * origin, which is how the backend serves the site in single-process mode (SERVE_FRONTEND).
+ */
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL ?? (import.meta.env.DEV ? 'http://localhost:3001' : ''))
+  .replace(/\/+$/, '');
+
+// Requests that take longer than this are aborted and reported as a timeout
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 15000;
+
+/**
+ * Error thrown by apiRequest for anything other than a 2xx JSON response.
+ *
+ * `status` is the HTTP status code, or null when no response arrived. `code` tells the
+ * failures apart: 'http' (the backend answered with an error), 'timeout', 'aborted'
+ * (cancelled by the caller), 'network' (backend unreachable) or 'invalid_response'
+ * (not JSON). `errors` holds per-field validation messages and `data` the full response
+ * body when the backend sent one; `retryAfter` is the Retry-After header in seconds.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'http', errors = {}, data = {}, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.data = data;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * apiUrl: Absolute URL of a backend path, e.g. apiUrl('/plans') -> "https://example.com/plans".
+ * @param {string} path - Path starting with "/".
+ * @returns {string}
+ */
+export function apiUrl(path) {
+  return `${API_BASE_URL}${path}`;
+}
+
+/**
+ * apiRequest: Calls a JSON endpoint of the backend.
+ * @param {string} path - Path such as '/plans?locale=hi'.
+ * @param {object} [options]
+ * @param {string} [options.method] - HTTP method (default GET).
+ * @param {object} [options.body] - Sent as JSON.
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {AbortSignal} [options.signal] - Cancels the request (rejects with code 'aborted').
+ * @param {number} [options.timeoutMs] - Overrides the default timeout.
+ * @param {boolean} [options.keepalive] - Lets the request finish after the page is closed
+ *   (small bodies only, e.g. analytics sent on pagehide).
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {ApiError}
+ */
+export async function apiRequest(path, { method = 'GET', body, headers = {}, signal, timeoutMs = DEFAULT_TIMEOUT_MS, keepalive } = {}) {
+  // One controller for both the caller's signal and our timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
+  let response;
+  try {
+    response = await fetch(apiUrl(path), {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+      keepalive,
+    });
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError('The server took too long to respond. Please try again.', { code: 'timeout' });
+    }
+    if (controller.signal.aborted) {
+      throw new ApiError('The request was cancelled.', { code: 'aborted' });
+    }
+    console.error(`Network error calling ${path}:`, error);
+    throw new ApiError('Network error. Please ensure the backend server is running.', { code: 'network' });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+  }
+
+  const data = await response.json().catch(() => null);
+  const retryAfter = Number(response.headers.get('Retry-After')) || null;
+  if (data === null) {
+    throw new ApiError(`Unexpected response from the server (${response.status}).`, {
+      status: response.status,
+      code: response.ok ? 'invalid_response' : 'http',
+      retryAfter,
+    });
+  }
+  if (!response.ok) {
+    throw new ApiError(data.message || `Request failed (${response.status}).`, {
+      status: response.status,
+      errors: data.errors || {},
+      data,
+      retryAfter: retryAfter || Number(data.retryAfter) || null,
+    });
+  }
+  return data;
+}
+
+/**
+ * apiUpload: Sends a multipart form (e.g. a file) to the backend and reports upload progress,
+ * which fetch() can't do. Fails the same ways as apiRequest, with the same ApiError codes.
+ * @param {string} path - Path such as '/contact/attachments'.
+ * @param {FormData} formData - The form fields and files.
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra request headers (don't set Content-Type: the
+ *   browser adds it with the multipart boundary).
+ * @param {function} [options.onProgress] - Called with the fraction sent so far (0 to 1).
+ * @param {AbortSignal} [options.signal] - Cancels the upload (rejects with code 'aborted').
+ * @param {number} [options.timeoutMs] - Time allowed for the whole upload (default 2 minutes).
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {ApiError}
+ */
+export function apiUpload(path, formData, { headers = {}, onProgress, signal, timeoutMs = 120000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', apiUrl(path));
+    xhr.timeout = timeoutMs;
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value);
+    }
+
+    const abortFromCaller = () => xhr.abort();
+    const done = () => signal?.removeEventListener('abort', abortFromCaller);
+    if (signal) {
+      if (signal.aborted) {
+        reject(new ApiError('The request was cancelled.', { code: 'aborted' }));
+        return;
+      }
+      signal.addEventListener('abort', abortFromCaller);
+    }
+
+    if (onProgress) {
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) onProgress(event.loaded / event.total);
+      };
+    }
+    xhr.ontimeout = () => {
+      done();
+      reject(new ApiError('The server took too long to respond. Please try again.', { code: 'timeout' }));
+    };
+    xhr.onabort = () => {
+      done();
+      reject(new ApiError('The request was cancelled.', { code: 'aborted' }));
+    };
+    xhr.onerror = () => {
+      done();
+      console.error(`Network error calling ${path}`);
+      reject(new ApiError('Network error. Please ensure the backend server is running.', { code: 'network' }));
+    };
+    xhr.onload = () => {
+      done();
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Not JSON: handled below
+      }
+      const ok = xhr.status >= 200 && xhr.status < 300;
+      const retryAfter = Number(xhr.getResponseHeader('Retry-After')) || null;
+      if (data === null) {
+        reject(new ApiError(`Unexpected response from the server (${xhr.status}).`, {
+          status: xhr.status,
+          code: ok ? 'invalid_response' : 'http',
+          retryAfter,
+        }));
+      } else if (!ok) {
+        reject(new ApiError(data.message || `Request failed (${xhr.status}).`, {
+          status: xhr.status,
+          errors: data.errors || {},
+          data,
+          retryAfter: retryAfter || Number(data.retryAfter) || null,
+        }));
+      } else {
+        resolve(data);
+      }
+    };
+
+    xhr.send(formData);
+  });
+}
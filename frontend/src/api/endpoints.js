@@ -0,0 +1,231 @@
+// frontend/src/api/endpoints.js
+// One helper per public backend endpoint, so components never build URLs themselves.
+// Every helper rejects with an ApiError (see client.js) when the call fails.
+
+import { apiRequest, apiUpload } from "./client";
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request.
+ * @property {number} [timeoutMs] - Overrides the default timeout.
+ * @property {boolean} [keepalive] - Lets the request outlive the page.
+ */
+
+/**
+ * @typedef {object} Plan
+ * @property {string} id
+ * @property {string} name
+ * @property {string} currency - ISO code, e.g. "INR".
+ * @property {boolean} featured
+ * @property {boolean} customPricing
+ * @property {{ monthly: { amount: number }, yearly: { amount: number, monthlyEquivalent: number, discountPercent: number } }|null} periods
+ * @property {string[]} benefits
+ */
+
+/**
+ * @typedef {object} ContactSubmission
+ * @property {string} email
+ * @property {string} message
+ * @property {string|null} formToken - From getContactToken().
+ * @property {string} website - Honeypot; should be empty.
+ * @property {string} [plan] - Plan id when the inquiry started from a pricing card.
+ * @property {'monthly'|'yearly'} [billingPeriod]
+ * @property {string[]} [attachments] - Ids from uploadContactAttachment().
+ * @property {'true'|''} consent - Whether the privacy policy was agreed to.
+ * @property {string} privacyPolicyVersion - The policy agreed to (see privacy/policy.js).
+ */
+
+/**
+ * @typedef {object} ContactAttachment
+ * @property {string} id - Sent back in ContactSubmission.attachments.
+ * @property {string} name
+ * @property {number} size - Bytes.
+ * @property {string} mimeType - As detected by the backend.
+ */
+
+/**
+ * @typedef {object} DemoSlot
+ * @property {string} start - UTC ISO timestamp.
+ * @property {string} end - UTC ISO timestamp.
+ */
+
+/**
+ * @typedef {object} DemoBookingResult
+ * @property {string} message
+ * @property {object} booking
+ * @property {string} [cancelToken]
+ * @property {string} [rescheduleToken]
+ * @property {string} [ics] - Calendar invite (absent after cancelling).
+ */
+
+/**
+ * getContactToken: A signed anti-spam token for the contact form (GET /contact/token).
+ * @param {RequestOptions} [options]
+ * @returns {Promise<string>}
+ */
+export async function getContactToken(options) {
+  const data = await apiRequest('/contact/token', options);
+  return data.token;
+}
+
+/**
+ * submitContact: Sends the contact form (POST /contact).
+ * @param {ContactSubmission} submission - Form fields.
+ * @param {RequestOptions & { locale: string, idempotencyKey: string }} options - `locale` is the
+ *   language for the response message and field errors; `idempotencyKey` identifies this
+ *   submission so resending it never creates a second lead.
+ * @returns {Promise<{ message: string }>}
+ */
+export function submitContact(submission, { locale, idempotencyKey, ...options }) {
+  return apiRequest('/contact', {
+    ...options,
+    method: 'POST',
+    headers: { 'Accept-Language': locale, 'Idempotency-Key': idempotencyKey },
+    body: submission,
+  });
+}
+
+/**
+ * uploadContactAttachment: Uploads one file for the contact form (POST /contact/attachments).
+ * @param {File} file - The file.
+ * @param {{ formToken: string|null, locale: string, onProgress?: function, signal?: AbortSignal }} options -
+ *   `formToken` is the form's anti-spam token; `onProgress` receives the fraction uploaded (0 to 1).
+ * @returns {Promise<ContactAttachment>}
+ */
+export async function uploadContactAttachment(file, { formToken, locale, onProgress, signal }) {
+  const formData = new FormData();
+  formData.append('formToken', formToken || '');
+  formData.append('file', file);
+  const data = await apiUpload('/contact/attachments', formData, {
+    headers: { 'Accept-Language': locale },
+    onProgress,
+    signal,
+  });
+  return data.attachment;
+}
+
+/**
+ * getPlans: Pricing plans in display order (GET /plans).
+ * @param {string} locale - Language for plan names and benefits.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Plan[]>}
+ */
+export async function getPlans(locale, options) {
+  const data = await apiRequest(`/plans?locale=${encodeURIComponent(locale)}`, options);
+  return data.plans;
+}
+
+/**
+ * getContent: Published landing-page copy per section (GET /content).
+ * @param {string} locale - Language of the copy.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{ locale: string, content: object, versions: object }>}
+ */
+export function getContent(locale, options) {
+  return apiRequest(`/content?locale=${encodeURIComponent(locale)}`, options);
+}
+
+/**
+ * joinWaitlist: Signs up for the AI SmartBill waitlist (POST /waitlist).
+ * @param {{ email: string, shopName: string, city: string, source: string }} signup
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{ message: string, position: number, alreadyJoined: boolean, confirmed: boolean }>}
+ */
+export function joinWaitlist(signup, options) {
+  return apiRequest('/waitlist', { ...options, method: 'POST', body: signup });
+}
+
+/**
+ * getDemoSlots: Open demo slots (GET /demo/slots).
+ * @param {RequestOptions} [options]
+ * @returns {Promise<DemoSlot[]>}
+ */
+export async function getDemoSlots(options) {
+  const data = await apiRequest('/demo/slots', options);
+  return data.slots || [];
+}
+
+/**
+ * bookDemo: Books a demo slot (POST /demo/bookings).
+ * @param {{ name: string, email: string, company: string, notes: string, start: string, timeZone: string }} booking
+ * @param {RequestOptions} [options]
+ * @returns {Promise<DemoBookingResult>}
+ */
+export function bookDemo(booking, options) {
+  return apiRequest('/demo/bookings', { ...options, method: 'POST', body: booking });
+}
+
+/**
+ * rescheduleDemo: Moves a booking to another slot with the token from the confirmation email
+ * (POST /demo/bookings/reschedule).
+ * @param {{ token: string, start: string }} change
+ * @param {RequestOptions} [options]
+ * @returns {Promise<DemoBookingResult>}
+ */
+export function rescheduleDemo(change, options) {
+  return apiRequest('/demo/bookings/reschedule', { ...options, method: 'POST', body: change });
+}
+
+/**
+ * cancelDemo: Cancels a booking with the token from the confirmation email (POST /demo/bookings/cancel).
+ * @param {{ token: string }} cancellation
+ * @param {RequestOptions} [options]
+ * @returns {Promise<DemoBookingResult>}
+ */
+export function cancelDemo(cancellation, options) {
+  return apiRequest('/demo/bookings/cancel', { ...options, method: 'POST', body: cancellation });
+}
+
+/**
+ * requestPrivacyLink: Asks for an emailed one-time link to export or erase the data stored about
+ * an email address (POST /privacy/requests). Succeeds whether or not the address is known.
+ * @param {{ email: string, type: 'export'|'erasure' }} request
+ * @param {RequestOptions & { locale: string }} options - `locale` is the language for messages.
+ * @returns {Promise<{ message: string }>}
+ */
+export function requestPrivacyLink(request, { locale, ...options }) {
+  return apiRequest('/privacy/requests', { ...options, method: 'POST', headers: { 'Accept-Language': locale }, body: request });
+}
+
+/**
+ * checkPrivacyLink: What an emailed privacy link is for, without using it up (POST /privacy/link).
+ * @param {string} token - From the link.
+ * @param {RequestOptions & { locale: string }} options
+ * @returns {Promise<{ type: 'export'|'erasure', expiresAt: string }>}
+ */
+export async function checkPrivacyLink(token, { locale, ...options }) {
+  const data = await apiRequest('/privacy/link', { ...options, method: 'POST', headers: { 'Accept-Language': locale }, body: { token } });
+  return data.request;
+}
+
+/**
+ * exportPersonalData: Everything stored about the link's address (POST /privacy/export). Uses up the link.
+ * @param {string} token - From an export link.
+ * @param {RequestOptions & { locale: string }} options
+ * @returns {Promise<object>}
+ */
+export async function exportPersonalData(token, { locale, ...options }) {
+  const data = await apiRequest('/privacy/export', { ...options, method: 'POST', headers: { 'Accept-Language': locale }, body: { token } });
+  return data.data;
+}
+
+/**
+ * erasePersonalData: Deletes everything stored about the link's address (POST /privacy/erase).
+ * Uses up the link.
+ * @param {string} token - From an erasure link.
+ * @param {RequestOptions & { locale: string }} options
+ * @returns {Promise<{ message: string }>}
+ */
+export function erasePersonalData(token, { locale, ...options }) {
+  return apiRequest('/privacy/erase', { ...options, method: 'POST', headers: { 'Accept-Language': locale }, body: { token } });
+}
+
+/**
+ * sendEvents: Reports a batch of analytics events (POST /events).
+ * @param {{ type: string, target: string }[]} events
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{ accepted: number }>}
+ */
+export function sendEvents(events, options) {
+  return apiRequest('/events', { ...options, method: 'POST', body: { events } });
+}
@@ -0,0 +1,104 @@
+// frontend/src/components/AttachmentDropzone.jsx
+import React, { useState } from "react";
+import { useI18n } from "../i18n/i18n";
+import { ACCEPT, MAX_FILES, MAX_FILE_BYTES, formatFileSize } from "../contact/attachments";
+
+/**
+ * AttachmentDropzone Component: The contact form's file attachments. Files can be dropped on
+ * the zone or picked with the (visually hidden, keyboard-reachable) file input; each one is
+ * listed with its upload progress and a remove button.
+ * @param {object} props - Component props.
+ * @param {object} props.attachments - From useAttachments (contact/useAttachments.js).
+ * @param {string} [props.error] - Error from the backend for the whole field.
+ * @param {boolean} [props.disabled] - While the form is being sent.
+ */
+export default function AttachmentDropzone({ attachments, error, disabled }) {
+  const { t, formatNumber } = useI18n();
+  // Whether files are being dragged over the zone
+  const [dragging, setDragging] = useState(false);
+  const { items, notices, add, remove } = attachments;
+
+  const handleDragOver = (e) => {
+    if (disabled || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault(); // Allows the drop
+    e.dataTransfer.dropEffect = 'copy';
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) add(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="text-xs text-slate-400">{t('contact.attachments')}</div>
+      <div
+        className={`dropzone mt-2${dragging ? ' dropzone-active' : ''}`}
+        onDragEnter={handleDragOver}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          id="contact-attachments"
+          type="file"
+          className="sr-only"
+          multiple
+          accept={ACCEPT}
+          disabled={disabled}
+          aria-describedby={`contact-attachments-help${error ? ' contact-attachments-error' : ''}`}
+          onChange={(e) => {
+            add(e.target.files);
+            e.target.value = ''; // Picking the same file again after removing it still fires onChange
+          }}
+        />
+        <label htmlFor="contact-attachments" className="text-sm text-slate-300">
+          {t('contact.dropHint')} <span className="underline">{t('contact.browse')}</span>
+        </label>
+        <div id="contact-attachments-help" className="text-xs text-slate-400 mt-1">
+          {t('contact.attachmentHelp', { files: MAX_FILES, size: formatFileSize(MAX_FILE_BYTES, formatNumber) })}
+        </div>
+      </div>
+
+      {/* Files refused before uploading (wrong type, too large...) */}
+      <div role="alert">
+        {notices.map((notice) => <span key={notice} className="text-xs text-red-400 mt-1 block">{notice}</span>)}
+      </div>
+      {error && <span id="contact-attachments-error" className="text-xs text-red-400 mt-1 block">{error}</span>}
+
+      {items.length > 0 && (
+        <ul className="attachment-list mt-2" aria-live="polite">
+          {items.map((item) => (
+            <li key={item.key} className="attachment-item text-sm">
+              <div className="attachment-info">
+                <span className="attachment-name">{item.name}</span>
+                <span className="text-xs text-slate-400">{formatFileSize(item.size, formatNumber)}</span>
+                {item.status === 'uploading' && (
+                  <progress
+                    className="attachment-progress"
+                    value={item.progress}
+                    max="1"
+                    aria-label={t('contact.uploadProgress', { name: item.name })}
+                  />
+                )}
+                {item.status === 'uploaded' && <span className="text-xs text-green-400">{t('contact.uploaded')}</span>}
+                {item.status === 'failed' && <span className="text-xs text-red-400">{item.error}</span>}
+              </div>
+              <button
+                type="button"
+                className="modal-close text-slate-400"
+                aria-label={t('contact.removeFile', { name: item.name })}
+                disabled={disabled}
+                onClick={() => remove(item.key)}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+// frontend/src/components/ConsentBanner.jsx
+import React, { useState, useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import { getConsent, isDoNotTrack, setConsent } from "../analytics/tracker";
+
+/**
+ * ConsentBanner Component: Asks once whether we may count page visits (see analytics/tracker.js).
+ *
+ * Not shown when the browser sends Do Not Track, since nothing is tracked then anyway.
+ */
+
+/**
+ * @param {object} props - Component props.
+ * @param {function} [props.onAccept] - Called after the visitor accepts, e.g. to record the current page view.
+ */
+export default function ConsentBanner({ onAccept }) {
+  const { t } = useI18n();
+  // Hidden until mounted, so pre-rendered HTML never contains the banner; then shown if still unanswered
+  const [answered, setAnswered] = useState(true);
+
+  useEffect(() => {
+    setAnswered(isDoNotTrack() || getConsent() !== null);
+  }, []);
+
+  if (answered) return null;
+
+  /**
+   * answer: Stores the visitor's choice and hides the banner.
+   * @param {'granted'|'denied'} value
+   */
+  const answer = (value) => {
+    setConsent(value);
+    setAnswered(true);
+    if (value === 'granted' && onAccept) onAccept();
+  };
+
+  return (
+    <div className="consent-banner rounded-lg p-4 border border-white/5 shadow-2xl" role="region" aria-label={t('consent.label')}>
+      <p className="text-sm text-slate-300">{t('consent.text')}</p>
+      <div className="consent-actions">
+        <button type="button" className="consent-button" onClick={() => answer('denied')}>{t('consent.decline')}</button>
+        <button type="button" className="consent-button consent-button-primary" onClick={() => answer('granted')}>{t('consent.accept')}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,316 @@
+// frontend/src/components/DemoBookingModal.jsx
+import React, { useState, useEffect, useMemo } from "react";
+import { bookDemo, cancelDemo, getDemoSlots, rescheduleDemo } from "../api/endpoints";
+import useFocusTrap from "../lib/useFocusTrap";
+
+/**
+ * DemoBookingModal Component: Scheduling dialog behind "Get Demo" / "Request Demo".
+ *
+ * Modes:
+ * - 'book': pick a date and time slot, enter contact details, book the demo.
+ * - 'reschedule': opened from the link in the confirmation email; pick a new slot.
+ * - 'cancel': opened from the link in the confirmation email; confirm cancellation.
+ *
+ * Slots come from the backend as UTC timestamps and are shown in the visitor's
+ * time zone (which they can change). After booking, the visitor can download the
+ * .ics invite to add the demo to their calendar.
+ */
+
+// The visitor's own time zone, e.g. "Asia/Kolkata"
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Time zones offered in the selector (full IANA list where the browser supports it)
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [LOCAL_TIME_ZONE, 'Asia/Kolkata', 'UTC'];
+
+/**
+ * Calendar date of an instant in a time zone, as "YYYY-MM-DD" (the format <input type="date"> uses).
+ * @param {string} iso - UTC ISO timestamp.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string}
+ */
+function dateKey(iso, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(iso));
+}
+
+/**
+ * Time of day of an instant in a time zone, e.g. "10:30 AM".
+ * @param {string} iso - UTC ISO timestamp.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string}
+ */
+function formatTime(iso, timeZone) {
+  return new Intl.DateTimeFormat(undefined, { timeZone, hour: 'numeric', minute: '2-digit' }).format(new Date(iso));
+}
+
+/**
+ * Full date and time of an instant in a time zone, for confirmation messages.
+ * @param {string} iso - UTC ISO timestamp.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string}
+ */
+function formatDateTime(iso, timeZone) {
+  return new Intl.DateTimeFormat(undefined, { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(new Date(iso));
+}
+
+/**
+ * Builds an object URL for downloading the .ics invite.
+ * @param {string} ics - iCalendar text from the backend.
+ * @returns {string}
+ */
+function icsDownloadUrl(ics) {
+  return URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {'book'|'reschedule'|'cancel'} props.mode - What the dialog is for.
+ * @param {string} [props.token] - Reschedule or cancel token from the email link.
+ * @param {function} props.onClose - Called when the dialog should close.
+ */
+export default function DemoBookingModal({ mode, token, onClose }) {
+  // Available slots and loading state
+  const [slots, setSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(mode !== 'cancel');
+  // Visitor choices
+  const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
+  const [selectedDate, setSelectedDate] = useState('');
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  // Contact details (book mode only)
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [company, setCompany] = useState('');
+  const [notes, setNotes] = useState('');
+  // Submission state
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState('');
+  const [result, setResult] = useState(null);
+
+  // Keep keyboard focus in the dialog; Escape closes it
+  const panelRef = useFocusTrap(onClose);
+
+  // Load open slots when booking or rescheduling
+  useEffect(() => {
+    if (mode === 'cancel') return;
+    const controller = new AbortController();
+    getDemoSlots({ signal: controller.signal })
+      .then((loaded) => {
+        setSlots(loaded);
+        setSlotsLoading(false);
+      })
+      .catch((error) => {
+        if (error.code === 'aborted') return;
+        console.error('Error loading demo slots:', error);
+        setFeedback('Could not load available times. Please ensure the backend server is running.');
+        setSlotsLoading(false);
+      });
+    return () => controller.abort();
+  }, [mode]);
+
+  // Group slots by calendar date in the selected time zone
+  const slotsByDate = useMemo(() => {
+    const groups = new Map();
+    for (const slot of slots) {
+      const key = dateKey(slot.start, timeZone);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(slot);
+    }
+    return groups;
+  }, [slots, timeZone]);
+
+  const availableDates = [...slotsByDate.keys()];
+  // Fall back to the first date with open slots until the visitor picks one
+  const activeDate = slotsByDate.has(selectedDate) ? selectedDate : availableDates[0] || '';
+  const daySlots = slotsByDate.get(activeDate) || [];
+
+  // Revoke the .ics object URL when it is replaced or the dialog closes
+  const icsUrl = useMemo(() => (result?.ics ? icsDownloadUrl(result.ics) : null), [result]);
+  useEffect(() => () => icsUrl && URL.revokeObjectURL(icsUrl), [icsUrl]);
+
+  /**
+   * Runs a booking call (book, reschedule or cancel) and stores the outcome.
+   * @param {Promise<object>} request - The pending call from api/endpoints.js.
+   */
+  const submit = async (request) => {
+    setSubmitting(true);
+    setErrors({});
+    setFeedback('');
+    try {
+      setResult(await request);
+    } catch (error) {
+      console.error('Error submitting demo booking:', error);
+      // error.message is the backend's message, or a network/timeout explanation
+      setFeedback(error.message || 'Something went wrong. Please try again.');
+      setErrors(error.errors);
+      // The slot was taken in the meantime: drop it from the list
+      if (error.status === 409 && selectedSlot) {
+        setSlots((current) => current.filter((slot) => slot.start !== selectedSlot.start));
+        setSelectedSlot(null);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * handleSubmit: Books, reschedules or cancels depending on the mode.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'cancel') {
+      submit(cancelDemo({ token }));
+    } else if (!selectedSlot) {
+      setFeedback('Please choose a time slot.');
+    } else if (mode === 'reschedule') {
+      submit(rescheduleDemo({ token, start: selectedSlot.start }));
+    } else {
+      submit(bookDemo({ name, email, company, notes, start: selectedSlot.start, timeZone }));
+    }
+  };
+
+  const titles = {
+    book: 'Book a product demo',
+    reschedule: 'Reschedule your demo',
+    cancel: 'Cancel your demo',
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal-panel modal-panel-wide rounded-2xl p-6 border border-white/5 shadow-2xl"
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="demo-title"
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel shouldn't close it
+      >
+        <div className="flex items-center justify-between gap-4">
+          <div id="demo-title" className="text-lg font-semibold">{titles[mode]}</div>
+          <button type="button" className="modal-close text-slate-400" aria-label="Close" onClick={onClose}>✕</button>
+        </div>
+
+        {result ? (
+          // Success state: confirmation and calendar download
+          <div className="mt-4">
+            <p className="text-slate-300">{result.message}</p>
+            {result.booking && result.booking.status === 'confirmed' && (
+              <div className="mt-4 rounded-lg p-4 bg-slate-800/40 border border-white/5">
+                <div className="text-xs text-slate-400">Your demo</div>
+                <div className="font-semibold">{formatDateTime(result.booking.start, timeZone)}</div>
+                <div className="text-xs text-slate-400">{timeZone}</div>
+              </div>
+            )}
+            <div className="mt-6 flex gap-3">
+              {icsUrl && (
+                <a className="flex-1 py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold text-center text-white" href={icsUrl} download="jr-tech-demo.ics">
+                  Add to calendar
+                </a>
+              )}
+              <button type="button" className="flex-1 py-3 rounded-md bg-white text-black font-semibold" onClick={onClose}>Done</button>
+            </div>
+          </div>
+        ) : (
+          <form className="mt-4" onSubmit={handleSubmit}>
+            {mode === 'cancel' ? (
+              <p className="text-slate-300">Are you sure you want to cancel your demo? You can always book a new time later.</p>
+            ) : (
+              <>
+                {/* Date picker and time zone */}
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="demo-date" className="text-xs text-slate-400">Date</label>
+                    <input
+                      id="demo-date"
+                      type="date"
+                      className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+                      value={activeDate}
+                      min={availableDates[0]}
+                      max={availableDates[availableDates.length - 1]}
+                      onChange={(e) => {
+                        setSelectedDate(e.target.value);
+                        setSelectedSlot(null);
+                      }}
+                      disabled={slotsLoading || !availableDates.length}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="demo-timezone" className="text-xs text-slate-400">Time zone</label>
+                    <select
+                      id="demo-timezone"
+                      className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+                      value={timeZone}
+                      onChange={(e) => {
+                        setTimeZone(e.target.value);
+                        setSelectedSlot(null);
+                      }}
+                    >
+                      {TIME_ZONES.map((zone) => <option key={zone} value={zone}>{zone}</option>)}
+                    </select>
+                  </div>
+                </div>
+
+                {/* Slot list for the chosen date */}
+                <div className="mt-4 text-xs text-slate-400">Available times</div>
+                {slotsLoading ? (
+                  <div className="mt-2 text-sm text-slate-400">Loading available times...</div>
+                ) : daySlots.length ? (
+                  <div className="mt-2 slot-grid" role="radiogroup" aria-label="Available times">
+                    {daySlots.map((slot) => (
+                      <button
+                        key={slot.start}
+                        type="button"
+                        role="radio"
+                        aria-checked={selectedSlot?.start === slot.start}
+                        className={`slot-button rounded-md p-3 text-sm ${selectedSlot?.start === slot.start ? 'slot-button-selected' : ''}`}
+                        onClick={() => setSelectedSlot(slot)}
+                      >
+                        {formatTime(slot.start, timeZone)}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="mt-2 text-sm text-slate-400">No open times on this date. Please pick another day.</div>
+                )}
+
+                {/* Contact details */}
+                {mode === 'book' && (
+                  <>
+                    <div className="mt-4 grid grid-cols-2 gap-3">
+                      <div>
+                        <label htmlFor="demo-name" className="text-xs text-slate-400">Name</label>
+                        <input id="demo-name" type="text" className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100" value={name} onChange={(e) => setName(e.target.value)} required />
+                        {errors.name && <span className="text-xs text-red-400 mt-1 block">{errors.name}</span>}
+                      </div>
+                      <div>
+                        <label htmlFor="demo-email" className="text-xs text-slate-400">Email</label>
+                        <input id="demo-email" type="email" className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100" value={email} onChange={(e) => setEmail(e.target.value)} required />
+                        {errors.email && <span className="text-xs text-red-400 mt-1 block">{errors.email}</span>}
+                      </div>
+                    </div>
+                    <label htmlFor="demo-company" className="text-xs text-slate-400 mt-4 block">Company or shop (optional)</label>
+                    <input id="demo-company" type="text" className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100" value={company} onChange={(e) => setCompany(e.target.value)} />
+                    <label htmlFor="demo-notes" className="text-xs text-slate-400 mt-4 block">What would you like to see? (optional)</label>
+                    <textarea id="demo-notes" className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100" rows={2} value={notes} onChange={(e) => setNotes(e.target.value)} />
+                  </>
+                )}
+              </>
+            )}
+
+            {feedback && <div className="mt-4 text-sm text-red-400">{feedback}</div>}
+
+            <button
+              type="submit"
+              className="mt-6 w-full py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+              disabled={submitting}
+            >
+              {submitting ? 'Please wait...' : { book: 'Book demo', reschedule: 'Move my demo', cancel: 'Cancel demo' }[mode]}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
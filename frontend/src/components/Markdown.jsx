@@ -0,0 +1,80 @@
+// frontend/src/components/Markdown.jsx
+import React from "react";
+import { Link } from "../router/Router.jsx";
+import { plainText, slugify } from "../docs/markdown";
+
+/**
+ * Markdown Component: Renders a document parsed by docs/markdown.js.
+ *
+ * Links to site paths ("/pricing") and headings ("#gst") navigate client-side, other web,
+ * mail and phone links open normally; anything else (e.g. "javascript:") is shown as plain
+ * text. Headings get ids from their text so sections can be linked to.
+ */
+
+// Link targets we render as links
+const SAFE_HREF = /^(https?:|mailto:|tel:|\/|#)/i;
+
+/**
+ * Inline Component: Renders inline nodes (text, code, strong, em, link).
+ * @param {object} props - Component props.
+ * @param {object[]} props.nodes - From parseInline.
+ */
+function Inline({ nodes }) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'code':
+        return <code key={i} className="doc-code-inline">{node.text}</code>;
+      case 'strong':
+        return <strong key={i}><Inline nodes={node.children} /></strong>;
+      case 'em':
+        return <em key={i}><Inline nodes={node.children} /></em>;
+      case 'link':
+        if (!SAFE_HREF.test(node.href)) {
+          return <Inline key={i} nodes={node.children} />;
+        }
+        return /^[/#]/.test(node.href)
+          ? <Link key={i} to={node.href}><Inline nodes={node.children} /></Link>
+          : <a key={i} href={node.href} target={/^https?:/i.test(node.href) ? '_blank' : undefined} rel="noopener noreferrer"><Inline nodes={node.children} /></a>;
+      default:
+        return node.text;
+    }
+  });
+}
+
+/**
+ * Block Component: Renders one block of a document.
+ * @param {object} props - Component props.
+ * @param {object} props.block - From parseMarkdown.
+ */
+function Block({ block }) {
+  switch (block.type) {
+    case 'heading': {
+      const Heading = `h${block.level}`;
+      return <Heading id={slugify(plainText(block.children))}><Inline nodes={block.children} /></Heading>;
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List>
+          {block.items.map((item, i) => <li key={i}><Inline nodes={item} /></li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return <blockquote><Markdown blocks={block.blocks} /></blockquote>;
+    case 'code':
+      return <pre className="doc-code"><code>{block.text}</code></pre>;
+    case 'rule':
+      return <hr />;
+    default:
+      return <p><Inline nodes={block.children} /></p>;
+  }
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {object[]} props.blocks - The parsed document.
+ */
+export default function Markdown({ blocks }) {
+  return blocks.map((block, i) => <Block key={i} block={block} />);
+}
@@ -0,0 +1,60 @@
+// frontend/src/components/NavDrawer.jsx
+import React, { useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import useFocusTrap from "../lib/useFocusTrap";
+
+/**
+ * NavDrawer Component: The site navigation on phones, where the nav bar has no room for links.
+ *
+ * Slides in from the side when the nav's menu button is pressed. Like the other dialogs it
+ * keeps keyboard focus inside while open, and Escape, the close button or a tap outside
+ * closes it (focus then returns to the menu button). It also closes itself if the window
+ * grows to the desktop layout, where the links are in the nav bar again.
+ */
+
+// Matches the `md:` breakpoint in index.css
+const DESKTOP_QUERY = '(min-width: 768px)';
+
+/**
+ * @param {object} props - Component props.
+ * @param {string} props.id - Element id, referenced by the menu button's aria-controls.
+ * @param {function} props.onClose - Called when the drawer should close.
+ * @param {React.ReactNode} props.children - The links.
+ */
+export default function NavDrawer({ id, onClose, children }) {
+  const { t } = useI18n();
+  const panelRef = useFocusTrap(onClose);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+    const desktop = window.matchMedia(DESKTOP_QUERY);
+    const handleChange = () => {
+      if (desktop.matches) onClose();
+    };
+    desktop.addEventListener('change', handleChange);
+    return () => desktop.removeEventListener('change', handleChange);
+  }, [onClose]);
+
+  return (
+    <div className="nav-drawer-backdrop" onClick={onClose}>
+      <div
+        ref={panelRef}
+        id={id}
+        className="nav-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('nav.menu')}
+        onClick={(e) => e.stopPropagation()} // Clicks inside the drawer shouldn't close it
+      >
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">{t('nav.menu')}</div>
+          <button type="button" className="modal-close text-slate-400" aria-label={t('nav.closeMenu')} onClick={onClose}>✕</button>
+        </div>
+        {/* Named by the dialog; only one of the two navs is displayed at a time */}
+        <nav className="nav-drawer-links">
+          {children}
+        </nav>
+      </div>
+    </div>
+  );
+}
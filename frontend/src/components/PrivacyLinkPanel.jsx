@@ -0,0 +1,103 @@
+// frontend/src/components/PrivacyLinkPanel.jsx
+import React, { useState, useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import { checkPrivacyLink, erasePersonalData, exportPersonalData } from "../api/endpoints";
+import { saveJsonFile } from "../privacy/policy";
+
+/**
+ * PrivacyLinkPanel Component: Opened from the link in a privacy request email. Checks the link,
+ * then downloads the data or deletes it once the person confirms; nothing happens just by
+ * opening the page, so mail scanners that follow links can't use it up.
+ * @param {object} props - Component props.
+ * @param {string} props.token - The token from the link.
+ */
+export default function PrivacyLinkPanel({ token }) {
+  const { locale, t } = useI18n();
+  // 'checking', 'ready' (link can be used), 'done' or 'error'
+  const [state, setState] = useState('checking');
+  // What the link is for: { type: 'export' | 'erasure', expiresAt }
+  const [request, setRequest] = useState(null);
+  const [message, setMessage] = useState('');
+  const [working, setWorking] = useState(false);
+  // Erasure can't be undone, so it needs an extra tick
+  const [confirmed, setConfirmed] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    checkPrivacyLink(token, { locale })
+      .then((link) => {
+        if (ignore) return;
+        setRequest(link);
+        setState('ready');
+      })
+      .catch((error) => {
+        if (ignore) return;
+        setState('error');
+        setMessage(error.message || t('privacy.genericError'));
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [token, locale, t]);
+
+  /**
+   * handleConfirm: Uses the link: saves the export as a file, or deletes the data.
+   */
+  const handleConfirm = async () => {
+    setWorking(true);
+    setMessage('');
+    try {
+      if (request.type === 'export') {
+        saveJsonFile(await exportPersonalData(token, { locale }), 'jr-tech-solutions-my-data.json');
+        setMessage(t('privacy.exported'));
+      } else {
+        setMessage((await erasePersonalData(token, { locale })).message);
+      }
+      setState('done');
+    } catch (error) {
+      console.error('Error completing privacy request:', error);
+      // A used or expired link can't be retried; other failures (e.g. offline) can
+      if (error.status) setState('error');
+      setMessage(error.message || t('privacy.genericError'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const isExport = request?.type === 'export';
+
+  return (
+    <section className="privacy-link mt-8 p-6 rounded-xl border border-white/5 bg-slate-900/30" aria-labelledby="privacy-link-title">
+      <h2 id="privacy-link-title" className="text-lg font-semibold">
+        {t(isExport || !request ? 'privacy.exportTitle' : 'privacy.erasureTitle')}
+      </h2>
+      {state === 'checking' && <p className="mt-2 text-slate-400">{t('privacy.linkChecking')}</p>}
+      {state === 'ready' && (
+        <>
+          <p className="mt-2 text-slate-300">{t(isExport ? 'privacy.exportText' : 'privacy.erasureText')}</p>
+          {!isExport && (
+            <label className="privacy-option text-sm mt-4">
+              <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+              {t('privacy.erasureConfirm')}
+            </label>
+          )}
+          <button
+            type="button"
+            className="mt-4 px-4 py-2 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+            disabled={working || (!isExport && !confirmed)}
+            onClick={handleConfirm}
+          >
+            {working ? t('privacy.working') : t(isExport ? 'privacy.exportButton' : 'privacy.erasureButton')}
+          </button>
+        </>
+      )}
+      <div role="status" aria-live="polite">
+        {message && (
+          <p className={`mt-4 text-sm ${state === 'done' ? 'text-green-400' : 'text-red-400'}`}>
+            {message}
+          </p>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,87 @@
+// frontend/src/components/PrivacyRequestForm.jsx
+import React, { useState } from "react";
+import { useI18n } from "../i18n/i18n";
+import { requestPrivacyLink } from "../api/endpoints";
+
+/**
+ * PrivacyRequestForm Component: Asks for a one-time link to download or delete the data stored
+ * about an email address. The link goes to that address, so only its owner can use it; the
+ * answer is the same whether or not we hold any data.
+ */
+export default function PrivacyRequestForm() {
+  const { locale, t } = useI18n();
+  const [email, setEmail] = useState('');
+  const [type, setType] = useState('export');
+  // Submission state: loading flag, per-field errors, and the outcome text
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null);
+
+  /**
+   * handleSubmit: Sends the request and shows the backend's answer.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrors({});
+    setFeedback(null);
+
+    try {
+      const result = await requestPrivacyLink({ email, type }, { locale });
+      setFeedback({ success: true, text: result.message });
+      setEmail('');
+    } catch (error) {
+      console.error('Error requesting privacy link:', error);
+      // error.message is the backend's message, or a network/timeout explanation
+      setFeedback({ success: false, text: error.message || t('privacy.genericError') });
+      setErrors(error.errors);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="mt-4 max-w-md bg-slate-900/30 p-6 rounded-xl border border-white/3" onSubmit={handleSubmit}>
+      <fieldset>
+        <legend className="text-xs text-slate-400">{t('privacy.requestType')}</legend>
+        {['export', 'erasure'].map((value) => (
+          <label key={value} className="privacy-option text-sm mt-2">
+            <input type="radio" name="privacy-type" value={value} checked={type === value} onChange={() => setType(value)} />
+            {t(value === 'export' ? 'privacy.typeExport' : 'privacy.typeErasure')}
+          </label>
+        ))}
+      </fieldset>
+
+      <label htmlFor="privacy-email" className="text-xs text-slate-400 mt-4 block">{t('privacy.email')}</label>
+      <input
+        id="privacy-email"
+        type="email"
+        className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+        placeholder={t('contact.emailPlaceholder')}
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        aria-invalid={Boolean(errors.email)}
+        aria-describedby={errors.email ? 'privacy-email-error' : undefined}
+        required
+      />
+      {errors.email && <span id="privacy-email-error" className="text-xs text-red-400 mt-1 block">{errors.email}</span>}
+
+      <div className="mt-4 flex justify-end items-center">
+        <div role="status" aria-live="polite">
+          {loading && <span className="text-slate-400 text-sm mr-3">{t('privacy.sending')}</span>}
+          {feedback && (
+            <span className={`text-sm mr-3 ${feedback.success ? 'text-green-400' : 'text-red-400'}`}>{feedback.text}</span>
+          )}
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+          disabled={loading}
+        >
+          {t('privacy.submit')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,113 @@
+// frontend/src/components/ReceiptView.jsx
+import React, { useEffect } from "react";
+import { createPortal } from "react-dom";
+import { useI18n } from "../i18n/i18n";
+import { computeBill } from "../smartbill/billing";
+import useFocusTrap from "../lib/useFocusTrap";
+
+/**
+ * ReceiptView Component: The printed receipt for a completed SmartBill demo sale.
+ *
+ * Shown as a dialog over the page. While it is open the document gets the `print-receipt`
+ * class, so printing (the Print button or Ctrl+P) outputs only the receipt (see index.css).
+ * It renders into <body>, because the spotlight mockup it is opened from is animated with a
+ * transform, which would otherwise trap the fixed-position backdrop inside the mockup.
+ */
+
+// Demo shop printed at the top of every receipt
+const SHOP = { name: 'Demo Kirana Store', address: 'Main Road, Hyderabad', gstin: '36AAAAA0000A1Z5' };
+
+/**
+ * @param {object} props - Component props.
+ * @param {{ number: number, issuedAt: string, items: object[], discountPercent: number }} props.receipt - The completed sale.
+ * @param {function} props.onClose - Called when the dialog should close.
+ */
+export default function ReceiptView({ receipt, onClose }) {
+  const { locale, t, formatNumber } = useI18n();
+  const bill = computeBill(receipt.items, receipt.discountPercent);
+  // Receipts always show paise, e.g. "₹165.00"
+  const money = (amount) => formatNumber(amount, { style: 'currency', currency: 'INR', minimumFractionDigits: 2 });
+
+  // Keep keyboard focus in the dialog; Escape closes it
+  const panelRef = useFocusTrap(onClose);
+
+  // Print only the receipt while open
+  useEffect(() => {
+    document.documentElement.classList.add('print-receipt');
+    return () => document.documentElement.classList.remove('print-receipt');
+  }, []);
+
+  return createPortal(
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal-panel rounded-2xl p-6 border border-white/5 shadow-2xl"
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="receipt-title"
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel shouldn't close it
+      >
+        <div className="flex items-center justify-between gap-4">
+          <div id="receipt-title" className="text-lg font-semibold">{t('receipt.title', { number: receipt.number })}</div>
+          <button type="button" className="modal-close text-slate-400" aria-label={t('receipt.close')} onClick={onClose}>✕</button>
+        </div>
+
+        <div className="receipt-sheet">
+          <div className="receipt-center">
+            <div className="font-semibold">{SHOP.name}</div>
+            <div>{SHOP.address}</div>
+            <div>GSTIN {SHOP.gstin}</div>
+          </div>
+          <div className="receipt-row receipt-rule">
+            <span>{t('receipt.billNumber', { number: receipt.number })}</span>
+            <span>{new Date(receipt.issuedAt).toLocaleString(locale)}</span>
+          </div>
+
+          <table className="receipt-table">
+            <thead>
+              <tr>
+                <th scope="col">{t('simulator.item')}</th>
+                <th scope="col">{t('simulator.qty')}</th>
+                <th scope="col">{t('simulator.amount')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bill.lines.map((line) => (
+                <tr key={line.barcode}>
+                  <td>{line.product.name[locale] || line.product.name.en}</td>
+                  <td>{line.qty}</td>
+                  <td>{money(line.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="receipt-rule">
+            <div className="receipt-row"><span>{t('simulator.subtotal')}</span><span>{money(bill.subtotal)}</span></div>
+            {bill.discount > 0 && (
+              <div className="receipt-row"><span>{t('simulator.discount', { percent: receipt.discountPercent })}</span><span>−{money(bill.discount)}</span></div>
+            )}
+            {bill.taxes.map((tax) => (
+              <React.Fragment key={tax.rate}>
+                <div className="receipt-row"><span>{t('simulator.cgst', { rate: tax.rate / 2 })}</span><span>{money(tax.cgst)}</span></div>
+                <div className="receipt-row"><span>{t('simulator.sgst', { rate: tax.rate / 2 })}</span><span>{money(tax.sgst)}</span></div>
+              </React.Fragment>
+            ))}
+            {bill.roundOff !== 0 && (
+              <div className="receipt-row"><span>{t('simulator.roundOff')}</span><span>{money(bill.roundOff)}</span></div>
+            )}
+            <div className="receipt-row receipt-total"><span>{t('simulator.total')}</span><span>{money(bill.total)}</span></div>
+          </div>
+
+          <div className="receipt-center receipt-rule">{t('receipt.thanks')}</div>
+        </div>
+
+        <div className="smartbill-actions">
+          <button type="button" className="smartbill-button" onClick={() => window.print()}>{t('receipt.print')}</button>
+          <button type="button" className="smartbill-button smartbill-button-primary" onClick={onClose}>{t('receipt.newBill')}</button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
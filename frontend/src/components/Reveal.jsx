@@ -0,0 +1,74 @@
+// frontend/src/components/Reveal.jsx
+import React from "react";
+import useReveal from "../reveal/useReveal";
+
+/**
+ * Reveal Components: Animate content in when it first scrolls into view.
+ *
+ *   <Reveal preset="fade-up" delay={200}>...</Reveal>
+ *   <RevealGroup className="grid md:grid-cols-3 gap-8" stagger={100}>{cards}</RevealGroup>
+ *
+ * The animation itself is CSS (the "Scroll reveal" section of index.css): each preset class
+ * holds the hidden state and `reveal-visible` transitions to the element's normal look.
+ * Visitors who prefer reduced motion see everything in place immediately.
+ */
+
+/**
+ * Class names for an element in the given reveal state.
+ * @param {string} preset - Preset name (see Reveal).
+ * @param {boolean} revealed - Whether it has been seen.
+ * @param {string} [className] - Extra classes.
+ * @returns {string}
+ */
+function revealClasses(preset, revealed, className) {
+  return ['reveal', `reveal-${preset}`, revealed && 'reveal-visible', className].filter(Boolean).join(' ');
+}
+
+/**
+ * Reveal: One element that animates in.
+ * @param {object} props - Component props.
+ * @param {string} [props.as] - Element to render (default "div").
+ * @param {string} [props.preset] - Animation preset: "fade", "fade-up" (default), "slide-right", "zoom" or "tilt".
+ * @param {number} [props.delay] - Milliseconds to wait after it comes into view.
+ * @param {string} [props.className] - Extra classes for the element.
+ * @param {object} [props.style] - Inline styles for the element.
+ */
+export function Reveal({ as = 'div', preset = 'fade-up', delay = 0, className, style, children, ...rest }) {
+  const Tag = as;
+  const [ref, revealed] = useReveal();
+  return (
+    <Tag ref={ref} className={revealClasses(preset, revealed, className)} style={{ ...style, '--reveal-delay': `${delay}ms` }} {...rest}>
+      {children}
+    </Tag>
+  );
+}
+
+/**
+ * RevealGroup: A container (e.g. a card grid) whose children animate in one after another
+ * once the container comes into view. Each child is wrapped in a grid cell that stretches
+ * it to the row height, so cards keep equal heights.
+ * @param {object} props - Component props.
+ * @param {string} [props.as] - Container element (default "div").
+ * @param {string} [props.preset] - Animation preset for the children (default "fade-up").
+ * @param {number} [props.stagger] - Milliseconds between one child and the next.
+ * @param {string} [props.className] - Classes for the container, e.g. its grid layout.
+ */
+export function RevealGroup({ as = 'div', preset = 'fade-up', stagger = 100, className, children, ...rest }) {
+  const Tag = as;
+  const [ref, revealed] = useReveal();
+  return (
+    <Tag ref={ref} className={className} {...rest}>
+      {React.Children.toArray(children).map((child, index) => (
+        <div
+          key={child.key ?? index}
+          className={revealClasses(preset, revealed, 'reveal-item')}
+          style={{ '--reveal-delay': `${index * stagger}ms` }}
+        >
+          {child}
+        </div>
+      ))}
+    </Tag>
+  );
+}
+
+export default Reveal;
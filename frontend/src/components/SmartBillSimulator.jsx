@@ -0,0 +1,248 @@
+// frontend/src/components/SmartBillSimulator.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { useI18n } from "../i18n/i18n";
+import { SAMPLE_CATALOG, findProduct } from "../smartbill/catalog";
+import { DISCOUNT_OPTIONS, computeBill } from "../smartbill/billing";
+import { EMPTY_DEMO_STATE, loadDemoState, saveDemoState } from "../smartbill/demoStore";
+import useBarcodeScanner from "../smartbill/useBarcodeScanner";
+import ReceiptView from "./ReceiptView.jsx";
+
+/**
+ * SmartBillSimulator Component: A working AI SmartBill billing counter in the product spotlight.
+ *
+ * Visitors add items from a sample catalogue by typing a barcode, scanning one with a
+ * keyboard-wedge scanner, or tapping a quick-add button, then apply a discount and complete
+ * the sale to get a printable receipt. Everything runs in the browser; the open bill and the
+ * last receipt are kept in IndexedDB (see smartbill/demoStore.js).
+ */
+
+// Codes shown under the barcode field, so visitors without a scanner can try it
+const HINT_BARCODES = SAMPLE_CATALOG.filter((product) => !product.quickAdd).slice(0, 2)
+  .map((product) => product.barcode);
+
+export default function SmartBillSimulator() {
+  const { locale, t, formatCurrency } = useI18n();
+  // Bill state (see DemoState in demoStore.js); saved only once the stored copy has loaded
+  const [state, setState] = useState(EMPTY_DEMO_STATE);
+  const [loaded, setLoaded] = useState(false);
+  // Barcode field and the "not found" message
+  const [barcode, setBarcode] = useState('');
+  const [notFound, setNotFound] = useState('');
+  const [showReceipt, setShowReceipt] = useState(false);
+
+  const bill = computeBill(state.items, state.discountPercent);
+  const productName = (product) => product.name[locale] || product.name.en;
+
+  // Restore the demo counter from the last visit
+  useEffect(() => {
+    let ignore = false;
+    loadDemoState()
+      .then((saved) => {
+        if (!ignore) setState(saved);
+      })
+      .catch((error) => console.warn('SmartBill demo state unavailable:', error))
+      .finally(() => {
+        if (!ignore) setLoaded(true);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  // Save every change (best effort: private windows may not allow IndexedDB)
+  useEffect(() => {
+    if (!loaded) return;
+    saveDemoState(state).catch((error) => console.warn('Could not save SmartBill demo state:', error));
+  }, [state, loaded]);
+
+  /**
+   * changeQty: Adds delta to an item's quantity, adding it to the bill or removing it at 0.
+   * @param {string} code - Product barcode.
+   * @param {number} delta - +1 or -1.
+   */
+  const changeQty = useCallback((code, delta) => {
+    setState((current) => {
+      const existing = current.items.find((item) => item.barcode === code);
+      const items = existing
+        ? current.items
+          .map((item) => (item.barcode === code ? { ...item, qty: item.qty + delta } : item))
+          .filter((item) => item.qty > 0)
+        : delta > 0 ? [...current.items, { barcode: code, qty: delta }] : current.items;
+      return { ...current, items };
+    });
+  }, []);
+
+  /**
+   * addByBarcode: Adds one unit of the scanned or typed product.
+   * @param {string} code - Barcode as entered.
+   * @returns {boolean} Whether the product exists.
+   */
+  const addByBarcode = useCallback((code) => {
+    const product = findProduct(code);
+    if (!product) {
+      setNotFound(code.trim());
+      return false;
+    }
+    setNotFound('');
+    changeQty(product.barcode, 1);
+    return true;
+  }, [changeQty]);
+
+  // Scans made while the focus is elsewhere on the page; the barcode field handles its own
+  useBarcodeScanner(addByBarcode, loaded && !showReceipt);
+
+  /**
+   * handleBarcodeSubmit: Adds the product for the typed (or scanned-into-the-field) code.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleBarcodeSubmit = (e) => {
+    e.preventDefault();
+    if (barcode.trim() && addByBarcode(barcode)) {
+      setBarcode('');
+    }
+  };
+
+  /**
+   * completeSale: Turns the open bill into a numbered receipt and starts a new bill.
+   */
+  const completeSale = () => {
+    setState((current) => ({
+      ...current,
+      items: [],
+      discountPercent: 0,
+      nextBillNumber: current.nextBillNumber + 1,
+      lastReceipt: {
+        number: current.nextBillNumber,
+        issuedAt: new Date().toISOString(),
+        items: current.items,
+        discountPercent: current.discountPercent,
+      },
+    }));
+    setShowReceipt(true);
+  };
+
+  return (
+    <div className="mt-6 smartbill">
+      <form className="smartbill-scan" onSubmit={handleBarcodeSubmit}>
+        <label htmlFor="smartbill-barcode" className="text-xs text-slate-400">{t('simulator.barcodeLabel')}</label>
+        <div className="flex gap-3">
+          <input
+            id="smartbill-barcode"
+            className="smartbill-input flex-1"
+            inputMode="numeric"
+            autoComplete="off"
+            value={barcode}
+            onChange={(e) => {
+              setBarcode(e.target.value);
+              setNotFound('');
+            }}
+            placeholder="8901000000033"
+          />
+          <button type="submit" className="smartbill-button">{t('simulator.add')}</button>
+        </div>
+        <div className="text-xs text-slate-500" aria-live="polite">
+          {notFound
+            ? <span className="text-red-400">{t('simulator.notFound', { code: notFound })}</span>
+            : t('simulator.barcodeHint', { codes: HINT_BARCODES.join(', ') })}
+        </div>
+      </form>
+
+      <div className="smartbill-quick" role="group" aria-label={t('simulator.quickAdd')}>
+        {SAMPLE_CATALOG.filter((product) => product.quickAdd).map((product) => (
+          <button key={product.barcode} type="button" className="smartbill-button" onClick={() => changeQty(product.barcode, 1)}>
+            {productName(product)}
+          </button>
+        ))}
+      </div>
+
+      <div className="smartbill-bill" aria-live="polite">
+        {bill.lines.length === 0 ? (
+          <div className="text-xs text-slate-400">{t('simulator.empty')}</div>
+        ) : (
+          <>
+            <ul className="smartbill-lines">
+              {bill.lines.map((line) => (
+                <li key={line.barcode} className="smartbill-line">
+                  <span className="flex-1">{productName(line.product)}</span>
+                  <span className="smartbill-qty">
+                    <button type="button" aria-label={t('simulator.decrease', { item: productName(line.product) })} onClick={() => changeQty(line.barcode, -1)}>−</button>
+                    <span>{line.qty}</span>
+                    <button type="button" aria-label={t('simulator.increase', { item: productName(line.product) })} onClick={() => changeQty(line.barcode, 1)}>+</button>
+                  </span>
+                  <span className="smartbill-amount">{formatCurrency(line.amount, 'INR')}</span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="smartbill-totals text-xs text-slate-400">
+              <div className="flex items-center justify-between">
+                <span>{t('simulator.subtotal')}</span>
+                <span>{formatCurrency(bill.subtotal, 'INR')}</span>
+              </div>
+              <div className="flex items-center justify-between">
+                <label htmlFor="smartbill-discount">{t('simulator.discountLabel')}</label>
+                <select
+                  id="smartbill-discount"
+                  className="language-select"
+                  value={state.discountPercent}
+                  onChange={(e) => setState((current) => ({ ...current, discountPercent: Number(e.target.value) }))}
+                >
+                  {DISCOUNT_OPTIONS.map((percent) => (
+                    <option key={percent} value={percent}>{percent === 0 ? t('simulator.noDiscount') : `${percent}%`}</option>
+                  ))}
+                </select>
+              </div>
+              {bill.discount > 0 && (
+                <div className="flex items-center justify-between">
+                  <span>{t('simulator.discount', { percent: state.discountPercent })}</span>
+                  <span>−{formatCurrency(bill.discount, 'INR')}</span>
+                </div>
+              )}
+              {bill.taxes.map((tax) => (
+                <div key={tax.rate} className="flex items-center justify-between">
+                  <span>{t('simulator.gst', { rate: tax.rate })}</span>
+                  <span>{formatCurrency(tax.cgst + tax.sgst, 'INR')}</span>
+                </div>
+              ))}
+              {bill.roundOff !== 0 && (
+                <div className="flex items-center justify-between">
+                  <span>{t('simulator.roundOff')}</span>
+                  <span>{formatCurrency(bill.roundOff, 'INR')}</span>
+                </div>
+              )}
+              <div className="flex items-center justify-between smartbill-total">
+                <span>{t('simulator.total')}</span>
+                <span>{formatCurrency(bill.total, 'INR')}</span>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="smartbill-actions">
+        {bill.lines.length > 0 && (
+          <button type="button" className="smartbill-button" onClick={() => setState((current) => ({ ...current, items: [], discountPercent: 0 }))}>
+            {t('simulator.clear')}
+          </button>
+        )}
+        {bill.lines.length === 0 && state.lastReceipt && (
+          <button type="button" className="smartbill-button" onClick={() => setShowReceipt(true)}>
+            {t('simulator.lastReceipt')}
+          </button>
+        )}
+        <button
+          type="button"
+          className="smartbill-button smartbill-button-primary"
+          disabled={bill.lines.length === 0}
+          onClick={completeSale}
+        >
+          {t('simulator.complete')}
+        </button>
+      </div>
+
+      {showReceipt && state.lastReceipt && (
+        <ReceiptView receipt={state.lastReceipt} onClose={() => setShowReceipt(false)} />
+      )}
+    </div>
+  );
+}
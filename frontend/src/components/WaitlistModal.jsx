@@ -0,0 +1,138 @@
+// frontend/src/components/WaitlistModal.jsx
+import React, { useState } from "react";
+import { joinWaitlist } from "../api/endpoints";
+import useFocusTrap from "../lib/useFocusTrap";
+
+/**
+ * WaitlistModal Component: Signup dialog for the AI SmartBill waitlist / beta.
+ *
+ * Opened by the "Notify me", "Join Waitlist" and "Request Beta" buttons. The `source`
+ * tells the backend which button the visitor used, so we can see which CTA works best.
+ * On success it shows the visitor's place in line returned by the backend.
+ */
+
+// Dialog headings for each signup source
+const TITLES = {
+  banner: 'Get notified when AI SmartBill launches',
+  spotlight: 'Join the AI SmartBill waitlist',
+  beta: 'Request AI SmartBill beta access',
+};
+
+/**
+ * @param {object} props - Component props.
+ * @param {'banner'|'spotlight'|'beta'} props.source - Which button opened the dialog.
+ * @param {function} props.onClose - Called when the dialog should close.
+ */
+export default function WaitlistModal({ source, onClose }) {
+  // Form fields
+  const [email, setEmail] = useState('');
+  const [shopName, setShopName] = useState('');
+  const [city, setCity] = useState('');
+  // Submission state: loading flag, per-field errors, feedback text and the signup result
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState('');
+  const [result, setResult] = useState(null);
+
+  // Keep keyboard focus in the dialog; Escape closes it
+  const panelRef = useFocusTrap(onClose);
+
+  /**
+   * handleSubmit: Sends the signup to the backend and shows the queue position.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrors({});
+    setFeedback('');
+
+    try {
+      setResult(await joinWaitlist({ email, shopName, city, source }));
+    } catch (error) {
+      console.error('Error submitting waitlist signup:', error);
+      // error.message is the backend's message, or a network/timeout explanation
+      setFeedback(error.message || 'Something went wrong. Please try again.');
+      setErrors(error.errors);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal-panel rounded-2xl p-6 border border-white/5 shadow-2xl"
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="waitlist-title"
+        onClick={(e) => e.stopPropagation()} // Clicks inside the panel shouldn't close it
+      >
+        <div className="flex items-center justify-between gap-4">
+          <div id="waitlist-title" className="text-lg font-semibold">{TITLES[source]}</div>
+          <button type="button" className="modal-close text-slate-400" aria-label="Close" onClick={onClose}>✕</button>
+        </div>
+
+        {result ? (
+          // Success state: place in line and next step
+          <div className="mt-4">
+            <div className="text-4xl font-extrabold">#{result.position}</div>
+            <div className="text-sm text-slate-400">your place in line</div>
+            <p className="mt-4 text-slate-300">{result.message}</p>
+            <button type="button" className="mt-6 w-full py-3 rounded-md bg-white text-black font-semibold" onClick={onClose}>Done</button>
+          </div>
+        ) : (
+          <form className="mt-4" onSubmit={handleSubmit}>
+            <label htmlFor="waitlist-email" className="text-xs text-slate-400">Email</label>
+            <input
+              id="waitlist-email"
+              type="email"
+              className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+              placeholder="you@shop.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoFocus
+            />
+            {errors.email && <span className="text-xs text-red-400 mt-1 block">{errors.email}</span>}
+
+            <label htmlFor="waitlist-shop" className="text-xs text-slate-400 mt-4 block">Shop name</label>
+            <input
+              id="waitlist-shop"
+              type="text"
+              className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+              placeholder="Sri Lakshmi General Stores"
+              value={shopName}
+              onChange={(e) => setShopName(e.target.value)}
+              required
+            />
+            {errors.shopName && <span className="text-xs text-red-400 mt-1 block">{errors.shopName}</span>}
+
+            <label htmlFor="waitlist-city" className="text-xs text-slate-400 mt-4 block">City</label>
+            <input
+              id="waitlist-city"
+              type="text"
+              className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+              placeholder="Hyderabad"
+              value={city}
+              onChange={(e) => setCity(e.target.value)}
+              required
+            />
+            {errors.city && <span className="text-xs text-red-400 mt-1 block">{errors.city}</span>}
+
+            {feedback && <div className="mt-4 text-sm text-red-400">{feedback}</div>}
+
+            <button
+              type="submit"
+              className="mt-6 w-full py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+              disabled={loading}
+            >
+              {loading ? 'Signing up...' : 'Join the waitlist'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
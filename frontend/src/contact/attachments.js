@@ -0,0 +1,55 @@
+// frontend/src/contact/attachments.js
+// Client-side checks for contact form attachments, so visitors hear about a wrong type or an
+// oversized file before uploading it. The limits mirror the backend defaults (ATTACHMENT_* in
+// backend/.env.example); the backend checks again, including the file's real type.
+
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_FILES = 5;
+export const MAX_TOTAL_BYTES = 25 * 1024 * 1024;
+
+// PDF, images, Office documents and plain text (see backend/attachments/sniff.js)
+const ACCEPTED_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.docx', '.xlsx', '.pptx', '.txt', '.csv', '.md'];
+
+// For the file input's accept attribute
+export const ACCEPT = ACCEPTED_EXTENSIONS.join(',');
+
+/**
+ * formatFileSize: A file size for people, e.g. 2516582 -> "2.4 MB", 35000 -> "35 KB".
+ * @param {number} bytes - Size in bytes.
+ * @param {function} formatNumber - From useI18n, so decimals follow the page's language.
+ * @returns {string}
+ */
+export function formatFileSize(bytes, formatNumber) {
+  if (bytes >= 1024 * 1024) {
+    return `${formatNumber(bytes / (1024 * 1024), { maximumFractionDigits: 1 })} MB`;
+  }
+  return `${formatNumber(Math.max(1, Math.ceil(bytes / 1024)))} KB`;
+}
+
+/**
+ * checkFile: Whether a file can be added to the files already attached.
+ * @param {File} file - The picked or dropped file.
+ * @param {{ count: number, totalBytes: number }} attached - Files already attached (or uploading).
+ * @returns {{ key: string, params: object }|null} A translation key and its parameters
+ *   describing the problem (size limits as `maxBytes`, to format for the page's language), or
+ *   null when the file is fine.
+ */
+export function checkFile(file, { count, totalBytes }) {
+  const extension = (/\.[a-z0-9]+$/i.exec(file.name) || [''])[0].toLowerCase();
+  if (count >= MAX_FILES) {
+    return { key: 'contact.tooManyFiles', params: { max: MAX_FILES } };
+  }
+  if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+    return { key: 'contact.fileType', params: { name: file.name } };
+  }
+  if (file.size === 0) {
+    return { key: 'contact.fileEmpty', params: { name: file.name } };
+  }
+  if (file.size > MAX_FILE_BYTES) {
+    return { key: 'contact.fileTooLarge', params: { name: file.name, maxBytes: MAX_FILE_BYTES } };
+  }
+  if (totalBytes + file.size > MAX_TOTAL_BYTES) {
+    return { key: 'contact.totalTooLarge', params: { maxBytes: MAX_TOTAL_BYTES } };
+  }
+  return null;
+}
@@ -0,0 +1,41 @@
+// frontend/src/contact/draft.js
+// Autosaved contact form draft, so a half-written message survives a reload or a closed tab.
+
+// localStorage key for the draft ({ email, message, plan })
+const DRAFT_STORAGE_KEY = 'jrtech.contact.draft';
+
+/**
+ * loadDraft: The saved draft, or empty fields when there is none.
+ * @returns {{ email: string, message: string, plan: object|null }}
+ */
+export function loadDraft() {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+    if (draft && typeof draft === 'object') {
+      return {
+        email: typeof draft.email === 'string' ? draft.email : '',
+        message: typeof draft.message === 'string' ? draft.message : '',
+        plan: draft.plan && typeof draft.plan === 'object' ? draft.plan : null,
+      };
+    }
+  } catch {
+    // Corrupt value or storage blocked: start empty
+  }
+  return { email: '', message: '', plan: null };
+}
+
+/**
+ * saveDraft: Stores the current form fields, or forgets the draft once they're all empty.
+ * @param {{ email: string, message: string, plan: object|null }} draft - Form fields.
+ */
+export function saveDraft(draft) {
+  try {
+    if (draft.email || draft.message || draft.plan) {
+      localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+    } else {
+      localStorage.removeItem(DRAFT_STORAGE_KEY);
+    }
+  } catch {
+    // Storage full or blocked: the form still works, just without autosave
+  }
+}
@@ -0,0 +1,156 @@
+// frontend/src/contact/outbox.js
+// Offline outbox for the contact form: submissions that couldn't reach the backend are kept
+// in IndexedDB and resent later, by the page when it comes back online and by the service
+// worker (public/sw.js) through Background Sync, even if the tab was closed.
+//
+// public/sw.js reads the same database, so keep DB_NAME, STORE, SYNC_TAG and the entry
+// format below in sync with it. Every entry carries its idempotency key, so the page and the
+// service worker may both resend it without the backend storing the message twice.
+
+import { apiUrl } from "../api/client";
+import { getContactToken, submitContact } from "../api/endpoints";
+import { idbStore } from "../lib/idb";
+
+const DB_NAME = 'jrtech-contact';
+const STORE = 'outbox';
+export const SYNC_TAG = 'contact-outbox';
+
+const outbox = idbStore(DB_NAME, STORE, { keyPath: 'id' });
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} id - Idempotency key of the submission.
+ * @property {object} body - The POST /contact body (formToken may be null until one is fetched).
+ * @property {string} locale - Language of the response messages.
+ * @property {string} url - Absolute POST /contact URL (the service worker can't read the Vite env).
+ * @property {string} tokenUrl - Absolute GET /contact/token URL.
+ * @property {string} queuedAt - ISO timestamp.
+ */
+
+/**
+ * @typedef {object} DeliveryResult
+ * @property {'sent'|'failed'|'retry'} outcome - 'retry' leaves the entry queued.
+ * @property {string} [message] - The backend's message for 'sent' and 'failed'.
+ */
+
+/**
+ * createIdempotencyKey: A random 32-character hex id for one submission.
+ * Uses getRandomValues, which (unlike randomUUID) also works on plain-http origins.
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * listQueued: Every submission waiting to be sent, oldest first.
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function listQueued() {
+  const entries = await outbox.getAll();
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * queueSubmission: Puts a submission that failed with a network error into the outbox and
+ * asks the service worker to send it once the connection is back.
+ * @param {string} id - The idempotency key used for the first attempt.
+ * @param {object} body - The POST /contact body.
+ * @param {string} locale - Language of the response messages.
+ */
+export async function queueSubmission(id, body, locale) {
+  await outbox.put({
+    id,
+    body,
+    locale,
+    url: apiUrl('/contact'),
+    tokenUrl: apiUrl('/contact/token'),
+    queuedAt: new Date().toISOString(),
+  });
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (error) {
+    // No Background Sync (e.g. Firefox, Safari): the page resends on its own when it's back online
+    console.warn('Background Sync unavailable for the contact outbox:', error);
+  }
+}
+
+/**
+ * Tries to deliver one queued submission.
+ *
+ * Entries queued while the page itself was offline have no form token yet: one is fetched
+ * and the send waits for the next round, since the backend rejects tokens used within a few
+ * seconds of being issued. An expired token is replaced the same way.
+ * @param {OutboxEntry} entry - The queued submission.
+ * @returns {Promise<DeliveryResult>}
+ */
+async function deliver(entry) {
+  if (!entry.body.formToken) {
+    const formToken = await getContactToken();
+    await outbox.put({ ...entry, body: { ...entry.body, formToken } });
+    return { outcome: 'retry' };
+  }
+
+  try {
+    const result = await submitContact(entry.body, { locale: entry.locale, idempotencyKey: entry.id });
+    await outbox.delete(entry.id);
+    return { outcome: 'sent', message: result.message };
+  } catch (error) {
+    // Still offline, rate limited or a server problem: keep it for later
+    if (!error.status || error.status === 429 || error.status >= 500) {
+      return { outcome: 'retry' };
+    }
+    if (error.data.reason === 'too_fast') {
+      return { outcome: 'retry' };
+    }
+    if (error.data.reason) {
+      await outbox.put({ ...entry, body: { ...entry.body, formToken: null } });
+      return { outcome: 'retry' };
+    }
+    await outbox.delete(entry.id);
+    // 409: the backend already has this exact message, so it was delivered after all
+    return { outcome: error.status === 409 ? 'sent' : 'failed', message: error.message };
+  }
+}
+
+// The flush in progress, so overlapping triggers (online event, timer) don't send twice
+let flushing = null;
+
+/**
+ * flushOutbox: Tries to send every queued submission.
+ * @param {function} onDelivered - Called with (entry, result) for each submission that was
+ *   sent or permanently rejected (and so removed from the outbox).
+ * @returns {Promise<number>} How many submissions are still queued.
+ */
+export function flushOutbox(onDelivered) {
+  if (!flushing) {
+    flushing = (async () => {
+      let remaining = 0;
+      for (const entry of await listQueued()) {
+        const result = await deliver(entry).catch(() => ({ outcome: 'retry' }));
+        if (result.outcome === 'retry') {
+          remaining += 1;
+        } else {
+          onDelivered(entry, result);
+        }
+      }
+      return remaining;
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * registerOutboxWorker: Installs the service worker that resends queued submissions in the background.
+ */
+export function registerOutboxWorker() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Error registering the service worker:', error);
+    });
+  }
+}
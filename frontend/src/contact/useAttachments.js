@@ -0,0 +1,131 @@
+// frontend/src/contact/useAttachments.js
+// Files attached to the contact form: checks each one (see attachments.js), uploads it right
+// away with progress, and collects the ids the backend hands back for the submission.
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { uploadContactAttachment } from "../api/endpoints";
+import { useI18n } from "../i18n/i18n";
+import { checkFile, formatFileSize } from "./attachments";
+
+/**
+ * @typedef {object} AttachmentItem
+ * @property {number} key - Local id for the list.
+ * @property {string} name
+ * @property {number} size - Bytes.
+ * @property {'uploading'|'uploaded'|'failed'} status
+ * @property {number} progress - Fraction uploaded, 0 to 1.
+ * @property {string} [id] - Backend id, once uploaded.
+ * @property {string} [error] - Why the upload failed.
+ */
+
+/**
+ * useAttachments: State for the contact form's attachments.
+ *
+ * Uploads aren't part of the draft or the offline outbox: an upload the form never sends is
+ * deleted by the backend after a day, so only the ids of finished uploads go out with the
+ * message (and wait in the outbox with it).
+ * @param {string|null} formToken - The form's anti-spam token, required by the upload route.
+ * @returns {{ items: AttachmentItem[], notices: string[], ids: string[], uploading: boolean,
+ *   failed: boolean, add: function, remove: function, clear: function }} `notices` explains
+ *   files that were refused before uploading; add(files) takes a FileList or array.
+ */
+export default function useAttachments(formToken) {
+  const { locale, t, formatNumber } = useI18n();
+  const [items, setItems] = useState([]);
+  const [notices, setNotices] = useState([]);
+  // Abort controllers of uploads in progress, by item key
+  const controllers = useRef(new Map());
+  const nextKey = useRef(1);
+
+  // Cancel uploads still running when the form goes away
+  useEffect(() => {
+    const running = controllers.current;
+    return () => running.forEach((controller) => controller.abort());
+  }, []);
+
+  const update = useCallback((key, changes) => {
+    setItems((current) => current.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Uploads one file and keeps its list item up to date.
+   * @param {number} key - The item's key.
+   * @param {File} file - The file.
+   */
+  const upload = (key, file) => {
+    const controller = new AbortController();
+    controllers.current.set(key, controller);
+    uploadContactAttachment(file, {
+      formToken,
+      locale,
+      signal: controller.signal,
+      onProgress: (progress) => update(key, { progress }),
+    })
+      .then((attachment) => update(key, { status: 'uploaded', progress: 1, id: attachment.id }))
+      .catch((error) => {
+        if (error.code === 'aborted') return; // Removed by the visitor
+        console.error('Error uploading contact attachment:', error);
+        update(key, { status: 'failed', error: error.status ? error.message : t('contact.uploadFailed') });
+      })
+      .finally(() => controllers.current.delete(key));
+  };
+
+  /**
+   * add: Checks picked or dropped files and starts uploading the acceptable ones.
+   * @param {FileList|File[]} files
+   */
+  const add = (files) => {
+    const attached = items.filter((item) => item.status !== 'failed');
+    let count = attached.length;
+    let totalBytes = attached.reduce((total, item) => total + item.size, 0);
+    const added = [];
+    const refused = [];
+
+    for (const file of Array.from(files)) {
+      const problem = checkFile(file, { count, totalBytes });
+      if (problem) {
+        const { maxBytes, ...params } = problem.params;
+        refused.push(t(problem.key, maxBytes ? { ...params, max: formatFileSize(maxBytes, formatNumber) } : params));
+        continue;
+      }
+      const key = nextKey.current++;
+      added.push({ key, name: file.name, size: file.size, status: 'uploading', progress: 0 });
+      count += 1;
+      totalBytes += file.size;
+      upload(key, file);
+    }
+
+    setNotices(refused);
+    if (added.length) setItems((current) => [...current, ...added]);
+  };
+
+  /**
+   * remove: Drops a file from the form, cancelling its upload if it is still running.
+   * @param {number} key - The item's key.
+   */
+  const remove = (key) => {
+    controllers.current.get(key)?.abort();
+    setItems((current) => current.filter((item) => item.key !== key));
+    setNotices([]);
+  };
+
+  /**
+   * clear: Empties the list, e.g. once the message was sent.
+   */
+  const clear = () => {
+    controllers.current.forEach((controller) => controller.abort());
+    setItems([]);
+    setNotices([]);
+  };
+
+  return {
+    items,
+    notices,
+    ids: items.filter((item) => item.status === 'uploaded').map((item) => item.id),
+    uploading: items.some((item) => item.status === 'uploading'),
+    failed: items.some((item) => item.status === 'failed'),
+    add,
+    remove,
+    clear,
+  };
+}
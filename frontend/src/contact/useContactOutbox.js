@@ -0,0 +1,84 @@
+// frontend/src/contact/useContactOutbox.js
+// React side of the offline outbox (see outbox.js): pending count, resend triggers and
+// delivery notifications from both the page and the service worker.
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { flushOutbox, listQueued, queueSubmission } from "./outbox";
+
+// While messages are waiting and the browser is online, try again this often
+const RETRY_INTERVAL_MS = 15000;
+
+/**
+ * useContactOutbox: Resends queued contact form submissions when connectivity returns.
+ *
+ * Flushes on mount, on the window's `online` event and on a timer while anything is
+ * queued. The service worker also resends in the background and reports back with a
+ * postMessage; a submission delivered by both is only reported once.
+ * @param {function} onDelivered - Called with (entry, { outcome: 'sent'|'failed', message })
+ *   when a queued submission was sent or rejected by the backend.
+ * @returns {{ pending: number, queue: function }} The number of queued submissions, and
+ *   queue(id, body, locale) to add one.
+ */
+export default function useContactOutbox(onDelivered) {
+  const [pending, setPending] = useState(0);
+  // Latest callback, so the listeners below don't need to be re-attached on every render
+  const onDeliveredRef = useRef(onDelivered);
+  // Ids already reported, since the page and the service worker may both deliver an entry
+  const reported = useRef(new Set());
+
+  useEffect(() => {
+    onDeliveredRef.current = onDelivered;
+  }, [onDelivered]);
+
+  const report = useCallback((entry, result) => {
+    if (reported.current.has(entry.id)) return;
+    reported.current.add(entry.id);
+    onDeliveredRef.current(entry, result);
+  }, []);
+
+  const refresh = useCallback(() => {
+    listQueued()
+      .then((entries) => setPending(entries.length))
+      .catch((error) => console.error('Error reading the contact outbox:', error));
+  }, []);
+
+  const flush = useCallback(() => {
+    if (!navigator.onLine) return;
+    flushOutbox(report)
+      .then(setPending)
+      .catch((error) => console.error('Error sending queued contact messages:', error));
+  }, [report]);
+
+  // Resend on load and whenever the connection comes back
+  useEffect(() => {
+    flush();
+    window.addEventListener('online', flush);
+    return () => window.removeEventListener('online', flush);
+  }, [flush]);
+
+  // Keep retrying while something is waiting (e.g. a fresh form token needs a few seconds)
+  useEffect(() => {
+    if (pending === 0) return;
+    const timer = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pending, flush]);
+
+  // Deliveries made by the service worker
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+    const handleMessage = (event) => {
+      if (event.data?.type !== 'contact-outbox') return;
+      report(event.data.entry, event.data.result);
+      refresh();
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [report, refresh]);
+
+  const queue = useCallback(async (id, body, locale) => {
+    await queueSubmission(id, body, locale);
+    refresh();
+  }, [refresh]);
+
+  return { pending, queue };
+}
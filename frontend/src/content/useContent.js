@@ -0,0 +1,35 @@
+// frontend/src/content/useContent.js
+// Loads the landing-page copy from the backend content API (GET /content).
+
+import { useState, useEffect } from "react";
+import fallbackContent from "./fallback.json"; // Bundled snapshot per locale, refreshed with `npm run export-content` in backend/
+import { getContent } from "../api/endpoints";
+
+/**
+ * useContent: Returns the content for every landing-page section in a language.
+ *
+ * Renders immediately with the bundled fallback snapshot, then swaps in the published
+ * content once it arrives. If the API is down (or is missing a section) the fallback
+ * stays in place, so the page always has copy to show. Changing the language shows that
+ * language's snapshot right away while its published content loads.
+ * @param {string} locale - Language code, e.g. "hi" (see i18n/i18n.js).
+ * @returns {object} Content keyed by section: banner, hero, stats, product, features, steps, footer.
+ */
+export default function useContent(locale) {
+  // Published content from the API, tagged with the language it was loaded for
+  const [published, setPublished] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getContent(locale, { signal: controller.signal })
+      .then((data) => setPublished({ locale, content: data.content }))
+      .catch((error) => {
+        if (error.code === 'aborted') return; // Superseded by the request for the new language
+        console.error('Error loading page content, using the bundled copy:', error);
+      });
+    return () => controller.abort();
+  }, [locale]);
+
+  const fallback = { ...fallbackContent.en, ...fallbackContent[locale] };
+  return published && published.locale === locale ? { ...fallback, ...published.content } : fallback;
+}
@@ -0,0 +1,40 @@
+// frontend/src/docs/docs.js
+// The product docs: Markdown files in src/content/docs, bundled at build time. A file's name
+// gives its address and order ("02-billing-and-gst.md" is /docs/billing-and-gst, listed
+// second); its first "# heading" is the title and its first paragraph the summary.
+// Only the docs page (and pre-rendering) imports this, so the documents load with that chunk.
+
+import { parseMarkdown, plainText } from "./markdown";
+
+const sources = import.meta.glob('../content/docs/*.md', { query: '?raw', import: 'default', eager: true });
+
+/**
+ * @typedef {object} Doc
+ * @property {string} slug - Address below /docs, e.g. "billing-and-gst".
+ * @property {string} title - Text of the first level-1 heading.
+ * @property {string} summary - Text of the first paragraph (meta description, docs index).
+ * @property {object[]} blocks - Parsed document (see markdown.js).
+ */
+
+/** @type {Doc[]} */
+export const DOCS = Object.keys(sources).sort().map((file) => {
+  const slug = file.split('/').pop().replace(/\.md$/, '').replace(/^\d+-/, '');
+  const blocks = parseMarkdown(sources[file]);
+  const heading = blocks.find((block) => block.type === 'heading' && block.level === 1);
+  const summary = blocks.find((block) => block.type === 'paragraph');
+  return {
+    slug,
+    title: heading ? plainText(heading.children) : slug,
+    summary: summary ? plainText(summary.children) : '',
+    blocks,
+  };
+});
+
+/**
+ * findDoc: The document at /docs/<slug>.
+ * @param {string} slug - E.g. "billing-and-gst".
+ * @returns {Doc|undefined}
+ */
+export function findDoc(slug) {
+  return DOCS.find((doc) => doc.slug === slug);
+}
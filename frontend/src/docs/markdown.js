@@ -0,0 +1,159 @@
+// frontend/src/docs/markdown.js
+// A small Markdown parser for the docs in src/content/docs. It covers what the docs use:
+// headings, paragraphs, bullet and numbered lists (one level), block quotes, code blocks,
+// horizontal rules, and inline `code`, **bold**, *italic* / _italic_ and [links](/path).
+// The result is a plain block tree that components/Markdown.jsx renders as React elements,
+// so no HTML from the documents is ever injected into the page.
+
+const FENCE = /^```\s*(\S*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^(-{3,}|\*{3,})\s*$/;
+const QUOTE = /^>\s?/;
+const LIST_ITEM = /^\s*([-*]|\d+\.)\s+(.*)$/;
+// Inline markup, leftmost first: code, bold, link, italic with * or _ (not inside words)
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|\*([^*\s][^*]*)\*|(?<!\w)_([^_]+)_(?!\w)/;
+
+/**
+ * startsBlock: Whether a line begins a block other than a paragraph.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+/**
+ * parseInline: Splits a line of text into text, code, strong, em and link nodes.
+ * @param {string} text - E.g. "Press **Enter** to add it".
+ * @returns {object[]} Nodes: { type: 'text'|'code', text } or { type: 'strong'|'em'|'link', children, href? }.
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+    const [whole, code, strong, linkText, href, star, underscore] = match;
+    if (match.index > 0) {
+      nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    }
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) });
+    } else if (linkText !== undefined) {
+      nodes.push({ type: 'link', href, children: parseInline(linkText) });
+    } else {
+      nodes.push({ type: 'em', children: parseInline(star ?? underscore) });
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+  return nodes;
+}
+
+/**
+ * parseMarkdown: Parses a document into blocks.
+ * @param {string} source - Markdown text.
+ * @returns {object[]} Blocks: heading { level, children }, paragraph { children },
+ *   list { ordered, items: children[] }, quote { blocks }, code { language, text } and rule.
+ */
+export function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].startsWith('```')) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // Closing fence
+      blocks.push({ type: 'code', language: fence[1], text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      while (i < lines.length) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next && /\d/.test(next[1]) === ordered) {
+          items.push(next[2]);
+        } else if (!next && items.length && /^\s+\S/.test(lines[i])) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, items: items.map(parseInline) });
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to a blank line or the next block
+    const text = [];
+    while (i < lines.length && lines[i].trim() && (text.length === 0 || !startsBlock(lines[i]))) {
+      text.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(text.join(' ')) });
+  }
+
+  return blocks;
+}
+
+/**
+ * plainText: The text of inline nodes without markup, e.g. for titles and summaries.
+ * @param {object[]} nodes - From parseInline.
+ * @returns {string}
+ */
+export function plainText(nodes) {
+  return nodes.map((node) => (node.children ? plainText(node.children) : node.text)).join('');
+}
+
+/**
+ * slugify: An id for a heading, so sections can be linked to (#barcode-scanners).
+ * @param {string} text - Heading text.
+ * @returns {string}
+ */
+export function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
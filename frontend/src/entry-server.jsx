@@ -0,0 +1,64 @@
+// frontend/src/entry-server.jsx
+// Server-side entry used at build time by scripts/prerender.js: renders each page of the site
+// to HTML so crawlers and link previews see the content before any JavaScript runs.
+// main.jsx then hydrates that markup instead of rendering from scratch.
+
+import React from "react";
+import { prerenderToNodeStream } from "react-dom/static";
+import App from "./App.jsx";
+import I18nProvider from "./i18n/I18nProvider.jsx";
+import { DEFAULT_LOCALE, createI18n } from "./i18n/i18n.js";
+import { Router } from "./router/Router.jsx";
+import { ROUTES, matchRoute } from "./routes.js";
+import { DOCS, findDoc } from "./docs/docs.js";
+import { pageMeta } from "./pages/meta.js";
+import fallbackContent from "./content/fallback.json";
+
+export { fallbackContent };
+export { CONTACT_PHONE, SITE_NAME } from "./site.js";
+
+// Language pages are pre-rendered in; main.jsx hydrates with the same one
+export const PRERENDER_LOCALE = DEFAULT_LOCALE;
+
+// Every page of the site: the routes, with /docs/* expanded to the docs index and each document
+export const PAGE_PATHS = ROUTES.flatMap((route) => (route.path === '/docs/*'
+  ? ['/docs', ...DOCS.map((doc) => `/docs/${doc.slug}`)]
+  : [route.path]));
+
+/**
+ * getPageMeta: Title and description of a page, as the page itself sets them (pages/meta.js).
+ * @param {string} path - One of PAGE_PATHS.
+ * @returns {{ title: string, description: string }}
+ */
+export function getPageMeta(path) {
+  const { route, params } = matchRoute(path);
+  const content = { ...fallbackContent.en, ...fallbackContent[PRERENDER_LOCALE] };
+  const doc = route.name === 'docs' && params['*'] ? findDoc(params['*']) : null;
+  return pageMeta(route.name, { content, t: createI18n(PRERENDER_LOCALE).t, doc });
+}
+
+/**
+ * render: A page as an HTML string. Waits for the page's lazily loaded chunk, so the
+ * markup contains the page itself rather than the loading placeholder.
+ * @param {string} path - One of PAGE_PATHS.
+ * @param {object} data - Data the page is rendered with (also embedded for hydration).
+ * @param {object[]} data.plans - Pricing plans, as returned by GET /plans.
+ * @returns {Promise<string>}
+ */
+export async function render(path, { plans }) {
+  const { prelude } = await prerenderToNodeStream(
+    <React.StrictMode>
+      <I18nProvider initialLocale={PRERENDER_LOCALE}>
+        <Router location={path}>
+          <App initialPlans={plans} />
+        </Router>
+      </I18nProvider>
+    </React.StrictMode>,
+  );
+  prelude.setEncoding('utf8');
+  let html = '';
+  for await (const chunk of prelude) {
+    html += chunk;
+  }
+  return html;
+}
@@ -0,0 +1,40 @@
+// frontend/src/i18n/I18nProvider.jsx
+import React, { useState, useEffect, useMemo } from "react";
+import { I18nContext, createI18n, detectLocale, saveLocale } from "./i18n";
+
+/**
+ * I18nProvider Component: Holds the visitor's language for the landing page.
+ *
+ * Starts from the saved choice or the browser language (see detectLocale), keeps the
+ * <html lang> attribute in sync so screen readers and fonts pick the right language, and
+ * remembers changes made in the nav's language switcher.
+ *
+ * When hydrating pre-rendered markup, pass the language it was rendered in as
+ * `initialLocale`: the first render then matches the HTML, and the visitor's own language
+ * is applied right after.
+ * @param {object} props - Component props.
+ * @param {string} [props.initialLocale] - Language to render first instead of detecting it.
+ * @param {React.ReactNode} props.children - The page.
+ */
+export default function I18nProvider({ initialLocale, children }) {
+  const [locale, setLocaleState] = useState(() => initialLocale || detectLocale());
+
+  // Switch from the pre-rendered language to the visitor's
+  useEffect(() => {
+    if (initialLocale) setLocaleState(detectLocale());
+  }, [initialLocale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    ...createI18n(locale),
+    setLocale: (code) => {
+      saveLocale(code);
+      setLocaleState(code);
+    },
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
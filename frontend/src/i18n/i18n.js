@@ -0,0 +1,118 @@
+// frontend/src/i18n/i18n.js
+// Languages, message catalogs and formatting helpers for the landing page.
+//
+// Catalogs are flat JSON files in locales/ mapping message keys to text with {placeholders},
+// the same format the backend uses (backend/i18n). A key missing from a catalog falls back
+// to English. Components read the active language through useI18n() (see I18nProvider.jsx).
+
+import { createContext, useContext } from "react";
+import en from "./locales/en.json";
+import hi from "./locales/hi.json";
+import te from "./locales/te.json";
+
+// Supported languages, in switcher order. `intl` is the locale used for number and currency formatting.
+export const LOCALES = [
+  { code: 'en', label: 'English', intl: 'en-IN' },
+  { code: 'hi', label: 'हिन्दी', intl: 'hi-IN' },
+  { code: 'te', label: 'తెలుగు', intl: 'te-IN' },
+];
+export const DEFAULT_LOCALE = 'en';
+
+// localStorage key for the language the visitor picked in the switcher
+const STORAGE_KEY = 'jrtech.locale';
+
+const catalogs = { en, hi, te };
+
+/**
+ * isSupportedLocale: Whether a language code is one of LOCALES.
+ * @param {string} code - E.g. "hi".
+ * @returns {boolean}
+ */
+function isSupportedLocale(code) {
+  return LOCALES.some((locale) => locale.code === code);
+}
+
+/**
+ * detectLocale: The visitor's saved choice, else the first supported browser language
+ * (navigator.languages, e.g. "te-IN" -> "te"), else English.
+ * @returns {string} One of the LOCALES codes.
+ */
+export function detectLocale() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isSupportedLocale(saved)) return saved;
+  } catch {
+    // Storage can be blocked (private mode, strict cookie settings); fall through to the browser language
+  }
+  const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .filter(Boolean)
+    .map((tag) => tag.toLowerCase().split('-')[0])
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * saveLocale: Remembers the visitor's language choice for their next visit.
+ * @param {string} code - One of the LOCALES codes.
+ */
+export function saveLocale(code) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // Not persisted; the choice still applies to this visit
+  }
+}
+
+/**
+ * createI18n: Builds the translate and formatting helpers for a language.
+ *
+ * t('contact.retryIn', { message, wait }) fills {placeholders}. When params.count is set,
+ * the plural form is picked with Intl.PluralRules: t('time.minutes', { count: 2 }) reads
+ * "time.minutes.other".
+ * @param {string} code - One of the LOCALES codes.
+ * @returns {{ locale: string, t: function, formatNumber: function, formatCurrency: function }}
+ */
+export function createI18n(code) {
+  const locale = isSupportedLocale(code) ? code : DEFAULT_LOCALE;
+  const { intl } = LOCALES.find((l) => l.code === locale);
+  const catalog = catalogs[locale];
+  const pluralRules = new Intl.PluralRules(intl);
+
+  const t = (key, params = {}) => {
+    const fullKey = typeof params.count === 'number' ? `${key}.${pluralRules.select(params.count)}` : key;
+    const template = catalog[fullKey] ?? catalogs[DEFAULT_LOCALE][fullKey] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+
+  /**
+   * formatNumber: Formats a number for the language, e.g. 0.17 with { style: 'percent' } -> "17%".
+   * @param {number} value - The number.
+   * @param {object} [options] - Intl.NumberFormat options.
+   */
+  const formatNumber = (value, options) => new Intl.NumberFormat(intl, options).format(value);
+
+  /**
+   * formatCurrency: Formats a price, e.g. 9999 INR -> "₹9,999". Whole amounts are shown without decimals.
+   * @param {number} amount - The price.
+   * @param {string} currency - ISO currency code, e.g. "INR".
+   */
+  const formatCurrency = (amount, currency) => formatNumber(amount, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  });
+
+  return { locale, t, formatNumber, formatCurrency };
+}
+
+// English by default, so components also work outside the provider
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} });
+
+/**
+ * useI18n: The active language and its helpers: { locale, setLocale, t, formatNumber, formatCurrency }.
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
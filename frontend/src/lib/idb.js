@@ -0,0 +1,49 @@
+// frontend/src/lib/idb.js
+// Minimal promise wrapper around IndexedDB for the page's client-side storage
+// (contact outbox, SmartBill demo). Each database holds a single object store.
+
+/**
+ * idbStore: Opens (and on first use creates) a database with one object store.
+ *
+ * Every call runs in its own transaction and resolves once it has committed.
+ * @param {string} dbName - Database name, e.g. "jrtech-contact".
+ * @param {string} storeName - Object store name.
+ * @param {IDBObjectStoreParameters} [options] - E.g. { keyPath: 'id' }; omit for explicit keys.
+ * @returns {{ get: function, getAll: function, put: function, delete: function }}
+ */
+export function idbStore(dbName, storeName, options) {
+  const open = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName, options);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  /**
+   * Runs one request against the store and resolves with its result.
+   * @param {'readonly'|'readwrite'} mode - Transaction mode.
+   * @param {function} action - Receives the object store and returns an IDBRequest.
+   */
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (value, key) => run('readwrite', (store) => store.put(value, key)),
+    delete: (key) => run('readwrite', (store) => store.delete(key)),
+  };
+}
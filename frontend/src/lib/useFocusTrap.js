@@ -0,0 +1,87 @@
+// frontend/src/lib/useFocusTrap.js
+// Keyboard handling shared by the dialogs and the mobile nav drawer.
+
+import { useEffect, useRef, useState } from "react";
+
+// Elements that can take keyboard focus
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * useFocusTrap: Keeps keyboard focus inside a dialog while it's open.
+ *
+ * On mount, focus moves to the first focusable element in the container (or the container
+ * itself), unless an element inside already took it with autoFocus; Tab and Shift+Tab then
+ * cycle within it, and Escape calls onEscape. When the dialog closes, focus goes back to what
+ * had it before, usually the button that opened it. Elements inside a hidden wrapper (e.g. the
+ * honeypot field) are skipped.
+ * @param {function} onEscape - Called when Escape is pressed, typically the dialog's onClose.
+ * @returns {React.RefObject} Ref to attach to the dialog element.
+ */
+export default function useFocusTrap(onEscape) {
+  const ref = useRef(null);
+  // What had focus before the dialog rendered (read before any autoFocus inside it moves focus)
+  const [previouslyFocused] = useState(() => (typeof document === 'undefined' ? null : document.activeElement));
+  // Latest callback, so the trap isn't set up again (and focus moved) on every render
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const container = ref.current;
+    const focusable = () => [...container.querySelectorAll(FOCUSABLE)]
+      .filter((element) => !element.closest('[aria-hidden="true"]'));
+
+    // (Unless an autoFocus input inside already has focus)
+    if (!container.contains(document.activeElement)) {
+      const [first] = focusable();
+      if (first) {
+        first.focus();
+      } else {
+        if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+        container.focus();
+      }
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const elements = focusable();
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const firstElement = elements[0];
+      const lastElement = elements[elements.length - 1];
+      if (e.shiftKey && (document.activeElement === firstElement || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        lastElement.focus();
+      } else if (!e.shiftKey && (document.activeElement === lastElement || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        firstElement.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      if (previouslyFocused && typeof previouslyFocused.focus === 'function' && previouslyFocused.isConnected) {
+        // Without scrolling: the dialog may have just navigated somewhere else on the page
+        previouslyFocused.focus({ preventScroll: true });
+      }
+    };
+  }, [previouslyFocused]);
+
+  return ref;
+}
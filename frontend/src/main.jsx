@@ -4,18 +4,54 @@
     import React from 'react'; // Import React library
     import ReactDOM from 'react-dom/client'; // Import ReactDOM for rendering
     import App from './App.jsx'; // Import your main App component
+    import { Router } from './router/Router.jsx'; // Client-side navigation between the site's pages
+    import I18nProvider from './i18n/I18nProvider.jsx'; // Language of the landing page (en / hi / te)
+    import { DEFAULT_LOCALE } from './i18n/i18n.js';
+    import { registerOutboxWorker } from './contact/outbox.js'; // Background resend of offline contact messages
+    // The admin dashboard is only loaded on /admin, so visitors never download it.
+    const AdminApp = React.lazy(() => import('./admin/AdminApp.jsx'));
     // NOTE: './index.css' is NOT imported here. It is linked directly in index.html for simplicity,
     // as we are bypassing PostCSS and other build-time CSS processing for now.
 
     // Get the root DOM element where the React app will be mounted
     const rootElement = document.getElementById('root');
 
-    // Create a React root and render the App component into it
+    // /admin and anything below it is the internal dashboard; every other path is the public site.
+    // (public/_redirects sends paths without a pre-rendered page to the empty app.html shell.)
+    const isAdminRoute = /^\/admin(\/|$)/.test(window.location.pathname);
+
+    // Pages pre-rendered at build time (scripts/prerender.js) arrive with the markup in #root and
+    // the data it was rendered with; React then hydrates it. `npm run dev` serves an empty #root.
+    const prerendered = !isAdminRoute && rootElement.hasChildNodes() ? window.__PRERENDER_DATA__ : null;
+
+    // The landing page installs a service worker that sends contact messages queued while offline.
+    if (!isAdminRoute) {
+      registerOutboxWorker();
+    }
+
     // React.StrictMode is a tool for highlighting potential problems in an application.
     // It does not render any visible UI.
-    ReactDOM.createRoot(rootElement).render(
+    const app = (
       <React.StrictMode>
-        <App /> {/* Render your main App component */}
-      </React.StrictMode>,
+        {isAdminRoute ? (
+          <React.Suspense fallback={null}>
+            <AdminApp />
+          </React.Suspense>
+        ) : (
+          // Hydration starts in the language the page was pre-rendered in, then switches
+          <I18nProvider initialLocale={prerendered ? DEFAULT_LOCALE : undefined}>
+            <Router>
+              <App initialPlans={prerendered ? prerendered.plans : null} /> {/* Render your main App component */}
+            </Router>
+          </I18nProvider>
+        )}
+      </React.StrictMode>
     );
+
+    if (prerendered) {
+      ReactDOM.hydrateRoot(rootElement, app);
+    } else {
+      // Create a React root and render the App component into it
+      ReactDOM.createRoot(rootElement).render(app);
+    }
     
\ No newline at end of file
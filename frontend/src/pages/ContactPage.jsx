@@ -0,0 +1,18 @@
+// frontend/src/pages/ContactPage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import useSectionViews from "../analytics/useSectionViews";
+import { pageMeta, usePageMeta } from "./meta";
+import ContactSection from "../sections/ContactSection.jsx";
+
+/**
+ * ContactPage Component (/contact): Contact details and the contact form.
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function ContactPage({ content, outbox }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('contact', { content, t }));
+  useSectionViews();
+
+  return <ContactSection content={content.footer} outbox={outbox} />;
+}
@@ -0,0 +1,58 @@
+// frontend/src/pages/DocsPage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import useSectionViews from "../analytics/useSectionViews";
+import { pageMeta, usePageMeta } from "./meta";
+import { DOCS, findDoc } from "../docs/docs";
+import { Link, NavLink } from "../router/Router.jsx";
+import Markdown from "../components/Markdown.jsx";
+import NotFoundPage from "./NotFoundPage.jsx";
+
+/**
+ * DocsPage Component (/docs/*): The AI SmartBill docs (src/content/docs, see docs/docs.js).
+ * /docs lists the documents; /docs/<slug> shows one, with the list alongside for moving
+ * between them. Unknown documents get the 404 page.
+ * @param {object} props - Page props from App (see App.jsx); params['*'] is the document slug.
+ */
+export default function DocsPage({ content, params }) {
+  const { t } = useI18n();
+  const slug = params['*'];
+  const doc = slug ? findDoc(slug) : null;
+  const missing = Boolean(slug) && !doc;
+  usePageMeta(pageMeta(missing ? 'not-found' : 'docs', { content, t, doc }));
+  useSectionViews();
+
+  if (missing) {
+    return <NotFoundPage content={content} />;
+  }
+
+  return (
+    <section className="max-w-7xl mx-auto px-6 py-12 docs-layout" aria-label={t('docs.title')} data-analytics-section="docs">
+      <nav className="docs-nav" aria-label={t('docs.navLabel')}>
+        <NavLink className="docs-nav-link" to="/docs" end>{t('docs.overview')}</NavLink>
+        {DOCS.map((entry) => (
+          <NavLink key={entry.slug} className="docs-nav-link" to={`/docs/${entry.slug}`}>{entry.title}</NavLink>
+        ))}
+      </nav>
+
+      {doc ? (
+        <article className="doc-article" lang="en">
+          <Markdown blocks={doc.blocks} />
+        </article>
+      ) : (
+        <div>
+          <h1 className="text-3xl font-semibold">{t('docs.title')}</h1>
+          <p className="mt-2 text-lg text-slate-300 max-w-2xl">{t('docs.intro')}</p>
+          <div className="mt-8 grid md:grid-cols-2 gap-6">
+            {DOCS.map((entry) => (
+              <Link key={entry.slug} className="docs-card rounded-xl p-6 bg-slate-800/30 border border-white/5" to={`/docs/${entry.slug}`}>
+                <div className="font-semibold text-lg">{entry.title}</div>
+                <div className="mt-2 text-slate-400">{entry.summary}</div>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,31 @@
+// frontend/src/pages/HomePage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import useSectionViews from "../analytics/useSectionViews";
+import { pageMeta, usePageMeta } from "./meta";
+import BannerSection from "../sections/BannerSection.jsx";
+import HeroSection from "../sections/HeroSection.jsx";
+import ProductSection from "../sections/ProductSection.jsx";
+import FeaturesSection from "../sections/FeaturesSection.jsx";
+import StepsSection from "../sections/StepsSection.jsx";
+
+/**
+ * HomePage Component (/): The landing page: AI SmartBill banner, hero, product spotlight,
+ * features and how we work. Pricing, docs and contact have their own pages.
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function HomePage({ content, onWaitlist, onDemo }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('landing', { content, t }));
+  useSectionViews();
+
+  return (
+    <>
+      <BannerSection content={content.banner} onWaitlist={onWaitlist} />
+      <HeroSection content={content} onDemo={onDemo} />
+      <ProductSection content={content.product} onWaitlist={onWaitlist} />
+      <FeaturesSection content={content.features} />
+      <StepsSection content={content.steps} />
+    </>
+  );
+}
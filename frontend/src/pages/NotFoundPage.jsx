@@ -0,0 +1,25 @@
+// frontend/src/pages/NotFoundPage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import { pageMeta, usePageMeta } from "./meta";
+import { Link } from "../router/Router.jsx";
+
+/**
+ * NotFoundPage Component: Shown for addresses that aren't a page of the site (and unknown docs).
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function NotFoundPage({ content }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('not-found', { content, t }));
+
+  return (
+    <section className="max-w-7xl mx-auto px-6 py-16 text-center" aria-labelledby="not-found-title">
+      <div className="text-4xl font-extrabold text-slate-500" aria-hidden="true">404</div>
+      <h1 id="not-found-title" className="mt-4 text-3xl font-semibold">{t('notFound.title')}</h1>
+      <p className="mt-2 text-slate-400">{t('notFound.text')}</p>
+      <div className="mt-8">
+        <Link className="link-button px-6 py-3 rounded-lg bg-white text-black font-semibold" to="/">{t('notFound.home')}</Link>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,19 @@
+// frontend/src/pages/PricingPage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import useSectionViews from "../analytics/useSectionViews";
+import { pageMeta, usePageMeta } from "./meta";
+import PricingSection from "../sections/PricingSection.jsx";
+
+/**
+ * PricingPage Component (/pricing): The plans. Choosing one opens the contact page with the
+ * inquiry prefilled.
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function PricingPage({ content, initialPlans }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('pricing', { content, t }));
+  useSectionViews();
+
+  return <PricingSection initialPlans={initialPlans} />;
+}
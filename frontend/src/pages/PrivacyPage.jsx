@@ -0,0 +1,52 @@
+// frontend/src/pages/PrivacyPage.jsx
+import React, { useState, useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import { pageMeta, usePageMeta } from "./meta";
+import { PRIVACY_POLICY_VERSION, RETENTION_DAYS } from "../privacy/policy";
+import PrivacyRequestForm from "../components/PrivacyRequestForm.jsx";
+import PrivacyLinkPanel from "../components/PrivacyLinkPanel.jsx";
+
+// Sections of the policy, in order (privacy.<id>Title / privacy.<id>Text)
+const SECTIONS = ['collect', 'use', 'retention', 'rights'];
+
+/**
+ * PrivacyPage Component (/privacy): The privacy policy, and the form to download or delete
+ * one's data. Request emails link back here with ?token=<token>, which opens the link panel.
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function PrivacyPage({ content }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('privacy', { content, t }));
+  // Token from a request email link, taken out of the address bar once read
+  const [token, setToken] = useState(null);
+
+  useEffect(() => {
+    const linkToken = new URLSearchParams(window.location.search).get('token');
+    if (linkToken) {
+      setToken(linkToken);
+      window.history.replaceState(window.history.state, '', window.location.pathname + window.location.hash);
+    }
+  }, []);
+
+  return (
+    <section className="max-w-7xl mx-auto px-6 py-16" aria-labelledby="privacy-title">
+      <div className="max-w-2xl">
+        <h1 id="privacy-title" className="text-3xl font-semibold">{t('privacy.title')}</h1>
+        <p className="mt-2 text-sm text-slate-500">{t('privacy.version', { version: PRIVACY_POLICY_VERSION })}</p>
+
+        {token && <PrivacyLinkPanel token={token} />}
+
+        {SECTIONS.map((id) => (
+          <div key={id} className="mt-8">
+            <h2 className="text-lg font-semibold">{t(`privacy.${id}Title`)}</h2>
+            <p className="mt-2 text-slate-300">{t(`privacy.${id}Text`, RETENTION_DAYS)}</p>
+          </div>
+        ))}
+
+        <h2 className="mt-8 text-lg font-semibold">{t('privacy.requestTitle')}</h2>
+        <p className="mt-2 text-slate-300">{t('privacy.requestText')}</p>
+        <PrivacyRequestForm />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,39 @@
+// frontend/src/pages/SmartBillPage.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import useSectionViews from "../analytics/useSectionViews";
+import { pageMeta, usePageMeta } from "./meta";
+import { Link } from "../router/Router.jsx";
+import ProductSection from "../sections/ProductSection.jsx";
+import FeaturesSection from "../sections/FeaturesSection.jsx";
+
+/**
+ * SmartBillPage Component (/smartbill): The AI SmartBill product page: the spotlight with its
+ * demo counter, our feature cards, and pointers to the docs and pricing.
+ * @param {object} props - Page props from App (see App.jsx).
+ */
+export default function SmartBillPage({ content, onWaitlist }) {
+  const { t } = useI18n();
+  usePageMeta(pageMeta('smartbill', { content, t }));
+  useSectionViews();
+
+  return (
+    <>
+      <ProductSection content={content.product} onWaitlist={onWaitlist} titleAs="h1" />
+      <FeaturesSection content={content.features} />
+
+      <section className="max-w-7xl mx-auto px-6 py-12" aria-labelledby="smartbill-next-title" data-analytics-section="smartbill-next">
+        <div className="rounded-2xl p-6 bg-slate-800/30 border border-white/5 flex flex-col md:flex-row items-center justify-between gap-6">
+          <div>
+            <h2 id="smartbill-next-title" className="text-2xl font-semibold">{t('smartbill.nextTitle')}</h2>
+            <p className="mt-2 text-slate-300 max-w-xl">{t('smartbill.nextText')}</p>
+          </div>
+          <div className="flex gap-4">
+            <Link className="link-button px-5 py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 text-white font-semibold" to="/docs">{t('smartbill.readDocs')}</Link>
+            <Link className="link-button px-5 py-3 rounded-md border border-white/10 text-slate-200" to="/pricing">{t('smartbill.seePricing')}</Link>
+          </div>
+        </div>
+      </section>
+    </>
+  );
+}
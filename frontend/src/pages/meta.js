@@ -0,0 +1,49 @@
+// frontend/src/pages/meta.js
+// Title and meta description of each page, shared by the pages (usePageMeta) and the
+// build-time pre-rendering (entry-server.jsx), so both always agree.
+
+import { useEffect } from "react";
+import { SITE_NAME } from "../site";
+
+/**
+ * pageMeta: Title and description for a page.
+ * @param {string} name - Route name from routes.js, e.g. "pricing".
+ * @param {object} data - What the text is built from.
+ * @param {object} data.content - Page copy from useContent (or the bundled fallback).
+ * @param {function} data.t - Translate function.
+ * @param {object} [data.doc] - On a docs page: the document shown (see docs/docs.js).
+ * @returns {{ title: string, description: string }}
+ */
+export function pageMeta(name, { content, t, doc }) {
+  const titled = (title) => `${title} | ${SITE_NAME}`;
+  switch (name) {
+    case 'smartbill':
+      return { title: titled('AI SmartBill'), description: content.product.text };
+    case 'pricing':
+      return { title: titled(t('pricing.title')), description: t('pricing.description') };
+    case 'docs':
+      return doc
+        ? { title: titled(doc.title), description: doc.summary }
+        : { title: titled(t('docs.title')), description: t('docs.intro') };
+    case 'contact':
+      return { title: titled(t('nav.contact')), description: content.footer.text };
+    case 'privacy':
+      return { title: titled(t('privacy.title')), description: t('privacy.description') };
+    case 'not-found':
+      return { title: titled(t('notFound.title')), description: t('notFound.text') };
+    default:
+      return { title: `${SITE_NAME} | ${content.hero.highlight}`, description: content.hero.subtitle };
+  }
+}
+
+/**
+ * usePageMeta: Keeps the document title and meta description in step with the page shown
+ * (pre-rendered pages start with the right ones; this updates them after client-side navigation).
+ * @param {{ title: string, description: string }} meta - From pageMeta().
+ */
+export function usePageMeta({ title, description }) {
+  useEffect(() => {
+    document.title = title;
+    document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+  }, [title, description]);
+}
@@ -0,0 +1,28 @@
+// frontend/src/privacy/policy.js
+// Facts the privacy page and the contact form's consent checkbox rely on. The retention periods
+// mirror the backend defaults (RETENTION_* in backend/.env.example), which delete the data.
+
+// Version of the privacy policy shown on /privacy. Stored with every contact form submission as
+// the version the sender agreed to, so change it whenever the policy text changes.
+export const PRIVACY_POLICY_VERSION = '2026-10-19';
+
+// How long each kind of record is kept, in days
+export const RETENTION_DAYS = {
+  leads: 730,
+  demoBookings: 365,
+  emails: 90,
+};
+
+/**
+ * saveJsonFile: Offers data to the visitor as a downloaded .json file.
+ * @param {object} data - What to save.
+ * @param {string} fileName - E.g. "jr-tech-data.json".
+ */
+export function saveJsonFile(data, fileName) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
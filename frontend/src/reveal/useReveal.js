@@ -0,0 +1,49 @@
+// frontend/src/reveal/useReveal.js
+// Scroll-reveal: tells an element when it first scrolls into view, so it can animate in then
+// rather than on page load (see components/Reveal.jsx for the ready-made wrappers).
+
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * prefersReducedMotion: Whether the visitor asked the OS for less motion.
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * useReveal: Observes an element and reports once it has been seen.
+ *
+ * Without IntersectionObserver, or when reduced motion is preferred, content is revealed
+ * as soon as the component mounts, so nothing stays hidden.
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Share of the element that must be visible (0-1).
+ * @param {string} [options.rootMargin] - Margin around the viewport; the default waits until
+ *   the element is a little way above the bottom edge.
+ * @returns {[React.RefObject, boolean]} Ref to attach, and whether the element has been revealed.
+ */
+export default function useReveal({ threshold = 0.15, rootMargin = '0px 0px -10% 0px' } = {}) {
+  const ref = useRef(null);
+  // Starts hidden everywhere (also in pre-rendered HTML, see index.html for the no-JS case),
+  // so the first render in the browser matches the markup it hydrates
+  const [revealed, setRevealed] = useState(false);
+
+  useEffect(() => {
+    if (revealed || !ref.current) return;
+    if (typeof IntersectionObserver === 'undefined' || prefersReducedMotion()) {
+      setRevealed(true);
+      return;
+    }
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setRevealed(true);
+        observer.disconnect();
+      }
+    }, { threshold, rootMargin });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [revealed, threshold, rootMargin]);
+
+  return [ref, revealed];
+}
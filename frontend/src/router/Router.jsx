@@ -0,0 +1,142 @@
+// frontend/src/router/Router.jsx
+import React, { useState, useEffect, useRef, useCallback, useMemo, startTransition } from "react";
+import { RouterContext, parseLocation, useRouter } from "./router";
+
+/**
+ * Router, Link, NavLink and ScrollRestoration: client-side navigation for the public site.
+ *
+ * <Link> clicks push a history entry instead of loading a new document, and Back/Forward
+ * (popstate) update the location too. Navigations run as transitions, so the current page
+ * stays on screen while the next page's code chunk loads. Scroll positions are remembered
+ * per history entry and put back by <ScrollRestoration> when the visitor returns to one.
+ */
+
+/**
+ * readWindowLocation: The browser's current address as a router location.
+ * @param {boolean} pop - Whether it was reached with Back/Forward.
+ */
+function readWindowLocation(pop) {
+  return {
+    ...parseLocation(window.location.href),
+    // Entries created by navigate() carry a key; the page the visitor landed on has none
+    key: window.history.state?.key || 'initial',
+    pop,
+  };
+}
+
+/**
+ * Router Component: Tracks the address and provides it (with navigate) to useRouter().
+ * @param {object} props - Component props.
+ * @param {string} [props.location] - Path to render instead of the browser's address (pre-rendering).
+ * @param {React.ReactNode} props.children - The app.
+ */
+export function Router({ location: staticLocation, children }) {
+  const [location, setLocation] = useState(() => (staticLocation
+    ? { ...parseLocation(staticLocation), key: 'initial', pop: false }
+    : readWindowLocation(false)));
+  // Scroll position of each history entry the visitor left, by key
+  const scrollPositions = useRef(new Map());
+  // Location being shown, for the popstate listener
+  const currentRef = useRef(location);
+
+  useEffect(() => {
+    currentRef.current = location;
+  }, [location]);
+
+  // Back/Forward. The browser's own scroll restoration is off: it would jump before the page
+  // being returned to has rendered.
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+    const handlePopState = () => {
+      scrollPositions.current.set(currentRef.current.key, window.scrollY);
+      startTransition(() => setLocation(readWindowLocation(true)));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  /**
+   * navigate: Goes to another page of the site without reloading.
+   * @param {string} to - E.g. "/pricing" or "/#features".
+   * @param {{ replace?: boolean }} [options] - replace: swap the current history entry instead of adding one.
+   */
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const next = parseLocation(to, window.location.href);
+    const key = Math.random().toString(36).slice(2, 10);
+    scrollPositions.current.set(currentRef.current.key, window.scrollY);
+    window.history[replace ? 'replaceState' : 'pushState']({ key }, '', next.pathname + next.search + next.hash);
+    startTransition(() => setLocation({ ...next, key, pop: false }));
+  }, []);
+
+  const value = useMemo(() => ({ location, navigate, scrollPositions }), [location, navigate]);
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
+
+/**
+ * ScrollRestoration Component: Scrolls after each navigation: back to where the visitor was
+ * for Back/Forward, to the #hash target, or to the top of a new page.
+ * Render it next to the page inside the same <Suspense> boundary, so it runs once the page's
+ * chunk has loaded and the target exists.
+ */
+export function ScrollRestoration() {
+  const { location, scrollPositions } = useRouter();
+
+  useEffect(() => {
+    if (location.pop) {
+      window.scrollTo(0, scrollPositions.current.get(location.key) || 0);
+      return;
+    }
+    const target = location.hash && document.getElementById(location.hash.slice(1));
+    if (target) {
+      target.scrollIntoView();
+    } else if (location.key !== 'initial') {
+      window.scrollTo(0, 0);
+    }
+  }, [location, scrollPositions]);
+
+  return null;
+}
+
+/**
+ * Link Component: An <a> that navigates within the site without reloading. Modified clicks
+ * (new tab, download, ...) and target="_blank" links are left to the browser.
+ * @param {object} props - Anchor props.
+ * @param {string} props.to - Site path, e.g. "/docs".
+ */
+export function Link({ to, onClick, children, ...rest }) {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || rest.target) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return <a {...rest} href={to} onClick={handleClick}>{children}</a>;
+}
+
+/**
+ * NavLink Component: A <Link> marked with aria-current="page" and the `nav-link-active`
+ * class while its page (or, unless `end` is set, a page below it) is showing.
+ * @param {object} props - Link props.
+ * @param {string} props.to - Site path, e.g. "/docs".
+ * @param {boolean} [props.end] - Only active on exactly this path.
+ */
+export function NavLink({ to, end = false, className = '', ...rest }) {
+  const { location } = useRouter();
+  const { pathname } = parseLocation(to);
+  const active = location.pathname === pathname
+    || (!end && pathname !== '/' && location.pathname.startsWith(`${pathname}/`));
+
+  return (
+    <Link
+      {...rest}
+      to={to}
+      className={`${className}${active ? ' nav-link-active' : ''}`}
+      aria-current={active ? 'page' : undefined}
+    />
+  );
+}
@@ -0,0 +1,52 @@
+// frontend/src/router/router.js
+// Client-side routing for the public site. The pages and their paths are listed in
+// src/routes.js; <Router>, <Link> and <NavLink> live in Router.jsx.
+
+import { createContext, useContext } from "react";
+
+export const RouterContext = createContext(null);
+
+/**
+ * useRouter: The current location and navigate(to, { replace }), from the nearest <Router>.
+ * @returns {{ location: { pathname: string, search: string, hash: string, key: string, pop: boolean }, navigate: function }}
+ */
+export function useRouter() {
+  return useContext(RouterContext);
+}
+
+/**
+ * normalizePath: Drops a trailing slash, so "/pricing/" and "/pricing" are the same page.
+ * @param {string} pathname - E.g. "/docs/".
+ * @returns {string} E.g. "/docs".
+ */
+export function normalizePath(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') || '/' : pathname;
+}
+
+/**
+ * parseLocation: Splits an address into the parts the router tracks.
+ * @param {string} href - Absolute or relative, e.g. "/docs/billing?x=1#gst".
+ * @param {string} [base] - Address relative links are resolved against.
+ * @returns {{ pathname: string, search: string, hash: string }}
+ */
+export function parseLocation(href, base = 'http://localhost') {
+  const url = new URL(href, base);
+  return { pathname: normalizePath(url.pathname), search: url.search, hash: url.hash };
+}
+
+/**
+ * matchPath: Matches a path against a route pattern. Patterns are exact paths, or end in
+ * "/*" to also match everything below them: "/docs/*" matches "/docs" and "/docs/billing".
+ * @param {string} pattern - Route pattern from routes.js.
+ * @param {string} pathname - Normalized path (see normalizePath).
+ * @returns {object|null} Params ({ '*': "billing" } for the example above), or null when it doesn't match.
+ */
+export function matchPath(pattern, pathname) {
+  if (!pattern.endsWith('/*')) {
+    return pattern === pathname ? {} : null;
+  }
+  const base = pattern.slice(0, -2);
+  if (pathname === base) return { '*': '' };
+  if (pathname.startsWith(`${base}/`)) return { '*': pathname.slice(base.length + 1) };
+  return null;
+}
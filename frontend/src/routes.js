@@ -0,0 +1,34 @@
+// frontend/src/routes.js
+// Pages of the public site. Each page is its own code chunk, loaded the first time it's
+// visited (React.lazy); App.jsx renders the one matching the address.
+// `name` is used for analytics page views and the page title (pages/meta.js).
+// Paths listed here are also pre-rendered at build time (see entry-server.jsx).
+
+import { lazy } from "react";
+import { matchPath, normalizePath } from "./router/router";
+
+export const ROUTES = [
+  { path: '/', name: 'landing', page: lazy(() => import('./pages/HomePage.jsx')) },
+  { path: '/smartbill', name: 'smartbill', page: lazy(() => import('./pages/SmartBillPage.jsx')) },
+  { path: '/pricing', name: 'pricing', page: lazy(() => import('./pages/PricingPage.jsx')) },
+  { path: '/docs/*', name: 'docs', page: lazy(() => import('./pages/DocsPage.jsx')) },
+  { path: '/contact', name: 'contact', page: lazy(() => import('./pages/ContactPage.jsx')) },
+  { path: '/privacy', name: 'privacy', page: lazy(() => import('./pages/PrivacyPage.jsx')) },
+];
+
+// Shown for any other path
+export const NOT_FOUND_ROUTE = { name: 'not-found', page: lazy(() => import('./pages/NotFoundPage.jsx')) };
+
+/**
+ * matchRoute: The page for a path, with its params (see matchPath in router/router.js).
+ * @param {string} pathname - E.g. "/docs/billing-and-gst".
+ * @returns {{ route: object, params: object }}
+ */
+export function matchRoute(pathname) {
+  const path = normalizePath(pathname);
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return { route: NOT_FOUND_ROUTE, params: {} };
+}
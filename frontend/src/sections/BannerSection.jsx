@@ -0,0 +1,30 @@
+// frontend/src/sections/BannerSection.jsx
+import React from "react";
+import { Link } from "../router/Router.jsx";
+
+/**
+ * BannerSection Component: The "coming soon" strip announcing AI SmartBill.
+ * @param {object} props - Component props.
+ * @param {object} props.content - Banner copy (content.banner from useContent).
+ * @param {function} props.onWaitlist - Opens the waitlist dialog; called with 'banner'.
+ */
+export default function BannerSection({ content, onWaitlist }) {
+  return (
+    <section className="max-w-7xl mx-auto px-6 -mt-4" aria-labelledby="banner-title" data-analytics-section="banner">
+      <div className="rounded-lg p-4 bg-gradient-to-r from-indigo-800/40 to-pink-800/20 border border-white/5 backdrop-blur-sm flex flex-col md:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="w-12 h-12 rounded-lg bg-gradient-to-r from-yellow-400 to-orange-400 flex items-center justify-center text-black font-bold" aria-hidden="true">🔥</div>
+          <div>
+            <div className="text-sm text-yellow-300 font-semibold">{content.eyebrow}</div>
+            <div id="banner-title" className="text-lg font-bold">{content.title}</div>
+            <div className="text-sm text-slate-300 mt-1 max-w-xl">{content.text}</div>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <button className="px-4 py-2 rounded-md bg-white text-black font-semibold shadow" onClick={() => onWaitlist('banner')}>{content.ctaLabel}</button>
+          <Link className="text-sm text-slate-300 underline" to="/smartbill">{content.linkLabel}</Link>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,336 @@
+// frontend/src/sections/ContactSection.jsx
+import React, { useState, useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import { getContactToken, submitContact } from "../api/endpoints";
+import { loadDraft, saveDraft } from "../contact/draft"; // Contact form autosave
+import { createIdempotencyKey } from "../contact/outbox";
+import useAttachments from "../contact/useAttachments"; // Files uploaded with the message
+import AttachmentDropzone from "../components/AttachmentDropzone";
+import useFormTracking from "../analytics/useFormTracking";
+import { CONTACT_PHONE } from "../site";
+import { PRIVACY_POLICY_VERSION } from "../privacy/policy";
+import { Link } from "../router/Router.jsx";
+
+/**
+ * fetchFormToken: Asks the backend for a signed anti-spam form token.
+ * The backend rejects submissions without a token, or ones sent too quickly after it was issued.
+ * @returns {Promise<string|null>} The token, or null if the backend couldn't be reached.
+ */
+async function fetchFormToken() {
+  try {
+    return (await getContactToken()) || null;
+  } catch (error) {
+    console.error('Error fetching contact form token:', error);
+    return null;
+  }
+}
+
+/**
+ * describeRetryAfter: Turns a Retry-After value (in seconds) into friendly text.
+ * @param {number} seconds - Seconds until the backend accepts another submission.
+ * @param {function} t - Translate function from useI18n.
+ * @returns {string} E.g. "about 2 minutes".
+ */
+function describeRetryAfter(seconds, t) {
+  if (seconds < 60) {
+    return t('time.seconds', { count: seconds });
+  }
+  return t('time.minutes', { count: Math.ceil(seconds / 60) });
+}
+
+/**
+ * ContactSection Component: Contact details and the contact form.
+ *
+ * The form submits to the backend (through the API client in api/) and autosaves a draft;
+ * a plan chosen on the pricing page arrives through that draft. Attached files are uploaded as
+ * soon as they are picked and sent as a list of ids with the message. Messages sent while offline
+ * wait in the outbox, which App keeps running on every page (see contact/useContactOutbox.js).
+ * @param {object} props - Component props.
+ * @param {object} props.content - Footer copy (content.footer from useContent).
+ * @param {object} props.outbox - From App: { pending, queue, delivery, clearDelivery }, where
+ *   delivery is the last { entry, result } reported by the outbox, not yet shown in the form.
+ */
+export default function ContactSection({ content, outbox }) {
+  const { locale, t } = useI18n();
+  // State variables for the contact form's email and message inputs
+  const [contactEmail, setContactEmail] = useState('');
+  const [contactMessage, setContactMessage] = useState('');
+  // State for managing loading status during form submission
+  const [contactLoading, setContactLoading] = useState(false);
+  // Outcome of the last submission: true, false, 'queued' (saved offline, sent later) or null
+  const [contactSuccess, setContactSuccess] = useState(null);
+  // State to store feedback message for the user after form submission
+  const [contactFeedback, setContactFeedback] = useState('');
+  // Per-field validation errors returned by the backend, e.g. { email: "Email must be ..." }
+  const [contactErrors, setContactErrors] = useState({});
+  // Anti-spam: signed form token from the backend and the hidden honeypot field (should stay empty)
+  const [formToken, setFormToken] = useState(null);
+  const [contactHoneypot, setContactHoneypot] = useState('');
+  // Plan the inquiry is about, set by a pricing card's "Choose": { id, name, billingPeriod } or null
+  const [contactPlan, setContactPlan] = useState(null);
+  // Agreement to the privacy policy; sent with the policy version, so the lead records what was agreed to
+  const [contactConsent, setContactConsent] = useState(false);
+  // Project briefs, screenshots...: uploaded right away, sent with the message as ids
+  const contactAttachments = useAttachments(formToken);
+  // Analytics: the contact form's start/abandon/submit funnel
+  const contactTracking = useFormTracking('contact');
+  const { delivery, clearDelivery } = outbox;
+
+  // Restore the draft autosaved on an earlier visit. Done after mounting rather than in the
+  // initial state, so the first render matches the pre-rendered (empty) form.
+  useEffect(() => {
+    const draft = loadDraft();
+    setContactEmail(draft.email);
+    setContactMessage(draft.message);
+    setContactPlan(draft.plan);
+  }, []);
+
+  // Autosave the form as a draft (debounced), so a reload or closed tab doesn't lose the message
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveDraft({ email: contactEmail, message: contactMessage, plan: contactPlan });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [contactEmail, contactMessage, contactPlan]);
+
+  // Fetch an anti-spam form token once when the form appears
+  useEffect(() => {
+    fetchFormToken().then(setFormToken);
+  }, []);
+
+  // Report on a message from the offline outbox once it was sent, or rejected by the backend,
+  // in which case it goes back into the form to be fixed
+  useEffect(() => {
+    if (!delivery) return;
+    const { entry, result } = delivery;
+    if (result.outcome === 'sent') {
+      setContactSuccess(true);
+      setContactFeedback(t('contact.queuedSent'));
+    } else {
+      setContactSuccess(false);
+      setContactFeedback(t('contact.queuedFailed', { message: result.message || t('contact.genericError') }));
+      setContactEmail((current) => current || entry.body.email);
+      setContactMessage((current) => current || entry.body.message);
+    }
+    clearDelivery();
+  }, [delivery, clearDelivery, t]);
+
+  /**
+   * handleContactSubmit: Asynchronous function to handle the contact form submission.
+   * @param {Event} e - The submit event from the form.
+   */
+  const handleContactSubmit = async (e) => {
+    e.preventDefault(); // Prevent the browser's default form submission (which causes a page reload)
+
+    // Every attachment must be on the backend before the message can refer to it
+    if (contactAttachments.uploading || contactAttachments.failed) {
+      setContactSuccess(false);
+      setContactFeedback(t(contactAttachments.uploading ? 'contact.waitForUploads' : 'contact.removeFailedFiles'));
+      return;
+    }
+
+    // Reset feedback states before starting a new submission
+    setContactLoading(true);
+    setContactSuccess(null);
+    setContactFeedback('');
+    setContactErrors({});
+
+    // The form data, including the anti-spam fields
+    const submission = {
+      email: contactEmail,
+      message: contactMessage,
+      formToken,
+      website: contactHoneypot,
+      consent: contactConsent ? 'true' : '',
+      privacyPolicyVersion: PRIVACY_POLICY_VERSION,
+      // Plan inquiries started from a pricing card
+      ...(contactPlan && { plan: contactPlan.id, billingPeriod: contactPlan.billingPeriod || undefined }),
+      ...(contactAttachments.ids.length > 0 && { attachments: contactAttachments.ids }),
+    };
+    // Identifies this message, so sending it again from the outbox can't create a duplicate lead
+    const idempotencyKey = createIdempotencyKey();
+
+    /**
+     * Saves the message in the offline outbox and clears the form. Returns false when the
+     * browser can't store it (e.g. IndexedDB is disabled), so the form must be kept.
+     */
+    const queueOffline = async () => {
+      try {
+        await outbox.queue(idempotencyKey, submission, locale);
+      } catch (error) {
+        console.error('Error queueing contact message:', error);
+        return false;
+      }
+      contactTracking.submitted();
+      setContactSuccess('queued');
+      setContactFeedback(t('contact.queued'));
+      setContactEmail('');
+      setContactMessage('');
+      setContactPlan(null);
+      setContactConsent(false);
+      contactAttachments.clear();
+      return true;
+    };
+
+    try {
+      // Known to be offline: don't wait for the request to fail
+      if (!navigator.onLine && await queueOffline()) {
+        return;
+      }
+
+      // Send the form to the backend. It answers (message and field errors) in the page's language.
+      const result = await submitContact(submission, { locale, idempotencyKey });
+
+      setContactSuccess(true); // Mark as success
+      contactTracking.submitted();
+      setContactFeedback(result.message); // Set success message from backend
+      // Clear the form fields after a successful submission
+      setContactEmail('');
+      setContactMessage('');
+      setContactPlan(null);
+      setContactConsent(false);
+      contactAttachments.clear();
+      // Tokens are meant for a single form fill, so get a fresh one for the next message
+      fetchFormToken().then(setFormToken);
+    } catch (error) {
+      setContactSuccess(false); // Mark as failure
+      if (error.status === 429) {
+        // Rate limited: explain how long to wait instead of a generic failure
+        setContactFeedback(error.retryAfter > 0
+          ? t('contact.retryIn', { message: error.data.message || t('contact.tooMany'), wait: describeRetryAfter(error.retryAfter, t) })
+          : error.data.message || t('contact.tooMany'));
+      } else if (error.status) {
+        // An error from the backend (e.g., 400 Bad Request) with its message
+        setContactFeedback(error.data.message || t('contact.genericError'));
+        // Show validation errors under the matching inputs
+        setContactErrors(error.errors);
+        // An expired or missing token can't be retried, so fetch a new one
+        if (error.data.reason && error.data.reason !== 'too_fast') {
+          fetchFormToken().then(setFormToken);
+        }
+      } else if (!(await queueOffline())) {
+        // No response (e.g., offline, backend server is not running, or the request timed out):
+        // the message waits in the outbox; only if that failed too is it an error
+        setContactFeedback(t('contact.networkError'));
+      }
+    } finally {
+      // Always set loading to false after the fetch operation completes
+      setContactLoading(false);
+    }
+  };
+
+  return (
+    <section id="contact" className="max-w-7xl mx-auto px-6 py-12" aria-labelledby="contact-title" data-analytics-section="contact">
+      <div className="flex flex-col md:flex-row items-start justify-between gap-8">
+        <div>
+          <h1 id="contact-title" className="text-xl font-semibold">{content.heading}</h1>
+          <div className="mt-2 text-slate-400 max-w-md">{content.text}</div>
+          <div className="mt-2 text-slate-400">
+            {t('contact.phone')} <a className="underline" href={CONTACT_PHONE.href}>{CONTACT_PHONE.display}</a>
+          </div>
+        </div>
+
+        {/* Contact Form with React state and submission logic */}
+        <form className="w-full md:w-96 bg-slate-900/30 p-6 rounded-xl border border-white/3" onSubmit={handleContactSubmit}>
+          {/* Plan chosen on the pricing page, sent along with the inquiry */}
+          {contactPlan && (
+            <div className="plan-chip text-sm">
+              <span>{t('contact.inquiryAbout')} <strong>{contactPlan.name}</strong>{contactPlan.billingPeriod && ` (${t(`pricing.${contactPlan.billingPeriod}`)})`}</span>
+              <button type="button" className="modal-close text-slate-400" aria-label={t('contact.removePlan')} onClick={() => setContactPlan(null)}>✕</button>
+            </div>
+          )}
+          <label htmlFor="contact-email" className="text-xs text-slate-400">{t('contact.email')}</label>
+          <input
+            id="contact-email"
+            type="email"
+            className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+            placeholder={t('contact.emailPlaceholder')}
+            value={contactEmail}
+            onChange={(e) => {
+              setContactEmail(e.target.value);
+              contactTracking.started();
+            }}
+            aria-invalid={Boolean(contactErrors.email)}
+            aria-describedby={contactErrors.email ? 'contact-email-error' : undefined}
+            required
+          />
+          {contactErrors.email && (
+            <span id="contact-email-error" className="text-xs text-red-400 mt-1 block">{contactErrors.email}</span>
+          )}
+          <label htmlFor="contact-message" className="text-xs text-slate-400 mt-4 block">{t('contact.message')}</label>
+          <textarea
+            id="contact-message"
+            className="mt-2 w-full p-3 rounded-md bg-transparent border border-white/6 text-slate-100"
+            rows={4}
+            placeholder={t('contact.messagePlaceholder')}
+            value={contactMessage}
+            onChange={(e) => {
+              setContactMessage(e.target.value);
+              contactTracking.started();
+            }}
+            aria-invalid={Boolean(contactErrors.message)}
+            aria-describedby={contactErrors.message ? 'contact-message-error' : undefined}
+            required
+          />
+          {contactErrors.message && (
+            <span id="contact-message-error" className="text-xs text-red-400 mt-1 block">{contactErrors.message}</span>
+          )}
+          <AttachmentDropzone attachments={contactAttachments} error={contactErrors.attachments} disabled={contactLoading} />
+          <label className="privacy-option text-xs text-slate-400 mt-4">
+            <input
+              type="checkbox"
+              checked={contactConsent}
+              onChange={(e) => setContactConsent(e.target.checked)}
+              aria-invalid={Boolean(contactErrors.consent)}
+              aria-describedby={contactErrors.consent ? 'contact-consent-error' : undefined}
+              required
+            />
+            <span>
+              {t('contact.consent')} <Link className="underline hover:text-white" to="/privacy">{t('contact.readPolicy')}</Link>
+            </span>
+          </label>
+          {contactErrors.consent && (
+            <span id="contact-consent-error" className="text-xs text-red-400 mt-1 block">{contactErrors.consent}</span>
+          )}
+          {/* Honeypot: hidden from people and screen readers; bots that fill it are ignored by the backend */}
+          <div className="honeypot" aria-hidden="true">
+            <label htmlFor="contact-website">Website</label>
+            <input
+              id="contact-website"
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              value={contactHoneypot}
+              onChange={(e) => setContactHoneypot(e.target.value)}
+            />
+          </div>
+          <div className="mt-4 flex justify-end items-center">
+            {/* Sending / outcome text, announced by screen readers as it changes */}
+            <div role="status" aria-live="polite">
+              {contactLoading && <span className="text-slate-400 text-sm mr-3">{t('contact.sending')}</span>}
+              {contactFeedback && (
+                <span className={`text-sm mr-3 ${contactSuccess === 'queued' ? 'text-yellow-300' : contactSuccess ? 'text-green-400' : 'text-red-400'}`}>
+                  {contactFeedback}
+                </span>
+              )}
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold"
+              disabled={contactLoading}
+            >
+              {t('contact.send')}
+            </button>
+          </div>
+          {/* Messages saved while offline, sent automatically once the connection is back */}
+          <div role="status" aria-live="polite">
+            {outbox.pending > 0 && (
+              <div className="mt-2 text-xs text-yellow-300 text-right">{t('contact.waiting', { count: outbox.pending })}</div>
+            )}
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+}
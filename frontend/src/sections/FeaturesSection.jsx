@@ -0,0 +1,44 @@
+// frontend/src/sections/FeaturesSection.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import { RevealGroup } from "../components/Reveal.jsx";
+
+/**
+ * FeatureCard Component: Highlights a key product feature.
+ * Includes a subtle lift animation on hover using CSS transitions.
+ * @param {object} props - Component props.
+ * @param {string} props.title - The title of the feature.
+ * @param {string} props.desc - A brief description of the feature.
+ * @param {string} props.icon - An emoji or character for the feature icon.
+ */
+function FeatureCard({ title, desc, icon }) {
+  return (
+    <div
+      className="rounded-2xl p-6 bg-gradient-to-br from-slate-900/50 to-slate-800/40 border border-white/5 shadow-lg
+                 transition-transform duration-300 hover:-translate-y-1.5"
+    >
+      <div className="text-3xl" aria-hidden="true">{icon}</div>
+      <div className="mt-4 font-semibold text-lg">{title}</div>
+      <div className="mt-2 text-slate-400">{desc}</div>
+    </div>
+  );
+}
+
+/**
+ * FeaturesSection Component: Grid of feature cards.
+ * @param {object} props - Component props.
+ * @param {object} props.content - Feature copy (content.features from useContent).
+ */
+export default function FeaturesSection({ content }) {
+  const { t } = useI18n();
+
+  return (
+    <section id="features" className="max-w-7xl mx-auto px-6 py-16" aria-label={t('nav.features')} data-analytics-section="features">
+      <RevealGroup className="grid md:grid-cols-3 gap-8">
+        {content.items.map((feature) => (
+          <FeatureCard key={feature.title} title={feature.title} desc={feature.desc} icon={feature.icon} />
+        ))}
+      </RevealGroup>
+    </section>
+  );
+}
@@ -0,0 +1,99 @@
+// frontend/src/sections/HeroSection.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import { Reveal } from "../components/Reveal.jsx";
+import { Link } from "../router/Router.jsx";
+
+/**
+ * Stat Component: Displays a key metric.
+ * @param {object} props - Component props.
+ * @param {string} props.title - The title of the statistic (e.g., "Uptime").
+ * @param {string} props.value - The value of the statistic (e.g., "99.99%").
+ */
+function Stat({ title, value }) {
+  return (
+    <div className="rounded-lg p-3 bg-slate-800/40 border border-white/5">
+      <div className="text-xs text-slate-400">{title}</div>
+      <div className="text-xl font-bold">{value}</div>
+    </div>
+  );
+}
+
+/**
+ * HeroSection Component: Headline, calls to action, key stats and the dashboard mockup.
+ * @param {object} props - Component props.
+ * @param {object} props.content - Page copy from useContent (uses hero and stats).
+ * @param {function} props.onDemo - Opens the demo booking dialog; called with the CTA's analytics name.
+ */
+export default function HeroSection({ content, onDemo }) {
+  const { t } = useI18n();
+
+  return (
+    <section className="max-w-7xl mx-auto px-6 py-12 flex flex-col md:flex-row items-center gap-10" aria-labelledby="hero-title" data-analytics-section="hero">
+      <Reveal className="flex-1" preset="slide-right">
+        <h1 id="hero-title" className="text-4xl md:text-6xl font-extrabold leading-tight">
+          {content.hero.title}
+          <span className="bg-clip-text text-transparent bg-gradient-to-r from-indigo-400 to-pink-400"> {content.hero.highlight}</span>
+        </h1>
+        <p className="mt-6 text-lg text-slate-300 max-w-xl">{content.hero.subtitle}</p>
+
+        <div className="mt-8 flex gap-4">
+          <button className="px-6 py-3 rounded-lg bg-white text-black font-semibold shadow-xl" onClick={() => onDemo('hero-demo')}>{content.hero.primaryCtaLabel}</button>
+          <Link className="link-button px-6 py-3 rounded-lg border border-slate-700 text-slate-200" to="/docs">{content.hero.secondaryCtaLabel}</Link>
+        </div>
+
+        <div className="mt-8 grid grid-cols-2 gap-4 max-w-md">
+          {content.stats.items.map((stat) => (
+            <Stat key={stat.label} title={stat.label} value={stat.value} />
+          ))}
+        </div>
+      </Reveal>
+
+      {/* UI Mockup (decorative, so hidden from screen readers) */}
+      <Reveal className="flex-1" preset="zoom" delay={200} aria-hidden="true">
+        <div className="relative w-full max-w-xl mx-auto">
+          <div className="rounded-3xl p-6 bg-gradient-to-tr from-[#0f172a]/60 to-[#021126]/40 backdrop-blur-sm border border-white/5 shadow-2xl">
+            {/* top bar */}
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <span className="w-3 h-3 bg-red-500 rounded-full" />
+                <span className="w-3 h-3 bg-yellow-400 rounded-full" />
+                <span className="w-3 h-3 bg-green-400 rounded-full" />
+              </div>
+              <div className="text-xs text-slate-400">{t('mockup.dashboard')}</div>
+            </div>
+
+            {/* animated chart */}
+            <Reveal className="h-44 w-full rounded-lg bg-gradient-to-b from-slate-800/40 to-transparent p-4 flex flex-col justify-between" delay={400}>
+              <div className="flex items-center justify-between">
+                <div className="text-sm text-slate-300 font-medium">{t('mockup.revenue')}</div>
+                <div className="text-sm text-slate-400">{t('mockup.monthly')}</div>
+              </div>
+              <svg viewBox="0 0 120 40" className="w-full h-28">
+                <defs>
+                  <linearGradient id="g1" x1="0" x2="1">
+                    <stop offset="0%" stopColor="#7c3aed" />
+                    <stop offset="100%" stopColor="#ec4899" />
+                  </linearGradient>
+                </defs>
+                <path d="M0 30 L15 20 L30 22 L45 12 L60 16 L75 8 L90 16 L105 10 L120 6" fill="none" stroke="url(#g1)" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+              </svg>
+
+              <div className="flex items-center justify-between text-xs text-slate-400">
+                <div>{t('mockup.low')}</div>
+                <div>{t('mockup.high')}</div>
+              </div>
+            </Reveal>
+          </div>
+          {/* floating card */}
+          <div
+            className="absolute -bottom-6 right-6 w-44 rounded-xl p-4 bg-gradient-to-br from-indigo-600/20 to-pink-600/12 border border-white/5 shadow-lg floating-card-animate"
+          >
+            <div className="text-xs text-slate-300">{content.stats.highlight.label}</div>
+            <div className="text-2xl font-bold">{content.stats.highlight.value}</div>
+          </div>
+        </div>
+      </Reveal>
+    </section>
+  );
+}
@@ -0,0 +1,145 @@
+// frontend/src/sections/PricingSection.jsx
+import React, { useState, useEffect } from "react";
+import { useI18n } from "../i18n/i18n";
+import { getPlans } from "../api/endpoints";
+import { loadDraft, saveDraft } from "../contact/draft";
+import { track } from "../analytics/tracker";
+import { RevealGroup } from "../components/Reveal.jsx";
+import { Link } from "../router/Router.jsx";
+import { useRouter } from "../router/router";
+
+/**
+ * PriceCard Component: Displays details for a pricing plan.
+ * Can be styled as 'featured' to stand out.
+ * Includes a subtle lift animation on hover using CSS transitions.
+ * @param {object} props - Component props.
+ * @param {object} props.plan - A plan from GET /plans ({ name, currency, featured, customPricing, periods, benefits }).
+ * @param {'monthly'|'yearly'} props.billingPeriod - Which price to show.
+ * @param {function} props.onChoose - Called with the plan when "Choose" is clicked.
+ */
+function PriceCard({ plan, billingPeriod, onChoose }) {
+  const { t, formatCurrency, formatNumber } = useI18n();
+  const featuredClasses = plan.featured
+    ? "bg-gradient-to-br from-indigo-700 to-pink-600 shadow-2xl text-white"
+    : "bg-slate-800/30";
+  const buttonClasses = plan.featured
+    ? "bg-white text-black font-semibold"
+    : "bg-gradient-to-r from-indigo-500 to-pink-500 text-white";
+  const price = plan.customPricing ? null : plan.periods[billingPeriod];
+
+  return (
+    <div
+      className={`rounded-2xl p-6 ${featuredClasses} border border-white/5
+                 transition-transform duration-300 hover:-translate-y-2`}
+    >
+      <div className="flex items-center justify-between">
+        <div className="font-semibold text-lg">{plan.name}</div>
+        <div className="text-xl font-bold">
+          {price
+            ? <>{formatCurrency(price.amount, plan.currency)}<span className="text-sm font-semibold">{t(billingPeriod === 'yearly' ? 'pricing.perYear' : 'pricing.perMonth')}</span></>
+            : t('pricing.customPrice')}
+        </div>
+      </div>
+      {/* Yearly billing: show the monthly equivalent and how much is saved */}
+      {price && billingPeriod === 'yearly' && (
+        <div className="mt-1 text-sm text-slate-300">
+          {t('pricing.billedYearly', { price: formatCurrency(price.monthlyEquivalent, plan.currency) })}
+          {price.discountPercent > 0 && (
+            <span className="price-badge">{t('pricing.save', { percent: formatNumber(price.discountPercent / 100, { style: 'percent' }) })}</span>
+          )}
+        </div>
+      )}
+      <ul className="mt-4 text-slate-300 space-y-2">
+        {plan.benefits.map((b) => (
+          <li key={b} className="text-sm">• {b}</li>
+        ))}
+      </ul>
+      <div className="mt-6">
+        <button className={`w-full py-3 rounded-md ${buttonClasses}`} onClick={() => onChoose(plan)}>{t('pricing.choose')}</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PricingSection Component: Plan cards from the backend (GET /plans) with a monthly/yearly toggle.
+ * @param {object} props - Component props.
+ * @param {object[]|null} [props.initialPlans] - Plans the page was pre-rendered with; refreshed on load.
+ */
+export default function PricingSection({ initialPlans = null }) {
+  const { locale, t } = useI18n();
+  const { navigate } = useRouter();
+  // Pricing plans from the backend (null while loading), a load error, and the billing period shown
+  const [plans, setPlans] = useState(initialPlans);
+  const [plansError, setPlansError] = useState(false);
+  const [billingPeriod, setBillingPeriod] = useState('yearly');
+
+  // Load the pricing plans when the section mounts, and again in the new language when it changes
+  useEffect(() => {
+    const controller = new AbortController();
+    getPlans(locale, { signal: controller.signal })
+      .then(setPlans)
+      .catch((error) => {
+        if (error.code === 'aborted') return; // Superseded by the request for the new language
+        console.error('Error loading pricing plans:', error);
+        setPlansError(true);
+      });
+    return () => controller.abort();
+  }, [locale]);
+
+  /**
+   * handleChoosePlan: Starts an inquiry about a plan: saves it into the contact form's draft
+   * with a prefilled message (keeping any email already typed), then opens the contact page,
+   * so the visitor only adds their email.
+   * @param {object} plan - The chosen plan from GET /plans.
+   */
+  const handleChoosePlan = (plan) => {
+    const period = plan.customPricing ? null : billingPeriod;
+    track('cta_click', `plan-${plan.id}`);
+    saveDraft({
+      ...loadDraft(),
+      plan: { id: plan.id, name: plan.name, billingPeriod: period },
+      message: period
+        ? t('contact.planMessage', { plan: plan.name, period: t(`pricing.${period}`).toLowerCase() })
+        : t('contact.quoteMessage', { plan: plan.name }),
+    });
+    navigate('/contact');
+  };
+
+  return (
+    <section id="pricing" className="max-w-7xl mx-auto px-6 py-16" aria-labelledby="pricing-title" data-analytics-section="pricing">
+      <div className="pricing-header flex flex-col md:flex-row justify-between gap-4">
+        <h1 id="pricing-title" className="text-3xl font-semibold">{t('pricing.title')}</h1>
+        {/* Monthly / yearly toggle */}
+        <div className="billing-toggle" role="group" aria-label={t('pricing.billingPeriod')}>
+          {['monthly', 'yearly'].map((period) => (
+            <button
+              key={period}
+              type="button"
+              className={`billing-toggle-option${billingPeriod === period ? ' billing-toggle-option-active' : ''}`}
+              aria-pressed={billingPeriod === period}
+              onClick={() => setBillingPeriod(period)}
+            >
+              {t(`pricing.${period}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      {/* Plans come from the backend (GET /plans) */}
+      {plans && (
+        <RevealGroup className="mt-8 grid md:grid-cols-3 gap-6">
+          {plans.map((plan) => (
+            <PriceCard key={plan.id} plan={plan} billingPeriod={billingPeriod} onChoose={handleChoosePlan} />
+          ))}
+        </RevealGroup>
+      )}
+      {!plans && (
+        <p className="mt-8 text-slate-400">
+          {plansError
+            ? <>{t('pricing.unavailable')} <Link className="underline" to="/contact">{t('pricing.quoteLink')}</Link></>
+            : t('pricing.loading')}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,58 @@
+// frontend/src/sections/ProductSection.jsx
+import React from "react";
+import { useI18n } from "../i18n/i18n";
+import { Reveal } from "../components/Reveal.jsx";
+import SmartBillSimulator from "../components/SmartBillSimulator.jsx"; // Try-it-now billing counter
+
+/**
+ * ProductSection Component: The AI SmartBill spotlight, with the working demo counter.
+ * @param {object} props - Component props.
+ * @param {object} props.content - Spotlight copy (content.product from useContent).
+ * @param {function} props.onWaitlist - Opens the waitlist dialog; called with 'spotlight' or 'beta'.
+ * @param {string} [props.titleAs] - Heading element for the title: 'h1' when it's the page's main section.
+ */
+export default function ProductSection({ content, onWaitlist, titleAs = 'h2' }) {
+  const { t } = useI18n();
+  const Title = titleAs;
+
+  return (
+    <section id="product" className="max-w-7xl mx-auto px-6 py-12" aria-labelledby="product-title" data-analytics-section="product">
+      <div className="grid md:grid-cols-2 gap-8 items-center">
+        <div>
+          <Title id="product-title" className="text-3xl font-semibold">{content.title}</Title>
+          <p className="mt-4 text-lg text-slate-300 max-w-xl">{content.text}</p>
+
+          <ul className="mt-6 space-y-3">
+            {content.bullets.map((bullet) => (
+              <li key={bullet} className="flex items-start gap-3"><span className="text-indigo-400 font-bold">•</span> <span className="text-slate-300">{bullet}</span></li>
+            ))}
+          </ul>
+
+          <div className="mt-6 flex gap-4">
+            <button className="px-5 py-3 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 font-semibold" onClick={() => onWaitlist('spotlight')}>{content.primaryCtaLabel}</button>
+            <button className="px-5 py-3 rounded-md border border-white/10" onClick={() => onWaitlist('beta')}>{content.secondaryCtaLabel}</button>
+          </div>
+        </div>
+
+        {/* Animated pendrive mockup */}
+        <div className="relative w-full max-w-md mx-auto">
+          <Reveal className="rounded-2xl p-6 bg-gradient-to-br from-slate-800/50 to-slate-900/40 border border-white/6 shadow-2xl" preset="tilt">
+            <div className="flex items-center gap-4">
+              <div className="w-16 h-16 rounded-lg bg-gradient-to-r from-indigo-500 to-pink-500 flex items-center justify-center text-white font-bold">SB</div>
+              <div>
+                <div className="text-sm text-slate-300 font-semibold">AI SmartBill</div>
+                <div className="text-xs text-slate-400">{t('product.tagline')}</div>
+              </div>
+            </div>
+            <SmartBillSimulator />
+          </Reveal>
+          <div
+            className="absolute -bottom-6 left-6 w-32 rounded-md p-3 bg-gradient-to-br from-yellow-400/90 to-orange-400/80 text-black font-semibold shadow-lg plug-launch-animate"
+          >
+            {t('product.plugToLaunch')}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
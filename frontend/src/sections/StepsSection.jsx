@@ -0,0 +1,44 @@
+// frontend/src/sections/StepsSection.jsx
+import React from "react";
+import { RevealGroup } from "../components/Reveal.jsx";
+
+/**
+ * StepCard Component: Represents a step in a process.
+ * Includes a subtle scale animation on hover using CSS transitions.
+ * @param {object} props - Component props.
+ * @param {number} props.index - The step number.
+ * @param {string} props.title - The title of the step.
+ * @param {string} props.desc - A description of the step.
+ */
+function StepCard({ index, title, desc }) {
+  return (
+    <div
+      className="rounded-xl p-6 bg-slate-800/30 border border-white/5
+                 transition-transform duration-300 hover:scale-[1.02]"
+    >
+      <div className="w-10 h-10 rounded-md bg-gradient-to-r from-indigo-500 to-pink-500 flex items-center justify-center font-bold">{index}</div>
+      <div className="mt-4 font-semibold">{title}</div>
+      <div className="mt-2 text-slate-400">{desc}</div>
+    </div>
+  );
+}
+
+/**
+ * StepsSection Component: "How it works", our process in numbered steps.
+ * @param {object} props - Component props.
+ * @param {object} props.content - Steps copy (content.steps from useContent).
+ */
+export default function StepsSection({ content }) {
+  return (
+    <section id="work" className="max-w-7xl mx-auto px-6 py-12" aria-labelledby="work-title" data-analytics-section="work">
+      <h2 id="work-title" className="text-3xl font-semibold">{content.title}</h2>
+      <p className="mt-2 text-lg text-slate-300 max-w-2xl">{content.subtitle}</p>
+
+      <RevealGroup className="mt-8 grid md:grid-cols-3 gap-6">
+        {content.items.map((step, i) => (
+          <StepCard key={step.title} index={i + 1} title={step.title} desc={step.desc} />
+        ))}
+      </RevealGroup>
+    </section>
+  );
+}
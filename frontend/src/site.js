@@ -0,0 +1,7 @@
+// frontend/src/site.js
+// Company details used on the page and in the pre-rendered metadata (scripts/prerender.js).
+
+export const SITE_NAME = 'JR Tech Solutions';
+
+// Phone number shown in the contact section (kept out of the translated copy so it can be dialled)
+export const CONTACT_PHONE = { display: '+91 70360 86849', href: 'tel:+917036086849' };
@@ -0,0 +1,82 @@
+// frontend/src/smartbill/billing.js
+// Bill arithmetic for the SmartBill demo: line amounts, bill discount, GST split into
+// CGST + SGST per rate, and rounding to the nearest rupee as printed on Indian retail bills.
+//
+// Everything is computed in paise (integers) so totals never pick up floating-point cents.
+
+import { findProduct } from "./catalog";
+
+// Discounts the cashier can apply to the whole bill, in percent
+export const DISCOUNT_OPTIONS = [0, 5, 10];
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+const toRupees = (paise) => paise / 100;
+
+/**
+ * @typedef {object} BillLine
+ * @property {string} barcode
+ * @property {object} product - See catalog.js.
+ * @property {number} qty
+ * @property {number} amount - qty × price, in rupees.
+ */
+
+/**
+ * @typedef {object} Bill
+ * @property {BillLine[]} lines - Items in the order they were added.
+ * @property {number} itemCount - Total quantity.
+ * @property {number} subtotal - Before discount and tax.
+ * @property {number} discount - Bill discount amount.
+ * @property {{ rate: number, taxable: number, cgst: number, sgst: number }[]} taxes - Per GST rate, lowest first (0% omitted).
+ * @property {number} roundOff - Adjustment to a whole-rupee total (may be negative).
+ * @property {number} total - Amount payable.
+ */
+
+/**
+ * computeBill: Works out every figure of the bill. All amounts are in rupees.
+ *
+ * The discount is spread over the lines before tax, so GST is charged on the discounted
+ * price. Each rate's tax is split equally between CGST and SGST (intra-state sale).
+ * @param {{ barcode: string, qty: number }[]} items - Bill items; unknown barcodes are skipped.
+ * @param {number} discountPercent - One of DISCOUNT_OPTIONS.
+ * @returns {Bill}
+ */
+export function computeBill(items, discountPercent) {
+  const lines = [];
+  const taxableByRate = new Map();
+  let subtotal = 0;
+  let discount = 0;
+
+  for (const { barcode, qty } of items) {
+    const product = findProduct(barcode);
+    if (!product || qty <= 0) continue;
+    const amount = toPaise(product.price) * qty;
+    const lineDiscount = Math.round((amount * discountPercent) / 100);
+    subtotal += amount;
+    discount += lineDiscount;
+    taxableByRate.set(product.gstRate, (taxableByRate.get(product.gstRate) || 0) + amount - lineDiscount);
+    lines.push({ barcode, product, qty, amount: toRupees(amount) });
+  }
+
+  const taxes = [...taxableByRate.entries()]
+    .filter(([rate]) => rate > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxable]) => {
+      const tax = Math.round((taxable * rate) / 100);
+      const cgst = Math.round(tax / 2);
+      return { rate, taxable: toRupees(taxable), cgst: toRupees(cgst), sgst: toRupees(tax - cgst) };
+    });
+  const taxTotal = taxes.reduce((sum, t) => sum + toPaise(t.cgst) + toPaise(t.sgst), 0);
+
+  const exact = subtotal - discount + taxTotal;
+  const total = Math.round(exact / 100) * 100;
+
+  return {
+    lines,
+    itemCount: lines.reduce((sum, line) => sum + line.qty, 0),
+    subtotal: toRupees(subtotal),
+    discount: toRupees(discount),
+    taxes,
+    roundOff: toRupees(total - exact),
+    total: toRupees(total),
+  };
+}
@@ -0,0 +1,38 @@
+// frontend/src/smartbill/catalog.js
+// Sample kirana-store catalogue for the AI SmartBill demo counter.
+//
+// Prices are in rupees, before GST. Barcodes are valid EAN-13 codes with the Indian "890"
+// prefix but don't belong to real products, so printing one and scanning it works.
+
+/**
+ * @typedef {object} Product
+ * @property {string} barcode - EAN-13 code.
+ * @property {{ en: string, hi: string, te: string }} name - Display name per language.
+ * @property {number} price - Price per unit in rupees, before tax.
+ * @property {number} gstRate - GST rate in percent (0, 5, 12 or 18).
+ * @property {boolean} quickAdd - Shown as a one-tap button (loose or unlabelled items).
+ */
+
+/** @type {Product[]} */
+export const SAMPLE_CATALOG = [
+  { barcode: '8901000000019', name: { en: 'Toor dal 1 kg', hi: 'तूर दाल 1 किलो', te: 'కంది పప్పు 1 కిలో' }, price: 165, gstRate: 5, quickAdd: true },
+  { barcode: '8901000000026', name: { en: 'Basmati rice 1 kg', hi: 'बासमती चावल 1 किलो', te: 'బాస్మతి బియ్యం 1 కిలో' }, price: 120, gstRate: 5, quickAdd: true },
+  { barcode: '8901000000033', name: { en: 'Sunflower oil 1 L', hi: 'सूरजमुखी तेल 1 लीटर', te: 'సన్‌ఫ్లవర్ నూనె 1 లీ' }, price: 155, gstRate: 5, quickAdd: false },
+  { barcode: '8901000000040', name: { en: 'Tea powder 250 g', hi: 'चाय पत्ती 250 ग्राम', te: 'టీ పొడి 250 గ్రా' }, price: 140, gstRate: 5, quickAdd: false },
+  { barcode: '8901000000057', name: { en: 'Milk 500 ml', hi: 'दूध 500 मि.ली.', te: 'పాలు 500 మి.లీ' }, price: 30, gstRate: 0, quickAdd: true },
+  { barcode: '8901000000064', name: { en: 'Bath soap', hi: 'नहाने का साबुन', te: 'స్నానపు సబ్బు' }, price: 45, gstRate: 18, quickAdd: false },
+  { barcode: '8901000000071', name: { en: 'Toothpaste 150 g', hi: 'टूथपेस्ट 150 ग्राम', te: 'టూత్‌పేస్ట్ 150 గ్రా' }, price: 98, gstRate: 18, quickAdd: false },
+  { barcode: '8901000000088', name: { en: 'Biscuits', hi: 'बिस्किट', te: 'బిస్కెట్లు' }, price: 10, gstRate: 18, quickAdd: true },
+  { barcode: '8901000000095', name: { en: 'Namkeen 200 g', hi: 'नमकीन 200 ग्राम', te: 'మిక్చర్ 200 గ్రా' }, price: 50, gstRate: 12, quickAdd: true },
+  { barcode: '8901000000101', name: { en: 'Detergent 1 kg', hi: 'डिटर्जेंट 1 किलो', te: 'డిటర్జెంట్ 1 కిలో' }, price: 110, gstRate: 18, quickAdd: true },
+];
+
+/**
+ * findProduct: Looks up a product by barcode (spaces and dashes from manual entry are ignored).
+ * @param {string} barcode - Typed or scanned code.
+ * @returns {Product|null}
+ */
+export function findProduct(barcode) {
+  const code = String(barcode).replace(/[\s-]/g, '');
+  return SAMPLE_CATALOG.find((product) => product.barcode === code) || null;
+}
@@ -0,0 +1,37 @@
+// frontend/src/smartbill/demoStore.js
+// Keeps the SmartBill demo counter in IndexedDB, so a prospect's bill survives a reload.
+// Nothing is sent to the backend.
+
+import { idbStore } from "../lib/idb";
+
+const store = idbStore('jrtech-smartbill', 'demo');
+const STATE_KEY = 'counter';
+
+/**
+ * @typedef {object} DemoState
+ * @property {{ barcode: string, qty: number }[]} items - The open bill.
+ * @property {number} discountPercent - Bill discount.
+ * @property {number} nextBillNumber - Number printed on the next receipt.
+ * @property {object|null} lastReceipt - Last completed sale: { number, issuedAt, items, discountPercent }.
+ */
+
+/** @type {DemoState} */
+export const EMPTY_DEMO_STATE = { items: [], discountPercent: 0, nextBillNumber: 1, lastReceipt: null };
+
+/**
+ * loadDemoState: The saved counter, or an empty one.
+ * @returns {Promise<DemoState>}
+ */
+export async function loadDemoState() {
+  const saved = await store.get(STATE_KEY);
+  return saved ? { ...EMPTY_DEMO_STATE, ...saved } : EMPTY_DEMO_STATE;
+}
+
+/**
+ * saveDemoState: Stores the counter.
+ * @param {DemoState} state - Current state.
+ * @returns {Promise<void>}
+ */
+export function saveDemoState(state) {
+  return store.put(state, STATE_KEY);
+}
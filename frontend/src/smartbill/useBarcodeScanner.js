@@ -0,0 +1,61 @@
+// frontend/src/smartbill/useBarcodeScanner.js
+// Picks up keyboard-wedge barcode scanners: USB/Bluetooth scanners that "type" the code
+// followed by Enter, much faster than a person can.
+
+import { useEffect, useRef } from "react";
+
+// Keys further apart than this belong to a person typing, not a scanner
+const MAX_KEY_GAP_MS = 50;
+// Shortest code worth treating as a scan (EAN-8)
+const MIN_CODE_LENGTH = 8;
+
+/**
+ * Whether a key event is aimed at a form field, which handles its own input.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+  const target = event.target;
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * useBarcodeScanner: Calls onScan(code) when a scanner burst ending in Enter is typed anywhere
+ * on the page outside a form field (a scan into the barcode input is handled by its form).
+ * @param {function} onScan - Receives the scanned digits.
+ * @param {boolean} [enabled] - Listen only while true.
+ */
+export default function useBarcodeScanner(onScan, enabled = true) {
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (isTypingTarget(event) || event.ctrlKey || event.metaKey || event.altKey) return;
+      const now = event.timeStamp;
+      if (now - lastKeyAt > MAX_KEY_GAP_MS) buffer = '';
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        if (buffer.length >= MIN_CODE_LENGTH) {
+          event.preventDefault();
+          onScanRef.current(buffer);
+        }
+        buffer = '';
+      } else if (/^\d$/.test(event.key)) {
+        buffer += event.key;
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,174 @@
+// frontend/src/test/a11y.test.jsx
+// Accessibility: every page and dialog passes axe, and the keyboard paths (skip link, phone
+// nav drawer, dialogs) work without a mouse.
+
+import React from "react";
+import { describe, it, expect } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import App from "../App.jsx";
+import I18nProvider from "../i18n/I18nProvider.jsx";
+import { Router } from "../router/Router.jsx";
+import WaitlistModal from "../components/WaitlistModal.jsx";
+import DemoBookingModal from "../components/DemoBookingModal.jsx";
+import ReceiptView from "../components/ReceiptView.jsx";
+import { axeViolations } from "./axe";
+
+// Plans the pricing page is rendered with (as if pre-rendered), since fetch never answers here
+const PLANS = [
+  {
+    id: 'starter',
+    name: 'Starter',
+    currency: 'INR',
+    featured: false,
+    customPricing: false,
+    periods: { monthly: { amount: 999 }, yearly: { amount: 9990, monthlyEquivalent: 833 } },
+    benefits: ['1 counter', 'GST invoices'],
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise',
+    currency: 'INR',
+    featured: true,
+    customPricing: true,
+    periods: {},
+    benefits: ['Unlimited counters'],
+  },
+];
+
+// Dialogs are shown on their own here, outside the page's landmarks
+const NO_LANDMARKS = { region: { enabled: false } };
+
+/**
+ * renderPage: Renders the whole site at a path and waits for its page to load, title included
+ * (usePageMeta sets it in an effect, which can run after the heading is on screen).
+ * @param {string} path - E.g. '/pricing'.
+ */
+async function renderPage(path) {
+  window.history.replaceState(null, '', path);
+  // The document outlives each test; start without the previous page's title
+  document.title = '';
+  const result = render(
+    <I18nProvider initialLocale="en">
+      <Router>
+        <App initialPlans={PLANS} />
+      </Router>
+    </I18nProvider>,
+  );
+  await screen.findByRole('heading', { level: 1 });
+  await waitFor(() => expect(document.title).not.toBe(''));
+  return result;
+}
+
+describe('pages', () => {
+  it.each(['/', '/smartbill', '/pricing', '/docs', '/docs/billing-and-gst', '/contact', '/privacy', '/no-such-page'])(
+    '%s has no axe violations',
+    async (path) => {
+      await renderPage(path);
+      expect(await axeViolations(document)).toEqual([]);
+    },
+  );
+
+  it('has one main landmark, a labelled header nav and a footer nav', async () => {
+    await renderPage('/');
+    expect(screen.getAllByRole('main')).toHaveLength(1);
+    expect(screen.getByRole('navigation', { name: 'Main' })).toBeTruthy();
+    expect(screen.getByRole('navigation', { name: 'Footer' })).toBeTruthy();
+  });
+
+  it('announces contact form outcomes in a live region', async () => {
+    await renderPage('/contact');
+    const form = screen.getByRole('button', { name: 'Send' }).closest('form');
+    const regions = form.querySelectorAll('[role="status"][aria-live="polite"]');
+    expect(regions.length).toBeGreaterThan(0);
+  });
+});
+
+describe('skip link', () => {
+  it('is the first focusable element and moves focus to the main content', async () => {
+    await renderPage('/');
+    const skip = screen.getByRole('link', { name: 'Skip to content' });
+    expect(document.querySelector('a[href], button')).toBe(skip);
+    fireEvent.click(skip);
+    expect(document.activeElement).toBe(screen.getByRole('main'));
+  });
+});
+
+describe('phone nav drawer', () => {
+  it('opens from the menu button, traps focus and closes on Escape', async () => {
+    await renderPage('/');
+    const menuButton = screen.getByRole('button', { name: 'Open menu' });
+    expect(menuButton.getAttribute('aria-expanded')).toBe('false');
+
+    menuButton.focus();
+    fireEvent.click(menuButton);
+    const drawer = screen.getByRole('dialog', { name: 'Menu' });
+    expect(menuButton.getAttribute('aria-expanded')).toBe('true');
+    expect(menuButton.getAttribute('aria-controls')).toBe(drawer.id);
+    expect(drawer.contains(document.activeElement)).toBe(true);
+    expect(await axeViolations(document)).toEqual([]);
+
+    // Shift+Tab from the first element wraps to the last link, Tab from there back again
+    const closeButton = screen.getByRole('button', { name: 'Close menu' });
+    expect(document.activeElement).toBe(closeButton);
+    fireEvent.keyDown(document, { key: 'Tab', shiftKey: true });
+    const links = drawer.querySelectorAll('a[href]');
+    expect(document.activeElement).toBe(links[links.length - 1]);
+    fireEvent.keyDown(document, { key: 'Tab' });
+    expect(document.activeElement).toBe(closeButton);
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(document.activeElement).toBe(menuButton);
+  });
+
+  it('closes when a link is followed', async () => {
+    await renderPage('/');
+    fireEvent.click(screen.getByRole('button', { name: 'Open menu' }));
+    const drawer = screen.getByRole('dialog', { name: 'Menu' });
+    fireEvent.click(drawer.querySelector('a[href="/pricing"]'));
+    expect(screen.queryByRole('dialog')).toBeNull();
+  });
+});
+
+describe('dialogs', () => {
+  /**
+   * renderDialog: Renders a dialog on its own, opened from a button like on the site.
+   * @param {function} renderContent - Given onClose, returns the dialog element.
+   */
+  function renderDialog(renderContent) {
+    function Harness() {
+      const [open, setOpen] = React.useState(false);
+      return (
+        <>
+          <button type="button" onClick={() => setOpen(true)}>Open</button>
+          {open && renderContent(() => setOpen(false))}
+        </>
+      );
+    }
+    render(<I18nProvider initialLocale="en"><Harness /></I18nProvider>);
+    const opener = screen.getByRole('button', { name: 'Open' });
+    opener.focus();
+    fireEvent.click(opener);
+    return opener;
+  }
+
+  it.each([
+    ['waitlist signup', (onClose) => <WaitlistModal source="banner" onClose={onClose} />],
+    ['demo booking', (onClose) => <DemoBookingModal mode="book" onClose={onClose} />],
+    ['receipt', (onClose) => (
+      <ReceiptView
+        receipt={{ number: 1, issuedAt: '2026-01-15T10:30:00.000Z', items: [{ barcode: '8901000000019', qty: 2 }], discountPercent: 0 }}
+        onClose={onClose}
+      />
+    )],
+  ])('%s holds focus, passes axe and returns focus on Escape', async (name, renderContent) => {
+    const opener = renderDialog(renderContent);
+    const dialog = screen.getByRole('dialog');
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(await axeViolations(document.body, NO_LANDMARKS)).toEqual([]);
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(document.activeElement).toBe(opener);
+  }, 30000); // axe takes a while over the demo dialog's long time zone list
+});
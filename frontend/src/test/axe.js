@@ -0,0 +1,24 @@
+// frontend/src/test/axe.js
+// Accessibility checks for component tests, using axe-core.
+
+import axe from "axe-core";
+
+/**
+ * axeViolations: Runs axe on a rendered tree and lists what it found, one readable line per
+ * rule, so `expect(await axeViolations(container)).toEqual([])` fails with the details.
+ *
+ * Colour contrast isn't checked: jsdom doesn't compute styles or layout.
+ * @param {Element|Document} node - What to check; pass `document` to also check page-level
+ *   rules (landmarks, a main heading, the page title).
+ * @param {object} [rules] - axe rule overrides, e.g. { region: { enabled: false } } for a
+ *   component shown on its own, outside the page's landmarks.
+ * @returns {Promise<string[]>}
+ */
+export async function axeViolations(node, rules = {}) {
+  const results = await axe.run(node, {
+    rules: { 'color-contrast': { enabled: false }, ...rules },
+  });
+  return results.violations.map((violation) => (
+    `${violation.id}: ${violation.help} (${violation.nodes.map((n) => n.target.join(' ')).join(', ')})`
+  ));
+}
@@ -0,0 +1,226 @@
+// frontend/src/test/contact.test.jsx
+// The contact form inside the whole app (App at /contact): what the visitor sees when the
+// backend accepts the message, rejects it, or can't be reached (the message then waits in the
+// offline outbox), and the funnel events it records. fetch is mocked per test, the outbox keeps
+// its queue in memory, and analytics events are only recorded by a mock.
+
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import App from "../App.jsx";
+import I18nProvider from "../i18n/I18nProvider.jsx";
+import { Router } from "../router/Router.jsx";
+import { PRIVACY_POLICY_VERSION } from "../privacy/policy";
+import { queueSubmission } from "../contact/outbox";
+import { track } from "../analytics/tracker";
+
+// Submissions in the outbox. jsdom has no IndexedDB, so contact/outbox.js keeps them here
+// instead; nothing is resent, as if the connection never came back.
+const queued = vi.hoisted(() => []);
+vi.mock('../contact/outbox', async (importOriginal) => ({
+  ...(await importOriginal()),
+  listQueued: vi.fn(async () => [...queued]),
+  queueSubmission: vi.fn(async (id, body, locale) => {
+    queued.push({ id, body, locale });
+  }),
+  flushOutbox: vi.fn(async () => queued.length),
+}));
+vi.mock('../analytics/tracker', async (importOriginal) => ({
+  ...(await importOriginal()),
+  track: vi.fn(),
+}));
+
+const FORM_TOKEN = '1700000000000.0123456789abcdef.signature';
+
+/**
+ * jsonResponse: A backend answer as fetch returns it.
+ * @param {number} status - HTTP status.
+ * @param {object} body - JSON body.
+ * @returns {Response}
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * mockBackend: Answers GET /contact/token with FORM_TOKEN and POST /contact with `submit`;
+ * other requests (content, analytics) stay pending, as in the other component tests.
+ * @param {function} submit - Receives the parsed submission and returns a Promise<Response>.
+ */
+function mockBackend(submit) {
+  fetch.mockImplementation((url, options = {}) => {
+    const { pathname } = new URL(url, window.location.href);
+    if (pathname === '/contact/token') {
+      return Promise.resolve(jsonResponse(200, { success: true, token: FORM_TOKEN }));
+    }
+    if (pathname === '/contact' && options.method === 'POST') {
+      return submit(JSON.parse(options.body));
+    }
+    return new Promise(() => {});
+  });
+}
+
+/**
+ * renderContactPage: Renders the site at /contact and waits for the form and its token.
+ */
+async function renderContactPage() {
+  window.history.replaceState(null, '', '/contact');
+  render(
+    <I18nProvider initialLocale="en">
+      <Router>
+        <App />
+      </Router>
+    </I18nProvider>,
+  );
+  await screen.findByRole('button', { name: 'Send' });
+  await waitFor(() => expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/contact/token'), expect.anything()));
+}
+
+/**
+ * fillForm: Types a message and agrees to the privacy policy.
+ */
+function fillForm() {
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'asha@example.com' } });
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'We need billing software for three counters.' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: /I agree/ }));
+}
+
+describe('contact form (handleContactSubmit)', () => {
+  beforeEach(() => {
+    // Failed requests are logged; keep the test output readable
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    // Not in afterEach: unmounting the last test's form still records its events
+    track.mockClear();
+  });
+
+  afterEach(() => {
+    // The console.error and navigator.onLine spies
+    vi.restoreAllMocks();
+    fetch.mockImplementation(() => new Promise(() => {}));
+    queued.length = 0;
+  });
+
+  it('sends the message with the form token and consent, then shows the backend\'s message and clears the form', async () => {
+    let answer;
+    const submit = vi.fn(() => new Promise((resolve) => { answer = resolve; }));
+    mockBackend(submit);
+    await renderContactPage();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+    // While the request is out: a sending note and a disabled button
+    expect(await screen.findByText('Sending...')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Send' }).disabled).toBe(true);
+    expect(submit).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'asha@example.com',
+      message: 'We need billing software for three counters.',
+      consent: 'true',
+      privacyPolicyVersion: PRIVACY_POLICY_VERSION,
+      formToken: FORM_TOKEN,
+      website: '',
+    }));
+
+    answer(jsonResponse(200, { success: true, message: 'Your message has been sent successfully!' }));
+
+    const feedback = await screen.findByText('Your message has been sent successfully!');
+    expect(feedback.className).toContain('text-green-400');
+    expect(screen.queryByText('Sending...')).toBeNull();
+    expect(screen.getByLabelText('Email').value).toBe('');
+    expect(screen.getByLabelText('Message').value).toBe('');
+    expect(screen.getByRole('checkbox', { name: /I agree/ }).checked).toBe(false);
+  });
+
+  it('shows the backend\'s error and marks the invalid field, keeping what was typed', async () => {
+    mockBackend(() => Promise.resolve(jsonResponse(400, {
+      success: false,
+      message: 'Please correct the highlighted fields.',
+      errors: { email: 'Email must be a valid email address.' },
+    })));
+    await renderContactPage();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+    const feedback = await screen.findByText('Please correct the highlighted fields.');
+    expect(feedback.className).toContain('text-red-400');
+    const email = screen.getByLabelText('Email');
+    expect(email.getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById(email.getAttribute('aria-describedby')).textContent)
+      .toBe('Email must be a valid email address.');
+    expect(email.value).toBe('asha@example.com');
+    expect(screen.getByLabelText('Message').value).toBe('We need billing software for three counters.');
+    expect(screen.getByRole('button', { name: 'Send' }).disabled).toBe(false);
+  });
+
+  it('keeps the message in the outbox when the backend can\'t be reached, and clears the form', async () => {
+    mockBackend(() => Promise.reject(new TypeError('Failed to fetch')));
+    await renderContactPage();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+    const feedback = await screen.findByText(
+      "You're offline. Your message is saved and will be sent automatically when you're back online.",
+    );
+    expect(feedback.className).toContain('text-yellow-300');
+    expect(await screen.findByText('1 message waiting to be sent')).toBeTruthy();
+    expect(queued).toHaveLength(1);
+    expect(queued[0].locale).toBe('en');
+    expect(queued[0].body).toMatchObject({
+      email: 'asha@example.com',
+      message: 'We need billing software for three counters.',
+      consent: 'true',
+      privacyPolicyVersion: PRIVACY_POLICY_VERSION,
+      formToken: FORM_TOKEN,
+    });
+    expect(screen.getByLabelText('Email').value).toBe('');
+    expect(screen.getByLabelText('Message').value).toBe('');
+    expect(screen.getByRole('checkbox', { name: /I agree/ }).checked).toBe(false);
+  });
+
+  it('queues the message right away when the browser knows it\'s offline', async () => {
+    const submit = vi.fn();
+    mockBackend(submit);
+    await renderContactPage();
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+    expect(await screen.findByText('1 message waiting to be sent')).toBeTruthy();
+    expect(screen.getByText(/Your message is saved/)).toBeTruthy();
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  it('explains a network failure when the outbox can\'t keep the message, keeping what was typed', async () => {
+    // E.g. storage disabled in a private window
+    queueSubmission.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    mockBackend(() => Promise.reject(new TypeError('Failed to fetch')));
+    await renderContactPage();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+    const feedback = await screen.findByText('Network error. Please ensure the backend server is running.');
+    expect(feedback.className).toContain('text-red-400');
+    expect(queued).toHaveLength(0);
+    expect(screen.getByLabelText('Email').value).toBe('asha@example.com');
+    expect(screen.getByLabelText('Message').value).toBe('We need billing software for three counters.');
+    expect(screen.getByRole('checkbox', { name: /I agree/ }).checked).toBe(true);
+  });
+
+  it('counts a started form as abandoned when the visitor follows a link to another page', async () => {
+    mockBackend(() => new Promise(() => {}));
+    await renderContactPage();
+
+    fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'We need billing software' } });
+    expect(track).toHaveBeenCalledWith('form_start', 'contact');
+    expect(track).not.toHaveBeenCalledWith('form_abandon', 'contact');
+
+    fireEvent.click(screen.getAllByRole('link', { name: 'Pricing' })[0]);
+
+    await waitFor(() => expect(screen.queryByLabelText('Message')).toBeNull());
+    expect(track).toHaveBeenCalledWith('form_abandon', 'contact');
+  });
+});
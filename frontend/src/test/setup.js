@@ -0,0 +1,25 @@
+// frontend/src/test/setup.js
+// Runs before every test file (vite.config.js `test.setupFiles`): fills in browser APIs jsdom
+// doesn't have, and keeps the components from reaching for a backend.
+
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+// Not implemented by jsdom
+window.matchMedia = (query) => ({
+  matches: false,
+  media: query,
+  addEventListener: () => {},
+  removeEventListener: () => {},
+});
+window.scrollTo = () => {};
+Element.prototype.scrollIntoView = () => {};
+
+// No backend in component tests: API requests stay pending, so components show their
+// loading or fallback state
+vi.stubGlobal('fetch', vi.fn(() => new Promise(() => {})));